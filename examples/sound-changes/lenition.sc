@@ -0,0 +1,9 @@
+; Intervocalic lenition with final vowel loss
+; Classes: single uppercase letters. V and C are predefined.
+S = p t k
+Z = b d g
+
+S > Z / V_V      ; voicing between vowels
+e > / C_#        ; drop final e after a consonant
+th > t           ; no environment: everywhere
+s > z / V_V
@@ -0,0 +1,460 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { LanguageGenerator } from './language-generator.js';
+import { SigmentParser, SigmentUtils } from './sigment-parser.js';
+import { CollisionResolver } from './collision-resolver.js';
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Pages served from this machine, e.g. a local editor on http://localhost:5173
+const LOOPBACK_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Local REST API over the generated dictionaries and any .sigment files.
+ *
+ *   GET  /languages                          list languages
+ *   GET  /languages/:name                    language stats and grammar
+ *   GET  /languages/:name/translate          ?word= or ?text=, &direction=to-sigment|to-english
+ *   POST /languages/:name/translate          { word | text, direction, markUnknown }
+ *   GET  /languages/:name/definitions/:word  English or Sigment word
+ *   GET  /languages/:name/search             ?q=, &in=english|sigment|both
+ *   POST /languages/:name/words              { words, collisionStrategy, asciiPronunciation }
+ *
+ * Request bodies must be sent as application/json, which browsers can't do cross-origin without
+ * a preflight. CORS is only granted to pages on this machine (cors: 'localhost'), to a given
+ * origin, to any origin with '*' or to none with cors: null.
+ */
+export class SigmentApiServer {
+    constructor(options = {}) {
+        this.options = {
+            host: '127.0.0.1',
+            port: 3535,
+            dictionaryPath: './dictionaries',
+            sigmentPaths: [],
+            cors: 'localhost',
+            provider: null,
+            providerUrl: null,
+            providerModel: null,
+            apiKey: null,
+            useOllama: true,
+            ollamaUrl: 'http://localhost:11434',
+            ollamaModel: 'llama3.2',
+            ...options
+        };
+
+        this.parser = new SigmentParser();
+        this.languageCache = new Map();
+        this.sigmentIndex = new Map();
+        this.writeQueues = new Map();
+        this.generator = null;
+        this.server = null;
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, resolve);
+        });
+
+        return this.server.address();
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const origin = this.allowedOrigin(req);
+
+        try {
+            if (req.method === 'OPTIONS') {
+                this.sendJSON(res, 204, null, origin);
+                return;
+            }
+
+            const segments = this.decodeSegments(url.pathname);
+            const result = await this.route(req, segments, url.searchParams);
+            this.sendJSON(res, result.status || 200, result.body, origin);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                console.warn(`API error on ${req.method} ${url.pathname}:`, error.message);
+            }
+            this.sendJSON(res, status, { error: error.message, status }, origin);
+        }
+    }
+
+    decodeSegments(pathname) {
+        try {
+            return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            if (error instanceof URIError) {
+                throw new HttpError(400, `Malformed URL path ${pathname}`);
+            }
+            throw error;
+        }
+    }
+
+    // The Access-Control-Allow-Origin value for this request, or null to send none
+    allowedOrigin(req) {
+        const cors = this.options.cors;
+        if (!cors) return null;
+        if (cors !== 'localhost') return cors;
+
+        const origin = req.headers.origin;
+        return origin && LOOPBACK_ORIGIN.test(origin) ? origin : null;
+    }
+
+    async route(req, segments, query) {
+        const [root, name, action, ...rest] = segments;
+
+        if (segments.length === 0) {
+            this.allowMethods(req, ['GET']);
+            return { body: { name: 'Sigment API', endpoints: ['/languages'] } };
+        }
+
+        if (root !== 'languages') {
+            throw new HttpError(404, `Unknown endpoint /${segments.join('/')}`);
+        }
+
+        if (!name) {
+            this.allowMethods(req, ['GET']);
+            return { body: { languages: this.listLanguages() } };
+        }
+
+        if (!action || action === 'stats') {
+            this.allowMethods(req, ['GET']);
+            return { body: this.getLanguageStats(name) };
+        }
+
+        switch (action) {
+            case 'translate':
+                this.allowMethods(req, ['GET', 'POST']);
+                return { body: this.translate(name, req.method === 'POST' ? await this.readBody(req) : Object.fromEntries(query)) };
+            case 'definitions':
+                this.allowMethods(req, ['GET']);
+                if (rest.length !== 1) {
+                    throw new HttpError(400, 'Use /languages/:name/definitions/:word');
+                }
+                return { body: this.getDefinition(name, rest[0]) };
+            case 'search':
+                this.allowMethods(req, ['GET']);
+                return { body: this.search(name, query) };
+            case 'words':
+                this.allowMethods(req, ['POST']);
+                return { status: 201, body: await this.addWords(name, await this.readBody(req)) };
+            default:
+                throw new HttpError(404, `Unknown endpoint /${segments.join('/')}`);
+        }
+    }
+
+    allowMethods(req, methods) {
+        if (!methods.includes(req.method)) {
+            throw new HttpError(405, `Method ${req.method} not allowed; use ${methods.join(' or ')}`);
+        }
+    }
+
+    // Language discovery
+
+    listLanguages() {
+        return Array.from(this.discoverLanguages().values()).map(source => {
+            const language = this.loadLanguage(source.name);
+            return {
+                name: source.name,
+                source: source.type,
+                file: source.file,
+                words: Object.keys(language.toSigment).length,
+                style: language.style,
+                seed: language.seed,
+                writable: source.type === 'dictionaries'
+            };
+        });
+    }
+
+    discoverLanguages() {
+        const sources = new Map();
+        const dictionaryPath = path.resolve(this.options.dictionaryPath);
+
+        if (fs.existsSync(dictionaryPath)) {
+            for (const file of fs.readdirSync(dictionaryPath)) {
+                if (!file.endsWith('_metadata.json')) continue;
+                const name = file.replace('_metadata.json', '');
+                if (fs.existsSync(path.join(dictionaryPath, `English_to_${name}.json`))) {
+                    sources.set(name, { name, type: 'dictionaries', file: path.join(dictionaryPath, `English_to_${name}.json`) });
+                }
+            }
+        }
+
+        const sigmentFiles = [dictionaryPath, ...this.options.sigmentPaths].flatMap(target => {
+            if (!fs.existsSync(target)) return [];
+            return fs.statSync(target).isDirectory() ? SigmentUtils.findSigmentFiles(target, true) : [target];
+        });
+
+        for (const file of sigmentFiles) {
+            const name = this.readSigmentName(file);
+            // Generated dictionaries win over an exported copy of the same language
+            if (name && !sources.has(name)) {
+                sources.set(name, { name, type: 'sigment', file });
+            }
+        }
+
+        return sources;
+    }
+
+    readSigmentName(file) {
+        const modified = fs.statSync(file).mtimeMs;
+        const cached = this.sigmentIndex.get(file);
+        if (cached && cached.modified === modified) {
+            return cached.name;
+        }
+
+        let name = null;
+        try {
+            name = this.parser.parseFile(file).name;
+        } catch (error) {
+            console.warn(`Skipping ${file}: ${error.message}`);
+        }
+
+        this.sigmentIndex.set(file, { modified, name });
+        return name;
+    }
+
+    loadLanguage(name) {
+        const source = this.discoverLanguages().get(name);
+        if (!source) {
+            throw new HttpError(404, `Language "${name}" not found`);
+        }
+
+        // Reload when the files change underneath us, e.g. after `sigment add-words`
+        const modified = fs.statSync(source.file).mtimeMs;
+        const cached = this.languageCache.get(name);
+        if (cached && cached.file === source.file && cached.modified === modified) {
+            return cached.language;
+        }
+
+        const language = source.type === 'dictionaries' ?
+            SigmentUtils.convertFromDictionaries(path.resolve(this.options.dictionaryPath), name) :
+            this.parser.parseFile(source.file);
+
+        this.languageCache.set(name, { file: source.file, modified, source, language });
+        return language;
+    }
+
+    // Endpoints
+
+    getLanguageStats(name) {
+        const language = this.loadLanguage(name);
+        return {
+            ...language.getStats(),
+            grammar: language.grammar.rules || []
+        };
+    }
+
+    translate(name, params) {
+        const language = this.loadLanguage(name);
+        const direction = params.direction || 'to-sigment';
+
+        if (direction !== 'to-sigment' && direction !== 'to-english') {
+            throw new HttpError(400, `Unsupported direction "${direction}"; use to-sigment or to-english`);
+        }
+
+        if (params.word !== undefined) {
+            const word = this.requireText(params.word, 'word');
+            const translation = direction === 'to-sigment' ?
+                language.translateToSigment(word) :
+                language.translateToEnglish(word);
+            if (!translation) {
+                throw new HttpError(404, `"${word}" not found in ${name}`);
+            }
+            return { word, translation, direction };
+        }
+
+        if (params.text !== undefined) {
+            const result = language.translateText(this.requireText(params.text, 'text'), {
+                direction,
+                markUnknown: params.markUnknown === true || params.markUnknown === 'true',
+                applyGrammar: params.grammar !== false && params.grammar !== 'false'
+            });
+            return { text: params.text, translation: result.text, direction, unknown: result.unknown };
+        }
+
+        throw new HttpError(400, 'Provide a word or text to translate');
+    }
+
+    getDefinition(name, word) {
+        this.requireText(word, 'word');
+        const language = this.loadLanguage(name);
+        const english = language.translateToEnglish(word);
+        const sigment = english ? word.toLowerCase() : language.translateToSigment(word);
+
+        if (!sigment) {
+            throw new HttpError(404, `"${word}" not found in ${name}`);
+        }
+
+        const entry = language.getEntry(english || word);
+        return {
+            word,
+            sigment,
+            english: english || word.toLowerCase(),
+            pronunciation: entry?.pronunciation || null,
+            partOfSpeech: entry?.partOfSpeech || null,
+            definitions: entry?.definitions || null,
+            sigmentDefinition: language.getSigmentDefinition(sigment)
+        };
+    }
+
+    search(name, query) {
+        const term = query.get('q');
+        const scope = query.get('in') || 'both';
+
+        if (!term) {
+            throw new HttpError(400, 'Missing search term ?q=');
+        }
+        if (!['english', 'sigment', 'both'].includes(scope)) {
+            throw new HttpError(400, `Unsupported search scope "${scope}"; use english, sigment or both`);
+        }
+
+        const results = this.loadLanguage(name).searchWords(term, scope);
+        return { query: term, in: scope, count: results.length, results };
+    }
+
+    async addWords(name, body) {
+        const source = this.discoverLanguages().get(name);
+        if (!source) {
+            throw new HttpError(404, `Language "${name}" not found`);
+        }
+        if (source.type !== 'dictionaries') {
+            throw new HttpError(409, `Language "${name}" is loaded from ${source.file} and is read-only`);
+        }
+
+        if (body.collisionStrategy !== undefined && !CollisionResolver.strategies.includes(body.collisionStrategy)) {
+            throw new HttpError(400, `Unknown collision strategy "${body.collisionStrategy}"; use ${CollisionResolver.strategies.join(', ')}`);
+        }
+
+        const list = Array.isArray(body.words) ? body.words : (typeof body.words === 'string' ? body.words.split(',') : null);
+        if (list && list.some(word => typeof word !== 'string')) {
+            throw new HttpError(400, 'Every word must be a string');
+        }
+        const words = (list || []).map(word => word.trim()).filter(Boolean);
+        if (words.length === 0) {
+            throw new HttpError(400, 'Provide words as an array or a comma-separated string');
+        }
+
+        // One writer per language, so concurrent requests don't interleave dictionary saves
+        return this.enqueueWrite(name, async () => {
+            const generator = this.getGenerator();
+            generator.languageDatabase.delete(name);
+
+            const result = await generator.addWordsToLanguage(name, words, {
+                collisionStrategy: body.collisionStrategy,
+                asciiPronunciation: body.asciiPronunciation,
+                allowPause: false
+            });
+            this.languageCache.delete(name);
+
+            return {
+                language: name,
+                added: result.addedCount,
+                skipped: result.skippedCount,
+                words: words
+                    .filter(word => result.language.vocabulary.has(word))
+                    .map(word => {
+                        const entry = result.language.vocabulary.get(word);
+                        return { english: word, sigment: entry.sigment, pronunciation: entry.pronunciation };
+                    })
+            };
+        });
+    }
+
+    enqueueWrite(name, task) {
+        const previous = this.writeQueues.get(name) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        this.writeQueues.set(name, next);
+        return next;
+    }
+
+    getGenerator() {
+        if (!this.generator) {
+            this.generator = new LanguageGenerator({
+                provider: this.options.provider,
+                providerUrl: this.options.providerUrl,
+                providerModel: this.options.providerModel,
+                apiKey: this.options.apiKey,
+                useOllama: this.options.useOllama,
+                ollamaUrl: this.options.ollamaUrl,
+                ollamaModel: this.options.ollamaModel,
+                outputPath: this.options.dictionaryPath
+            });
+        }
+        return this.generator;
+    }
+
+    // HTTP helpers
+
+    // Words and text from a body or query have to be non-empty strings before they reach the language
+    requireText(value, field) {
+        if (typeof value !== 'string' || !value.trim()) {
+            throw new HttpError(400, `"${field}" must be a non-empty string`);
+        }
+        return value;
+    }
+
+    async readBody(req) {
+        // Plain-text and form posts are the kinds a web page can send anywhere without a preflight
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (contentType !== 'application/json') {
+            throw new HttpError(415, 'Send the request body as Content-Type: application/json');
+        }
+
+        let size = 0;
+        const chunks = [];
+
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                throw new HttpError(413, 'Request body too large');
+            }
+            chunks.push(chunk);
+        }
+
+        if (chunks.length === 0) return {};
+
+        try {
+            const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                throw new Error('expected an object');
+            }
+            return body;
+        } catch (error) {
+            throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+        }
+    }
+
+    sendJSON(res, status, body, origin = null) {
+        const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+        if (origin) {
+            headers['Access-Control-Allow-Origin'] = origin;
+            headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS';
+            headers['Access-Control-Allow-Headers'] = 'Content-Type';
+        }
+        if (this.options.cors === 'localhost') {
+            headers.Vary = 'Origin';
+        }
+
+        res.writeHead(status, headers);
+        res.end(body === null ? undefined : JSON.stringify(body, null, 2));
+    }
+}
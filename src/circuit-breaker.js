@@ -0,0 +1,105 @@
+export class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        super(`${name} is unavailable after repeated failures; retrying after ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Stops calling a failing service after `failureThreshold` consecutive failures.
+ * While open, calls fail immediately with CircuitOpenError; after `cooldown` ms a
+ * single probe call is let through, which closes the circuit again if it succeeds.
+ *
+ *   closed ──failures──▶ open ──cooldown──▶ half-open ──success──▶ closed
+ *                          ▲                    │
+ *                          └──────failure───────┘
+ */
+export class CircuitBreaker {
+    constructor(options = {}) {
+        this.name = options.name || 'service';
+        this.failureThreshold = options.failureThreshold > 0 ? options.failureThreshold : 5;
+        this.cooldown = options.cooldown >= 0 ? options.cooldown : 30000;
+        // Errors that don't mean the service is down (e.g. a rejected request) don't count
+        this.isFailure = options.isFailure || (() => true);
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.probing = false;
+        this.stats = { trips: 0, rejected: 0 };
+    }
+
+    get isOpen() {
+        return this.state === 'open' && Date.now() < this.openedAt + this.cooldown;
+    }
+
+    async execute(task) {
+        if (this.state === 'open') {
+            if (this.isOpen) {
+                this.stats.rejected++;
+                throw new CircuitOpenError(this.name, this.openedAt + this.cooldown);
+            }
+            this.state = 'half-open';
+        }
+
+        const isProbe = this.state === 'half-open';
+        if (isProbe) {
+            if (this.probing) {
+                this.stats.rejected++;
+                throw new CircuitOpenError(this.name, this.openedAt + this.cooldown);
+            }
+            this.probing = true;
+        }
+
+        try {
+            const result = await task();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.recordFailure();
+            } else {
+                this.recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (isProbe) {
+                this.probing = false;
+            }
+        }
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            console.warn(`✅ ${this.name} is responding again; leaving offline mode`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            if (this.state === 'closed') {
+                console.warn(`⚡ ${this.name} failed ${this.failures} times in a row; continuing offline and retrying in ${Math.round(this.cooldown / 1000)}s`);
+            }
+            this.trip();
+        }
+    }
+
+    // Opens the circuit straight away, e.g. for a service that is already down at startup
+    trip() {
+        this.state = 'open';
+        this.openedAt = Date.now();
+        this.stats.trips++;
+    }
+
+    getStats() {
+        return {
+            state: this.isOpen ? 'open' : this.state,
+            consecutiveFailures: this.failures,
+            ...this.stats
+        };
+    }
+}
@@ -3,7 +3,17 @@
 import { Command } from 'commander';
 import inquirer from 'inquirer';
 import { LanguageGenerator } from './language-generator.js';
-import { SigmentParser, SigmentUtils } from './sigment-parser.js';
+import { SigmentParser, SigmentLanguage, SigmentUtils } from './sigment-parser.js';
+import { SoundChangeRules } from './sound-changes.js';
+import { GraphemeToPhoneme } from './g2p.js';
+import { Phonotactics } from './phonotactics.js';
+import { STRESS_RULES } from './syllabifier.js';
+import { LanguageFamily } from './language-family.js';
+import { SigmentApiServer } from './api-server.js';
+import { SigmentValidator } from './sigment-validator.js';
+import { ProviderFactory } from './provider-factory.js';
+import { ResponseCache } from './response-cache.js';
+import { CollisionResolver } from './collision-resolver.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -85,22 +95,43 @@ program
     .command('generate')
     .description('Generate a new Sigment language')
     .option('-n, --name <name>', 'Name of the language')
-    .option('-s, --style <style>', 'Transformation style (default, consonant_shift, vowel_harmony, morpheme_emphasis, phonetic_logic)', 'default')
+    .option('-s, --style <style>', 'Transformation style (default, consonant_shift, vowel_harmony, morpheme_emphasis, phonetic_logic, custom)', 'default')
     .option('-v, --vocabulary <words>', 'Comma-separated list of words or path to word file')
     .option('-p, --prompt <prompt>', 'Custom prompt for language generation')
     .option('-o, --output <path>', 'Output directory for dictionaries', './dictionaries')
+    .option('--seed <seed>', 'Seed for reproducible generation (random if omitted)')
+    .option('--rules <file>', 'Sound change rule file (e.g. "p > b / V_V") applied after the style')
+    .option('--pronunciations <file>', 'Pronunciation exceptions, one "word /ipa/" per line, used instead of the spelling rules')
+    .option('--phonotactics <file>', 'JSON file of allowed onsets and codas and forbidden sequences')
+    .option('--stress <rule>', 'Stress rule (initial, penultimate, weight-sensitive)', 'initial')
+    .option('--collision-strategy <strategy>', 'How to resolve two words mapping to the same form (alternate, affix, homonym)', 'alternate')
     .option('--ascii-pronunciation', 'Use ASCII characters for pronunciation instead of IPA symbols')
-    .option('--no-ollama', 'Disable Ollama integration')
+    .option('--provider <name>', 'Language model provider (ollama, openai, offline)')
+    .option('--provider-url <url>', 'Provider server URL, e.g. http://localhost:8080/v1 for llama.cpp or vLLM')
+    .option('--provider-model <model>', 'Provider model to use')
+    .option('--api-key <key>', 'API key for OpenAI-compatible providers')
+    .option('--no-ollama', 'Disable language model providers (same as --provider offline)')
     .option('--ollama-url <url>', 'Ollama server URL', 'http://localhost:11434')
     .option('--ollama-model <model>', 'Ollama model to use', 'llama3.2')
-    .option('--batch-size <size>', 'Number of words to process in each batch', '10')
+    .option('--no-cache', 'Don\'t read or write the persistent response cache')
+    .option('--cache-ttl <days>', 'Ignore cached model responses older than this many days')
+    .option('--concurrency <n>', 'Number of words whose model lookups run in parallel', '1')
+    .option('--max-requests <n>', 'Maximum simultaneous requests to the provider', '4')
+    .option('--rate-limit <perMinute>', 'Maximum new provider requests per minute')
+    .option('--timeout <seconds>', 'Seconds before a provider request times out', '30')
+    .option('--retries <n>', 'Retries after a provider timeout or server error', '2')
+    .option('--batch-size <size>', 'Number of words sent to the language model in one prompt (1 disables batching)', '10')
     .option('--save-interval <interval>', 'Save progress every N words', '25')
     .option('--no-pause', 'Disable pause/resume functionality')
     .option('-i, --interactive', 'Run in interactive mode')
-    .action(async (options) => {
+    .action(async (options, command) => {
         if (options.interactive) {
-            await runInteractiveMode();
+            await runInteractiveMode(options);
         } else {
+            // A rule file without an explicit style means the rules alone shape the language
+            if (options.rules && command.getOptionValueSource('style') === 'default') {
+                options.style = 'custom';
+            }
             await generateLanguage(options);
         }
     });
@@ -108,18 +139,53 @@ program
 program
     .command('interactive')
     .description('Run in interactive mode')
-    .action(async () => {
-        await runInteractiveMode();
+    .option('--provider <name>', 'Language model provider (ollama, openai, offline)')
+    .option('--provider-url <url>', 'Provider server URL, e.g. http://localhost:8080/v1 for llama.cpp or vLLM')
+    .option('--provider-model <model>', 'Provider model to use')
+    .option('--api-key <key>', 'API key for OpenAI-compatible providers')
+    .option('--no-ollama', 'Disable language model providers (same as --provider offline)')
+    .option('--ollama-url <url>', 'Ollama server URL', 'http://localhost:11434')
+    .option('--ollama-model <model>', 'Ollama model to use', 'llama3.2')
+    .option('--no-cache', 'Don\'t read or write the persistent response cache')
+    .option('--cache-ttl <days>', 'Ignore cached model responses older than this many days')
+    .option('--max-requests <n>', 'Maximum simultaneous requests to the provider', '4')
+    .option('--rate-limit <perMinute>', 'Maximum new provider requests per minute')
+    .option('--timeout <seconds>', 'Seconds before a provider request times out', '30')
+    .option('--retries <n>', 'Retries after a provider timeout or server error', '2')
+    .action(async (options) => {
+        await runInteractiveMode(options);
     });
 
 program
     .command('translate')
     .description('Translate words between languages')
     .requiredOption('-l, --language <name>', 'Language name')
-    .requiredOption('-w, --word <word>', 'Word to translate')
+    .option('-w, --word <word>', 'Word to translate')
+    .option('-t, --text <text>', 'Sentence or paragraph to translate')
     .option('-d, --direction <direction>', 'Translation direction (to-english, to-sigment, sigment-def)', 'to-sigment')
+    .option('--mark-unknown', 'Wrap words missing from the dictionary in [brackets] when translating text')
+    .option('--no-grammar', 'Translate text word by word, without inflection or word order rules')
     .action(async (options) => {
-        await translateWord(options);
+        if (options.text) {
+            await translateText(options);
+        } else if (options.word) {
+            await translateWord(options);
+        } else {
+            console.error('❌ Provide a word with --word or a sentence with --text');
+            process.exit(1);
+        }
+    });
+
+program
+    .command('inflect')
+    .description('Inflect a word with the grammatical suffixes of a language')
+    .requiredOption('-l, --language <name>', 'Language name')
+    .requiredOption('-w, --word <word>', 'English or Sigment word')
+    .option('--number <number>', 'singular or plural')
+    .option('--tense <tense>', 'present, past or future')
+    .option('--person <person>', 'first, second or third (or 1-3)')
+    .action(async (options) => {
+        await inflectWord(options);
     });
 
 program
@@ -171,16 +237,39 @@ program
         await importSigmentFile(options);
     });
 
+program
+    .command('validate <paths...>')
+    .description('Validate .sigment files (or directories of them) against the schema')
+    .option('-f, --format <format>', 'Output format (human, json)', 'human')
+    .option('-r, --recursive', 'Search directories recursively')
+    .action(async (paths, options) => {
+        await validateSigmentFiles(paths, options);
+    });
+
 program
     .command('add-words')
     .description('Add new words to an existing language')
     .requiredOption('-l, --language <name>', 'Language name')
     .requiredOption('-w, --words <words>', 'Comma-separated list of words to add')
+    .option('--rules <file>', 'Sound change rule file (e.g. "p > b / V_V") replacing the language\'s rules')
+    .option('--pronunciations <file>', 'Pronunciation exceptions, one "word /ipa/" per line, added to the language\'s exceptions')
+    .option('--collision-strategy <strategy>', 'How to resolve two words mapping to the same form (alternate, affix, homonym)')
     .option('--ascii-pronunciation', 'Use ASCII characters for pronunciation instead of IPA symbols')
-    .option('--no-ollama', 'Disable Ollama integration')
+    .option('--provider <name>', 'Language model provider (ollama, openai, offline)')
+    .option('--provider-url <url>', 'Provider server URL, e.g. http://localhost:8080/v1 for llama.cpp or vLLM')
+    .option('--provider-model <model>', 'Provider model to use')
+    .option('--api-key <key>', 'API key for OpenAI-compatible providers')
+    .option('--no-ollama', 'Disable language model providers (same as --provider offline)')
     .option('--ollama-url <url>', 'Ollama server URL', 'http://localhost:11434')
     .option('--ollama-model <model>', 'Ollama model to use', 'llama3.2')
-    .option('--batch-size <size>', 'Number of words to process in each batch', '10')
+    .option('--no-cache', 'Don\'t read or write the persistent response cache')
+    .option('--cache-ttl <days>', 'Ignore cached model responses older than this many days')
+    .option('--concurrency <n>', 'Number of words whose model lookups run in parallel', '1')
+    .option('--max-requests <n>', 'Maximum simultaneous requests to the provider', '4')
+    .option('--rate-limit <perMinute>', 'Maximum new provider requests per minute')
+    .option('--timeout <seconds>', 'Seconds before a provider request times out', '30')
+    .option('--retries <n>', 'Retries after a provider timeout or server error', '2')
+    .option('--batch-size <size>', 'Number of words sent to the language model in one prompt (1 disables batching)', '10')
     .option('--save-interval <interval>', 'Save progress every N words', '25')
     .option('--resume', 'Resume from previous interrupted batch')
     .option('--no-pause', 'Disable pause/resume functionality')
@@ -188,6 +277,84 @@ program
         await addWordsToLanguage(options);
     });
 
+program
+    .command('enrich')
+    .description('Re-query the language model for entries with missing or placeholder definitions and etymologies')
+    .option('-l, --language <name>', 'Language name')
+    .option('-f, --file <path>', 'Enrich a language export file (from "export") in place instead')
+    .option('-w, --words <words>', 'Comma-separated list of words to check (default: all)')
+    .option('--limit <n>', 'Enrich at most this many words')
+    .option('--dry-run', 'Show what would change without saving')
+    .option('--provider <name>', 'Language model provider (ollama, openai)')
+    .option('--provider-url <url>', 'Provider server URL, e.g. http://localhost:8080/v1 for llama.cpp or vLLM')
+    .option('--provider-model <model>', 'Provider model to use')
+    .option('--api-key <key>', 'API key for OpenAI-compatible providers')
+    .option('--ollama-url <url>', 'Ollama server URL', 'http://localhost:11434')
+    .option('--ollama-model <model>', 'Ollama model to use', 'llama3.2')
+    .option('--no-cache', 'Don\'t read or write the persistent response cache')
+    .option('--cache-ttl <days>', 'Ignore cached model responses older than this many days')
+    .option('--max-requests <n>', 'Maximum simultaneous requests to the provider', '4')
+    .option('--rate-limit <perMinute>', 'Maximum new provider requests per minute')
+    .option('--timeout <seconds>', 'Seconds before a provider request times out', '30')
+    .option('--retries <n>', 'Retries after a provider timeout or server error', '2')
+    .option('--batch-size <size>', 'Number of words sent to the language model in one prompt (1 disables batching)', '10')
+    .action(async (options) => {
+        await enrichLanguage(options);
+    });
+
+program
+    .command('edit-word <word>')
+    .description('Change the form, pronunciation, definitions or part of speech of one word')
+    .requiredOption('-l, --language <name>', 'Language name')
+    .option('-s, --sigment <form>', 'New Sigment form (its pronunciation is derived again unless given)')
+    .option('-p, --pronunciation <pronunciation>', 'New pronunciation')
+    .option('-d, --definition <definitions...>', 'New primary definitions, replacing the current ones')
+    .option('--part-of-speech <pos>', 'New part of speech')
+    .option('--homonym', 'Allow a form another word already has')
+    .option('--lock', 'Also lock the word so reconstruction keeps it')
+    .action(async (word, options) => {
+        await editWord(word, options);
+    });
+
+program
+    .command('remove-words <words...>')
+    .description('Remove words from a language')
+    .requiredOption('-l, --language <name>', 'Language name')
+    .action(async (words, options) => {
+        await removeWords(words, options);
+    });
+
+program
+    .command('lock <words...>')
+    .description('Lock words so reconstruction and collision handling never change their forms')
+    .requiredOption('-l, --language <name>', 'Language name')
+    .option('--unlock', 'Unlock the words instead')
+    .action(async (words, options) => {
+        await lockWords(words, options);
+    });
+
+program
+    .command('serve')
+    .description('Serve languages over a local HTTP API')
+    .option('-p, --port <port>', 'Port to listen on', '3535')
+    .option('--host <host>', 'Host to bind to', '127.0.0.1')
+    .option('--sigment <paths...>', 'Extra .sigment files or directories to serve')
+    .option('--cors <origin>', 'Origin allowed to call the API from a browser: localhost (pages on this machine), an origin, * or none', 'localhost')
+    .option('--max-requests <n>', 'Maximum simultaneous requests to the provider', '4')
+    .option('--rate-limit <perMinute>', 'Maximum new provider requests per minute')
+    .option('--timeout <seconds>', 'Seconds before a provider request times out', '30')
+    .option('--retries <n>', 'Retries after a provider timeout or server error', '2')
+    .option('--provider <name>', 'Language model provider (ollama, openai, offline)')
+    .option('--provider-url <url>', 'Provider server URL, e.g. http://localhost:8080/v1 for llama.cpp or vLLM')
+    .option('--provider-model <model>', 'Provider model to use')
+    .option('--api-key <key>', 'API key for OpenAI-compatible providers')
+    .option('--no-ollama', 'Disable language model providers (same as --provider offline)')
+    .option('--ollama-url <url>', 'Ollama server URL', 'http://localhost:11434')
+    .option('--ollama-model <model>', 'Ollama model to use', 'llama3.2')
+    .action(async (options) => {
+        await serveApi(options);
+    });
+
 program
     .command('archive')
     .description('Archive a language (move to backup folder)')
@@ -210,10 +377,110 @@ program
     .description('Reconstruct dictionary with improved phonetic patterns')
     .requiredOption('-l, --language <name>', 'Language name to reconstruct')
     .option('--analyze-only', 'Only analyze patterns, don\'t reconstruct')
+    .option('--rules <file>', 'Sound change rule file (e.g. "p > b / V_V") replacing the language\'s rules')
+    .option('--pronunciations <file>', 'Pronunciation exceptions, one "word /ipa/" per line, added to the language\'s exceptions')
+    .option('--phonotactics <file>', 'JSON file of allowed onsets and codas and forbidden sequences, replacing the language\'s')
+    .option('--stress <rule>', 'Stress rule replacing the language\'s (initial, penultimate, weight-sensitive)')
+    .option('--collision-strategy <strategy>', 'How to resolve two words mapping to the same form (alternate, affix, homonym)')
+    .option('--dry-run', 'Write a change report for review instead of changing the dictionaries')
+    .option('--report <file>', 'Where --dry-run writes its JSON report; a readable .txt table goes next to it')
+    .option('--apply-from <file>', 'Apply the accepted changes of a reviewed --dry-run report')
+    .option('--provider <name>', 'Language model provider (ollama, openai, offline)')
+    .option('--provider-url <url>', 'Provider server URL, e.g. http://localhost:8080/v1 for llama.cpp or vLLM')
+    .option('--provider-model <model>', 'Provider model to use')
+    .option('--api-key <key>', 'API key for OpenAI-compatible providers')
+    .option('--no-ollama', 'Disable language model providers (same as --provider offline)')
+    .option('--ollama-url <url>', 'Ollama server URL', 'http://localhost:11434')
+    .option('--ollama-model <model>', 'Ollama model to use', 'llama3.2')
+    .option('--no-cache', 'Don\'t read or write the persistent response cache')
+    .option('--cache-ttl <days>', 'Ignore cached model responses older than this many days')
+    .option('--max-requests <n>', 'Maximum simultaneous requests to the provider', '4')
+    .option('--rate-limit <perMinute>', 'Maximum new provider requests per minute')
+    .option('--timeout <seconds>', 'Seconds before a provider request times out', '30')
+    .option('--retries <n>', 'Retries after a provider timeout or server error', '2')
+    .option('--batch-size <size>', 'Number of words sent to the language model in one prompt (1 disables batching)', '10')
+    .option('--save-interval <interval>', 'Save progress every N words', '25')
     .action(async (options) => {
         await reconstructLanguage(options);
     });
 
+program
+    .command('evolve <parent>')
+    .description('Derive a daughter language by applying sound changes to every word of a parent language')
+    .requiredOption('-n, --name <name>', 'Name of the daughter language')
+    .requiredOption('--rules <file>', 'Ordered sound change rules (e.g. "p > b / V_V") turning parent forms into daughter forms')
+    .option('--drift <rate>', 'Share of meanings that shift (narrowing, broadening, metaphor...), from 0 to 1', '0')
+    .action(async (parentName, options) => {
+        await evolveLanguage(parentName, options);
+    });
+
+program
+    .command('family')
+    .description('Show how the languages in ./dictionaries are related and compare their words')
+    .option('-f, --format <format>', 'Tree format: ascii or dot (Graphviz)', 'ascii')
+    .option('-o, --output <file>', 'Write the tree to a file instead of printing it')
+    .option('-w, --words <words>', 'Comma-separated English words for the cognate table (default: every shared word)')
+    .option('--languages <names>', 'Comma-separated languages for the cognate table (default: all)')
+    .option('--limit <n>', 'Print at most this many cognate table rows', '20')
+    .option('--cognates <file>', 'Export the whole cognate table as .json or .csv')
+    .action(async (options) => {
+        await showLanguageFamily(options);
+    });
+
+program
+    .command('lint-phonology <language>')
+    .description('List Sigment forms that break the language\'s phonotactic constraints')
+    .option('--phonotactics <file>', 'Check against the constraints in this JSON file instead')
+    .option('--limit <n>', 'List at most this many forms')
+    .action(async (languageName, options) => {
+        await lintPhonology(languageName, options);
+    });
+
+const cacheCommand = program
+    .command('cache')
+    .description('Manage the persistent language model response cache');
+
+cacheCommand
+    .command('stats')
+    .description('Show cache size and contents')
+    .option('--cache-file <path>', 'Cache file', ResponseCache.defaultPath)
+    .option('--format <format>', 'Output format (human, json)', 'human')
+    .action(async (options) => {
+        await showCacheStats(options);
+    });
+
+cacheCommand
+    .command('clear')
+    .description('Remove cached responses (all of them unless filtered)')
+    .option('--cache-file <path>', 'Cache file', ResponseCache.defaultPath)
+    .option('--model <model>', 'Only responses from this model')
+    .option('--kind <kind>', 'Only this kind of response (etymology, definitions, semantic, related)')
+    .option('--word <word>', 'Only responses for this word')
+    .option('--older-than <days>', 'Only responses older than this many days')
+    .action(async (options) => {
+        await clearCache(options);
+    });
+
+cacheCommand
+    .command('export')
+    .description('Write the cache to a file that can be shared')
+    .option('--cache-file <path>', 'Cache file', ResponseCache.defaultPath)
+    .requiredOption('-o, --output <file>', 'File to write')
+    .option('--model <model>', 'Only export responses from this model')
+    .action(async (options) => {
+        await exportCache(options);
+    });
+
+cacheCommand
+    .command('import')
+    .description('Merge an exported cache file into the cache')
+    .option('--cache-file <path>', 'Cache file', ResponseCache.defaultPath)
+    .requiredOption('-f, --file <file>', 'Exported cache file')
+    .option('--overwrite', 'Replace existing entries even when they are newer')
+    .action(async (options) => {
+        await importCache(options);
+    });
+
 program
     .command('batch')
     .description('Batch processing utilities')
@@ -225,7 +492,7 @@ program
         await handleBatchUtils(options);
     });
 
-async function runInteractiveMode() {
+async function runInteractiveMode(options = {}) {
     console.log('\n🍅 Sigment Language Constructor - Interactive Mode');
     console.log('💡 Tip: Select ← Back to navigate between menus\n');
 
@@ -270,7 +537,7 @@ async function runInteractiveMode() {
                 await interactiveArchiveRestore();
                 break;
             case 'Reconstruct dictionary':
-                await interactiveReconstruct();
+                await interactiveReconstruct(options);
                 break;
             case 'Exit':
                 console.log('\nGoodbye!');
@@ -447,6 +714,7 @@ async function interactiveGeneration() {
         if (result.stats.errors.length > 0) {
             console.log(`Errors encountered: ${result.stats.errors.length}`);
         }
+        printDegradedWords(result.stats.degradedWords);
 
         console.log('\nDictionary files created:');
         for (const [type, path] of Object.entries(result.dictionaries)) {
@@ -623,29 +891,41 @@ async function generateLanguage(options) {
     }
 
     const generator = new LanguageGenerator({
-        useOllama: options.ollama !== false,
-        ollamaUrl: options.ollamaUrl,
-        ollamaModel: options.ollamaModel,
+        ...getProviderOptions(options),
         outputPath: options.output
     });
 
     try {
+        const collisionStrategy = readCollisionStrategy(options.collisionStrategy);
+        const soundChanges = options.rules ? await readSoundChangeFile(options.rules) : null;
+
         const result = await generator.generateLanguage({
             name: options.name || 'CustomSigment',
             style: options.style,
             vocabulary,
             customPrompt: options.prompt || '',
             etymologicalDepth: 'medium',
-            asciiPronunciation: options.asciiPronunciation || false
+            asciiPronunciation: options.asciiPronunciation || false,
+            seed: options.seed,
+            collisionStrategy,
+            soundChanges,
+            pronunciationLexicon: options.pronunciations ? await readPronunciationFile(options.pronunciations) : undefined,
+            phonotactics: options.phonotactics ? await readPhonotacticsFile(options.phonotactics) : undefined,
+            stress: readStressRule(options.stress),
+            batchSize: parseInt(options.batchSize) || 10,
+            saveInterval: parseInt(options.saveInterval) || 25,
+            concurrency: parseInt(options.concurrency) || 1
         });
 
         console.log('✅ Language generation complete!');
+        console.log(`Seed: ${result.language.config.seed}`);
         console.log(`Words processed: ${result.stats.wordsProcessed}`);
         console.log(`Generation time: ${Math.round(result.stats.elapsedTime / 1000)}s`);
         
         if (result.stats.errors.length > 0) {
             console.log(`Errors: ${result.stats.errors.length}`);
         }
+        printDegradedWords(result.stats.degradedWords);
 
         console.log('\nDictionary files:');
         for (const [type, path] of Object.entries(result.dictionaries)) {
@@ -718,6 +998,98 @@ async function translateWord(options) {
     }
 }
 
+async function translateText(options) {
+    try {
+        if (options.direction === 'sigment-def') {
+            console.error('❌ Text translation supports the to-sigment and to-english directions only');
+            process.exit(1);
+        }
+
+        const language = await loadDictionaryLanguage(options.language);
+        const result = language.translateText(options.text, {
+            direction: options.direction,
+            markUnknown: options.markUnknown || false,
+            applyGrammar: options.grammar
+        });
+
+        console.log(`\n📖 Translation (${options.direction}):\n`);
+        console.log(result.text);
+
+        if (result.unknown.length > 0) {
+            console.log(`\n⚠️  Unknown words (${result.unknown.length}): ${result.unknown.join(', ')}`);
+        }
+
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.error(`❌ Dictionary file not found for language "${options.language}"`);
+        } else {
+            console.error('❌ Translation failed:', error.message);
+        }
+    }
+}
+
+async function inflectWord(options) {
+    try {
+        const language = await loadDictionaryLanguage(options.language);
+        if (!language.grammar.patterns) {
+            console.error(`❌ Language "${options.language}" has no grammar. Add words to it to generate one.`);
+            return;
+        }
+
+        const features = {
+            number: options.number,
+            tense: options.tense,
+            person: options.person
+        };
+        const inflected = language.inflect(options.word, features);
+        const described = Object.entries(features).filter(([, value]) => value).map(([key, value]) => `${key}: ${value}`);
+
+        console.log(`\n🔤 ${options.word} (${described.join(', ') || 'no features'}) → ${inflected}\n`);
+
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.error(`❌ Dictionary file not found for language "${options.language}"`);
+        } else {
+            console.error('❌ Inflection failed:', error.message);
+        }
+    }
+}
+
+async function loadDictionaryLanguage(languageName) {
+    return SigmentUtils.convertFromDictionaries(path.resolve('./dictionaries'), languageName);
+}
+
+async function readSoundChangeFile(filePath) {
+    const text = await fs.readFile(filePath, 'utf-8');
+    // Parse up front so rule errors are reported before any work starts
+    const rules = SoundChangeRules.parse(text);
+    console.log(`📜 Loaded ${rules.size} sound change rules from ${filePath}`);
+    return rules;
+}
+
+async function readPronunciationFile(filePath) {
+    const lexicon = GraphemeToPhoneme.parseLexicon(await fs.readFile(filePath, 'utf-8'));
+    console.log(`📖 Loaded ${Object.keys(lexicon).length} pronunciations from ${filePath}`);
+    return lexicon;
+}
+
+async function readPhonotacticsFile(filePath) {
+    const config = Phonotactics.parse(await fs.readFile(filePath, 'utf-8'));
+    console.log(`🗣️  Loaded phonotactic constraints from ${filePath}`);
+    return config;
+}
+
+function readCollisionStrategy(strategy) {
+    return strategy ? CollisionResolver.checkStrategy(strategy) : undefined;
+}
+
+function readStressRule(rule) {
+    if (!STRESS_RULES.includes(rule)) {
+        throw new Error(`Unknown stress rule "${rule}". Use ${STRESS_RULES.join(', ')}`);
+    }
+    return rule;
+}
+
 async function listLanguages() {
     try {
         const dictPath = path.resolve('./dictionaries');
@@ -739,6 +1111,9 @@ async function listLanguages() {
             console.log(`  Created: ${new Date(metadata.created).toLocaleDateString()}`);
             console.log(`  Words: ${metadata.vocabularySize}`);
             console.log(`  Style: ${metadata.config.style}`);
+            if (metadata.lineage) {
+                console.log(`  Evolved from: ${metadata.lineage.ancestors.join(' → ')}`);
+            }
             console.log();
         }
 
@@ -759,12 +1134,24 @@ async function showLanguageInfo(options) {
         console.log(`Version: ${metadata.version}`);
         console.log(`Vocabulary Size: ${metadata.vocabularySize} words`);
         console.log(`Transformation Style: ${metadata.config.style}`);
+        if (metadata.config.seed) {
+            console.log(`Seed: ${metadata.config.seed}`);
+        }
+        if (metadata.lineage) {
+            console.log(`Lineage: ${[...metadata.lineage.ancestors, metadata.config.name].join(' → ')}`);
+            console.log(`Sound changes from ${metadata.lineage.parent}: ${metadata.lineage.soundChanges.filter(item => item.type === 'rule').length}`);
+        }
         
         if (metadata.phoneticSystem) {
             console.log(`Vowels: ${metadata.phoneticSystem.vowelInventory?.join(', ') || 'N/A'}`);
             console.log(`Consonants: ${metadata.phoneticSystem.consonantInventory?.join(', ') || 'N/A'}`);
         }
 
+        if (metadata.grammar?.rules?.length) {
+            console.log(`\nGrammar:`);
+            metadata.grammar.rules.forEach(rule => console.log(`  ${rule}`));
+        }
+
         if (metadata.generationStats) {
             console.log(`\nGeneration Stats:`);
             console.log(`  Processing Time: ${Math.round(metadata.generationStats.elapsedTime / 1000)}s`);
@@ -806,6 +1193,217 @@ async function importLanguage(options) {
     }
 }
 
+function printDegradedWords(words = []) {
+    if (words.length === 0) return;
+    const sample = words.slice(0, 10).join(', ') + (words.length > 10 ? ', ...' : '');
+    console.log(`⚠️  ${words.length} words used placeholder data because the provider failed: ${sample}`);
+}
+
+function getProviderOptions(options) {
+    const providerOptions = {
+        provider: options.provider,
+        providerUrl: options.providerUrl,
+        providerModel: options.providerModel,
+        apiKey: options.apiKey,
+        useOllama: options.ollama !== false,
+        ollamaUrl: options.ollamaUrl,
+        ollamaModel: options.ollamaModel,
+        cacheEnabled: options.cache !== false,
+        cacheTtlDays: options.cacheTtl,
+        maxConcurrentRequests: parseInt(options.maxRequests) || 4,
+        requestsPerMinute: parseFloat(options.rateLimit) || 0,
+        providerTimeout: (parseFloat(options.timeout) || 30) * 1000,
+        providerRetries: Math.max(0, parseInt(options.retries) || 0)
+    };
+
+    try {
+        ProviderFactory.resolveName(providerOptions);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    return providerOptions;
+}
+
+async function enrichLanguage(options) {
+    if (!options.language && !options.file) {
+        console.error('❌ Specify a language with --language or an export file with --file');
+        process.exit(1);
+    }
+
+    console.log(`\n✨ Enriching ${options.file || options.language}${options.dryRun ? ' (dry run)' : ''}\n`);
+
+    try {
+        const generator = new LanguageGenerator({
+            ...getProviderOptions(options),
+            outputPath: './dictionaries'
+        });
+
+        const result = await generator.enrichLanguage(options.language, {
+            file: options.file,
+            words: options.words ? options.words.split(',') : null,
+            limit: parseInt(options.limit) || 0,
+            batchSize: parseInt(options.batchSize) || 10,
+            dryRun: options.dryRun
+        });
+
+        if (result.checkedCount === 0) {
+            console.log('\n✅ No entries need enriching');
+            return;
+        }
+
+        console.log(`\n${result.dryRun ? '🔍 Would update' : '✅ Updated'} ${result.changes.length} of ${result.checkedCount} words`);
+        for (const change of result.changes.slice(0, 20)) {
+            console.log(`\n  ${change.english} → ${change.sigment} (${change.reasons.join(', ')})`);
+            if (change.fields.includes('etymology')) {
+                console.log(`    origin: ${change.before.origin ?? '-'} → ${change.after.origin ?? '-'}`);
+            }
+            if (change.fields.includes('definitions')) {
+                console.log(`    definition: ${change.before.definitions[0] ?? '-'} → ${change.after.definitions[0] ?? '-'}`);
+            }
+            if (change.before.partOfSpeech !== change.after.partOfSpeech) {
+                console.log(`    part of speech: ${change.before.partOfSpeech} → ${change.after.partOfSpeech}`);
+            }
+        }
+        if (result.changes.length > 20) {
+            console.log(`\n  ... and ${result.changes.length - 20} more`);
+        }
+
+        if (result.unresolved.length > 0) {
+            const sample = result.unresolved.slice(0, 10).map(word => word.english).join(', ');
+            console.log(`\n⚠️  ${result.unresolved.length} words still have missing or placeholder data: ${sample}${result.unresolved.length > 10 ? ', ...' : ''}`);
+        }
+
+        if (result.dryRun && result.changes.length > 0) {
+            console.log('\n💡 Run again without --dry-run to save these changes.');
+        }
+    } catch (error) {
+        console.error('❌ Enrichment failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Words may be given as separate arguments or comma-separated
+function parseWordArguments(words) {
+    return words.flatMap(word => word.split(',')).map(word => word.trim()).filter(Boolean);
+}
+
+async function editWord(word, options) {
+    try {
+        const generator = new LanguageGenerator({ useOllama: false });
+        const result = await generator.editWord(options.language, word, {
+            sigment: options.sigment,
+            pronunciation: options.pronunciation,
+            definitions: options.definition,
+            partOfSpeech: options.partOfSpeech,
+            homonym: options.homonym,
+            locked: options.lock ? true : undefined
+        });
+
+        console.log(`\n✏️  Updated "${word}" in ${options.language}`);
+        if (result.entry.sigment !== result.previous.sigment) {
+            console.log(`  Form: ${result.previous.sigment} → ${result.entry.sigment}`);
+        }
+        if (result.entry.pronunciation !== result.previous.pronunciation) {
+            console.log(`  Pronunciation: ${result.previous.pronunciation} → ${result.entry.pronunciation}`);
+        }
+        if (options.definition) {
+            console.log(`  Definitions: ${result.entry.definitions.primary.join('; ')}`);
+        }
+        if (options.partOfSpeech) {
+            console.log(`  Part of speech: ${result.entry.partOfSpeech}`);
+        }
+        if (result.entry.collision?.homonym) {
+            console.log(`  Homonym of: ${result.entry.collision.conflictsWith}`);
+        }
+        if (result.entry.locked) {
+            console.log('  🔒 Locked');
+        }
+        console.log('\n📚 Dictionary files updated successfully!\n');
+
+    } catch (error) {
+        console.error('❌ Failed to edit word:', error.message);
+        process.exit(1);
+    }
+}
+
+async function removeWords(words, options) {
+    try {
+        const generator = new LanguageGenerator({ useOllama: false });
+        const result = await generator.removeWords(options.language, parseWordArguments(words));
+
+        for (const word of result.missing) {
+            console.warn(`⚠️  "${word}" is not in ${options.language}`);
+        }
+        if (result.removed.length === 0) {
+            console.log('\nNo words removed.\n');
+            return;
+        }
+        console.log(`\n🗑️  Removed ${result.removed.length} words from ${options.language}: ${result.removed.join(', ')}`);
+        console.log('📚 Dictionary files updated successfully!\n');
+
+    } catch (error) {
+        console.error('❌ Failed to remove words:', error.message);
+        process.exit(1);
+    }
+}
+
+async function lockWords(words, options) {
+    try {
+        const generator = new LanguageGenerator({ useOllama: false });
+        const locked = !options.unlock;
+        const result = await generator.lockWords(options.language, parseWordArguments(words), locked);
+
+        for (const word of result.missing) {
+            console.warn(`⚠️  "${word}" is not in ${options.language}`);
+        }
+        if (result.unchanged.length > 0) {
+            console.log(`Already ${locked ? 'locked' : 'unlocked'}: ${result.unchanged.join(', ')}`);
+        }
+        if (result.changed.length > 0) {
+            console.log(`\n${locked ? '🔒 Locked' : '🔓 Unlocked'} ${result.changed.length} words in ${options.language}: ${result.changed.join(', ')}\n`);
+        }
+
+    } catch (error) {
+        console.error(`❌ Failed to ${options.unlock ? 'unlock' : 'lock'} words:`, error.message);
+        process.exit(1);
+    }
+}
+
+async function serveApi(options) {
+    const port = parseInt(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`❌ Invalid port "${options.port}"`);
+        process.exit(1);
+    }
+
+    const server = new SigmentApiServer({
+        host: options.host,
+        port,
+        dictionaryPath: './dictionaries',
+        sigmentPaths: (options.sigment || []).map(target => path.resolve(target)),
+        cors: options.cors === 'none' ? null : options.cors,
+        ...getProviderOptions(options)
+    });
+
+    try {
+        const address = await server.start();
+        console.log(`\n🌐 Sigment API listening on http://${address.address}:${address.port}`);
+        console.log(`   Try: curl http://${address.address}:${address.port}/languages`);
+        console.log('   Press Ctrl+C to stop\n');
+    } catch (error) {
+        console.error('❌ Failed to start server:', error.message);
+        process.exit(1);
+    }
+
+    process.once('SIGINT', async () => {
+        console.log('\n👋 Stopping server...');
+        await server.stop();
+        process.exit(0);
+    });
+}
+
 async function addWordsToLanguage(options) {
     console.log(`\n➕ Adding words to language: ${options.language}\n`);
 
@@ -814,22 +1412,25 @@ async function addWordsToLanguage(options) {
         console.log(`Words to add: ${words.join(', ')}`);
 
         const generator = new LanguageGenerator({
-            useOllama: options.ollama !== false,
-            ollamaUrl: options.ollamaUrl,
-            ollamaModel: options.ollamaModel,
+            ...getProviderOptions(options),
             outputPath: './dictionaries'
         });
 
         const batchOptions = {
             asciiPronunciation: options.asciiPronunciation || false,
+            collisionStrategy: readCollisionStrategy(options.collisionStrategy),
+            soundChanges: options.rules ? await readSoundChangeFile(options.rules) : null,
+            pronunciationLexicon: options.pronunciations ? await readPronunciationFile(options.pronunciations) : null,
             batchSize: parseInt(options.batchSize) || 10,
             saveInterval: parseInt(options.saveInterval) || 25,
-            allowPause: !options.noPause
+            allowPause: !options.noPause,
+            concurrency: parseInt(options.concurrency) || 1
         };
 
         console.log(`\n🔧 Batch processing options:`);
         console.log(`   Batch size: ${batchOptions.batchSize} words`);
         console.log(`   Save interval: every ${batchOptions.saveInterval} words`);
+        console.log(`   Concurrency: ${batchOptions.concurrency} words at a time`);
         console.log(`   Pause/resume: ${batchOptions.allowPause ? 'enabled' : 'disabled'}`);
         
         if (batchOptions.allowPause) {
@@ -852,6 +1453,7 @@ async function addWordsToLanguage(options) {
             if (result.skippedCount > 0) {
                 console.log(`Skipped: ${result.skippedCount} words (already exist)`);
             }
+            printDegradedWords(result.degradedWords);
 
             // Show some of the new words
             if (result.addedCount > 0) {
@@ -1114,7 +1716,7 @@ async function interactiveArchiveRestore() {
 }
 
 async function interactiveArchiveLanguage() {
-    const generator = new LanguageGenerator();
+    const generator = new LanguageGenerator({ useOllama: false });
     const languages = await generator.getAvailableLanguages();
 
     if (languages.length === 0) {
@@ -1167,7 +1769,7 @@ async function interactiveArchiveLanguage() {
 }
 
 async function interactiveRestoreLanguage() {
-    const generator = new LanguageGenerator();
+    const generator = new LanguageGenerator({ useOllama: false });
     const archived = await generator.getArchivedLanguages();
 
     if (archived.length === 0) {
@@ -1224,7 +1826,7 @@ async function interactiveRestoreLanguage() {
 }
 
 async function viewArchivedLanguages() {
-    const generator = new LanguageGenerator();
+    const generator = new LanguageGenerator({ useOllama: false });
     const archived = await generator.getArchivedLanguages();
 
     if (archived.length === 0) {
@@ -1248,10 +1850,10 @@ async function viewArchivedLanguages() {
     }
 }
 
-async function interactiveReconstruct() {
+async function interactiveReconstruct(options) {
     console.log('\n🔧 Reconstruct Dictionary\n');
     
-    const generator = new LanguageGenerator();
+    const generator = new LanguageGenerator(getProviderOptions(options));
     const languages = await generator.getAvailableLanguages();
 
     if (languages.length === 0) {
@@ -1341,7 +1943,7 @@ async function archiveLanguage(options) {
     console.log(`\n🗂️  Archiving language: ${options.language}\n`);
     
     try {
-        const generator = new LanguageGenerator();
+        const generator = new LanguageGenerator({ useOllama: false });
         const result = await generator.archiveLanguage(options.language);
         
         console.log('✅ Language archived successfully!\n');
@@ -1357,7 +1959,7 @@ async function archiveLanguage(options) {
 
 async function restoreLanguage(options) {
     try {
-        const generator = new LanguageGenerator();
+        const generator = new LanguageGenerator({ useOllama: false });
         
         if (options.list) {
             const archived = await generator.getArchivedLanguages();
@@ -1401,7 +2003,7 @@ async function reconstructLanguage(options) {
     console.log(`\n🔍 Analyzing language: ${options.language}\n`);
     
     try {
-        const generator = new LanguageGenerator();
+        const generator = new LanguageGenerator(getProviderOptions(options));
         await generator.initializationPromise; // Wait for initialization
         const language = await generator.loadFullLanguageData(options.language);
         
@@ -1410,9 +2012,24 @@ async function reconstructLanguage(options) {
             process.exit(1);
         }
 
+        if (options.applyFrom) {
+            await applyReconstructionReport(generator, language, options.applyFrom);
+            return;
+        }
+
+        const soundChanges = options.rules ? await readSoundChangeFile(options.rules) : null;
+        const pronunciationLexicon = options.pronunciations ? await readPronunciationFile(options.pronunciations) : null;
+        const phonotactics = options.phonotactics ? await readPhonotacticsFile(options.phonotactics) : null;
+        const stress = options.stress ? readStressRule(options.stress) : null;
+        const collisionStrategy = readCollisionStrategy(options.collisionStrategy);
+        const requestedChanges = Boolean(soundChanges || pronunciationLexicon || phonotactics || stress || collisionStrategy);
         const analysis = await generator.shouldReconstructDictionary(language);
         
         console.log(`📊 Current phonetic consistency: ${analysis.currentConsistency.toFixed(1)}%`);
+        if (analysis.affixConsistency !== null) {
+            console.log(`🧩 Affix consistency: ${analysis.affixConsistency.toFixed(1)}%`);
+        }
+        console.log(`🗣️  Phonotactic score: ${analysis.phonotacticScore.toFixed(1)}`);
         console.log(`📚 Vocabulary size: ${language.vocabulary.size} words`);
         
         if (analysis.shouldReconstruct) {
@@ -1420,6 +2037,8 @@ async function reconstructLanguage(options) {
             for (const reason of analysis.reasons) {
                 console.log(`  • ${reason}`);
             }
+        } else if (requestedChanges) {
+            console.log('\n✅ Dictionary is already well-optimized; reconstructing to apply the requested changes.');
         } else {
             console.log('\n✅ Dictionary is already well-optimized. No reconstruction needed.');
         }
@@ -1429,18 +2048,37 @@ async function reconstructLanguage(options) {
             return;
         }
 
-        if (!analysis.shouldReconstruct) {
-            console.log('\nNo reconstruction needed at this time.');
+        if (!analysis.shouldReconstruct && !requestedChanges) {
             return;
         }
 
-        console.log('\n🔄 Proceeding with dictionary reconstruction...\n');
+        console.log(`\n🔄 Proceeding with dictionary reconstruction${options.dryRun ? ' (dry run)' : ''}...\n`);
         const reconstructResult = await generator.reconstructDictionary(language, {
-            beforeConsistency: analysis.currentConsistency
+            beforeConsistency: analysis.currentConsistency,
+            collisionStrategy,
+            soundChanges,
+            pronunciationLexicon,
+            phonotactics,
+            stress,
+            dryRun: options.dryRun,
+            batchSize: parseInt(options.batchSize) || 10,
+            saveInterval: parseInt(options.saveInterval) || 25,
+            concurrency: parseInt(options.concurrency) || 1
         });
 
+        if (options.dryRun) {
+            await writeReconstructionReport(
+                generator.createReconstructionReport(language, reconstructResult),
+                options.report || `${options.language}_reconstruction.json`
+            );
+            return;
+        }
+
         console.log('✅ Dictionary reconstruction complete!\n');
         console.log(`Words processed: ${reconstructResult.reconstructedWords}`);
+        if (reconstructResult.lockedWords > 0) {
+            console.log(`Locked words kept: ${reconstructResult.lockedWords}`);
+        }
         console.log(`Words changed: ${reconstructResult.changedWords}`);
         console.log(`Consistency improvement: ${reconstructResult.consistencyImprovement.before.toFixed(1)}% → ${reconstructResult.consistencyImprovement.after.toFixed(1)}% (+${reconstructResult.consistencyImprovement.improvement.toFixed(1)}%)`);
 
@@ -1465,6 +2103,222 @@ async function reconstructLanguage(options) {
     }
 }
 
+async function evolveLanguage(parentName, options) {
+    try {
+        const generator = new LanguageGenerator({ useOllama: false });
+        await generator.initializationPromise;
+
+        const soundChanges = await readSoundChangeFile(options.rules);
+        const drift = parseFloat(options.drift);
+        const result = await generator.evolveLanguage(parentName, { name: options.name, soundChanges, drift });
+
+        console.log(`\n✅ ${options.name} evolved from ${parentName}`);
+        console.log(`Lineage: ${[...result.language.metadata.lineage.ancestors, options.name].join(' → ')}`);
+        console.log(`Words inherited: ${result.evolvedWords}`);
+        console.log(`Words changed: ${result.changedWords}`);
+        if (drift > 0) {
+            console.log(`Meanings drifted: ${result.driftedWords}`);
+        }
+
+        if (result.changes.length > 0) {
+            console.log('\n📝 Sample word changes:');
+            for (const change of result.changes.slice(0, 10)) {
+                const drifted = change.drift ? ` (${change.drift})` : '';
+                console.log(`  ${change.english}: ${change.old} → ${change.new}${drifted}`);
+            }
+            if (result.changes.length > 10) {
+                console.log(`  ... and ${result.changes.length - 10} more changes`);
+            }
+        }
+
+        console.log(`\n📚 Dictionaries written to ${path.dirname(result.dictionaries.metadata)}\n`);
+
+    } catch (error) {
+        console.error('❌ Failed to evolve language:', error.message);
+        process.exit(1);
+    }
+}
+
+async function showLanguageFamily(options) {
+    try {
+        if (!['ascii', 'dot'].includes(options.format)) {
+            throw new Error(`Unknown format "${options.format}". Use ascii or dot`);
+        }
+
+        const family = LanguageFamily.load(path.resolve('./dictionaries'));
+        if (family.names.length === 0) {
+            console.log('\n❌ No languages found.\n');
+            return;
+        }
+
+        const tree = options.format === 'dot' ? family.toDot() : family.toAscii();
+        const table = family.cognates({
+            words: options.words ? options.words.split(',').map(word => word.trim()).filter(Boolean) : null,
+            languages: options.languages ? options.languages.split(',').map(name => name.trim()).filter(Boolean) : null
+        });
+
+        if (options.cognates) {
+            const content = path.extname(options.cognates).toLowerCase() === '.csv'
+                ? LanguageFamily.cognatesToCsv(table)
+                : JSON.stringify(table, null, 2);
+            await fs.writeFile(options.cognates, content);
+            console.log(`📊 Cognate table (${table.rows.length} words) written to ${options.cognates}`);
+        }
+
+        if (options.output) {
+            await fs.writeFile(options.output, `${tree}\n`);
+            console.log(`🌳 Family tree written to ${options.output}`);
+            return;
+        }
+
+        // DOT goes out on its own so it can be piped straight into Graphviz
+        if (options.format === 'dot') {
+            console.log(tree);
+            return;
+        }
+
+        console.log(`\n🌳 Language family (${family.names.length} languages)\n`);
+        console.log(tree);
+
+        if (table.rows.length === 0) {
+            console.log('\nNo words shared between the languages yet.\n');
+            return;
+        }
+
+        const limit = parseInt(options.limit) || table.rows.length;
+        console.log(`\n📊 Cognates (${table.rows.length} words)\n`);
+        console.log(LanguageFamily.cognatesToText(table, limit));
+        if (table.rows.length > limit) {
+            console.log(`... and ${table.rows.length - limit} more (export them all with --cognates <file>)`);
+        }
+        console.log();
+
+    } catch (error) {
+        console.error('❌ Failed to show language family:', error.message);
+        process.exit(1);
+    }
+}
+
+async function writeReconstructionReport(report, reportPath) {
+    const tablePath = `${reportPath.replace(/\.json$/i, '')}.txt`;
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+    await fs.writeFile(tablePath, formatReconstructionReport(report));
+
+    const { before, after, delta } = report.consistency;
+    console.log('🔍 Dry run complete: the dictionaries were not changed\n');
+    console.log(`Words processed: ${report.reconstructedWords}`);
+    if (report.lockedWords > 0) {
+        console.log(`Locked words kept: ${report.lockedWords}`);
+    }
+    console.log(`Words that would change: ${report.changedWords}`);
+    console.log(`Consistency: ${before.toFixed(1)}% → ${after.toFixed(1)}% (${delta >= 0 ? '+' : ''}${delta.toFixed(1)}%)`);
+    console.log(`\n📝 Report: ${reportPath}`);
+    console.log(`📋 Table: ${tablePath}`);
+    console.log(`\n💡 Set "accepted": false on changes to leave out, then run with --apply-from ${reportPath}\n`);
+}
+
+function formatReconstructionReport(report) {
+    const { before, after, delta } = report.consistency;
+    const header = ['English', 'Before', 'After', 'Pronunciation before', 'Pronunciation after'];
+    const rows = report.changes.map(change => [
+        change.english,
+        change.before.sigment,
+        change.after.sigment,
+        change.before.pronunciation || '',
+        change.after.pronunciation || ''
+    ]);
+
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    const format = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+    return [
+        `Reconstruction of ${report.language} (${report.created})`,
+        `Words processed: ${report.reconstructedWords}, locked: ${report.lockedWords}, changed: ${report.changedWords}`,
+        `Consistency: ${before.toFixed(1)}% → ${after.toFixed(1)}% (${delta >= 0 ? '+' : ''}${delta.toFixed(1)}%)`,
+        '',
+        format(header),
+        format(widths.map(width => '─'.repeat(width))),
+        ...rows.map(format),
+        ''
+    ].join('\n');
+}
+
+async function applyReconstructionReport(generator, language, reportPath) {
+    const report = JSON.parse(await fs.readFile(reportPath, 'utf-8'));
+    const before = await generator.analyzePhoneticPatterns(language);
+    const result = generator.applyReconstructionReport(language, report);
+
+    console.log(`\n📝 Applying ${reportPath}\n`);
+    console.log(`Changes applied: ${result.applied.length}`);
+    console.log(`Changes rejected in review: ${result.rejected.length}`);
+    if (result.skipped.length > 0) {
+        console.log(`Changes skipped: ${result.skipped.length}`);
+        for (const item of result.skipped.slice(0, 10)) {
+            console.log(`  ${item.english}: ${item.reason}`);
+        }
+        if (result.skipped.length > 10) {
+            console.log(`  ... and ${result.skipped.length - 10} more`);
+        }
+    }
+
+    if (result.applied.length === 0) {
+        console.log('\nNothing to apply; the dictionaries were not changed.\n');
+        return;
+    }
+
+    const after = await generator.analyzePhoneticPatterns(language);
+    console.log(`Consistency: ${before.consistencyScore.toFixed(1)}% → ${after.consistencyScore.toFixed(1)}%`);
+
+    language.metadata.lastModified = new Date().toISOString();
+    await generator.generateDictionaries(language);
+    console.log('\n📚 Dictionary files updated successfully!\n');
+}
+
+async function lintPhonology(languageName, options) {
+    try {
+        const generator = new LanguageGenerator({ useOllama: false });
+        await generator.initializationPromise;
+        const language = await generator.loadFullLanguageData(languageName);
+
+        if (!language) {
+            console.error(`❌ Language "${languageName}" not found.`);
+            process.exit(1);
+        }
+
+        const phonotactics = options.phonotactics
+            ? new Phonotactics(await readPhonotacticsFile(options.phonotactics))
+            : generator.getPhonotactics(language);
+        const report = generator.lintPhonology(language, phonotactics);
+        const limit = options.limit ? parseInt(options.limit) : report.violations.length;
+
+        console.log(`\n🗣️  Phonology of ${languageName}: ${report.words} words, average score ${report.averageScore.toFixed(1)}/100\n`);
+
+        if (report.violations.length === 0) {
+            console.log('✅ Every form is pronounceable under the language\'s constraints\n');
+            return;
+        }
+
+        const counts = Object.entries(report.byType).map(([type, count]) => `${type}: ${count}`).join(', ');
+        console.log(`⚠️  ${report.violations.length} forms break the constraints (${counts})\n`);
+        for (const item of report.violations.slice(0, limit)) {
+            console.log(`  ${item.sigment} (${item.english}) — score ${item.score}`);
+            for (const violation of item.violations) {
+                console.log(`    • ${violation.message}`);
+            }
+            console.log(`    → ${item.repaired}`);
+        }
+        if (report.violations.length > limit) {
+            console.log(`  ... and ${report.violations.length - limit} more`);
+        }
+        console.log('\n💡 Run "reconstruct" to repair these forms\n');
+        process.exitCode = 1;
+
+    } catch (error) {
+        console.error('❌ Phonology check failed:', error.message);
+        process.exit(1);
+    }
+}
+
 async function handleBatchUtils(options) {
     const dictPath = path.resolve('./dictionaries');
     
@@ -1581,6 +2435,106 @@ async function exportSigmentFile(options) {
     }
 }
 
+async function validateSigmentFiles(paths, options) {
+    if (!['human', 'json'].includes(options.format)) {
+        console.error(`❌ Unknown format "${options.format}". Use human or json`);
+        process.exit(1);
+    }
+
+    const files = [];
+    for (const target of paths) {
+        const stats = await fs.stat(target).catch(() => null);
+        if (stats?.isDirectory()) {
+            files.push(...SigmentUtils.findSigmentFiles(target, options.recursive || false));
+        } else {
+            files.push(target);
+        }
+    }
+
+    const validator = new SigmentValidator();
+    const results = files.map(file => validator.validateFile(file));
+    const invalid = results.filter(result => !result.valid).length;
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({
+            summary: { files: results.length, valid: results.length - invalid, invalid },
+            results
+        }, null, 2));
+    } else {
+        const icons = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+        console.log(`\n🔍 Validating ${results.length} .sigment file${results.length === 1 ? '' : 's'}\n`);
+        for (const result of results) {
+            const language = result.name ? ` — ${result.name} (v${result.version})` : '';
+            console.log(`${result.valid ? '✅' : '❌'} ${result.file}${language}: ${result.errors} errors, ${result.warnings} warnings`);
+            for (const diagnostic of result.diagnostics) {
+                console.log(`   ${icons[diagnostic.severity]} ${diagnostic.path || '/'} [${diagnostic.code}] ${diagnostic.message}`);
+            }
+        }
+        console.log(`\n📊 ${results.length} files: ${results.length - invalid} valid, ${invalid} invalid\n`);
+    }
+
+    if (invalid > 0 || results.length === 0) {
+        process.exitCode = 1;
+    }
+}
+
+async function showCacheStats(options) {
+    const cache = new ResponseCache({ path: options.cacheFile });
+    const stats = await cache.getStats();
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(stats, null, 2));
+        return;
+    }
+
+    const listCounts = (counts) => Object.entries(counts).map(([key, count]) => `${key} (${count})`).join(', ') || 'none';
+
+    console.log(`\n🗄️  Response cache: ${path.resolve(options.cacheFile)}`);
+    console.log(`📊 Entries: ${stats.entries}${stats.sizeBytes !== null ? ` (${(stats.sizeBytes / 1024).toFixed(1)} KB)` : ''}`);
+    console.log(`📚 Kinds: ${listCounts(stats.byKind)}`);
+    console.log(`🤖 Models: ${listCounts(stats.byModel)}`);
+    console.log(`📝 Prompt versions: ${listCounts(stats.byPromptVersion)}`);
+    if (stats.oldest) {
+        console.log(`🕒 Oldest: ${stats.oldest}`);
+        console.log(`🕒 Newest: ${stats.newest}`);
+    }
+    console.log();
+}
+
+async function clearCache(options) {
+    const cache = new ResponseCache({ path: options.cacheFile });
+    const removed = await cache.clear({
+        model: options.model,
+        kind: options.kind,
+        word: options.word,
+        olderThanDays: options.olderThan ? parseFloat(options.olderThan) : 0
+    });
+    console.log(`🧹 Removed ${removed} cached response${removed === 1 ? '' : 's'} from ${options.cacheFile}`);
+}
+
+async function exportCache(options) {
+    try {
+        const cache = new ResponseCache({ path: options.cacheFile });
+        const count = await cache.exportTo(options.output, { model: options.model });
+        console.log(`✅ Exported ${count} cached responses to ${options.output}`);
+    } catch (error) {
+        console.error('❌ Cache export failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+async function importCache(options) {
+    try {
+        const cache = new ResponseCache({ path: options.cacheFile });
+        const result = await cache.importFrom(options.file, { overwrite: options.overwrite });
+        console.log(`✅ Imported ${options.file}: ${result.added} added, ${result.updated} updated, ${result.skipped} kept`);
+    } catch (error) {
+        console.error('❌ Cache import failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
 async function importSigmentFile(options) {
     try {
         console.log(`\n📥 Importing .sigment file: ${options.file}\n`);
@@ -1592,45 +2546,17 @@ async function importSigmentFile(options) {
         console.log(`✅ Loaded language: ${language.name}`);
         console.log(`📊 Stats:`, language.getStats());
 
-        // Convert to traditional dictionary format for compatibility
-        const dictDir = './dictionaries';
-        await fs.mkdir(dictDir, { recursive: true });
-
-        // Write traditional format dictionaries
-        const baseName = language.name;
-
-        await fs.writeFile(
-            path.join(dictDir, `${baseName}_to_English.json`),
-            JSON.stringify(language.toEnglish, null, 2)
-        );
-
-        await fs.writeFile(
-            path.join(dictDir, `English_to_${baseName}.json`),
-            JSON.stringify(language.toSigment, null, 2)
-        );
-
-        if (Object.keys(language.sigmentDefinitions).length > 0) {
-            await fs.writeFile(
-                path.join(dictDir, `${baseName}_to_${baseName}.json`),
-                JSON.stringify(language.sigmentDefinitions, null, 2)
-            );
+        if (language.metadata.migrated_from) {
+            console.log(`🔄 Migrated from .sigment ${language.metadata.migrated_from} to ${language.version}`);
         }
 
-        // Write metadata
-        const metadata = {
-            name: language.name,
-            version: language.version,
-            style: language.style,
-            created: language.created,
-            imported: new Date().toISOString(),
-            source: options.file,
-            ...language.metadata
-        };
-
-        await fs.writeFile(
-            path.join(dictDir, `${baseName}_metadata.json`),
-            JSON.stringify(metadata, null, 2)
-        );
+        // Write the generator's dictionary files, so the language can be extended like a generated one
+        const dictDir = './dictionaries';
+        const generator = new LanguageGenerator({
+            useOllama: false,
+            outputPath: dictDir
+        });
+        await generator.importSigmentLanguage(language, { source: options.file });
 
         console.log(`✅ Language "${language.name}" imported successfully`);
         console.log(`📁 Dictionary files created in: ${dictDir}`);
@@ -1638,6 +2564,7 @@ async function importSigmentFile(options) {
     } catch (error) {
         console.error('❌ .sigment import failed:', error.message);
         console.error('💡 Ensure the .sigment file is valid and readable');
+        process.exit(1);
     }
 }
 
@@ -0,0 +1,101 @@
+export class CollisionResolver {
+    constructor(options = {}) {
+        this.options = {
+            strategy: 'alternate',
+            maxAlternates: 6,
+            disambiguators: ['a', 'en', 'il', 'or', 'us', 'eth', 'ov', 'ir'],
+            ...options
+        };
+    }
+
+    static get strategies() {
+        return ['alternate', 'affix', 'homonym'];
+    }
+
+    static checkStrategy(strategy) {
+        if (!CollisionResolver.strategies.includes(strategy)) {
+            throw new Error(`Unknown collision strategy "${strategy}". Use one of: ${CollisionResolver.strategies.join(', ')}`);
+        }
+        return strategy;
+    }
+
+    findCollision(language, sigmentWord, englishWord) {
+        const existing = language.etymologicalMaps.get(sigmentWord);
+        if (existing && existing.english !== englishWord) {
+            return existing;
+        }
+        return null;
+    }
+
+    resolve(language, englishWord, sigmentWord, phoneticMapper, strategy = this.options.strategy) {
+        const conflict = this.findCollision(language, sigmentWord, englishWord);
+        if (!conflict) {
+            return { sigment: sigmentWord, collision: null };
+        }
+
+        CollisionResolver.checkStrategy(strategy);
+
+        const record = {
+            strategy,
+            originalForm: sigmentWord,
+            conflictsWith: conflict.english
+        };
+
+        // Strategies fall through to the next one when they can't find a free form
+        if (strategy === 'alternate') {
+            const alternate = this.findAlternateForm(language, englishWord, sigmentWord, phoneticMapper);
+            if (alternate) {
+                return { sigment: alternate.form, collision: { ...record, attempts: alternate.attempts } };
+            }
+            record.strategy = 'affix';
+        }
+
+        if (record.strategy === 'affix') {
+            const affixed = this.findAffixedForm(language, englishWord, sigmentWord);
+            if (affixed) {
+                return { sigment: affixed.form, collision: { ...record, strategy: 'affix', disambiguator: affixed.affix } };
+            }
+            record.strategy = 'homonym';
+        }
+
+        return { sigment: sigmentWord, collision: { ...record, strategy: 'homonym', homonym: true } };
+    }
+
+    findAlternateForm(language, englishWord, sigmentWord, phoneticMapper) {
+        for (let attempt = 1; attempt <= this.options.maxAlternates; attempt++) {
+            const candidate = phoneticMapper.generateAlternateForm(sigmentWord, attempt);
+            if (candidate && candidate !== sigmentWord && !this.findCollision(language, candidate, englishWord)) {
+                return { form: candidate, attempts: attempt };
+            }
+        }
+        return null;
+    }
+
+    findAffixedForm(language, englishWord, sigmentWord) {
+        for (const affix of this.options.disambiguators) {
+            const candidate = this.attachDisambiguator(sigmentWord, affix);
+            if (!this.findCollision(language, candidate, englishWord)) {
+                return { form: candidate, affix };
+            }
+        }
+
+        // Every disambiguator is taken: number them instead
+        for (let i = 2; i < 100; i++) {
+            const affix = `${this.options.disambiguators[0]}${i}`;
+            const candidate = this.attachDisambiguator(sigmentWord, affix);
+            if (!this.findCollision(language, candidate, englishWord)) {
+                return { form: candidate, affix };
+            }
+        }
+        return null;
+    }
+
+    attachDisambiguator(word, affix) {
+        // Avoid vowel clashes at the join, e.g. "kata" + "a" -> "katal"
+        const vowels = 'aeiou';
+        if (vowels.includes(word[word.length - 1]) && vowels.includes(affix[0])) {
+            return `${word}l${affix}`;
+        }
+        return `${word}${affix}`;
+    }
+}
@@ -1,11 +1,17 @@
+import { OfflineProvider } from './offline-provider.js';
+import { MorphologicalSegmenter } from './morphology.js';
+import { Syllabifier } from './syllabifier.js';
+
+// Alternative segmentations scoring within this much of the best one are kept on the analysis
+const SEGMENTATION_MARGIN = 1;
+
 export class EtymologicalAnalyzer {
-    constructor(ollamaClient = null) {
-        this.ollamaClient = ollamaClient;
-        this.morphemePatterns = {
-            prefixes: ['un-', 're-', 'pre-', 'dis-', 'mis-', 'over-', 'under-', 'out-', 'up-', 'anti-', 'de-', 'non-'],
-            suffixes: ['-ing', '-ed', '-er', '-est', '-ly', '-tion', '-sion', '-ness', '-ment', '-ful', '-less', '-able', '-ible'],
-            roots: new Map()
-        };
+    constructor(provider = null) {
+        this.provider = provider || new OfflineProvider();
+        this.segmenter = new MorphologicalSegmenter();
+        // English words: disyllables stress the first syllable, longer words a heavy penult (agenda, camera).
+        // The analysis describes the English source word, so this is not the language's stress rule
+        this.syllabifier = new Syllabifier({ stress: 'weight-sensitive' });
         this.phoneticMap = new Map();
         this.etymologyCache = new Map();
     }
@@ -16,10 +22,11 @@ export class EtymologicalAnalyzer {
         }
 
         try {
-            const morphemes = this.decomposeMorphemes(word) || [];
+            const segmentations = this.segmentWord(word);
+            const morphemes = this.chooseSegmentation(word, segmentations).morphemes;
             const phoneticStructure = this.analyzePhoneticStructure(word) || {};
             const etymology = await this.getEtymology(word) || {};
-            const semanticComponents = this.extractSemanticComponents(word) || [];
+            const semanticComponents = this.extractSemanticComponents(word, morphemes) || [];
 
             const analysis = {
                 word,
@@ -29,7 +36,14 @@ export class EtymologicalAnalyzer {
                 semanticComponents
             };
 
-            this.etymologyCache.set(word, analysis);
+            if (segmentations.length > 1) {
+                analysis.segmentations = segmentations;
+            }
+
+            // Placeholder etymologies aren't kept, so the word is looked up again once the provider recovers
+            if (etymology.source !== 'fallback') {
+                this.etymologyCache.set(word, analysis);
+            }
             return analysis;
         } catch (error) {
             console.warn(`Etymology analysis failed for "${word}": ${error.message}`);
@@ -38,41 +52,59 @@ export class EtymologicalAnalyzer {
             const fallbackAnalysis = {
                 word,
                 morphemes: [{ type: 'root', value: word, meaning: 'core meaning' }],
-                phoneticStructure: { pattern: 'CVCV', syllableCount: 1, stressPattern: ['primary'] },
-                etymology: { origin: 'unknown', historicalForms: [], relatedWords: [], meanings: ['definition unavailable'] },
+                phoneticStructure: { language: 'English', pattern: 'CVCV', syllableCount: 1, stressPattern: ['primary'] },
+                etymology: { origin: 'unknown', historicalForms: [], relatedWords: [], meanings: ['definition unavailable'], source: 'fallback' },
                 semanticComponents: [{ component: word, semanticWeight: 1.0, conceptualCategory: 'conceptual' }]
             };
-            
-            this.etymologyCache.set(word, fallbackAnalysis);
+
             return fallbackAnalysis;
         }
     }
 
-    decomposeMorphemes(word) {
-        const morphemes = [];
-        let remaining = word.toLowerCase();
-
-        for (const prefix of this.morphemePatterns.prefixes) {
-            if (remaining.startsWith(prefix)) {
-                morphemes.push({ type: 'prefix', value: prefix, meaning: this.getPrefixMeaning(prefix) });
-                remaining = remaining.substring(prefix.length);
-                break;
-            }
-        }
+    // Best segmentation first, followed by any close alternatives for ambiguous words
+    segmentWord(word) {
+        const candidates = this.segmenter.segment(word);
+        const best = candidates[0].score;
+        return candidates
+            .filter(candidate => candidate.score >= best - SEGMENTATION_MARGIN)
+            .map(({ morphemes, score }) => ({ morphemes, score }));
+    }
 
-        for (const suffix of this.morphemePatterns.suffixes) {
-            if (remaining.endsWith(suffix)) {
-                morphemes.push({ type: 'suffix', value: suffix, meaning: this.getSuffixMeaning(suffix) });
-                remaining = remaining.substring(0, remaining.length - suffix.length);
-                break;
-            }
-        }
+    /**
+     * The first segmentation whose root is a known word. A top-ranked split with an unknown root
+     * gives way to a close alternative built on a common word or one already in the vocabulary
+     * (blogger → blog + -er once the language has "blog")
+     * @param {string} word - English word
+     * @param {Array} segmentations - Candidates from segmentWord, best first
+     * @param {Map} vocabulary - Language vocabulary keyed by English word, if any
+     * @returns {Object} The chosen segmentation
+     */
+    chooseSegmentation(word, segmentations, vocabulary = null) {
+        const isKnown = root => this.segmenter.lexicon.has(root) || (root !== word && Boolean(vocabulary?.has(root)));
+        const rootOf = segmentation => segmentation.morphemes.find(morpheme => morpheme.type === 'root').value;
+
+        return segmentations.find(segmentation => isKnown(rootOf(segmentation))) || segmentations[0];
+    }
 
-        if (remaining) {
-            morphemes.push({ type: 'root', value: remaining, meaning: 'core meaning' });
-        }
+    // The parts of a compound made of words from the vocabulary or the base lexicon, or null
+    findCompound(word, vocabulary = null) {
+        const isKnown = part => Boolean(vocabulary?.has(part)) || this.segmenter.lexicon.has(part);
+        return MorphologicalSegmenter.splitCompound(word, isKnown);
+    }
 
-        return morphemes;
+    // The parts of an analysis that come from the word itself, without asking the provider
+    analyzeForm(word) {
+        const morphemes = this.decomposeMorphemes(word);
+        return {
+            word,
+            morphemes,
+            phoneticStructure: this.analyzePhoneticStructure(word),
+            semanticComponents: this.extractSemanticComponents(word, morphemes)
+        };
+    }
+
+    decomposeMorphemes(word) {
+        return this.chooseSegmentation(word, this.segmentWord(word)).morphemes;
     }
 
     analyzePhoneticStructure(word) {
@@ -91,6 +123,7 @@ export class EtymologicalAnalyzer {
         }
 
         return {
+            language: 'English',
             pattern: structure.join(''),
             syllableCount: this.estimateSyllables(word),
             stressPattern: this.estimateStressPattern(word)
@@ -98,27 +131,17 @@ export class EtymologicalAnalyzer {
     }
 
     async getEtymology(word) {
-        if (this.ollamaClient) {
-            try {
-                const response = await this.ollamaClient.getEtymology(word);
-                return response;
-            } catch (error) {
-                console.warn(`Failed to get etymology from Ollama for "${word}": ${error.message}`);
-            }
+        try {
+            return await this.provider.getEtymology(word);
+        } catch (error) {
+            console.warn(`Failed to get etymology from ${this.provider.name} for "${word}": ${error.message}`);
+            return { ...await new OfflineProvider().getEtymology(word), source: 'fallback' };
         }
-
-        return {
-            origin: 'unknown',
-            historicalForms: [],
-            relatedWords: [],
-            meanings: ['definition unavailable']
-        };
     }
 
-    extractSemanticComponents(word) {
+    extractSemanticComponents(word, morphemes = this.decomposeMorphemes(word)) {
         try {
             const components = [];
-            const morphemes = this.decomposeMorphemes(word) || [];
             
             if (morphemes.length === 0) {
                 // Fallback if no morphemes detected
@@ -147,57 +170,19 @@ export class EtymologicalAnalyzer {
     }
 
     getPrefixMeaning(prefix) {
-        const meanings = {
-            'un-': 'not, opposite of',
-            're-': 'again, back',
-            'pre-': 'before',
-            'dis-': 'not, opposite',
-            'mis-': 'wrongly, badly',
-            'over-': 'too much, above',
-            'under-': 'too little, below',
-            'out-': 'beyond, more than',
-            'up-': 'upward, increase',
-            'anti-': 'against',
-            'de-': 'remove, reverse',
-            'non-': 'not'
-        };
-        return meanings[prefix] || 'modifier';
+        return this.segmenter.getAffix(prefix)?.meaning || 'modifier';
     }
 
     getSuffixMeaning(suffix) {
-        const meanings = {
-            '-ing': 'action, process',
-            '-ed': 'past action, completed',
-            '-er': 'one who does',
-            '-est': 'most, superlative',
-            '-ly': 'in the manner of',
-            '-tion': 'action, state',
-            '-sion': 'action, state',
-            '-ness': 'quality, state',
-            '-ment': 'action, result',
-            '-ful': 'full of',
-            '-less': 'without',
-            '-able': 'capable of',
-            '-ible': 'capable of'
-        };
-        return meanings[suffix] || 'modifier';
+        return this.segmenter.getAffix(suffix)?.meaning || 'modifier';
     }
 
     estimateSyllables(word) {
-        const vowelGroups = word.toLowerCase().match(/[aeiouy]+/g);
-        return vowelGroups ? vowelGroups.length : 1;
+        return Math.max(1, this.syllabifier.syllabify(word).length);
     }
 
     estimateStressPattern(word) {
-        const syllables = this.estimateSyllables(word);
-        if (syllables === 1) return ['primary'];
-        if (syllables === 2) return ['primary', 'secondary'];
-        
-        const pattern = new Array(syllables).fill('unstressed');
-        pattern[0] = 'primary';
-        if (syllables > 2) pattern[syllables - 2] = 'secondary';
-        
-        return pattern;
+        return this.syllabifier.analyze(word).stress;
     }
 
     calculateSemanticWeight(morpheme) {
@@ -208,22 +193,6 @@ export class EtymologicalAnalyzer {
     }
 
     categorizeSemantics(morpheme) {
-        const categories = {
-            'action': ['-ing', '-tion', '-sion', '-ment'],
-            'quality': ['-ness', '-ful', '-less'],
-            'agent': ['-er', '-or'],
-            'degree': ['-est', '-er', 'over-', 'under-'],
-            'negation': ['un-', 'dis-', 'non-', '-less'],
-            'temporal': ['re-', 'pre-', '-ed'],
-            'spatial': ['over-', 'under-', 'out-', 'up-']
-        };
-
-        for (const [category, morphemes] of Object.entries(categories)) {
-            if (morphemes.some(m => morpheme.value.includes(m) || m.includes(morpheme.value))) {
-                return category;
-            }
-        }
-
-        return 'conceptual';
+        return this.segmenter.getAffix(morpheme.value)?.category || 'conceptual';
     }
 }
\ No newline at end of file
@@ -0,0 +1,424 @@
+import { Syllabifier } from './syllabifier.js';
+
+// Irregular words the spelling rules get wrong; user lexicons take precedence
+const DEFAULT_EXCEPTIONS = {
+    the: 'ðə', a: 'ə', of: 'ʌv', to: 'tuː', do: 'duː', one: 'wʌn', two: 'tuː',
+    was: 'wʌz', is: 'ɪz', are: 'ɑːr', have: 'hæv', give: 'gɪv', live: 'lɪv',
+    come: 'kʌm', some: 'sʌm', done: 'dʌn', gone: 'gɒn', said: 'sɛd', says: 'sɛz',
+    this: 'ðɪs', that: 'ðæt', these: 'ðiːz', those: 'ðoʊz', they: 'ðeɪ', them: 'ðɛm',
+    then: 'ðɛn', than: 'ðæn', there: 'ðɛər', their: 'ðɛər', with: 'wɪð', you: 'juː',
+    get: 'gɛt', girl: 'gɜːrl', eye: 'aɪ', friend: 'frɛnd', people: 'ˈpiːpəl', water: 'ˈwɔːtər',
+    through: 'θruː', though: 'ðoʊ', thought: 'θɔːt', enough: 'ɪˈnʌf', rough: 'rʌf', tough: 'tʌf',
+    coming: 'ˈkʌmɪŋ', having: 'ˈhævɪŋ', giving: 'ˈgɪvɪŋ', living: 'ˈlɪvɪŋ', loving: 'ˈlʌvɪŋ'
+};
+
+// Spellings where g stays hard before e, i or y; `^` ones only at the start of a word (get, not gadget)
+const HARD_G = [
+    '^get', '^gift', '^girl', '^girth', '^giv', '^gild', '^gear', '^geese', '^gecko', '^giddy', '^gig',
+    'begin', 'forget', 'forgiv', 'target', 'tiger', 'together', 'eager'
+];
+
+// Spelling rules, tried in order at each position; `at` limits a rule to the start or end of the word
+// and `when` checks the surrounding letters. Vowel phonemes are the nuclei syllables and stress count.
+const RULES = [
+    { spelling: 'tch', phonemes: ['ʧ'] },
+    { spelling: 'dge', phonemes: ['ʤ'] },
+    { spelling: 'tion', phonemes: ['ʃ', 'ə', 'n'] },
+    { spelling: 'sion', phonemes: ['ʒ', 'ə', 'n'] },
+    { spelling: 'ture', phonemes: ['ʧ', 'ər'], at: 'end' },
+    { spelling: 'igh', phonemes: ['aɪ'] },
+    { spelling: 'kn', phonemes: ['n'], at: 'start' },
+    { spelling: 'gn', phonemes: ['n'], at: 'start' },
+    { spelling: 'gn', phonemes: ['n'], at: 'end' },
+    { spelling: 'wr', phonemes: ['r'], at: 'start' },
+    { spelling: 'ps', phonemes: ['s'], at: 'start' },
+    { spelling: 'mb', phonemes: ['m'], at: 'end' },
+    { spelling: 'gh', phonemes: ['g'], at: 'start' },
+    { spelling: 'gh', phonemes: [] },
+    { spelling: 'ch', phonemes: ['ʧ'] },
+    { spelling: 'sh', phonemes: ['ʃ'] },
+    { spelling: 'ph', phonemes: ['f'] },
+    { spelling: 'th', phonemes: ['θ'] },
+    { spelling: 'dh', phonemes: ['ð'] },
+    { spelling: 'zh', phonemes: ['ʒ'] },
+    { spelling: 'kh', phonemes: ['x'] },
+    { spelling: 'wh', phonemes: ['w'] },
+    { spelling: 'ck', phonemes: ['k'] },
+    { spelling: 'nk', phonemes: ['ŋ', 'k'] },
+    { spelling: 'ng', phonemes: ['ŋ'] },
+    { spelling: 'qu', phonemes: ['k', 'w'] },
+    { spelling: 'cc', phonemes: ['k', 's'], when: (word, end) => /[eiy]/.test(word[end] || '') },
+    { spelling: 'sc', phonemes: ['s'], when: (word, end) => /[eiy]/.test(word[end] || '') },
+
+    // Vowel digraphs and r-coloured vowels
+    { spelling: 'ee', phonemes: ['iː'] },
+    { spelling: 'ea', phonemes: ['iː'] },
+    { spelling: 'oo', phonemes: ['uː'] },
+    { spelling: 'ou', phonemes: ['aʊ'] },
+    { spelling: 'ow', phonemes: ['oʊ'], at: 'end' },
+    { spelling: 'ow', phonemes: ['aʊ'] },
+    { spelling: 'oa', phonemes: ['oʊ'] },
+    { spelling: 'oh', phonemes: ['oʊ'], when: (word, end) => !isVowelLetter(word, end) },
+    { spelling: 'ah', phonemes: ['ɑː'], when: (word, end) => !isVowelLetter(word, end) },
+    { spelling: 'ai', phonemes: ['eɪ'] },
+    { spelling: 'ay', phonemes: ['eɪ'] },
+    { spelling: 'ei', phonemes: ['eɪ'] },
+    { spelling: 'ey', phonemes: ['eɪ'] },
+    { spelling: 'oi', phonemes: ['ɔɪ'] },
+    { spelling: 'oy', phonemes: ['ɔɪ'] },
+    { spelling: 'au', phonemes: ['ɔː'] },
+    { spelling: 'aw', phonemes: ['ɔː'] },
+    { spelling: 'ew', phonemes: ['juː'], when: (word, end) => !isVowelLetter(word, end) },
+    { spelling: 'ue', phonemes: ['uː'] },
+    { spelling: 'ie', phonemes: ['aɪ'], at: 'end' },
+    { spelling: 'ie', phonemes: ['iː'] },
+    { spelling: 'er', phonemes: ['ər'], at: 'end' },
+    { spelling: 'ar', phonemes: ['ɑː', 'r'], when: (word, end) => !isVowelLetter(word, end) },
+    { spelling: 'or', phonemes: ['ɔː', 'r'], when: (word, end) => !isVowelLetter(word, end) },
+    { spelling: 'er', phonemes: ['ɜː', 'r'], when: (word, end) => !isVowelLetter(word, end) && word[end] !== 'r' },
+    { spelling: 'ir', phonemes: ['ɜː', 'r'], when: (word, end) => !isVowelLetter(word, end) && word[end] !== 'r' },
+    { spelling: 'ur', phonemes: ['ɜː', 'r'], when: (word, end) => !isVowelLetter(word, end) && word[end] !== 'r' },
+
+    // Syllabic -le after a consonant: table, little
+    { spelling: 'le', phonemes: ['ə', 'l'], at: 'end', when: (word, end, start) => start > 1 && !isVowelLetter(word, start - 1) }
+];
+
+const SHORT_VOWELS = { a: 'æ', e: 'ɛ', i: 'ɪ', o: 'ɑ', u: 'ʌ', y: 'ɪ' };
+// Magic e: a vowel before one consonant and a final e says its name (make, time, stone)
+const LONG_VOWELS = { a: 'eɪ', e: 'iː', i: 'aɪ', o: 'oʊ', u: 'juː', y: 'aɪ' };
+// A vowel letter ending a word: long in one-syllable words (go, hi), weaker in longer ones (data, taxi, menu)
+const FINAL_VOWELS = { a: 'ɑ', e: 'iː', i: 'aɪ', o: 'oʊ', u: 'uː', y: 'aɪ' };
+const FINAL_VOWELS_AFTER_SYLLABLE = { a: 'ə', e: 'iː', i: 'iː', o: 'oʊ', u: 'uː', y: 'i' };
+const CONSONANTS = {
+    b: 'b', d: 'd', f: 'f', h: 'h', j: 'ʤ', k: 'k', l: 'l', m: 'm', n: 'n',
+    p: 'p', q: 'k', r: 'r', t: 't', v: 'v', w: 'w', z: 'z'
+};
+
+const VOWEL_PHONEMES = new Set([
+    'æ', 'ɛ', 'ɪ', 'ɑ', 'ʌ', 'ə', 'ər', 'i', 'iː', 'uː', 'ɑː', 'ɔː', 'ɜː', 'ɒ', 'ʊ', 'ɔ',
+    'eɪ', 'aɪ', 'oʊ', 'aʊ', 'ɔɪ', 'juː', 'ɛə'
+]);
+// Only short vowels weaken to schwa when unstressed
+const REDUCIBLE = new Set(['æ', 'ɛ', 'ɑ', 'ʌ']);
+const ONSET_CLUSTERS = new Set([
+    'pl', 'pr', 'bl', 'br', 'tr', 'dr', 'kl', 'kr', 'gl', 'gr', 'fl', 'fr', 'θr', 'ʃr',
+    'sp', 'st', 'sk', 'sm', 'sn', 'sl', 'sw', 'tw', 'kw', 'dw', 'spl', 'spr', 'str', 'skr', 'skw'
+]);
+
+const ASCII = {
+    'æ': 'a', 'ɛ': 'e', 'ɪ': 'i', 'ɑ': 'ah', 'ʌ': 'u', 'ə': 'uh', 'ər': 'er', 'i': 'ee',
+    'iː': 'ee', 'uː': 'oo', 'ɑː': 'ah', 'ɔː': 'aw', 'ɜː': 'u', 'ɒ': 'o', 'ʊ': 'oo', 'ɔ': 'aw',
+    'eɪ': 'ay', 'aɪ': 'ai', 'oʊ': 'oh', 'aʊ': 'ow', 'ɔɪ': 'oy', 'juː': 'yoo', 'ɛə': 'air',
+    'θ': 'th', 'ð': 'th', 'ʃ': 'sh', 'ʒ': 'zh', 'ʧ': 'ch', 'ʤ': 'j', 'ŋ': 'ng', 'j': 'y', 'x': 'kh'
+};
+// Longest first, for reading pronunciations written by hand
+const IPA_SYMBOLS = Object.keys(ASCII).sort((a, b) => b.length - a.length);
+const STRESS_MARKS = { primary: 'ˈ', secondary: 'ˌ' };
+
+function isVowelLetter(word, index) {
+    const char = word[index];
+    if (!char) return false;
+    if (char === 'y') {
+        // y is a consonant before a vowel (yes, beyond) and a vowel elsewhere (my, gym)
+        return !/[aeiou]/.test(word[index + 1] || '');
+    }
+    return /[aeiouæɛɪɔʌəøœɑɒʊ]/.test(char.normalize('NFD')[0]);
+}
+
+function isHardG(word, index) {
+    return HARD_G.some(entry => {
+        const anchored = entry.startsWith('^');
+        const spelling = anchored ? entry.slice(1) : entry;
+        for (let g = spelling.indexOf('g'); g !== -1; g = spelling.indexOf('g', g + 1)) {
+            const start = index - g;
+            if (start >= 0 && (!anchored || start === 0) && word.startsWith(spelling, start)) return true;
+        }
+        return false;
+    });
+}
+
+function isNucleus(phoneme) {
+    return VOWEL_PHONEMES.has(phoneme) || (phoneme.length === 1 && isVowelLetter(phoneme, 0));
+}
+
+function isStressMark(phoneme) {
+    return phoneme === STRESS_MARKS.primary || phoneme === STRESS_MARKS.secondary;
+}
+
+/**
+ * Rule-based English grapheme-to-phoneme conversion that works offline. Handles
+ * digraphs and silent letters (knight → /naɪt/), silent and magic e, soft c and g,
+ * double consonants and unstressed vowels. Stress follows the syllabifier's stress
+ * rule and is marked in IPA (/ˈsɪndər/) and in ASCII (SIN-der). Sigment words are
+ * read with the same rules, so they are pronounced the way English readers would
+ * say them. Words in the exception lexicon are taken as written.
+ */
+export class GraphemeToPhoneme {
+    constructor(options = {}) {
+        this.lexicon = GraphemeToPhoneme.normalizeLexicon({ ...DEFAULT_EXCEPTIONS, ...options.lexicon });
+        this.syllabifier = options.syllabifier || new Syllabifier();
+    }
+
+    /**
+     * Read an exception lexicon: a JSON object, or one `word pronunciation` pair per line
+     * @param {string} content - File content
+     * @returns {Object} IPA pronunciation by word
+     */
+    static parseLexicon(content) {
+        if (content.trim().startsWith('{')) {
+            return GraphemeToPhoneme.normalizeLexicon(JSON.parse(content));
+        }
+
+        const lexicon = {};
+        for (const [index, line] of content.split(/\r?\n/).entries()) {
+            const text = line.replace(/#.*/, '').trim();
+            if (!text) continue;
+            const match = text.match(/^(\S+)\s+(.+)$/);
+            if (!match) {
+                throw new Error(`Line ${index + 1}: expected "word pronunciation"`);
+            }
+            lexicon[match[1].toLowerCase()] = match[2];
+        }
+        return GraphemeToPhoneme.normalizeLexicon(lexicon);
+    }
+
+    static normalizeLexicon(lexicon = {}) {
+        const entries = lexicon instanceof Map ? lexicon.entries() : Object.entries(lexicon);
+        const normalized = {};
+        for (const [word, pronunciation] of entries) {
+            normalized[String(word).trim().toLowerCase()] = String(pronunciation).trim().replace(/^[/[]|[/\]]$/g, '');
+        }
+        return normalized;
+    }
+
+    /**
+     * Transcribe a word
+     * @param {string} word - English or Sigment word
+     * @param {Object} options - lexicon (extra exceptions), syllabifier (the language's syllables and
+     *   stress rule) and stressPattern (one entry per syllable, overriding the stress rule)
+     * @returns {Object} phonemes, ipa, ascii and stress pattern
+     */
+    transcribe(word, options = {}) {
+        const text = String(word).toLowerCase();
+        const exception = options.lexicon?.[text] ?? this.lexicon[text];
+        if (exception !== undefined) {
+            return this.fromLexicon(exception);
+        }
+
+        // Phonemes are placed in syllables by the letter they were read from; the syllabifier
+        // doesn't count apostrophes and hyphens
+        const letterIndex = [];
+        for (let i = 0, count = 0; i < text.length; i++) {
+            letterIndex.push(count);
+            if (/\p{L}/u.test(text[i])) count++;
+        }
+
+        const segments = [];
+        for (const run of text.matchAll(/\p{L}+/gu)) {
+            for (const segment of this.readSpelling(run[0])) {
+                segments.push({ ...segment, index: letterIndex[run.index + segment.index] });
+            }
+        }
+
+        const syllabifier = options.syllabifier || this.syllabifier;
+        const syllables = syllabifier.syllabify(text);
+        const stress = options.stressPattern?.length === syllables.length ?
+            options.stressPattern :
+            syllabifier.stressPattern(syllables);
+
+        const groups = [];
+        let current = null;
+        for (const { phoneme, index } of segments) {
+            let syllable = 0;
+            while (syllable + 1 < syllables.length && syllables[syllable + 1].index <= index) syllable++;
+            if (syllable !== current?.syllable) {
+                current = { syllable, level: stress[syllable] || 'unstressed', phonemes: [] };
+                groups.push(current);
+            }
+            current.phonemes.push(current.level === 'unstressed' && REDUCIBLE.has(phoneme) ? 'ə' : phoneme);
+        }
+
+        return {
+            phonemes: segments.map(segment => segment.phoneme),
+            ipa: `/${this.toIPAString(groups)}/`,
+            ascii: this.toAsciiString(groups),
+            stress
+        };
+    }
+
+    toIPA(word, options = {}) {
+        return this.transcribe(word, options).ipa;
+    }
+
+    toAscii(word, options = {}) {
+        return this.transcribe(word, options).ascii;
+    }
+
+    readSpelling(word) {
+        const phonemes = [];
+        const read = (phoneme, index) => phonemes.push({ phoneme, index });
+        const hasVowelBefore = (index) => Array.from(word.slice(0, index)).some((_, i) => isVowelLetter(word, i));
+        let i = 0;
+
+        while (i < word.length) {
+            const rule = RULES.find(candidate => this.ruleMatches(candidate, word, i));
+            if (rule) {
+                rule.phonemes.forEach(phoneme => read(phoneme, i));
+                i += rule.spelling.length;
+                continue;
+            }
+
+            const char = word[i];
+            const next = word[i + 1] || '';
+            const isLast = i === word.length - 1;
+
+            if (char === word[i - 1] && !isVowelLetter(word, i)) {
+                // Double consonants are said once (little, running)
+            } else if (char === 'e' && isLast && hasVowelBefore(i)) {
+                // Silent final e
+            } else if (char === 'c') {
+                read(/[eiy]/.test(next) ? 's' : 'k', i);
+            } else if (char === 'g') {
+                read(/[eiy]/.test(next) && !isHardG(word, i) ? 'ʤ' : 'g', i);
+            } else if (char === 's') {
+                read(isLast && i > 0 && /[bdgvmnlr]/.test(word[i - 1]) ? 'z' : 's', i);
+            } else if (char === 'x') {
+                (i === 0 ? ['z'] : ['k', 's']).forEach(phoneme => read(phoneme, i));
+            } else if (isVowelLetter(word, i)) {
+                read(this.readVowel(word, i, hasVowelBefore(i)), i);
+            } else if (char === 'y') {
+                read('j', i);
+            } else {
+                read(CONSONANTS[char] || char, i);
+            }
+            i++;
+        }
+
+        return phonemes;
+    }
+
+    ruleMatches(rule, word, start) {
+        const end = start + rule.spelling.length;
+        if (word.slice(start, end) !== rule.spelling) return false;
+        if (rule.at === 'start' && start !== 0) return false;
+        if (rule.at === 'end' && end !== word.length) return false;
+        return !rule.when || rule.when(word, end, start);
+    }
+
+    readVowel(word, index, hasVowelBefore) {
+        const char = word[index];
+        if (!SHORT_VOWELS[char]) {
+            // Letters from sound change rules (ø, ð, ...) stand for themselves
+            return char;
+        }
+
+        const rest = word.slice(index + 1);
+        if (/^[bcdfgklmnprstvz]e$/.test(rest) || /^(th|ch)e$/.test(rest)) {
+            return LONG_VOWELS[char];
+        }
+        // The magic e stays long when -ing or -ed replaces it (making, hoping, taped), but not after
+        // a doubled consonant (hopping, tapped)
+        if (!hasVowelBefore && /^[bcdfgklmnprstvz](ing|ed)$/.test(rest)) {
+            return LONG_VOWELS[char];
+        }
+        if (rest === '') {
+            return hasVowelBefore ? FINAL_VOWELS_AFTER_SYLLABLE[char] : FINAL_VOWELS[char];
+        }
+        return SHORT_VOWELS[char];
+    }
+
+    // Syllables of a hand-written pronunciation: a new one starts at each stress mark, and
+    // otherwise at the longest run of consonants before a vowel that can start an English syllable
+    syllabifyPhonemes(tokens, stress) {
+        const groups = [];
+        let consonants = [];
+        let pendingMark = null;
+        let nucleus = 0;
+
+        const startGroup = (level) => {
+            const group = { level, phonemes: [] };
+            groups.push(group);
+            return group;
+        };
+
+        for (const token of tokens) {
+            if (isStressMark(token)) {
+                pendingMark = token;
+                // Consonants before the mark close the previous syllable
+                if (groups.length > 0) groups[groups.length - 1].phonemes.push(...consonants);
+                consonants = [];
+                continue;
+            }
+            if (!isNucleus(token)) {
+                consonants.push(token);
+                continue;
+            }
+
+            const level = stress[nucleus++] || 'unstressed';
+            const onset = pendingMark || groups.length === 0 ? consonants.length : this.onsetLength(consonants);
+            if (groups.length > 0) groups[groups.length - 1].phonemes.push(...consonants.slice(0, consonants.length - onset));
+            startGroup(level).phonemes.push(...consonants.slice(consonants.length - onset), token);
+            consonants = [];
+            pendingMark = null;
+        }
+
+        if (groups.length === 0) return [{ level: 'primary', phonemes: consonants }];
+        groups[groups.length - 1].phonemes.push(...consonants);
+        return groups;
+    }
+
+    // Maximal onset: the longest run of consonants before a vowel that can start an English syllable
+    onsetLength(consonants) {
+        for (let length = Math.min(3, consonants.length); length > 1; length--) {
+            if (ONSET_CLUSTERS.has(consonants.slice(-length).join(''))) {
+                return length;
+            }
+        }
+        return consonants.length > 0 && consonants[consonants.length - 1] !== 'ŋ' ? 1 : 0;
+    }
+
+    fromLexicon(pronunciation) {
+        const tokens = [];
+        let i = 0;
+        while (i < pronunciation.length) {
+            const symbol = pronunciation[i] === 'ˈ' || pronunciation[i] === 'ˌ' ?
+                pronunciation[i] :
+                IPA_SYMBOLS.find(candidate => pronunciation.startsWith(candidate, i)) || pronunciation[i];
+            tokens.push(symbol);
+            i += symbol.length;
+        }
+
+        const phonemes = tokens.filter(token => !isStressMark(token));
+        const stress = [];
+        let pending = 'unstressed';
+        for (const token of tokens) {
+            if (token === 'ˈ') pending = 'primary';
+            else if (token === 'ˌ') pending = 'secondary';
+            else if (isNucleus(token)) {
+                stress.push(pending);
+                pending = 'unstressed';
+            }
+        }
+        if (stress.length === 1) stress[0] = 'primary';
+
+        return {
+            phonemes,
+            ipa: `/${pronunciation}/`,
+            ascii: this.toAsciiString(this.syllabifyPhonemes(tokens, stress)),
+            stress
+        };
+    }
+
+    toIPAString(groups) {
+        return groups.map(group => (groups.length > 1 ? STRESS_MARKS[group.level] || '' : '') + group.phonemes.join('')).join('');
+    }
+
+    // Syllables joined by hyphens with the stressed one in capitals (GOM-byoo-ter)
+    toAsciiString(groups) {
+        const syllables = groups.map(group => group.phonemes
+            .map(phoneme => ASCII[phoneme] ?? phoneme.replace(/ː/g, ''))
+            .join(''));
+        if (syllables.length < 2) return syllables.join('');
+        return syllables.map((syllable, i) => groups[i].level === 'primary' ? syllable.toUpperCase() : syllable).join('-');
+    }
+}
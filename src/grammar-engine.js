@@ -0,0 +1,298 @@
+import { SeededRandom } from './seeded-random.js';
+
+const WORD_ORDERS = {
+    SVO: 'Subject-Verb-Object',
+    SOV: 'Subject-Object-Verb',
+    VSO: 'Verb-Subject-Object',
+    VOS: 'Verb-Object-Subject',
+    OVS: 'Object-Verb-Subject',
+    OSV: 'Object-Subject-Verb'
+};
+
+// Rough typological frequencies, so most languages come out SOV or SVO
+const WORD_ORDER_WEIGHTS = { SOV: 45, SVO: 42, VSO: 9, VOS: 3, OVS: 0.5, OSV: 0.5 };
+
+// Closed word classes plus the most frequent open-class words, for dictionaries without part of speech data
+const COMMON_WORDS = {
+    pronoun: ['i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them'],
+    determiner: ['the', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'your', 'his', 'its', 'our', 'their', 'some', 'any', 'every', 'no'],
+    preposition: ['in', 'on', 'at', 'to', 'from', 'with', 'by', 'for', 'of', 'into', 'over', 'under', 'through', 'about', 'after', 'before', 'between'],
+    conjunction: ['and', 'or', 'but', 'so', 'because', 'if', 'when', 'than'],
+    adjective: [
+        'big', 'small', 'good', 'bad', 'new', 'old', 'long', 'short', 'high', 'low', 'great', 'little',
+        'young', 'hot', 'cold', 'red', 'blue', 'green', 'white', 'black', 'dark', 'bright', 'happy', 'sad'
+    ],
+    verb: [
+        'be', 'is', 'am', 'are', 'was', 'were', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
+        'can', 'could', 'should', 'must', 'say', 'go', 'get', 'make', 'know', 'think', 'take', 'see', 'come',
+        'want', 'look', 'use', 'find', 'give', 'tell', 'work', 'call', 'eat', 'drink', 'run', 'walk', 'read',
+        'write', 'love', 'like', 'need', 'build', 'speak', 'hear', 'sing', 'hold', 'keep', 'bring', 'show'
+    ]
+};
+
+const PERSONS = {
+    i: 'first', we: 'first', me: 'first', us: 'first',
+    you: 'second',
+    he: 'third', she: 'third', it: 'third', they: 'third', him: 'third', her: 'third', them: 'third'
+};
+
+export class GrammarEngine {
+    static get wordOrders() {
+        return Object.keys(WORD_ORDERS);
+    }
+
+    generateGrammar(language, options = {}) {
+        const random = new SeededRandom(language.config.seed).fork('grammar');
+        const inventory = this.getInventory(language.phoneticSystem);
+        const soundChanges = options.soundChanges || null;
+
+        const wordOrder = language.config.wordOrder && WORD_ORDERS[language.config.wordOrder] ?
+            language.config.wordOrder :
+            random.weightedPick(Object.keys(WORD_ORDER_WEIGHTS), Object.values(WORD_ORDER_WEIGHTS));
+        const adjectivePosition = random.next() < 0.6 ? 'before' : 'after';
+
+        const used = new Set();
+        const makeAffix = (shapes) => {
+            for (let attempt = 0; attempt < 20; attempt++) {
+                let affix = this.buildAffix(random.pick(shapes), inventory, random);
+                if (soundChanges) affix = soundChanges.apply(affix) || affix;
+                if (!used.has(affix)) {
+                    used.add(affix);
+                    return affix;
+                }
+            }
+            return this.buildAffix('VC', inventory, random);
+        };
+
+        const patterns = {
+            word_order: wordOrder,
+            adjective_position: adjectivePosition,
+            plural_suffix: makeAffix(['C', 'VC', 'V']),
+            past_suffix: makeAffix(['VC', 'CV']),
+            future_suffix: makeAffix(['CV', 'VCV']),
+            person_suffixes: {
+                first: makeAffix(['V', 'VC']),
+                second: makeAffix(['V', 'VC']),
+                third: ''
+            },
+            linking_consonant: random.pick(inventory.consonants.filter(c => 'nlrmst'.includes(c)).concat(['n']))
+        };
+
+        return {
+            rules: this.describeRules(patterns),
+            patterns
+        };
+    }
+
+    getInventory(phoneticSystem = {}) {
+        const toList = (value) => value instanceof Set ? Array.from(value) : (Array.isArray(value) ? value : []);
+        const vowels = toList(phoneticSystem.vowelInventory).filter(v => 'aeiou'.includes(v));
+        // Prefer consonants that are easy to attach to any stem
+        const consonants = toList(phoneticSystem.consonantInventory).filter(c => 'bdfgklmnprstvz'.includes(c));
+
+        return {
+            vowels: vowels.length > 0 ? vowels : ['a', 'e', 'i', 'o', 'u'],
+            consonants: consonants.length > 0 ? consonants : ['n', 't', 's', 'r', 'l', 'k', 'm', 'd']
+        };
+    }
+
+    buildAffix(shape, inventory, random) {
+        return shape.split('').map(slot =>
+            slot === 'V' ? random.pick(inventory.vowels) : random.pick(inventory.consonants)
+        ).join('');
+    }
+
+    describeRules(patterns) {
+        return [
+            `Word order: ${WORD_ORDERS[patterns.word_order]}`,
+            `Adjectives: ${patterns.adjective_position} the noun`,
+            `Plurals: Add -${patterns.plural_suffix} suffix`,
+            `Past tense: Add -${patterns.past_suffix} suffix`,
+            `Future tense: Add -${patterns.future_suffix} suffix`,
+            `First person verbs: Add -${patterns.person_suffixes.first} suffix`,
+            `Second person verbs: Add -${patterns.person_suffixes.second} suffix`
+        ];
+    }
+
+    static inflect(word, features = {}, patterns = {}) {
+        const suffixes = [];
+
+        if (features.number === 'plural' && patterns.plural_suffix) {
+            suffixes.push(patterns.plural_suffix);
+        }
+        if (features.tense === 'past' && patterns.past_suffix) {
+            suffixes.push(patterns.past_suffix);
+        } else if (features.tense === 'future' && patterns.future_suffix) {
+            suffixes.push(patterns.future_suffix);
+        }
+        if (features.person && patterns.person_suffixes) {
+            const person = GrammarEngine.normalizePerson(features.person);
+            if (patterns.person_suffixes[person]) {
+                suffixes.push(patterns.person_suffixes[person]);
+            }
+        }
+
+        return suffixes.reduce((stem, suffix) => GrammarEngine.attachSuffix(stem, suffix, patterns.linking_consonant), word);
+    }
+
+    static normalizePerson(person) {
+        const names = { 1: 'first', 2: 'second', 3: 'third' };
+        return names[person] || person;
+    }
+
+    static attachSuffix(stem, suffix, linkingConsonant = 'n') {
+        const vowels = 'aeiou';
+        if (!suffix) return stem;
+
+        // Keep vowel-vowel joins readable: "sola" + "es" -> "solanes"
+        if (vowels.includes(stem[stem.length - 1]) && vowels.includes(suffix[0])) {
+            return `${stem}${linkingConsonant || 'n'}${suffix}`;
+        }
+        // Avoid tripled letters at the join
+        if (stem[stem.length - 1] === suffix[0] && stem[stem.length - 2] === suffix[0]) {
+            return stem + suffix.substring(1);
+        }
+        return stem + suffix;
+    }
+
+    /**
+     * Strip regular English inflection so the base word can be looked up.
+     * Returns candidate lemmas, most likely first.
+     */
+    static lemmatize(word) {
+        const lower = word.toLowerCase();
+        const candidates = [];
+
+        if (lower.endsWith('ies') && lower.length > 4) {
+            candidates.push({ lemma: lower.slice(0, -3) + 'y', features: { number: 'plural' }, suffix: 's' });
+        }
+        if (lower.endsWith('es') && lower.length > 3) {
+            candidates.push({ lemma: lower.slice(0, -2), features: { number: 'plural' }, suffix: 's' });
+        }
+        if (lower.endsWith('s') && !lower.endsWith('ss') && lower.length > 2) {
+            candidates.push({ lemma: lower.slice(0, -1), features: { number: 'plural' }, suffix: 's' });
+        }
+        if (lower.endsWith('ied') && lower.length > 4) {
+            candidates.push({ lemma: lower.slice(0, -3) + 'y', features: { tense: 'past' }, suffix: 'ed' });
+        }
+        if (lower.endsWith('ed') && lower.length > 3) {
+            candidates.push({ lemma: lower.slice(0, -2), features: { tense: 'past' }, suffix: 'ed' });
+            candidates.push({ lemma: lower.slice(0, -1), features: { tense: 'past' }, suffix: 'ed' });
+            if (lower[lower.length - 3] === lower[lower.length - 4]) {
+                candidates.push({ lemma: lower.slice(0, -3), features: { tense: 'past' }, suffix: 'ed' });
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Strip one grammatical suffix from a Sigment word.
+     * Returns candidate stems with the features the suffix marked.
+     */
+    static deinflect(word, patterns = {}) {
+        const lower = word.toLowerCase();
+        const suffixes = [
+            [patterns.plural_suffix, { number: 'plural' }],
+            [patterns.past_suffix, { tense: 'past' }],
+            [patterns.future_suffix, { tense: 'future' }],
+            [patterns.person_suffixes?.first, { person: 'first' }],
+            [patterns.person_suffixes?.second, { person: 'second' }]
+        ];
+        const candidates = [];
+
+        for (const [suffix, features] of suffixes) {
+            if (!suffix || !lower.endsWith(suffix) || lower.length <= suffix.length + 1) continue;
+
+            const stem = lower.slice(0, -suffix.length);
+            candidates.push({ stem, features });
+            if (patterns.linking_consonant && stem.endsWith(patterns.linking_consonant)) {
+                candidates.push({ stem: stem.slice(0, -patterns.linking_consonant.length), features });
+            }
+            // attachSuffix drops one letter when the join would triple it
+            candidates.push({ stem: stem + suffix[0], features });
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Apply regular English inflection to a base word
+     */
+    static inflectEnglish(word, features = {}) {
+        if (features.tense === 'future') return `will ${word}`;
+        if (features.tense === 'past') {
+            if (word.endsWith('e')) return `${word}d`;
+            if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ied`;
+            return `${word}ed`;
+        }
+        if (features.number === 'plural') {
+            if (/(s|x|z|ch|sh)$/.test(word)) return `${word}es`;
+            if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+            return `${word}s`;
+        }
+        return word;
+    }
+
+    static guessPartOfSpeech(word) {
+        const lower = word.toLowerCase();
+        for (const [pos, words] of Object.entries(COMMON_WORDS)) {
+            if (words.includes(lower)) return pos;
+        }
+        if (/(ed|ing|ize|ise|ify)$/.test(lower)) return 'verb';
+        if (/ly$/.test(lower)) return 'adverb';
+        if (/(ful|less|ous|ive|able|ible|al|ic)$/.test(lower)) return 'adjective';
+        return 'noun';
+    }
+
+    static getPerson(word) {
+        return PERSONS[word.toLowerCase()] || null;
+    }
+
+    static isVerb(pos) {
+        return typeof pos === 'string' && /verb/.test(pos) && !/adverb/.test(pos);
+    }
+
+    /**
+     * Reorder the words of one clause from English SVO into the target word order.
+     * Words carry a `pos` field; the first verb run splits subject from object.
+     */
+    static reorderClause(words, patterns = {}) {
+        let ordered = words;
+
+        if (patterns.adjective_position === 'after') {
+            ordered = GrammarEngine.moveAdjectivesAfterNouns(ordered);
+        }
+
+        const order = patterns.word_order || 'SVO';
+        const verbStart = ordered.findIndex(word => GrammarEngine.isVerb(word.pos));
+        if (order === 'SVO' || verbStart === -1) {
+            return ordered;
+        }
+
+        let verbEnd = verbStart;
+        while (verbEnd + 1 < ordered.length &&
+            (GrammarEngine.isVerb(ordered[verbEnd + 1].pos) || ordered[verbEnd + 1].pos === 'adverb')) {
+            verbEnd++;
+        }
+
+        const constituents = {
+            S: ordered.slice(0, verbStart),
+            V: ordered.slice(verbStart, verbEnd + 1),
+            O: ordered.slice(verbEnd + 1)
+        };
+
+        return order.split('').flatMap(slot => constituents[slot]);
+    }
+
+    static moveAdjectivesAfterNouns(words) {
+        const result = [...words];
+        for (let i = 0; i < result.length - 1; i++) {
+            if (result[i].pos === 'adjective' && /noun/.test(result[i + 1].pos || '')) {
+                [result[i], result[i + 1]] = [result[i + 1], result[i]];
+                i++;
+            }
+        }
+        return result;
+    }
+}
@@ -1,17 +1,47 @@
 import { LanguageGenerator } from './language-generator.js';
 import { EtymologicalAnalyzer } from './etymological-analyzer.js';
+import { MorphologicalSegmenter } from './morphology.js';
 import { PhoneticMapper } from './phonetic-mapper.js';
+import { GraphemeToPhoneme } from './g2p.js';
+import { Phonotactics } from './phonotactics.js';
+import { Syllabifier } from './syllabifier.js';
+import { LLMProvider } from './llm-provider.js';
 import { OllamaClient } from './ollama-client.js';
+import { OpenAICompatibleClient } from './openai-compatible-client.js';
+import { OfflineProvider } from './offline-provider.js';
+import { ProviderFactory } from './provider-factory.js';
+import { SeededRandom } from './seeded-random.js';
+import { CollisionResolver } from './collision-resolver.js';
+import { SoundChangeRules } from './sound-changes.js';
+import { GrammarEngine } from './grammar-engine.js';
 import { SigmentParser, SigmentLanguage, SigmentUtils } from './sigment-parser.js';
+import { SigmentApiServer } from './api-server.js';
+import { SigmentValidator } from './sigment-validator.js';
+import { LanguageFamily } from './language-family.js';
 
 export {
     LanguageGenerator,
     EtymologicalAnalyzer,
+    MorphologicalSegmenter,
     PhoneticMapper,
+    GraphemeToPhoneme,
+    Phonotactics,
+    Syllabifier,
+    LLMProvider,
     OllamaClient,
+    OpenAICompatibleClient,
+    OfflineProvider,
+    ProviderFactory,
+    SeededRandom,
+    CollisionResolver,
+    SoundChangeRules,
+    GrammarEngine,
     SigmentParser,
     SigmentLanguage,
-    SigmentUtils
+    SigmentUtils,
+    SigmentApiServer,
+    SigmentValidator,
+    LanguageFamily
 };
 
 export default LanguageGenerator;
\ No newline at end of file
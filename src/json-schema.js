@@ -0,0 +1,130 @@
+/**
+ * Minimal JSON Schema validator covering the keywords used by the schemas in /schemas:
+ * $ref (local), type, const, enum, required, properties, additionalProperties,
+ * items, minLength, minItems, minimum, pattern and format (date-time).
+ */
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+export class JsonSchemaValidator {
+    constructor(rootSchema) {
+        this.rootSchema = rootSchema;
+    }
+
+    static pointer(segments) {
+        return segments.map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+    }
+
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    validate(data) {
+        const errors = [];
+        this.validateNode(data, this.rootSchema, [], errors);
+        return errors;
+    }
+
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Only local schema references are supported, got "${ref}"`);
+        }
+        return ref.substring(2).split('/').reduce((node, key) => {
+            const next = node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')];
+            if (next === undefined) {
+                throw new Error(`Unresolvable schema reference "${ref}"`);
+            }
+            return next;
+        }, this.rootSchema);
+    }
+
+    validateNode(value, schema, path, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            this.addError(errors, path, 'false', 'Value is not allowed here');
+            return;
+        }
+
+        if (schema.$ref) {
+            this.validateNode(value, this.resolveRef(schema.$ref), path, errors);
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            this.addError(errors, path, 'const', `Expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            this.addError(errors, path, 'enum', `Expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+            return;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actual = JsonSchemaValidator.typeOf(value);
+            const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+            if (!matches) {
+                this.addError(errors, path, 'type', `Expected ${types.join(' or ')}, got ${actual}`);
+                return;
+            }
+        }
+
+        const actual = JsonSchemaValidator.typeOf(value);
+        if (actual === 'object') {
+            this.validateObject(value, schema, path, errors);
+        } else if (actual === 'array') {
+            this.validateArray(value, schema, path, errors);
+        } else if (actual === 'string') {
+            this.validateString(value, schema, path, errors);
+        } else if (actual === 'number' || actual === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                this.addError(errors, path, 'minimum', `Must be at least ${schema.minimum}`);
+            }
+        }
+    }
+
+    validateObject(value, schema, path, errors) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                this.addError(errors, [...path, key], 'required', `Missing required property "${key}"`);
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, child] of Object.entries(value)) {
+            if (key in properties) {
+                this.validateNode(child, properties[key], [...path, key], errors);
+            } else if (schema.additionalProperties !== undefined) {
+                this.validateNode(child, schema.additionalProperties, [...path, key], errors);
+            }
+        }
+    }
+
+    validateArray(value, schema, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            this.addError(errors, path, 'minItems', `Must contain at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => this.validateNode(item, schema.items, [...path, index], errors));
+        }
+    }
+
+    validateString(value, schema, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            this.addError(errors, path, 'minLength', schema.minLength === 1 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            this.addError(errors, path, 'pattern', `Does not match pattern ${schema.pattern}`);
+        }
+        if (schema.format === 'date-time' && !DATE_TIME.test(value)) {
+            this.addError(errors, path, 'format', `"${value}" is not an ISO 8601 date-time`);
+        }
+    }
+
+    addError(errors, path, keyword, message) {
+        errors.push({ path: JsonSchemaValidator.pointer(path), keyword, message });
+    }
+}
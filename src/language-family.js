@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import { SigmentParser } from './sigment-parser.js';
+
+// Every generated language descends from English words, so English is the root of every tree
+const SOURCE_LANGUAGE = 'English';
+
+/**
+ * The languages of a dictionary folder as one family: a tree built from the `lineage` that
+ * evolved languages record in their metadata, and cognate tables lining up each English
+ * concept across the languages with its form and pronunciation.
+ */
+export class LanguageFamily {
+    constructor(languages = []) {
+        this.languages = new Map(languages.map(language => [language.name, language]));
+    }
+
+    /**
+     * Read every language with metadata and an English dictionary in a folder
+     * @param {string} dictDir - Dictionary directory, usually ./dictionaries
+     * @returns {LanguageFamily}
+     */
+    static load(dictDir) {
+        const languages = [];
+        const files = fs.readdirSync(dictDir).filter(file => file.endsWith('_metadata.json')).sort();
+
+        for (const file of files) {
+            const name = file.replace('_metadata.json', '');
+            const dictionaryPath = path.join(dictDir, `English_to_${name}.json`);
+            if (!fs.existsSync(dictionaryPath)) continue;
+
+            try {
+                const metadata = JSON.parse(fs.readFileSync(path.join(dictDir, file), 'utf8'));
+                const dictionary = SigmentParser.unwrapDictionary(JSON.parse(fs.readFileSync(dictionaryPath, 'utf8')));
+                languages.push({ name, metadata, dictionary });
+            } catch (error) {
+                console.warn(`Failed to read language "${name}":`, error.message);
+            }
+        }
+
+        return new LanguageFamily(languages);
+    }
+
+    get names() {
+        return Array.from(this.languages.keys());
+    }
+
+    /**
+     * The family tree, rooted at English. Parents that are no longer in the folder
+     * (archived or deleted) still appear, marked as missing, so their daughters stay grouped
+     * @returns {Object} Node with name, details and children
+     */
+    buildTree() {
+        const nodes = new Map();
+        const nodeFor = (name) => {
+            if (!nodes.has(name)) {
+                const language = this.languages.get(name);
+                nodes.set(name, {
+                    name,
+                    missing: !language,
+                    words: language ? Object.keys(language.dictionary).length : 0,
+                    style: language?.metadata.config?.style || null,
+                    soundChanges: language?.metadata.lineage?.soundChanges?.filter(item => item.type === 'rule').length || 0,
+                    drift: language?.metadata.lineage?.drift || 0,
+                    children: []
+                });
+            }
+            return nodes.get(name);
+        };
+
+        const root = { name: SOURCE_LANGUAGE, source: true, children: [] };
+        for (const [name, language] of this.languages) {
+            const node = nodeFor(name);
+            const ancestors = language.metadata.lineage?.ancestors || [];
+            if (ancestors.length === 0) {
+                root.children.push(node);
+                continue;
+            }
+
+            // Missing ancestors are linked up through the chain the child recorded
+            ancestors.forEach((ancestor, i) => {
+                const ancestorNode = nodeFor(ancestor);
+                if (!ancestorNode.missing) return;
+                const parent = i === 0 ? root : nodeFor(ancestors[i - 1]);
+                if (!parent.children.includes(ancestorNode)) parent.children.push(ancestorNode);
+            });
+            nodeFor(ancestors[ancestors.length - 1]).children.push(node);
+        }
+
+        const sort = (node) => {
+            node.children.sort((a, b) => a.name.localeCompare(b.name));
+            node.children.forEach(sort);
+            return node;
+        };
+        return sort(root);
+    }
+
+    describeNode(node) {
+        if (node.source) return node.name;
+        if (node.missing) return `${node.name} (not in dictionaries)`;
+
+        const details = [`${node.words} word${node.words === 1 ? '' : 's'}`];
+        if (node.soundChanges > 0) {
+            details.push(`${node.soundChanges} sound change${node.soundChanges === 1 ? '' : 's'}`);
+            if (node.drift > 0) details.push(`${Math.round(node.drift * 100)}% drift`);
+        } else if (node.style) {
+            details.push(`${node.style} style`);
+        }
+        return `${node.name} (${details.join(', ')})`;
+    }
+
+    toAscii() {
+        const tree = this.buildTree();
+        const lines = [this.describeNode(tree)];
+
+        const walk = (node, prefix) => {
+            node.children.forEach((child, i) => {
+                const last = i === node.children.length - 1;
+                lines.push(`${prefix}${last ? '└── ' : '├── '}${this.describeNode(child)}`);
+                walk(child, `${prefix}${last ? '    ' : '│   '}`);
+            });
+        };
+        walk(tree, '');
+
+        return lines.join('\n');
+    }
+
+    // Graphviz source, e.g. `sigment family --format dot | dot -Tsvg > family.svg`
+    toDot() {
+        const tree = this.buildTree();
+        const quote = text => `"${String(text).replace(/["\\]/g, '\\$&')}"`;
+        const lines = ['digraph family {', '    rankdir=TB;', '    node [shape=box, style=rounded];'];
+
+        const walk = (node) => {
+            const attributes = [`label=${quote(this.describeNode(node)).replace(' (', '\\n(')}`];
+            if (node.source) attributes.push('shape=ellipse');
+            if (node.missing) attributes.push('style=dashed');
+            lines.push(`    ${quote(node.name)} [${attributes.join(', ')}];`);
+
+            for (const child of node.children) {
+                lines.push(`    ${quote(node.name)} -> ${quote(child.name)}${node.source ? ' [style=dotted]' : ''};`);
+                walk(child);
+            }
+        };
+        walk(tree);
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Line up English concepts across the languages
+     * @param {Object} options - words to include (default: every concept shared by at least
+     *   minLanguages languages, 2 by default) and languages to compare (default: all)
+     * @returns {Object} { languages, rows: [{ english, forms: { [language]: { sigment, pronunciation, inherited } } }] }
+     */
+    cognates(options = {}) {
+        const languages = options.languages || this.names;
+        const unknown = languages.filter(name => !this.languages.has(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown language${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+        }
+
+        // Words asked for by name are listed wherever they exist; otherwise only shared ones
+        const minLanguages = options.minLanguages ?? (options.words ? 1 : Math.min(2, languages.length));
+        let concepts = options.words;
+        if (!concepts) {
+            // In the order the first language lists them, then any the others add
+            concepts = [...new Set(languages.flatMap(name => Object.keys(this.languages.get(name).dictionary)))];
+        }
+
+        const rows = [];
+        for (const english of concepts) {
+            const forms = {};
+            for (const name of languages) {
+                const entry = this.languages.get(name).dictionary[english];
+                if (!entry) continue;
+                forms[name] = { sigment: entry.sigment, pronunciation: entry.pronunciation || '' };
+                if (entry.inherited) forms[name].inherited = entry.inherited.sigment;
+            }
+
+            if (Object.keys(forms).length >= minLanguages) {
+                rows.push({ english, forms });
+            }
+        }
+
+        return { languages, rows };
+    }
+
+    static cognatesToText(table, limit = table.rows.length) {
+        const header = ['English', ...table.languages];
+        const rows = table.rows.slice(0, limit).map(row => [
+            row.english,
+            ...table.languages.map(name => {
+                const form = row.forms[name];
+                return form ? `${form.sigment} ${form.pronunciation}`.trim() : '—';
+            })
+        ]);
+
+        const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+        const format = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+        return [
+            format(header),
+            format(widths.map(width => '─'.repeat(width))),
+            ...rows.map(format)
+        ].join('\n');
+    }
+
+    static cognatesToCsv(table) {
+        const escape = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const header = ['english', ...table.languages.flatMap(name => [name, `${name} pronunciation`])];
+        const rows = table.rows.map(row => [
+            row.english,
+            ...table.languages.flatMap(name => [row.forms[name]?.sigment || '', row.forms[name]?.pronunciation || ''])
+        ]);
+
+        return [header, ...rows].map(cells => cells.map(escape).join(',')).join('\n') + '\n';
+    }
+}
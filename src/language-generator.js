@@ -1,49 +1,71 @@
 import { EtymologicalAnalyzer } from './etymological-analyzer.js';
 import { PhoneticMapper } from './phonetic-mapper.js';
-import { OllamaClient } from './ollama-client.js';
+import { ProviderFactory } from './provider-factory.js';
+import { SeededRandom } from './seeded-random.js';
+import { CollisionResolver } from './collision-resolver.js';
+import { SoundChangeRules } from './sound-changes.js';
+import { Phonotactics } from './phonotactics.js';
+import { GrammarEngine } from './grammar-engine.js';
+import { SigmentUtils } from './sigment-parser.js';
 import fs from 'fs/promises';
 import path from 'path';
 
+// Definitions written when no model answered, e.g. "Definition of water" or "Definition of water unavailable"
+const PLACEHOLDER_DEFINITION = /^definition (of .+|unavailable)$/i;
+const PLACEHOLDER_ORIGINS = new Set(['unknown', 'reconstructed']);
+
+// How an inherited meaning can shift in a daughter language, worded onto its English definitions
+const SEMANTIC_DRIFT = {
+    narrowing: 'Specifically',
+    broadening: 'Broadly',
+    metaphor: 'Figuratively',
+    pejoration: 'Disparagingly',
+    amelioration: 'Approvingly'
+};
+
 export class LanguageGenerator {
     constructor(options = {}) {
         this.options = {
+            provider: null,
+            providerUrl: null,
+            providerModel: null,
+            apiKey: null,
             useOllama: true,
             ollamaUrl: 'http://localhost:11434',
             ollamaModel: 'llama3.2',
             cacheEnabled: true,
+            cachePath: null,
+            cacheTtlDays: 0,
+            maxConcurrentRequests: 4,
+            requestsPerMinute: 0,
+            providerTimeout: 30000,
+            providerRetries: 2,
             outputPath: './dictionaries',
             ...options
         };
 
-        this.ollamaClient = null;
+        this.provider = null;
         this.etymologicalAnalyzer = null;
         this.phoneticMapper = null;
+        this.collisionResolver = new CollisionResolver();
+        this.compiledSoundChanges = new WeakMap();
+        this.compiledPhonotactics = new WeakMap();
+        this.grammarEngine = new GrammarEngine();
         this.languageDatabase = new Map();
         this.generationStats = {
             wordsProcessed: 0,
             languagesCreated: 0,
             startTime: null,
-            errors: []
+            errors: [],
+            degradedWords: []
         };
 
         this.initializationPromise = this.initialize();
     }
 
     async initialize() {
-        if (this.options.useOllama) {
-            this.ollamaClient = new OllamaClient(
-                this.options.ollamaUrl,
-                this.options.ollamaModel
-            );
-            
-            const connectionTest = await this.ollamaClient.testConnection();
-            if (!connectionTest) {
-                console.warn('Ollama connection failed. Operating in offline mode.');
-                this.ollamaClient = null;
-            }
-        }
-
-        this.etymologicalAnalyzer = new EtymologicalAnalyzer(this.ollamaClient);
+        this.provider = await ProviderFactory.connect(this.options);
+        this.etymologicalAnalyzer = new EtymologicalAnalyzer(this.provider);
         this.phoneticMapper = new PhoneticMapper();
     }
 
@@ -52,6 +74,9 @@ export class LanguageGenerator {
         await this.initializationPromise;
         
         this.generationStats.startTime = Date.now();
+
+        // Batching and parallelism are properties of this run, not of the language
+        const { concurrency = 1, batchSize = 10, saveInterval = 25, allowPause = true, ...settings } = config;
         
         const languageConfig = {
             name: config.name || 'CustomSigment',
@@ -60,20 +85,27 @@ export class LanguageGenerator {
             phoneticRules: config.phoneticRules || {},
             etymologicalDepth: config.etymologicalDepth || 'medium',
             customPrompt: config.customPrompt || '',
-            ...config
+            collisionStrategy: CollisionResolver.checkStrategy(config.collisionStrategy || 'alternate'),
+            stress: config.stress || 'initial',
+            ...settings,
+            seed: config.seed !== undefined && config.seed !== null ? String(config.seed) : SeededRandom.generateSeed(),
+            soundChanges: this.normalizeSoundChanges(config.soundChanges)
         };
 
-        console.log(`Generating language: ${languageConfig.name}`);
+        console.log(`Generating language: ${languageConfig.name} (seed: ${languageConfig.seed})`);
         
         const language = {
             config: languageConfig,
             vocabulary: new Map(),
             phoneticSystem: {},
+            grammar: null,
+            affixes: null,
             etymologicalMaps: new Map(),
             metadata: {
                 created: new Date().toISOString(),
                 version: '1.0.0',
-                generator: 'Sigment Language Constructor'
+                generator: 'Sigment Language Constructor',
+                seed: languageConfig.seed
             }
         };
 
@@ -81,16 +113,20 @@ export class LanguageGenerator {
             await this.applyCustomPromptLogic(language, languageConfig.customPrompt);
         }
 
+        this.ensureLanguageAffixes(language);
         await this.buildVocabulary(language, languageConfig.vocabulary, {
-            batchSize: config.batchSize || 10,
-            saveInterval: config.saveInterval || 25,
-            allowPause: config.allowPause !== false
+            batchSize,
+            saveInterval,
+            allowPause: allowPause !== false,
+            concurrency
         });
         await this.establishPhoneticSystem(language);
+        this.ensureLanguageGrammar(language);
         
         this.languageDatabase.set(languageConfig.name, language);
         
         await this.generateDictionaries(language);
+        await this.provider.flushCache();
         
         this.generationStats.languagesCreated++;
         
@@ -102,7 +138,7 @@ export class LanguageGenerator {
     }
 
     async applyCustomPromptLogic(language, customPrompt) {
-        if (this.ollamaClient) {
+        if (this.provider.isAvailable) {
             try {
                 const analysisPrompt = `
                 Analyze this custom language generation request and provide linguistic guidance:
@@ -121,7 +157,7 @@ export class LanguageGenerator {
                 CULTURE: [thematic elements]
                 `;
 
-                const response = await this.ollamaClient.makeRequest(analysisPrompt);
+                const response = await this.provider.complete(analysisPrompt);
                 const guidance = this.parseCustomPromptGuidance(response);
                 
                 this.applyPromptGuidance(language, guidance);
@@ -234,13 +270,16 @@ export class LanguageGenerator {
             batchSize = 10,
             saveInterval = 25,
             resumeFile = null,
-            allowPause = true
+            allowPause = true,
+            concurrency = 1
         } = options;
+        const workers = Math.max(1, parseInt(concurrency) || 1);
 
         // Set up pause/resume state
         this.batchState = {
             isPaused: false,
             shouldStop: false,
+            languageName: language.config.name,
             currentIndex: 0,
             totalWords: wordList.length,
             processedWords: new Set()
@@ -256,12 +295,45 @@ export class LanguageGenerator {
             await this.loadBatchProgress(language, resumeFile);
         }
 
-        console.log(`\nBatch processing ${wordList.length} words (batch size: ${batchSize}, save every: ${saveInterval})`);
+        console.log(`\nBatch processing ${wordList.length} words (batch size: ${batchSize}, save every: ${saveInterval}, concurrency: ${workers})`);
         console.log('Press Ctrl+P to pause/resume, Ctrl+C to gracefully exit\n');
 
         let processed = 0;
         let savedAt = 0;
 
+        // Up to `workers` words are fetched ahead, but words are added strictly in list order,
+        // so collisions resolve, progress files record and output comes out as with one worker
+        const prefetched = new Map();
+        let nextPrefetch = this.batchState.currentIndex;
+
+        // Each run of `batchSize` words is first requested from the provider in one prompt per kind
+        const batches = new Map();
+        const batchFor = (index) => {
+            if (batchSize <= 1) return null;
+            const start = index - (index % batchSize);
+            if (!batches.has(start)) {
+                const words = wordList.slice(start, start + batchSize)
+                    .map(word => word?.trim())
+                    .filter(word => word && !this.batchState.processedWords.has(word));
+                // Words missing from the batch are fetched individually
+                batches.set(start, this.provider.prefetch(words).catch(() => {}));
+            }
+            return batches.get(start);
+        };
+
+        const prefetchAhead = (from) => {
+            nextPrefetch = Math.max(nextPrefetch, from);
+            while (nextPrefetch < wordList.length && nextPrefetch < from + workers) {
+                const word = wordList[nextPrefetch]?.trim();
+                if (word && !this.batchState.processedWords.has(word) && !prefetched.has(nextPrefetch)) {
+                    const fetch = Promise.resolve(batchFor(nextPrefetch)).then(() => this.fetchWordData(word));
+                    fetch.catch(() => {}); // Awaited (and reported) when the word's turn comes
+                    prefetched.set(nextPrefetch, fetch);
+                }
+                nextPrefetch++;
+            }
+        };
+
         for (let i = this.batchState.currentIndex; i < wordList.length; i++) {
             // Check for pause/stop requests
             if (this.batchState.shouldStop) {
@@ -278,10 +350,19 @@ export class LanguageGenerator {
                 console.log(`⏸️  Processing paused at word ${i + 1}/${wordList.length}. Press Ctrl+P to resume.`);
             }
 
+            if (workers > 1) {
+                prefetchAhead(i);
+            }
+
             const word = wordList[i];
+            const wordData = prefetched.get(i);
+            prefetched.delete(i);
             if (word && word.trim() && !this.batchState.processedWords.has(word.trim())) {
                 try {
-                    await this.processWord(language, word.trim());
+                    if (!wordData) {
+                        await batchFor(i);
+                    }
+                    await this.processWord(language, word.trim(), wordData ? await wordData : null);
                     this.batchState.processedWords.add(word.trim());
                     processed++;
                     
@@ -305,8 +386,8 @@ export class LanguageGenerator {
                 savedAt = processed;
             }
 
-            // Small delay to allow signal handling
-            await this.delay(10);
+            // Let signal handlers and the pause check run even when every lookup is cached
+            await this.yieldToEventLoop();
         }
 
         // Final save
@@ -323,6 +404,10 @@ export class LanguageGenerator {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    yieldToEventLoop() {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+
     setupBatchSignalHandlers() {
         // Handle Ctrl+C for graceful exit
         process.on('SIGINT', () => {
@@ -379,6 +464,7 @@ export class LanguageGenerator {
         };
 
         await fs.writeFile(progressFile, JSON.stringify(progress, null, 2));
+        await this.provider.flushCache();
         return progressFile;
     }
 
@@ -411,22 +497,59 @@ export class LanguageGenerator {
         this.batchState = null;
     }
 
-    async processWord(language, englishWord) {
+    // Model lookups don't depend on other words, so they can run ahead of the ordered processing
+    async fetchWordData(englishWord) {
+        const [analysis, definitions] = await Promise.all([
+            this.etymologicalAnalyzer.analyzeWord(englishWord),
+            this.provider.getDefinitions(englishWord)
+        ]);
+        return { analysis, definitions };
+    }
+
+    async processWord(language, englishWord, wordData = null) {
         try {
-            const etymology = await this.etymologicalAnalyzer.analyzeWord(englishWord);
+            const { analysis, definitions: fetchedDefinitions } = wordData || await this.fetchWordData(englishWord);
+            // Where the model data came from is kept on the entry, not inside the data itself
+            const { source: etymologySource = 'unknown', ...historicalEtymology } = analysis.etymology || {};
+            const etymology = { ...analysis, etymology: historicalEtymology };
             
-            const sigmentMapping = this.phoneticMapper.mapWordToSigment(
+            const mappingOptions = this.getMappingOptions(language);
+
+            // Compounds are built from their parts, worked out here so earlier words in the list count
+            const compound = this.findCompound(language, englishWord, mappingOptions);
+            if (compound) {
+                this.applyCompoundMorphemes(etymology, compound);
+            } else if (etymology.segmentations) {
+                this.applyVocabularySegmentation(etymology, language.vocabulary);
+            }
+
+            let sigmentMapping = compound
+                ? this.phoneticMapper.composeSigmentWord(
+                    englishWord,
+                    compound.parts.map(part => part.sigment),
+                    etymology,
+                    mappingOptions
+                )
+                : this.phoneticMapper.mapWordToSigment(
+                    englishWord,
+                    etymology,
+                    language.config.style,
+                    mappingOptions
+                );
+
+            const resolution = this.collisionResolver.resolve(
+                language,
                 englishWord,
-                etymology,
-                language.config.style,
-                { asciiPronunciation: language.config.asciiPronunciation || false }
+                sigmentMapping.sigment,
+                this.phoneticMapper,
+                language.config.collisionStrategy || 'alternate'
             );
-
-            let definitions = { primary: [`Definition of ${englishWord}`] };
-            if (this.ollamaClient) {
-                definitions = await this.ollamaClient.getDefinitions(englishWord);
+            if (resolution.sigment !== sigmentMapping.sigment) {
+                sigmentMapping = this.phoneticMapper.describeSigmentWord(englishWord, resolution.sigment, etymology, mappingOptions);
             }
 
+            const { source: definitionsSource = 'unknown', ...definitions } = fetchedDefinitions;
+
             const vocabularyEntry = {
                 english: englishWord,
                 sigment: sigmentMapping.sigment,
@@ -437,11 +560,34 @@ export class LanguageGenerator {
                 transformationRules: sigmentMapping.transformationRules,
                 partOfSpeech: this.determinePartOfSpeech(englishWord, etymology, definitions),
                 frequency: this.calculateWordFrequency(englishWord),
+                dataSource: { etymology: etymologySource, definitions: definitionsSource },
                 created: new Date().toISOString()
             };
 
+            if (resolution.collision) {
+                vocabularyEntry.collision = resolution.collision;
+            }
+
+            if (compound) {
+                vocabularyEntry.compound = compound;
+            }
+
+            // Placeholder data from a failed model request, to be filled in once the provider is back
+            if (etymologySource === 'fallback' || definitionsSource === 'fallback') {
+                vocabularyEntry.degraded = true;
+                this.generationStats.degradedWords.push(englishWord);
+            }
+
+            // Drop the map entry of a previous version of this word so it doesn't block its old form
+            const previousEntry = language.vocabulary.get(englishWord);
+            if (previousEntry && language.etymologicalMaps.get(previousEntry.sigment) === previousEntry) {
+                language.etymologicalMaps.delete(previousEntry.sigment);
+            }
+
             language.vocabulary.set(englishWord, vocabularyEntry);
-            language.etymologicalMaps.set(sigmentMapping.sigment, vocabularyEntry);
+            if (!language.etymologicalMaps.has(sigmentMapping.sigment)) {
+                language.etymologicalMaps.set(sigmentMapping.sigment, vocabularyEntry);
+            }
             
             this.generationStats.wordsProcessed++;
             
@@ -459,6 +605,90 @@ export class LanguageGenerator {
         }
     }
 
+    getMappingOptions(language) {
+        return {
+            asciiPronunciation: language.config.asciiPronunciation || false,
+            seed: language.config.seed,
+            soundChanges: this.getSoundChanges(language),
+            affixes: language.affixes || null,
+            pronunciationLexicon: language.config.pronunciationLexicon || null,
+            phonotactics: this.getPhonotactics(language),
+            stress: language.config.stress
+        };
+    }
+
+    // Parts already in the vocabulary keep their form; others are mapped as they would be on their own
+    findCompound(language, englishWord, mappingOptions) {
+        const parts = this.etymologicalAnalyzer.findCompound(englishWord.toLowerCase(), language.vocabulary);
+        if (!parts) return null;
+
+        return {
+            parts: parts.map(part => ({
+                english: part,
+                sigment: language.vocabulary.get(part)?.sigment || this.phoneticMapper.mapWordToSigment(
+                    part,
+                    this.etymologicalAnalyzer.analyzeForm(part),
+                    language.config.style,
+                    mappingOptions
+                ).sigment
+            }))
+        };
+    }
+
+    // A compound's morphemes are the words it is made of
+    applyCompoundMorphemes(etymology, compound) {
+        etymology.morphemes = compound.parts.map(part => ({ type: 'root', value: part.english, meaning: 'core meaning' }));
+        etymology.semanticComponents = this.etymologicalAnalyzer.extractSemanticComponents(etymology.word, etymology.morphemes);
+        delete etymology.segmentations;
+        return etymology;
+    }
+
+    // Ambiguous words are split around a root the language already has, when the best split's root is unknown
+    applyVocabularySegmentation(etymology, vocabulary) {
+        const chosen = this.etymologicalAnalyzer.chooseSegmentation(etymology.word, etymology.segmentations, vocabulary);
+        if (chosen.morphemes !== etymology.morphemes) {
+            etymology.morphemes = chosen.morphemes;
+            etymology.semanticComponents = this.etymologicalAnalyzer.extractSemanticComponents(etymology.word, chosen.morphemes);
+        }
+        return etymology;
+    }
+
+    normalizeSoundChanges(soundChanges) {
+        if (!soundChanges) return [];
+        if (soundChanges instanceof SoundChangeRules) return soundChanges.toJSON();
+        if (typeof soundChanges === 'string') return SoundChangeRules.parse(soundChanges).toJSON();
+        if (Array.isArray(soundChanges)) return SoundChangeRules.fromJSON(soundChanges).toJSON();
+        throw new Error('Sound changes must be rule text, a serialized rule array or a SoundChangeRules instance');
+    }
+
+    getSoundChanges(language) {
+        const serialized = language.config.soundChanges;
+        if (!Array.isArray(serialized) || serialized.length === 0) {
+            return null;
+        }
+
+        if (!this.compiledSoundChanges.has(serialized)) {
+            this.compiledSoundChanges.set(serialized, SoundChangeRules.fromJSON(serialized));
+        }
+        return this.compiledSoundChanges.get(serialized);
+    }
+
+    // Languages without their own constraints use the default English-like ones
+    getPhonotactics(language) {
+        const config = language.config.phonotactics;
+        if (!config) {
+            if (!this.defaultPhonotactics) {
+                this.defaultPhonotactics = new Phonotactics();
+            }
+            return this.defaultPhonotactics;
+        }
+
+        if (!this.compiledPhonotactics.has(config)) {
+            this.compiledPhonotactics.set(config, new Phonotactics(config));
+        }
+        return this.compiledPhonotactics.get(config);
+    }
+
     async establishPhoneticSystem(language) {
         const phoneticSystem = {
             vowelInventory: new Set(),
@@ -481,6 +711,10 @@ export class LanguageGenerator {
                 (phoneticSystem.syllableStructures.get(structure.syllableCount) || 0) + 1
             );
 
+            if (structure.stressPattern) {
+                phoneticSystem.stressPatterns.add(structure.stressPattern.join(' '));
+            }
+
             for (const char of entry.sigment.toLowerCase()) {
                 if ('aeiou'.includes(char)) {
                     phoneticSystem.vowelInventory.add(char);
@@ -503,45 +737,73 @@ export class LanguageGenerator {
         const sigmentToSigmentDict = this.createSigmentToSigmentDictionary(language);
         const englishToSigmentDict = this.createEnglishToSigmentDictionary(language);
 
-        await fs.writeFile(
-            path.join(outputDir, `${languageName}_to_English.json`),
-            JSON.stringify(sigmentToEnglishDict, null, 2)
-        );
-
-        await fs.writeFile(
-            path.join(outputDir, `${languageName}_to_${languageName}.json`),
-            JSON.stringify(sigmentToSigmentDict, null, 2)
-        );
-
-        await fs.writeFile(
-            path.join(outputDir, `English_to_${languageName}.json`),
-            JSON.stringify(englishToSigmentDict, null, 2)
-        );
+        await this.writeFilesAtomically([
+            {
+                path: path.join(outputDir, `${languageName}_to_English.json`),
+                content: JSON.stringify(sigmentToEnglishDict, null, 2)
+            },
+            {
+                path: path.join(outputDir, `${languageName}_to_${languageName}.json`),
+                content: JSON.stringify(sigmentToSigmentDict, null, 2)
+            },
+            {
+                path: path.join(outputDir, `English_to_${languageName}.json`),
+                content: JSON.stringify(englishToSigmentDict, null, 2)
+            },
+            {
+                path: path.join(outputDir, `${languageName}_metadata.json`),
+                content: JSON.stringify({
+                    ...language.metadata,
+                    config: language.config,
+                    phoneticSystem: this.serializePhoneticSystem(language.phoneticSystem),
+                    grammar: language.grammar || undefined,
+                    affixes: language.affixes || undefined,
+                    vocabularySize: language.vocabulary.size,
+                    generationStats: this.generationStats
+                }, null, 2)
+            }
+        ]);
+    }
 
-        await fs.writeFile(
-            path.join(outputDir, `${languageName}_metadata.json`),
-            JSON.stringify({
-                ...language.metadata,
-                config: language.config,
-                phoneticSystem: this.serializePhoneticSystem(language.phoneticSystem),
-                vocabularySize: language.vocabulary.size,
-                generationStats: this.generationStats
-            }, null, 2)
-        );
+    // All files are written next to their targets before any is replaced, so a failed write
+    // leaves the previous set of dictionaries whole instead of a mix of old and new files
+    async writeFilesAtomically(files) {
+        const temporaryPaths = files.map(file => `${file.path}.${process.pid}.tmp`);
+        try {
+            await Promise.all(files.map((file, i) => fs.writeFile(temporaryPaths[i], file.content)));
+            for (let i = 0; i < files.length; i++) {
+                await fs.rename(temporaryPaths[i], files[i].path);
+            }
+        } catch (error) {
+            await Promise.all(temporaryPaths.map(temporaryPath => fs.rm(temporaryPath, { force: true })));
+            throw error;
+        }
     }
 
     createSigmentToEnglishDictionary(language) {
         const dictionary = {};
         
         for (const [englishWord, entry] of language.vocabulary) {
+            // Intentional homonyms share one form: list the extra meanings under the first entry
+            if (dictionary[entry.sigment]) {
+                dictionary[entry.sigment].homonyms = dictionary[entry.sigment].homonyms || [];
+                dictionary[entry.sigment].homonyms.push({
+                    english: englishWord,
+                    definitions: entry.definitions.primary,
+                    partOfSpeech: entry.partOfSpeech
+                });
+                continue;
+            }
+
             dictionary[entry.sigment] = {
                 english: englishWord,
                 definitions: entry.definitions.primary,
                 pronunciation: entry.pronunciation,
                 partOfSpeech: entry.partOfSpeech,
                 etymology: {
-                    origin: entry.etymology.origin || 'unknown',
-                    development: entry.etymology.development || ''
+                    // Analyses nest the historical etymology; reconstructed entries keep it at the top
+                    origin: entry.etymology.etymology?.origin || entry.etymology.origin || 'unknown',
+                    development: entry.etymology.etymology?.development || entry.etymology.development || ''
                 }
             };
         }
@@ -566,6 +828,11 @@ export class LanguageGenerator {
                 language
             );
 
+            if (dictionary[entry.sigment]) {
+                dictionary[entry.sigment].definitions.push(...sigmentDefinitions);
+                continue;
+            }
+
             dictionary[entry.sigment] = {
                 definitions: sigmentDefinitions,
                 pronunciation: entry.pronunciation,
@@ -593,9 +860,43 @@ export class LanguageGenerator {
                 sigment: entry.sigment,
                 pronunciation: entry.pronunciation,
                 definitions: entry.definitions.primary,
+                definitionDetails: entry.definitions,
                 partOfSpeech: entry.partOfSpeech,
-                phoneticStructure: entry.phoneticStructure
+                phoneticStructure: entry.phoneticStructure,
+                etymology: entry.etymology,
+                transformationRules: entry.transformationRules,
+                frequency: entry.frequency,
+                dataSource: entry.dataSource,
+                created: entry.created
             };
+
+            if (entry.degraded) {
+                dictionary[englishWord].degraded = true;
+            }
+
+            if (entry.collision) {
+                dictionary[englishWord].collision = entry.collision;
+            }
+
+            if (entry.compound) {
+                dictionary[englishWord].compound = entry.compound;
+            }
+
+            if (entry.inherited) {
+                dictionary[englishWord].inherited = entry.inherited;
+            }
+
+            if (entry.semanticDrift) {
+                dictionary[englishWord].semanticDrift = entry.semanticDrift;
+            }
+
+            if (entry.locked) {
+                dictionary[englishWord].locked = true;
+            }
+
+            if (entry.edited) {
+                dictionary[englishWord].edited = entry.edited;
+            }
         }
 
         return {
@@ -690,7 +991,8 @@ export class LanguageGenerator {
         const suffixMorphemes = morphemes.filter(m => m && m.type === 'suffix' && m.value);
         
         if (suffixMorphemes.length > 0) {
-            const suffix = suffixMorphemes[0].value;
+            // The outermost suffix decides the word class (help-ful-ness is a noun)
+            const suffix = suffixMorphemes[suffixMorphemes.length - 1].value;
             const posMap = {
                 '-ing': 'verb/noun',
                 '-ed': 'verb',
@@ -700,7 +1002,22 @@ export class LanguageGenerator {
                 '-tion': 'noun',
                 '-ness': 'noun',
                 '-ful': 'adjective',
-                '-less': 'adjective'
+                '-less': 'adjective',
+                '-sion': 'noun',
+                '-ion': 'noun',
+                '-ment': 'noun',
+                '-ity': 'noun',
+                '-ship': 'noun',
+                '-hood': 'noun',
+                '-ism': 'noun',
+                '-ist': 'noun',
+                '-ance': 'noun',
+                '-able': 'adjective',
+                '-ible': 'adjective',
+                '-ous': 'adjective',
+                '-ive': 'adjective',
+                '-ize': 'verb',
+                '-ify': 'verb'
             };
             
             if (posMap[suffix]) return posMap[suffix];
@@ -777,6 +1094,8 @@ export class LanguageGenerator {
             config: language.config,
             vocabulary: Object.fromEntries(language.vocabulary),
             phoneticSystem: this.serializePhoneticSystem(language.phoneticSystem),
+            grammar: language.grammar,
+            affixes: language.affixes,
             metadata: language.metadata,
             stats: this.getGenerationStats()
         };
@@ -793,12 +1112,16 @@ export class LanguageGenerator {
             config: data.config,
             vocabulary: new Map(Object.entries(data.vocabulary)),
             phoneticSystem: this.deserializePhoneticSystem(data.phoneticSystem),
+            grammar: data.grammar || null,
+            affixes: data.affixes || null,
             etymologicalMaps: new Map(),
             metadata: data.metadata
         };
 
         for (const [, entry] of language.vocabulary) {
-            language.etymologicalMaps.set(entry.sigment, entry);
+            if (!language.etymologicalMaps.has(entry.sigment)) {
+                language.etymologicalMaps.set(entry.sigment, entry);
+            }
         }
 
         this.languageDatabase.set(data.config.name, language);
@@ -879,11 +1202,30 @@ export class LanguageGenerator {
                 throw new Error(`Language "${languageName}" not found`);
             }
 
+            this.ensureLanguageSeed(existingLanguage);
+            this.ensureLanguageGrammar(existingLanguage);
+            this.ensureLanguageAffixes(existingLanguage);
+
             // Override ASCII pronunciation setting if specified
             if (options.asciiPronunciation !== undefined) {
                 existingLanguage.config.asciiPronunciation = options.asciiPronunciation;
             }
 
+            if (options.collisionStrategy) {
+                existingLanguage.config.collisionStrategy = CollisionResolver.checkStrategy(options.collisionStrategy);
+            }
+
+            if (options.soundChanges) {
+                existingLanguage.config.soundChanges = this.normalizeSoundChanges(options.soundChanges);
+            }
+
+            if (options.pronunciationLexicon) {
+                existingLanguage.config.pronunciationLexicon = {
+                    ...existingLanguage.config.pronunciationLexicon,
+                    ...options.pronunciationLexicon
+                };
+            }
+
             // Filter out words that already exist
             const wordsToAdd = newWords.filter(word => {
                 const cleanWord = word.trim();
@@ -923,7 +1265,8 @@ export class LanguageGenerator {
                 batchSize: options.batchSize || 10,
                 saveInterval: options.saveInterval || 25,
                 resumeFile,
-                allowPause: options.allowPause !== false
+                allowPause: options.allowPause !== false,
+                concurrency: options.concurrency || 1
             };
 
             const result = await this.processWordsBatch(existingLanguage, wordsToAdd, batchOptions);
@@ -939,6 +1282,7 @@ export class LanguageGenerator {
                 await this.generateDictionaries(existingLanguage);
                 console.log(`✅ Added ${addedCount} new words to ${languageName}`);
             }
+            await this.provider.flushCache();
             
             // Analyze if dictionary reconstruction would be beneficial
             const reconstructionAnalysis = await this.shouldReconstructDictionary(existingLanguage, addedCount);
@@ -949,6 +1293,7 @@ export class LanguageGenerator {
                 skippedCount: newWords.length - addedCount,
                 dictionaries: this.getDictionaryPaths(languageName),
                 reconstructionRecommendation: reconstructionAnalysis,
+                degradedWords: wordsToAdd.filter(word => existingLanguage.vocabulary.get(word)?.degraded),
                 wasStopped: result.stopped || false
             };
 
@@ -958,6 +1303,364 @@ export class LanguageGenerator {
         }
     }
 
+    async enrichLanguage(languageName, options = {}) {
+        await this.initializationPromise;
+
+        if (!this.provider.isAvailable) {
+            throw new Error('Enriching needs a language model provider, but none is available');
+        }
+
+        const language = options.file ?
+            await this.loadLanguageData(options.file) :
+            await this.loadFullLanguageData(languageName);
+        if (!language) {
+            throw new Error(`Language "${languageName}" not found`);
+        }
+
+        const onlyWords = options.words ? new Set(options.words.map(word => word.trim().toLowerCase())) : null;
+        let candidates = this.findEntriesToEnrich(language, onlyWords);
+        if (options.limit > 0) {
+            candidates = candidates.slice(0, options.limit);
+        }
+
+        const batchSize = Math.max(1, options.batchSize || 10);
+        console.log(`\nEnriching ${candidates.length} of ${language.vocabulary.size} words in ${language.config.name}...`);
+
+        const changes = [];
+        const unresolved = [];
+        for (let start = 0; start < candidates.length; start += batchSize) {
+            const batch = candidates.slice(start, start + batchSize);
+            const wordsNeeding = (field) => batch.filter(candidate => candidate.fields.includes(field)).map(candidate => candidate.english);
+
+            // Only the data each word is missing is requested, a batch at a time
+            if (batchSize > 1) {
+                await this.provider.prefetch(wordsNeeding('etymology'), ['etymology']).catch(() => {});
+                await this.provider.prefetch(wordsNeeding('definitions'), ['definitions']).catch(() => {});
+            }
+
+            const results = await Promise.all(batch.map(async (candidate) => {
+                const [analysis, definitions] = await Promise.all([
+                    candidate.fields.includes('etymology') ? this.etymologicalAnalyzer.analyzeWord(candidate.english) : null,
+                    candidate.fields.includes('definitions') ? this.provider.getDefinitions(candidate.english) : null
+                ]);
+                return { analysis, definitions };
+            }));
+
+            batch.forEach((candidate, index) => {
+                const entry = language.vocabulary.get(candidate.english);
+                const change = this.enrichEntry(entry, results[index]);
+                if (change.fields.length > 0) {
+                    changes.push({ english: candidate.english, sigment: entry.sigment, reasons: candidate.reasons, ...change });
+                }
+                const remaining = this.getEnrichmentNeeds(entry);
+                if (remaining.fields.length > 0) {
+                    unresolved.push({ english: candidate.english, reasons: remaining.reasons });
+                }
+            });
+
+            console.log(`📝 Checked ${Math.min(start + batchSize, candidates.length)}/${candidates.length} words...`);
+        }
+
+        await this.provider.flushCache();
+
+        if (changes.length > 0 && !options.dryRun) {
+            language.metadata = {
+                ...language.metadata,
+                lastModified: new Date().toISOString(),
+                version: this.incrementVersion(language.metadata?.version)
+            };
+            if (options.file) {
+                await this.saveLanguageData(language.config.name, options.file);
+            } else {
+                await this.generateDictionaries(language);
+            }
+        }
+
+        return {
+            language,
+            checkedCount: candidates.length,
+            changes,
+            unresolved,
+            dryRun: Boolean(options.dryRun)
+        };
+    }
+
+    // Entries with missing or placeholder model data, e.g. from offline runs or provider outages
+    findEntriesToEnrich(language, onlyWords = null) {
+        const candidates = [];
+        for (const [englishWord, entry] of language.vocabulary) {
+            if (onlyWords && !onlyWords.has(englishWord.toLowerCase())) continue;
+
+            const needs = this.getEnrichmentNeeds(entry);
+            if (needs.fields.length > 0) {
+                candidates.push({ english: englishWord, ...needs });
+            }
+        }
+        return candidates;
+    }
+
+    getEnrichmentNeeds(entry) {
+        const reasons = [];
+        const fields = new Set();
+        const need = (field, reason) => {
+            fields.add(field);
+            reasons.push(reason);
+        };
+
+        const primary = entry.definitions?.primary;
+        if (!Array.isArray(primary) || primary.length === 0) {
+            need('definitions', 'no definitions');
+        } else if (primary.every(definition => PLACEHOLDER_DEFINITION.test(String(definition).trim()))) {
+            need('definitions', 'placeholder definitions');
+        } else if (entry.dataSource?.definitions === 'fallback') {
+            need('definitions', 'fallback definitions');
+        }
+
+        const origin = this.getEntryOrigin(entry);
+        if (!origin || PLACEHOLDER_ORIGINS.has(origin)) {
+            need('etymology', `origin ${origin || 'missing'}`);
+        }
+        if (!Array.isArray(entry.etymology?.morphemes) || entry.etymology.morphemes.length === 0) {
+            need('etymology', 'no morphemes');
+        }
+        if (entry.dataSource?.etymology === 'fallback' && !fields.has('etymology')) {
+            need('etymology', 'fallback etymology');
+        }
+
+        return { fields: Array.from(fields), reasons };
+    }
+
+    // Generated entries keep the origin in the nested historical etymology, reconstructed ones at the top
+    getEntryOrigin(entry) {
+        return entry.etymology?.etymology?.origin ?? entry.etymology?.origin;
+    }
+
+    // Fills in newly fetched model data; the word's form, pronunciation and collision handling stay as they are
+    enrichEntry(entry, { analysis, definitions: fetchedDefinitions }) {
+        const before = {
+            origin: this.getEntryOrigin(entry) ?? null,
+            definitions: entry.definitions?.primary || [],
+            partOfSpeech: entry.partOfSpeech
+        };
+        const dataSource = { etymology: 'unknown', definitions: 'unknown', ...entry.dataSource };
+        const fields = [];
+
+        if (analysis) {
+            const { source: etymologySource = 'unknown', ...historicalEtymology } = analysis.etymology || {};
+            const etymology = { ...analysis, etymology: historicalEtymology };
+            if (entry.compound) {
+                this.applyCompoundMorphemes(etymology, entry.compound);
+            }
+            if (etymologySource !== 'fallback' && JSON.stringify(etymology) !== JSON.stringify(entry.etymology)) {
+                entry.etymology = etymology;
+                dataSource.etymology = etymologySource;
+                fields.push('etymology');
+            }
+        }
+
+        if (fetchedDefinitions) {
+            const { source: definitionsSource = 'unknown', ...definitions } = fetchedDefinitions;
+            const primary = definitions.primary || [];
+            const isPlaceholder = primary.length === 0 || primary.every(definition => PLACEHOLDER_DEFINITION.test(String(definition).trim()));
+            if (definitionsSource !== 'fallback' && !isPlaceholder && JSON.stringify(definitions) !== JSON.stringify(entry.definitions)) {
+                entry.definitions = definitions;
+                dataSource.definitions = definitionsSource;
+                fields.push('definitions');
+            }
+        }
+
+        if (fields.length === 0) {
+            return { fields, before, after: before };
+        }
+
+        entry.partOfSpeech = this.determinePartOfSpeech(entry.english, entry.etymology, entry.definitions);
+        entry.dataSource = dataSource;
+        if (dataSource.etymology !== 'fallback' && dataSource.definitions !== 'fallback') {
+            delete entry.degraded;
+        }
+
+        return {
+            fields,
+            before,
+            after: {
+                origin: this.getEntryOrigin(entry) ?? null,
+                definitions: entry.definitions.primary || [],
+                partOfSpeech: entry.partOfSpeech
+            }
+        };
+    }
+
+    /**
+     * Change one entry by hand. A new form gets its pronunciation and phonetic structure derived
+     * again unless a pronunciation is given too; Sigment definitions and related words are
+     * rebuilt for the whole dictionary when the files are written
+     * @param {string} languageName - Language to edit
+     * @param {string} englishWord - Entry to change
+     * @param {Object} changes - sigment, pronunciation, definitions (the primary definitions),
+     *   partOfSpeech and locked; homonym lets the new form be one another word already has
+     * @returns {Object} The changed entry and its previous form and pronunciation
+     */
+    async editWord(languageName, englishWord, changes = {}) {
+        await this.initializationPromise;
+
+        const fields = ['sigment', 'pronunciation', 'definitions', 'partOfSpeech', 'locked']
+            .filter(field => changes[field] !== undefined && changes[field] !== null);
+        if (fields.length === 0) {
+            throw new Error('Nothing to change: give a form, pronunciation, definitions, part of speech or lock');
+        }
+
+        const language = await this.loadEditableLanguage(languageName);
+        const entry = language.vocabulary.get(englishWord);
+        if (!entry) {
+            throw new Error(`Word "${englishWord}" is not in ${languageName}`);
+        }
+
+        const previous = { sigment: entry.sigment, pronunciation: entry.pronunciation };
+        const sigment = changes.sigment?.trim();
+
+        if (sigment && sigment !== entry.sigment) {
+            const conflict = this.collisionResolver.findCollision(language, sigment, englishWord);
+            if (conflict && !changes.homonym) {
+                throw new Error(`"${sigment}" is already the ${languageName} word for "${conflict.english}" (allow a homonym to share it)`);
+            }
+
+            const mapping = this.phoneticMapper.describeSigmentWord(englishWord, sigment, entry.etymology, this.getMappingOptions(language));
+            this.releaseForm(language, entry);
+            entry.sigment = sigment;
+            entry.pronunciation = mapping.pronunciation;
+            entry.phoneticStructure = mapping.phoneticStructure;
+            entry.transformationRules = mapping.transformationRules;
+
+            // The old collision record described the old form
+            delete entry.collision;
+            if (conflict) {
+                entry.collision = { strategy: 'homonym', originalForm: sigment, conflictsWith: conflict.english, homonym: true };
+            } else {
+                language.etymologicalMaps.set(sigment, entry);
+            }
+        }
+
+        if (changes.pronunciation) {
+            entry.pronunciation = changes.pronunciation;
+        }
+        if (changes.definitions) {
+            entry.definitions = { ...entry.definitions, primary: changes.definitions };
+        }
+        if (changes.partOfSpeech) {
+            entry.partOfSpeech = changes.partOfSpeech;
+        }
+        if (changes.locked !== undefined && changes.locked !== null) {
+            this.setLocked(entry, changes.locked);
+        }
+        entry.edited = new Date().toISOString();
+
+        await this.saveEditedLanguage(language);
+
+        return { entry, previous, fields };
+    }
+
+    /**
+     * Remove entries from a language, freeing their forms for other words
+     * @param {string} languageName - Language to edit
+     * @param {Array} words - English words to remove
+     * @returns {Object} { removed, missing } lists of English words
+     */
+    async removeWords(languageName, words) {
+        await this.initializationPromise;
+
+        const language = await this.loadEditableLanguage(languageName);
+        const removed = [];
+        const missing = [];
+
+        for (const word of words) {
+            const entry = language.vocabulary.get(word);
+            if (!entry) {
+                missing.push(word);
+                continue;
+            }
+            language.vocabulary.delete(word);
+            this.releaseForm(language, entry);
+            removed.push(word);
+        }
+
+        if (removed.length > 0) {
+            await this.saveEditedLanguage(language);
+        }
+
+        return { removed, missing };
+    }
+
+    /**
+     * Lock entries so reconstruction keeps their forms and other words resolve collisions
+     * around them, or unlock them again
+     * @param {string} languageName - Language to edit
+     * @param {Array} words - English words to lock or unlock
+     * @param {boolean} locked - false to unlock
+     * @returns {Object} { changed, unchanged, missing } lists of English words
+     */
+    async lockWords(languageName, words, locked = true) {
+        await this.initializationPromise;
+
+        const language = await this.loadEditableLanguage(languageName);
+        const changed = [];
+        const unchanged = [];
+        const missing = [];
+
+        for (const word of words) {
+            const entry = language.vocabulary.get(word);
+            if (!entry) {
+                missing.push(word);
+            } else if (Boolean(entry.locked) === locked) {
+                unchanged.push(word);
+            } else {
+                this.setLocked(entry, locked);
+                changed.push(word);
+            }
+        }
+
+        if (changed.length > 0) {
+            await this.saveEditedLanguage(language);
+        }
+
+        return { changed, unchanged, missing };
+    }
+
+    async loadEditableLanguage(languageName) {
+        const language = await this.loadFullLanguageData(languageName);
+        if (!language) {
+            throw new Error(`Language "${languageName}" not found`);
+        }
+        return language;
+    }
+
+    setLocked(entry, locked) {
+        if (locked) {
+            entry.locked = true;
+        } else {
+            delete entry.locked;
+        }
+    }
+
+    // A form an entry gives up goes to a homonym that still uses it, if there is one
+    releaseForm(language, entry) {
+        if (language.etymologicalMaps.get(entry.sigment) !== entry) return;
+
+        language.etymologicalMaps.delete(entry.sigment);
+        for (const other of language.vocabulary.values()) {
+            if (other !== entry && other.sigment === entry.sigment) {
+                language.etymologicalMaps.set(entry.sigment, other);
+                return;
+            }
+        }
+    }
+
+    async saveEditedLanguage(language) {
+        language.metadata.lastModified = new Date().toISOString();
+        language.metadata.version = this.incrementVersion(language.metadata.version);
+        await this.establishPhoneticSystem(language);
+        await this.generateDictionaries(language);
+    }
+
     async promptForResume(languageName) {
         // In a real implementation, you'd use inquirer for this
         // For now, we'll assume resume is wanted if progress file exists
@@ -996,27 +1699,21 @@ export class LanguageGenerator {
                 config: metadata.config,
                 vocabulary: new Map(),
                 phoneticSystem: this.deserializePhoneticSystem(metadata.phoneticSystem || {}),
+                grammar: metadata.grammar || null,
+                affixes: metadata.affixes || null,
                 etymologicalMaps: new Map(),
                 metadata
             };
 
             // Reconstruct vocabulary from dictionary
             for (const [englishWord, entry] of Object.entries(englishDict.dictionary || {})) {
-                const vocabularyEntry = {
-                    english: englishWord,
-                    sigment: entry.sigment,
-                    pronunciation: entry.pronunciation,
-                    definitions: { primary: entry.definitions || [] },
-                    etymology: { morphemes: [], origin: 'reconstructed', root: englishWord },
-                    phoneticStructure: entry.phoneticStructure || {},
-                    transformationRules: [],
-                    partOfSpeech: entry.partOfSpeech || 'unknown',
-                    frequency: 'unknown',
-                    created: metadata.created || new Date().toISOString()
-                };
+                // Dictionaries written before full entries were saved fall back to a reconstructed etymology
+                const vocabularyEntry = SigmentUtils.entryFromDictionary(englishWord, entry, metadata.created);
 
                 language.vocabulary.set(englishWord, vocabularyEntry);
-                language.etymologicalMaps.set(entry.sigment, vocabularyEntry);
+                if (!language.etymologicalMaps.has(entry.sigment)) {
+                    language.etymologicalMaps.set(entry.sigment, vocabularyEntry);
+                }
             }
 
             // Store in memory
@@ -1031,6 +1728,112 @@ export class LanguageGenerator {
         }
     }
 
+    fromSigmentLanguage(sigmentLanguage) {
+        // The affix table travels with the grammar in .sigment files but is kept apart in the language
+        const { affixes, ...grammar } = sigmentLanguage.grammar;
+        const config = {
+            name: sigmentLanguage.name,
+            style: sigmentLanguage.style,
+            collisionStrategy: 'alternate',
+            ...sigmentLanguage.config
+        };
+        if (sigmentLanguage.seed !== null && config.seed === undefined) {
+            config.seed = sigmentLanguage.seed;
+        }
+        if (!config.soundChanges && Array.isArray(sigmentLanguage.phonetics.rules)) {
+            config.soundChanges = this.normalizeSoundChanges(sigmentLanguage.phonetics.rules);
+        }
+
+        const language = {
+            config,
+            vocabulary: new Map(),
+            phoneticSystem: this.deserializePhoneticSystem(sigmentLanguage.phoneticSystem || {}),
+            grammar: sigmentLanguage.grammar.patterns ? grammar : null,
+            affixes: affixes || null,
+            etymologicalMaps: new Map(),
+            metadata: {
+                created: sigmentLanguage.created,
+                version: '1.0.0',
+                generator: 'Sigment Language Constructor',
+                ...sigmentLanguage.metadata
+            }
+        };
+
+        for (const [englishWord, entry] of Object.entries(sigmentLanguage.entries)) {
+            const vocabularyEntry = SigmentUtils.entryFromDictionary(englishWord, entry, sigmentLanguage.created);
+            language.vocabulary.set(englishWord, vocabularyEntry);
+            if (!language.etymologicalMaps.has(vocabularyEntry.sigment)) {
+                language.etymologicalMaps.set(vocabularyEntry.sigment, vocabularyEntry);
+            }
+        }
+
+        return language;
+    }
+
+    async importSigmentLanguage(sigmentLanguage, options = {}) {
+        // The affix table is completed from the analyzer's segmenter, created on initialization
+        await this.initializationPromise;
+
+        const language = this.fromSigmentLanguage(sigmentLanguage);
+
+        if (options.source) {
+            language.metadata.imported = new Date().toISOString();
+            language.metadata.source = options.source;
+        }
+
+        // Files from other tools may only carry dictionaries: derive what they leave out
+        if (!sigmentLanguage.phoneticSystem) {
+            await this.establishPhoneticSystem(language);
+        }
+        this.ensureLanguageSeed(language);
+        this.ensureLanguageAffixes(language);
+
+        this.languageDatabase.set(language.config.name, language);
+        await this.generateDictionaries(language);
+
+        return {
+            language,
+            dictionaries: this.getDictionaryPaths(language.config.name)
+        };
+    }
+
+    ensureLanguageSeed(language) {
+        // Languages created before seeding was introduced get a seed once, then stay stable
+        if (language.config.seed === undefined || language.config.seed === null) {
+            language.config.seed = SeededRandom.generateSeed();
+            language.metadata.seed = language.config.seed;
+        }
+        return language.config.seed;
+    }
+
+    ensureLanguageGrammar(language) {
+        // The grammar is generated once; later words and reconstructions inflect with the same affixes
+        if (!language.grammar) {
+            language.grammar = this.grammarEngine.generateGrammar(language, {
+                soundChanges: this.getSoundChanges(language)
+            });
+        }
+        return language.grammar;
+    }
+
+    ensureLanguageAffixes(language) {
+        // Like the grammar, the affix table is generated once; affixes the segmenter learned since are added
+        const table = language.affixes || {};
+        const missing = Array.from(this.etymologicalAnalyzer.segmenter.affixes.values())
+            .filter(affix => !Object.hasOwn(table, affix.value));
+        if (missing.length > 0) {
+            language.affixes = {
+                ...table,
+                ...this.phoneticMapper.generateAffixTable(missing, language.config.style, {
+                    seed: language.config.seed,
+                    soundChanges: this.getSoundChanges(language),
+                    phonotactics: this.getPhonotactics(language)
+                })
+            };
+        }
+        return language.affixes;
+    }
+
     incrementVersion(currentVersion) {
         if (!currentVersion || currentVersion === '1.0.0') {
             return '1.0.1';
@@ -1189,6 +1992,7 @@ export class LanguageGenerator {
             consonantShifts: new Map(),
             morphemeRules: new Map(),
             lengthPatterns: new Map(),
+            affixConsistency: null,
             consistencyScore: 0
         };
 
@@ -1219,6 +2023,9 @@ export class LanguageGenerator {
                 }
             }
 
+            // Analyze how each English affix is realized
+            this.collectAffixRealizations(patterns.morphemeRules, english, entry, language.affixes);
+
             // Analyze word length patterns
             const lengthKey = english.length;
             if (!patterns.lengthPatterns.has(lengthKey)) {
@@ -1232,11 +2039,90 @@ export class LanguageGenerator {
         }
 
         // Calculate consistency score
+        patterns.affixConsistency = this.calculateAffixConsistency(patterns.morphemeRules);
         patterns.consistencyScore = this.calculateConsistencyScore(patterns, vocabularyEntries.length);
         
         return patterns;
     }
 
+    /**
+     * Score every Sigment form against the language's phonotactic constraints
+     * @param {Object} language - Language with vocabulary
+     * @param {Phonotactics} phonotactics - Constraints to check against (default: the language's own)
+     * @returns {Object} average score, violation counts by type and the forms that break the constraints
+     */
+    lintPhonology(language, phonotactics = this.getPhonotactics(language)) {
+        const report = { words: language.vocabulary.size, averageScore: 100, byType: {}, violations: [] };
+        let totalScore = 0;
+
+        for (const [english, entry] of language.vocabulary) {
+            const { score, violations } = phonotactics.analyze(entry.sigment);
+            totalScore += score;
+            if (violations.length === 0) continue;
+
+            for (const violation of violations) {
+                report.byType[violation.type] = (report.byType[violation.type] || 0) + 1;
+            }
+            report.violations.push({
+                english,
+                sigment: entry.sigment,
+                score,
+                violations,
+                repaired: phonotactics.repair(entry.sigment).word
+            });
+        }
+
+        report.violations.sort((a, b) => a.score - b.score || a.english.localeCompare(b.english));
+        if (report.words > 0) {
+            report.averageScore = totalScore / report.words;
+        }
+        return report;
+    }
+
+    // Counts the Sigment form each English affix of the word takes: its table form where the word
+    // carries it, otherwise as many letters as the affix has in English
+    collectAffixRealizations(morphemeRules, english, entry, affixes = null) {
+        const morphemes = entry.etymology?.morphemes || [];
+        const { affixMorphemes } = this.phoneticMapper.splitAffixes(english.toLowerCase(), morphemes);
+        const sigment = entry.sigment.toLowerCase();
+        let start = 0;
+        let end = sigment.length;
+
+        const record = (morpheme, form) => {
+            if (!morphemeRules.has(morpheme.value)) {
+                morphemeRules.set(morpheme.value, new Map());
+            }
+            const forms = morphemeRules.get(morpheme.value);
+            forms.set(form, (forms.get(form) || 0) + 1);
+        };
+
+        for (const morpheme of affixMorphemes.filter(m => m.type === 'prefix')) {
+            const table = affixes?.[morpheme.value];
+            const length = table && sigment.startsWith(table, start) ? table.length : this.phoneticMapper.getMorphemeForm(morpheme).length;
+            record(morpheme, sigment.slice(start, start + length));
+            start += length;
+        }
+        for (const morpheme of affixMorphemes.filter(m => m.type === 'suffix').reverse()) {
+            const table = affixes?.[morpheme.value];
+            const length = table && sigment.slice(0, end).endsWith(table) ? table.length : this.phoneticMapper.getMorphemeForm(morpheme).length;
+            record(morpheme, sigment.slice(Math.max(start, end - length), end));
+            end -= length;
+        }
+    }
+
+    // Share of words carrying the most common form of each affix, over affixes found in at least two words
+    calculateAffixConsistency(morphemeRules) {
+        const scores = [];
+        for (const forms of morphemeRules.values()) {
+            const counts = Array.from(forms.values());
+            const total = counts.reduce((a, b) => a + b, 0);
+            if (total >= 2) {
+                scores.push((Math.max(...counts) / total) * 100);
+            }
+        }
+        return scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+    }
+
     calculateConsistencyScore(patterns, totalWords) {
         let totalScore = 0;
         let factors = 0;
@@ -1259,24 +2145,39 @@ export class LanguageGenerator {
             factors++;
         }
 
+        // Affix consistency
+        for (const transforms of patterns.morphemeRules.values()) {
+            const transformCount = Array.from(transforms.values());
+            const totalCount = transformCount.reduce((a, b) => a + b, 0);
+            if (totalCount >= 2) {
+                totalScore += (Math.max(...transformCount) / totalCount) * 100;
+                factors++;
+            }
+        }
+
         return factors > 0 ? totalScore / factors : 0;
     }
 
     async shouldReconstructDictionary(language, newWordCount = 0) {
         const currentPatterns = await this.analyzePhoneticPatterns(language);
+        const phonology = this.lintPhonology(language);
         
         // Reconstruction triggers
         const triggers = {
             lowConsistency: currentPatterns.consistencyScore < 70,
             significantAddition: newWordCount > language.vocabulary.size * 0.1,
             vocabularySizeThreshold: language.vocabulary.size > 50,
-            patternConflicts: this.detectPatternConflicts(currentPatterns)
+            patternConflicts: this.detectPatternConflicts(currentPatterns),
+            inconsistentAffixes: currentPatterns.affixConsistency !== null && currentPatterns.affixConsistency < 90,
+            unpronounceableForms: phonology.violations.length > 0
         };
 
         const recommendation = {
             shouldReconstruct: Object.values(triggers).some(Boolean),
             reasons: [],
             currentConsistency: currentPatterns.consistencyScore,
+            affixConsistency: currentPatterns.affixConsistency,
+            phonotacticScore: phonology.averageScore,
             triggers
         };
 
@@ -1292,6 +2193,12 @@ export class LanguageGenerator {
         if (triggers.patternConflicts) {
             recommendation.reasons.push('Conflicting transformation patterns detected');
         }
+        if (triggers.inconsistentAffixes) {
+            recommendation.reasons.push(`Inconsistent affixes (${currentPatterns.affixConsistency.toFixed(1)}%)`);
+        }
+        if (triggers.unpronounceableForms) {
+            recommendation.reasons.push(`${phonology.violations.length} forms break the phonotactic constraints`);
+        }
 
         return recommendation;
     }
@@ -1310,20 +2217,46 @@ export class LanguageGenerator {
         return conflicts > 3;
     }
 
+    /**
+     * Rebuild every word of a language with its current (or the given) settings
+     * @param {Object} language - Loaded language
+     * @param {Object} options - beforeConsistency, the settings to change (collisionStrategy,
+     *   soundChanges, phonotactics, stress, pronunciationLexicon) and dryRun, which works on a
+     *   copy and leaves the language as it was
+     * @returns {Object} Counts, every change with its reconstructed entry, the settings used and
+     *   the consistency score before and after
+     */
     async reconstructDictionary(language, options = {}) {
         // Ensure initialization is complete
         await this.initializationPromise;
         
-        console.log(`\n🔄 Reconstructing dictionary for ${language.config.name}...`);
+        console.log(`\n🔄 ${options.dryRun ? 'Previewing reconstruction' : 'Reconstructing dictionary'} for ${language.config.name}...`);
+
+        if (options.dryRun) {
+            language = { ...language, config: { ...language.config } };
+        }
         
+        this.ensureLanguageSeed(language);
+        this.ensureLanguageGrammar(language);
+
         // Backup current vocabulary
         const originalVocabulary = new Map(language.vocabulary);
-        
+        const settings = this.applyReconstructionSettings(language, options);
+        this.ensureLanguageAffixes(language);
+
         // Create temporary language copy for safe reconstruction
         const tempLanguage = {
             ...language,
-            vocabulary: new Map() // Start with empty vocabulary for reconstruction
+            vocabulary: new Map(), // Start with empty vocabulary for reconstruction
+            etymologicalMaps: new Map() // Collisions are checked against the reconstructed forms
         };
+
+        // Locked forms are kept as they are and claimed up front, so other words resolve around them
+        for (const entry of originalVocabulary.values()) {
+            if (entry.locked && !tempLanguage.etymologicalMaps.has(entry.sigment)) {
+                tempLanguage.etymologicalMaps.set(entry.sigment, entry);
+            }
+        }
         
         // Re-analyze patterns with full vocabulary for better rules
         const improvedPhoneticMapper = new PhoneticMapper();
@@ -1331,16 +2264,23 @@ export class LanguageGenerator {
         
         // Process all words with improved consistency
         let reconstructed = 0;
+        let lockedWords = 0;
         const changes = [];
         
         for (const englishWord of vocabularyList) {
             const originalEntry = originalVocabulary.get(englishWord);
+
+            if (originalEntry.locked) {
+                tempLanguage.vocabulary.set(englishWord, originalEntry);
+                lockedWords++;
+                continue;
+            }
             
             // Reprocess with temporary language state and better analysis
             await this.processWord(tempLanguage, englishWord);
             const newEntry = tempLanguage.vocabulary.get(englishWord);
             
-            if (newEntry && originalEntry.sigment !== newEntry.sigment) {
+            if (newEntry && (originalEntry.sigment !== newEntry.sigment || originalEntry.pronunciation !== newEntry.pronunciation)) {
                 changes.push({
                     english: englishWord,
                     old: originalEntry.sigment,
@@ -1348,26 +2288,34 @@ export class LanguageGenerator {
                     pronunciation: {
                         old: originalEntry.pronunciation,
                         new: newEntry.pronunciation
-                    }
+                    },
+                    entry: newEntry
                 });
             }
             reconstructed++;
         }
 
+        await this.provider.flushCache();
+
         // Calculate new consistency score
         const newPatterns = await this.analyzePhoneticPatterns(tempLanguage);
         
         // Only replace original vocabulary if reconstruction was successful
         if (reconstructed > 0) {
             language.vocabulary = tempLanguage.vocabulary;
+            language.etymologicalMaps = tempLanguage.etymologicalMaps;
         }
         
         return {
             success: true,
             reconstructedWords: reconstructed,
+            lockedWords,
             changedWords: changes.length,
-            changes: changes.slice(0, 20), // Show first 20 changes
+            changes,
             totalChanges: changes.length,
+            settings,
+            // Rebuilt affixes go with the settings that rebuilt them
+            affixes: settings.soundChanges || settings.phonotactics ? language.affixes : undefined,
             consistencyImprovement: {
                 before: options.beforeConsistency || 0,
                 after: newPatterns.consistencyScore,
@@ -1375,4 +2323,340 @@ export class LanguageGenerator {
             }
         };
     }
+
+    // Settings a reconstruction changes, applied to the language config; returns the ones given
+    applyReconstructionSettings(language, options = {}) {
+        const settings = {};
+
+        if (options.collisionStrategy) {
+            language.config.collisionStrategy = settings.collisionStrategy = CollisionResolver.checkStrategy(options.collisionStrategy);
+        }
+
+        if (options.soundChanges) {
+            language.config.soundChanges = settings.soundChanges = this.normalizeSoundChanges(options.soundChanges);
+            // Affixes are rebuilt with the new rules, like every word
+            language.affixes = null;
+        }
+
+        if (options.phonotactics) {
+            language.config.phonotactics = settings.phonotactics = options.phonotactics;
+            language.affixes = null;
+        }
+
+        if (options.stress) {
+            language.config.stress = settings.stress = options.stress;
+        }
+
+        if (options.pronunciationLexicon) {
+            settings.pronunciationLexicon = options.pronunciationLexicon;
+            language.config.pronunciationLexicon = {
+                ...language.config.pronunciationLexicon,
+                ...options.pronunciationLexicon
+            };
+        }
+
+        return settings;
+    }
+
+    /**
+     * A reconstruction as a reviewable report: every changed word with its form and pronunciation
+     * before and after, `accepted` until a reviewer sets it to false, and the consistency delta
+     * @param {Object} language - The language that was reconstructed
+     * @param {Object} result - Result of reconstructDictionary()
+     * @returns {Object} Report for applyReconstructionReport()
+     */
+    createReconstructionReport(language, result) {
+        const { before, after, improvement } = result.consistencyImprovement;
+        return {
+            type: 'Sigment Reconstruction Report',
+            language: language.config.name,
+            created: new Date().toISOString(),
+            reconstructedWords: result.reconstructedWords,
+            lockedWords: result.lockedWords,
+            changedWords: result.totalChanges,
+            consistency: { before, after, delta: improvement },
+            settings: result.settings,
+            affixes: result.affixes,
+            changes: result.changes.map(change => ({
+                english: change.english,
+                accepted: true,
+                before: { sigment: change.old, pronunciation: change.pronunciation.old },
+                after: { sigment: change.new, pronunciation: change.pronunciation.new },
+                entry: change.entry
+            }))
+        };
+    }
+
+    /**
+     * Apply the accepted changes of a reconstruction report. Words edited, removed or locked
+     * since the report was written are skipped, and so are changes whose new form another word
+     * would still be using. The report's settings are adopted once any change is applied
+     * @param {Object} language - Loaded language
+     * @param {Object} report - From createReconstructionReport(), possibly reviewed
+     * @returns {Object} { applied, rejected, skipped: [{ english, reason }] }
+     */
+    applyReconstructionReport(language, report) {
+        if (!Array.isArray(report?.changes)) {
+            throw new Error('Not a reconstruction report: it has no list of changes');
+        }
+        if (report.language && report.language !== language.config.name) {
+            throw new Error(`The report is for ${report.language}, not ${language.config.name}`);
+        }
+
+        const rejected = [];
+        const skipped = [];
+        const accepted = new Map();
+
+        for (const change of report.changes) {
+            const current = language.vocabulary.get(change.english);
+            const skip = reason => skipped.push({ english: change.english, reason });
+
+            if (change.accepted === false) {
+                rejected.push(change.english);
+            } else if (!current) {
+                skip('no longer in the language');
+            } else if (current.locked) {
+                skip('locked');
+            } else if (current.sigment !== change.before?.sigment || current.pronunciation !== change.before?.pronunciation) {
+                skip('changed since the report was written');
+            } else if (!change.entry?.sigment) {
+                skip('the report has no reconstructed entry');
+            } else {
+                accepted.set(change.english, change.entry);
+            }
+        }
+
+        // A new form must not be another word's form once the changes are in. Skipping one
+        // change keeps its old form, which can block another, so check until nothing moves
+        let settled = false;
+        while (!settled) {
+            settled = true;
+            const holders = new Map();
+            for (const [english, entry] of language.vocabulary) {
+                const form = accepted.get(english)?.sigment ?? entry.sigment;
+                holders.set(form, [...(holders.get(form) || []), english]);
+            }
+
+            for (const [english, entry] of accepted) {
+                if (entry.collision?.homonym) continue;
+                const other = holders.get(entry.sigment).find(holder => holder !== english);
+                if (other) {
+                    accepted.delete(english);
+                    skipped.push({ english, reason: `"${entry.sigment}" would also be the word for "${other}"` });
+                    settled = false;
+                }
+            }
+        }
+
+        for (const [english, entry] of accepted) {
+            language.vocabulary.set(english, entry);
+        }
+
+        language.etymologicalMaps = new Map();
+        for (const entry of language.vocabulary.values()) {
+            if (!language.etymologicalMaps.has(entry.sigment)) {
+                language.etymologicalMaps.set(entry.sigment, entry);
+            }
+        }
+
+        if (accepted.size > 0) {
+            this.applyReconstructionSettings(language, report.settings || {});
+            if (report.affixes) {
+                language.affixes = report.affixes;
+            }
+        }
+
+        return { applied: Array.from(accepted.keys()), rejected, skipped };
+    }
+
+    /**
+     * Derive a daughter language: every word of the parent goes through an ordered chain of
+     * sound changes and keeps its meaning, unless semantic drift shifts it. The child records
+     * its parent and ancestors in metadata.lineage
+     * @param {string} parentName - Language to evolve from
+     * @param {Object} options - name of the child, soundChanges (rule text, serialized rules or
+     *   a SoundChangeRules instance) and drift, the share of meanings that shift (0-1)
+     * @returns {Object} The child language, its dictionary paths and the changed words
+     */
+    async evolveLanguage(parentName, options = {}) {
+        await this.initializationPromise;
+
+        const childName = options.name;
+        const drift = options.drift ?? 0;
+        if (!childName) {
+            throw new Error('The daughter language needs a name');
+        }
+        if (!(drift >= 0 && drift <= 1)) {
+            throw new Error(`Drift must be between 0 and 1, got ${options.drift}`);
+        }
+        if ((await this.getAvailableLanguages()).includes(childName)) {
+            throw new Error(`Language "${childName}" already exists`);
+        }
+
+        const rules = SoundChangeRules.fromJSON(this.normalizeSoundChanges(options.soundChanges));
+        if (rules.size === 0) {
+            throw new Error('Evolving a language needs at least one sound change rule');
+        }
+
+        const parent = await this.loadFullLanguageData(parentName);
+        if (!parent) {
+            throw new Error(`Language "${parentName}" not found`);
+        }
+        this.ensureLanguageSeed(parent);
+        this.ensureLanguageGrammar(parent);
+        this.ensureLanguageAffixes(parent);
+
+        console.log(`\n🌱 Evolving ${childName} from ${parentName} with ${rules.size} sound changes...`);
+
+        const created = new Date().toISOString();
+        const config = {
+            ...parent.config,
+            name: childName,
+            // Words added to the child later go through the parent's rules, then the evolution's
+            soundChanges: [...(parent.config.soundChanges || []), ...rules.toJSON()]
+        };
+        const child = {
+            config,
+            vocabulary: new Map(),
+            phoneticSystem: {},
+            grammar: this.evolveGrammar(parent.grammar, rules),
+            affixes: null,
+            etymologicalMaps: new Map(),
+            metadata: {
+                created,
+                version: '1.0.0',
+                generator: 'Sigment Language Constructor',
+                seed: config.seed,
+                lineage: {
+                    parent: parentName,
+                    ancestors: [...(parent.metadata.lineage?.ancestors || []), parentName],
+                    soundChanges: rules.toJSON(),
+                    drift
+                }
+            }
+        };
+
+        const mappingOptions = this.getMappingOptions(child);
+        child.affixes = this.evolveAffixes(parent.affixes, rules, mappingOptions);
+        mappingOptions.affixes = child.affixes;
+
+        const driftRandom = new SeededRandom(config.seed).fork(`drift:${childName}`);
+        const changes = [];
+
+        for (const [englishWord, entry] of parent.vocabulary) {
+            const { result, steps } = rules.trace(entry.sigment);
+            const evolved = this.phoneticMapper.repairPhonotactics(result, mappingOptions) || entry.sigment;
+
+            // Forms that merge become homonyms or are told apart like any other collision
+            const strategy = entry.collision?.homonym ? 'homonym' : config.collisionStrategy || 'alternate';
+            const resolution = this.collisionResolver.resolve(child, englishWord, evolved, this.phoneticMapper, strategy);
+            const mapping = this.phoneticMapper.describeSigmentWord(englishWord, resolution.sigment, entry.etymology, mappingOptions);
+
+            // Locks and edits protect forms in the parent; the daughter's forms are new
+            const { collision, locked, edited, ...inheritedEntry } = entry;
+            const childEntry = {
+                ...inheritedEntry,
+                sigment: mapping.sigment,
+                pronunciation: mapping.pronunciation,
+                phoneticStructure: mapping.phoneticStructure,
+                transformationRules: mapping.transformationRules,
+                inherited: {
+                    language: parentName,
+                    sigment: entry.sigment,
+                    soundChanges: steps.map(step => step.rule)
+                },
+                created
+            };
+
+            if (resolution.collision) {
+                childEntry.collision = resolution.collision;
+            }
+
+            if (entry.compound) {
+                childEntry.compound = {
+                    parts: entry.compound.parts.map(part => ({
+                        english: part.english,
+                        sigment: child.vocabulary.get(part.english)?.sigment || rules.apply(part.sigment) || part.sigment
+                    }))
+                };
+            }
+
+            const wordRandom = driftRandom.fork(englishWord.toLowerCase());
+            if (wordRandom.next() < drift) {
+                this.driftMeaning(childEntry, wordRandom.pick(Object.keys(SEMANTIC_DRIFT)));
+            }
+
+            child.vocabulary.set(englishWord, childEntry);
+            if (!child.etymologicalMaps.has(childEntry.sigment)) {
+                child.etymologicalMaps.set(childEntry.sigment, childEntry);
+            }
+
+            if (childEntry.sigment !== entry.sigment || childEntry.semanticDrift) {
+                changes.push({
+                    english: englishWord,
+                    old: entry.sigment,
+                    new: childEntry.sigment,
+                    drift: childEntry.semanticDrift?.type || null
+                });
+            }
+        }
+
+        await this.establishPhoneticSystem(child);
+        this.languageDatabase.set(childName, child);
+        await this.generateDictionaries(child);
+
+        return {
+            language: child,
+            dictionaries: this.getDictionaryPaths(childName),
+            evolvedWords: child.vocabulary.size,
+            changedWords: changes.filter(change => change.old !== change.new).length,
+            driftedWords: changes.filter(change => change.drift).length,
+            changes
+        };
+    }
+
+    // Inflectional suffixes change like every other sound; word order and the rest carry over
+    evolveGrammar(grammar, rules) {
+        if (!grammar?.patterns) return grammar || null;
+
+        const evolve = suffix => suffix ? rules.apply(suffix) || suffix : suffix;
+        const { patterns } = grammar;
+        const evolvedPatterns = {
+            ...patterns,
+            plural_suffix: evolve(patterns.plural_suffix),
+            past_suffix: evolve(patterns.past_suffix),
+            future_suffix: evolve(patterns.future_suffix),
+            person_suffixes: Object.fromEntries(
+                Object.entries(patterns.person_suffixes || {}).map(([person, suffix]) => [person, evolve(suffix)])
+            )
+        };
+
+        return {
+            ...grammar,
+            rules: this.grammarEngine.describeRules(evolvedPatterns),
+            patterns: evolvedPatterns
+        };
+    }
+
+    evolveAffixes(affixes, rules, mappingOptions) {
+        if (!affixes) return null;
+
+        return Object.fromEntries(Object.entries(affixes).map(([affix, form]) => {
+            const edges = affix.endsWith('-') ? { end: false } : { start: false };
+            const evolved = this.phoneticMapper.repairPhonotactics(rules.apply(form), mappingOptions, edges);
+            return [affix, evolved || form];
+        }));
+    }
+
+    // The parent's definitions are kept on the entry so the shift can be traced back
+    driftMeaning(entry, type) {
+        const primary = entry.definitions.primary || [];
+        entry.semanticDrift = { type, from: primary };
+        entry.definitions = {
+            ...entry.definitions,
+            primary: primary.map(definition =>
+                `${SEMANTIC_DRIFT[type]}, ${definition.charAt(0).toLowerCase()}${definition.slice(1)}`)
+        };
+        return entry;
+    }
 }
\ No newline at end of file
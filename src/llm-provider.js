@@ -0,0 +1,868 @@
+import { ResponseCache } from './response-cache.js';
+import { JsonSchemaValidator } from './json-schema.js';
+import { RateLimiter } from './rate-limiter.js';
+import { CircuitBreaker, CircuitOpenError } from './circuit-breaker.js';
+
+// Bump whenever a prompt or its parser changes, so cached responses to the old prompts are ignored
+export const PROMPT_TEMPLATE_VERSION = 2;
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Shapes requested from models with JSON output, also sent to servers that can enforce them
+export const RESPONSE_SCHEMAS = {
+    etymology: {
+        type: 'object',
+        required: ['origin', 'root', 'morphemes'],
+        properties: {
+            origin: { type: 'string', minLength: 1 },
+            root: { type: 'string' },
+            development: { type: 'string' },
+            relatedWords: stringList,
+            morphemes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['value'],
+                    properties: {
+                        value: { type: 'string', minLength: 1 },
+                        meaning: { type: 'string' }
+                    }
+                }
+            },
+            periods: stringList
+        }
+    },
+    definitions: {
+        type: 'object',
+        required: ['primary', 'partOfSpeech'],
+        properties: {
+            primary: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+            secondary: stringList,
+            technical: stringList,
+            partOfSpeech: stringList,
+            examples: stringList
+        }
+    },
+    semantic: {
+        type: 'object',
+        required: ['core'],
+        properties: {
+            core: { type: 'string', minLength: 1 },
+            connotations: stringList,
+            semanticField: { type: 'string' },
+            cultural: stringList,
+            metaphors: stringList
+        }
+    },
+    related: {
+        type: 'object',
+        required: ['direct'],
+        properties: {
+            direct: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['word'],
+                    properties: {
+                        word: { type: 'string', minLength: 1 },
+                        strength: { type: 'integer', minimum: 1 }
+                    }
+                }
+            },
+            semantic: stringList,
+            etymological: stringList,
+            morphological: stringList
+        }
+    }
+};
+
+const BATCH_ENVELOPE_SCHEMA = {
+    type: 'object',
+    required: ['results'],
+    properties: { results: { type: 'array' } }
+};
+
+const RESPONSE_LABELS = {
+    etymology: 'etymology',
+    definitions: 'definitions',
+    semantic: 'semantic analysis',
+    related: 'related words'
+};
+
+/**
+ * Base class for the language model backends used for etymology, definitions,
+ * semantic analysis and related words. Subclasses implement makeRequest(prompt),
+ * which returns the model's text reply, and testConnection(); backends with a
+ * native JSON mode also override makeStructuredRequest(prompt, schema). Prompts,
+ * response parsing and validation, fallbacks and caching are shared.
+ */
+export class LLMProvider {
+    constructor(options = {}) {
+        this.model = options.model;
+        this.timeout = options.timeout || 30000;
+        this.cache = options.cache || new ResponseCache({ maxEntries: 1000 });
+        this.rateLimiter = options.rateLimiter || new RateLimiter({
+            maxConcurrent: options.maxConcurrentRequests,
+            requestsPerMinute: options.requestsPerMinute
+        });
+        this.retries = options.retries ?? 2;
+        this.retryBaseDelay = options.retryBaseDelay ?? 500;
+        this.retryMaxDelay = options.retryMaxDelay ?? 8000;
+        this.circuitBreaker = new CircuitBreaker({
+            name: this.name,
+            failureThreshold: options.failureThreshold,
+            cooldown: options.circuitCooldown,
+            isFailure: (error) => LLMProvider.isTransientError(error)
+        });
+    }
+
+    get name() {
+        return 'llm';
+    }
+
+    // False for the offline provider, whose answers are placeholders
+    get isAvailable() {
+        return true;
+    }
+
+    async testConnection() {
+        return true;
+    }
+
+    async makeRequest(prompt) {
+        throw new Error(`${this.constructor.name} does not implement makeRequest`);
+    }
+
+    async complete(prompt) {
+        return this.request(() => this.makeRequest(prompt));
+    }
+
+    // Every model request goes through the circuit breaker, retries and the rate limiter
+    async request(task) {
+        return this.circuitBreaker.execute(() => this.withRetries(() => this.rateLimiter.schedule(task)));
+    }
+
+    async withRetries(task) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task();
+            } catch (error) {
+                if (attempt >= this.retries || !LLMProvider.isTransientError(error)) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                console.warn(`${this.name} request failed (${error.message}); retry ${attempt + 1}/${this.retries} in ${Math.round(delay)}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // Exponential backoff with jitter, so parallel workers don't retry in lockstep
+    getRetryDelay(attempt) {
+        const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    }
+
+    // Timeouts, dropped connections, overload and server errors; not requests the server rejected
+    static isTransientError(error) {
+        if (error instanceof CircuitOpenError) return false;
+        const status = error.response?.status;
+        return status === undefined || status === 429 || status >= 500;
+    }
+
+    async getEtymology(word) {
+        return this.query('etymology', word, {
+            legacyPrompt: () => this.buildEtymologyPrompt(word),
+            parseLegacy: (response) => this.parseEtymologyResponse(response),
+            normalize: (data) => this.normalizeEtymology(data),
+            fallback: () => this.getDefaultEtymology(word)
+        });
+    }
+
+    async getDefinitions(word) {
+        return this.query('definitions', word, {
+            legacyPrompt: () => this.buildDefinitionPrompt(word),
+            parseLegacy: (response) => this.parseDefinitionResponse(response),
+            normalize: (data) => this.normalizeDefinitions(data),
+            fallback: () => this.getDefaultDefinitions(word)
+        });
+    }
+
+    async getSemanticAnalysis(word) {
+        return this.query('semantic', word, {
+            legacyPrompt: () => this.buildSemanticPrompt(word),
+            parseLegacy: (response) => this.parseSemanticResponse(response),
+            normalize: (data) => this.normalizeSemanticAnalysis(data),
+            fallback: () => this.getDefaultSemanticAnalysis(word)
+        });
+    }
+
+    async getRelatedWords(word, relationship = 'all') {
+        return this.query('related', word, {
+            cacheKind: `related:${relationship}`,
+            relationship,
+            legacyPrompt: () => this.buildRelatedWordsPrompt(word, relationship),
+            parseLegacy: (response) => this.parseRelatedWordsResponse(response),
+            normalize: (data) => this.normalizeRelatedWords(data),
+            fallback: () => this.getDefaultRelatedWords(word)
+        });
+    }
+
+    /**
+     * Asks for a JSON response matching RESPONSE_SCHEMAS[kind], re-asks once with a
+     * repair prompt when the reply doesn't validate, and only then falls back to the
+     * line-based text format. The result's `source` records which of these worked:
+     * structured, repaired or legacy (or fallback when the model couldn't be used at all).
+     */
+    async query(kind, word, handlers) {
+        const cacheKind = handlers.cacheKind || kind;
+        const cached = await this.cache.get(this.getCacheKey(cacheKind, word));
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        try {
+            const structured = await this.requestStructured(kind, word, handlers.relationship);
+            const result = structured ?
+                { ...handlers.normalize(structured.data), source: structured.source } :
+                { ...handlers.parseLegacy(await this.request(() => this.makeRequest(handlers.legacyPrompt()))), source: 'legacy' };
+
+            await this.cacheResult(cacheKind, word, result);
+            return result;
+        } catch (error) {
+            // An open circuit was announced once; don't repeat it for every word
+            if (!(error instanceof CircuitOpenError)) {
+                console.warn(`Failed to get ${RESPONSE_LABELS[kind]} for "${word}":`, error.message);
+            }
+            return { ...handlers.fallback(), source: 'fallback' };
+        }
+    }
+
+    async requestStructured(kind, word, relationship) {
+        const schema = RESPONSE_SCHEMAS[kind];
+        const validator = new JsonSchemaValidator(schema);
+        const prompt = this.buildStructuredPrompt(kind, word, relationship);
+
+        try {
+            const response = await this.request(() => this.makeStructuredRequest(prompt, schema));
+            const first = this.parseStructuredResponse(response, validator);
+            if (first.data) {
+                return { data: first.data, source: 'structured' };
+            }
+
+            const repaired = this.parseStructuredResponse(
+                await this.request(() => this.makeStructuredRequest(this.buildRepairPrompt(prompt, response, first.errors), schema)),
+                validator
+            );
+            if (repaired.data) {
+                return { data: repaired.data, source: 'repaired' };
+            }
+
+            console.warn(`Invalid JSON ${RESPONSE_LABELS[kind]} for "${word}" after repair (${repaired.errors[0]}); using the text format`);
+        } catch (error) {
+            // Servers that can't do structured output usually reject the request outright
+            if (!error.response || LLMProvider.isTransientError(error)) throw error;
+            console.warn(`${this.name} rejected the JSON request for "${word}" (${error.message}); using the text format`);
+        }
+
+        return null;
+    }
+
+    // Providers with a native JSON or schema mode override this; the prompt alone asks for JSON
+    async makeStructuredRequest(prompt, schema) {
+        return this.makeRequest(prompt);
+    }
+
+    parseStructuredResponse(response, validator) {
+        if (typeof response !== 'string' || !response.trim()) {
+            return { data: null, errors: ['the response was empty'] };
+        }
+
+        // Models sometimes wrap the object in a code fence or a sentence
+        const start = response.indexOf('{');
+        const end = response.lastIndexOf('}');
+        if (start === -1 || end < start) {
+            return { data: null, errors: ['the response contained no JSON object'] };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(response.substring(start, end + 1));
+        } catch (error) {
+            return { data: null, errors: [`the JSON could not be parsed: ${error.message}`] };
+        }
+
+        const errors = validator.validate(data).map(error => `${error.path || '/'}: ${error.message}`);
+        return errors.length > 0 ? { data: null, errors } : { data, errors };
+    }
+
+    buildStructuredPrompt(kind, word, relationship = 'all') {
+        const tasks = {
+            etymology: `Provide detailed etymology for the word "${word}": its original language and root, its historical development, related words in the same language family, its morphemes with their meanings, and the approximate periods of major changes.`,
+            definitions: `Provide comprehensive definitions for "${word}": primary meanings, secondary meanings, technical or specialized uses, its parts of speech and example usages.`,
+            semantic: `Analyze the semantic components of "${word}": its core conceptual meaning, connotations, semantic field, cultural or contextual meanings and metaphorical extensions.`,
+            related: `Find words related to "${word}" by ${this.describeRelationship(relationship)}: direct relationships with a strength from 1 to 10, and semantically, etymologically and morphologically related words.`
+        };
+
+        return `${tasks[kind]}
+
+Respond with a single JSON object and nothing else. It must match this JSON Schema:
+${JSON.stringify(RESPONSE_SCHEMAS[kind])}`;
+    }
+
+    /**
+     * Fetches etymologies and definitions for several words with one request per kind,
+     * caching every word whose part of the reply validates. Words the model left out or
+     * garbled stay uncached, so getEtymology()/getDefinitions() retry them one by one.
+     */
+    async prefetch(words, kinds = ['etymology', 'definitions']) {
+        const summary = { fetched: 0, retried: [] };
+        if (!this.isAvailable) return summary;
+
+        for (const kind of kinds) {
+            const result = await this.prefetchKind(kind, words);
+            summary.fetched += result.fetched;
+            summary.retried.push(...result.retried.filter(word => !summary.retried.includes(word)));
+        }
+        return summary;
+    }
+
+    async prefetchKind(kind, words) {
+        const pending = [];
+        for (const word of new Set(words.map(w => w.trim()).filter(Boolean))) {
+            if (!(await this.cache.has(this.getCacheKey(kind, word)))) {
+                pending.push(word);
+            }
+        }
+
+        // A single word is no cheaper in a batch
+        if (pending.length < 2) {
+            return { fetched: 0, retried: [] };
+        }
+
+        const results = new Map();
+        try {
+            const response = await this.request(() => this.makeStructuredRequest(this.buildBatchPrompt(kind, pending), this.buildBatchSchema(kind)));
+            for (const [word, data] of this.parseBatchResponse(response, kind, pending)) {
+                results.set(word, data);
+            }
+        } catch (error) {
+            if (!(error instanceof CircuitOpenError)) {
+                console.warn(`Batched ${RESPONSE_LABELS[kind]} request for ${pending.length} words failed (${error.message}); fetching them one at a time`);
+            }
+        }
+
+        for (const [word, data] of results) {
+            await this.cacheResult(kind, word, { ...this.normalize(kind, data), source: 'batched' });
+        }
+
+        const retried = pending.filter(word => !results.has(word));
+        if (retried.length > 0 && results.size > 0) {
+            console.warn(`Batched ${RESPONSE_LABELS[kind]} reply dropped or garbled ${retried.length} of ${pending.length} words; fetching them one at a time`);
+        }
+        return { fetched: results.size, retried };
+    }
+
+    buildBatchSchema(kind) {
+        const item = RESPONSE_SCHEMAS[kind];
+        return {
+            type: 'object',
+            required: ['results'],
+            properties: {
+                results: {
+                    type: 'array',
+                    items: {
+                        ...item,
+                        required: ['word', ...item.required],
+                        properties: { word: { type: 'string' }, ...item.properties }
+                    }
+                }
+            }
+        };
+    }
+
+    buildBatchPrompt(kind, words) {
+        const tasks = {
+            etymology: 'detailed etymology: its original language and root, its historical development, related words in the same language family, its morphemes with their meanings, and the approximate periods of major changes',
+            definitions: 'comprehensive definitions: primary meanings, secondary meanings, technical or specialized uses, its parts of speech and example usages'
+        };
+
+        return `For each of these ${words.length} words, provide ${tasks[kind]}.
+Words: ${words.map(word => JSON.stringify(word)).join(', ')}
+
+Respond with a single JSON object and nothing else. Its "results" array must hold one object per word, in the same order, each repeating the word in a "word" field. It must match this JSON Schema:
+${JSON.stringify(this.buildBatchSchema(kind))}`;
+    }
+
+    // Returns [word, data] pairs for the items that match a requested word and validate on their own
+    parseBatchResponse(response, kind, words) {
+        const envelope = this.parseStructuredResponse(response, new JsonSchemaValidator(BATCH_ENVELOPE_SCHEMA));
+        if (!envelope.data) {
+            console.warn(`Invalid batched ${RESPONSE_LABELS[kind]} reply (${envelope.errors[0]})`);
+            return [];
+        }
+
+        const validator = new JsonSchemaValidator(RESPONSE_SCHEMAS[kind]);
+        const requested = new Map(words.map(word => [word.toLowerCase(), word]));
+        const results = new Map();
+
+        for (const item of envelope.data.results) {
+            const word = typeof item?.word === 'string' ? requested.get(item.word.trim().toLowerCase()) : undefined;
+            if (!word || results.has(word)) continue;
+
+            const { word: _, ...data } = item;
+            if (validator.validate(data).length === 0) {
+                results.set(word, data);
+            }
+        }
+
+        return Array.from(results);
+    }
+
+    normalize(kind, data) {
+        switch (kind) {
+            case 'etymology':
+                return this.normalizeEtymology(data);
+            case 'definitions':
+                return this.normalizeDefinitions(data);
+            case 'semantic':
+                return this.normalizeSemanticAnalysis(data);
+            default:
+                return this.normalizeRelatedWords(data);
+        }
+    }
+
+    buildRepairPrompt(prompt, response, errors) {
+        return `${prompt}
+
+Your previous reply was not valid:
+${errors.slice(0, 5).map(error => `- ${error}`).join('\n')}
+
+Previous reply:
+${String(response ?? '').substring(0, 2000)}
+
+Reply again with only the corrected JSON object.`;
+    }
+
+    normalizeEtymology(data) {
+        return {
+            origin: data.origin || 'unknown',
+            root: data.root || '',
+            development: data.development || '',
+            relatedWords: data.relatedWords || [],
+            morphemes: (data.morphemes || []).map(morpheme => ({
+                type: 'parsed',
+                value: morpheme.value,
+                meaning: morpheme.meaning || 'unknown'
+            })),
+            periods: data.periods || []
+        };
+    }
+
+    normalizeDefinitions(data) {
+        return {
+            primary: data.primary,
+            secondary: data.secondary || [],
+            technical: data.technical || [],
+            partOfSpeech: data.partOfSpeech || [],
+            examples: data.examples || []
+        };
+    }
+
+    normalizeSemanticAnalysis(data) {
+        return {
+            core: data.core,
+            connotations: data.connotations || [],
+            semanticField: data.semanticField || '',
+            cultural: data.cultural || [],
+            metaphors: data.metaphors || []
+        };
+    }
+
+    normalizeRelatedWords(data) {
+        return {
+            direct: new Map((data.direct || []).map(({ word, strength }) => [word, strength ?? 5])),
+            semantic: data.semantic || [],
+            etymological: data.etymological || [],
+            morphological: data.morphological || []
+        };
+    }
+
+    describeRelationship(relationship) {
+        const relationshipTypes = {
+            'all': 'all types of relationships',
+            'synonyms': 'synonyms and near-synonyms',
+            'antonyms': 'antonyms and opposites',
+            'derivatives': 'derived words and variants',
+            'compounds': 'compound words containing this word',
+            'cognates': 'cognates in related languages'
+        };
+
+        return relationshipTypes[relationship] || relationshipTypes['all'];
+    }
+
+    buildEtymologyPrompt(word) {
+        return `Provide detailed etymology for the word "${word}". Include:
+1. Original language and root
+2. Historical development and changes
+3. Related words in the same language family
+4. Key morphemes and their meanings
+5. Approximate time periods of major changes
+
+Format your response as structured data that can be parsed:
+ORIGIN: [language]
+ROOT: [original form]
+DEVELOPMENT: [historical changes]
+RELATED: [related words]
+MORPHEMES: [morpheme breakdown]
+PERIODS: [time periods]`;
+    }
+
+    buildDefinitionPrompt(word) {
+        return `Provide comprehensive definitions for "${word}". Include:
+1. Primary meanings (numbered)
+2. Secondary meanings
+3. Technical or specialized uses
+4. Part of speech variations
+5. Example usage contexts
+
+Format as:
+PRIMARY: [main definitions]
+SECONDARY: [other meanings]
+TECHNICAL: [specialized uses]
+POS: [parts of speech]
+EXAMPLES: [usage examples]`;
+    }
+
+    buildSemanticPrompt(word) {
+        return `Analyze the semantic components of "${word}". Provide:
+1. Core conceptual meaning
+2. Connotative associations
+3. Semantic field relationships
+4. Cultural or contextual meanings
+5. Metaphorical extensions
+
+Format as:
+CORE: [core meaning]
+CONNOTATIONS: [associations]
+FIELD: [semantic field]
+CULTURAL: [cultural meanings]
+METAPHORS: [metaphorical uses]`;
+    }
+
+    buildRelatedWordsPrompt(word, relationship) {
+        const relationshipText = this.describeRelationship(relationship);
+
+        return `Find words related to "${word}" by ${relationshipText}. Provide:
+1. Direct relationships with strength (1-10)
+2. Semantic relationships
+3. Etymological relationships
+4. Morphological relationships
+
+Format as:
+DIRECT: [word:strength, word:strength]
+SEMANTIC: [related by meaning]
+ETYMOLOGICAL: [same origin]
+MORPHOLOGICAL: [shared morphemes]`;
+    }
+
+    parseEtymologyResponse(response) {
+        const etymology = {
+            origin: 'unknown',
+            root: '',
+            development: '',
+            relatedWords: [],
+            morphemes: [],
+            periods: []
+        };
+
+        try {
+            if (!response || typeof response !== 'string') {
+                return etymology;
+            }
+            
+            const lines = response.split('\n');
+            for (const line of lines) {
+                if (!line || typeof line !== 'string') continue;
+                
+                const colonIndex = line.indexOf(':');
+                if (colonIndex === -1) continue;
+
+                const key = line.substring(0, colonIndex).trim().toUpperCase();
+                const value = line.substring(colonIndex + 1).trim();
+                
+                if (!key || !value) continue;
+
+                switch (key) {
+                    case 'ORIGIN':
+                        etymology.origin = value;
+                        break;
+                    case 'ROOT':
+                        etymology.root = value;
+                        break;
+                    case 'DEVELOPMENT':
+                        etymology.development = value;
+                        break;
+                    case 'RELATED':
+                        try {
+                            etymology.relatedWords = value.split(',').map(w => w.trim()).filter(w => w);
+                        } catch {
+                            etymology.relatedWords = [];
+                        }
+                        break;
+                    case 'MORPHEMES':
+                        etymology.morphemes = this.parseMorphemes(value) || [];
+                        break;
+                    case 'PERIODS':
+                        try {
+                            etymology.periods = value.split(',').map(p => p.trim()).filter(p => p);
+                        } catch {
+                            etymology.periods = [];
+                        }
+                        break;
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to parse etymology response:', error.message);
+        }
+
+        return etymology;
+    }
+
+    parseDefinitionResponse(response) {
+        const definitions = {
+            primary: [],
+            secondary: [],
+            technical: [],
+            partOfSpeech: [],
+            examples: []
+        };
+
+        try {
+            const lines = response.split('\n');
+            for (const line of lines) {
+                const colonIndex = line.indexOf(':');
+                if (colonIndex === -1) continue;
+
+                const key = line.substring(0, colonIndex).trim().toUpperCase();
+                const value = line.substring(colonIndex + 1).trim();
+
+                switch (key) {
+                    case 'PRIMARY':
+                        definitions.primary = this.parseDefinitionList(value);
+                        break;
+                    case 'SECONDARY':
+                        definitions.secondary = this.parseDefinitionList(value);
+                        break;
+                    case 'TECHNICAL':
+                        definitions.technical = this.parseDefinitionList(value);
+                        break;
+                    case 'POS':
+                        definitions.partOfSpeech = value.split(',').map(p => p.trim()).filter(p => p);
+                        break;
+                    case 'EXAMPLES':
+                        definitions.examples = this.parseDefinitionList(value);
+                        break;
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to parse definition response:', error.message);
+        }
+
+        return definitions;
+    }
+
+    parseSemanticResponse(response) {
+        const semantic = {
+            core: '',
+            connotations: [],
+            semanticField: '',
+            cultural: [],
+            metaphors: []
+        };
+
+        try {
+            const lines = response.split('\n');
+            for (const line of lines) {
+                const colonIndex = line.indexOf(':');
+                if (colonIndex === -1) continue;
+
+                const key = line.substring(0, colonIndex).trim().toUpperCase();
+                const value = line.substring(colonIndex + 1).trim();
+
+                switch (key) {
+                    case 'CORE':
+                        semantic.core = value;
+                        break;
+                    case 'CONNOTATIONS':
+                        semantic.connotations = value.split(',').map(c => c.trim()).filter(c => c);
+                        break;
+                    case 'FIELD':
+                        semantic.semanticField = value;
+                        break;
+                    case 'CULTURAL':
+                        semantic.cultural = value.split(',').map(c => c.trim()).filter(c => c);
+                        break;
+                    case 'METAPHORS':
+                        semantic.metaphors = value.split(',').map(m => m.trim()).filter(m => m);
+                        break;
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to parse semantic response:', error.message);
+        }
+
+        return semantic;
+    }
+
+    parseRelatedWordsResponse(response) {
+        const related = {
+            direct: new Map(),
+            semantic: [],
+            etymological: [],
+            morphological: []
+        };
+
+        try {
+            const lines = response.split('\n');
+            for (const line of lines) {
+                const colonIndex = line.indexOf(':');
+                if (colonIndex === -1) continue;
+
+                const key = line.substring(0, colonIndex).trim().toUpperCase();
+                const value = line.substring(colonIndex + 1).trim();
+
+                switch (key) {
+                    case 'DIRECT':
+                        related.direct = this.parseWeightedWords(value);
+                        break;
+                    case 'SEMANTIC':
+                        related.semantic = value.split(',').map(w => w.trim()).filter(w => w);
+                        break;
+                    case 'ETYMOLOGICAL':
+                        related.etymological = value.split(',').map(w => w.trim()).filter(w => w);
+                        break;
+                    case 'MORPHOLOGICAL':
+                        related.morphological = value.split(',').map(w => w.trim()).filter(w => w);
+                        break;
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to parse related words response:', error.message);
+        }
+
+        return related;
+    }
+
+    parseMorphemes(value) {
+        try {
+            if (!value || typeof value !== 'string') {
+                return [];
+            }
+            
+            return value.split(',').map(m => {
+                if (!m || typeof m !== 'string') return null;
+                
+                const parts = m.trim().split(':');
+                const morphemeValue = parts[0] ? parts[0].trim() : m.trim();
+                
+                if (!morphemeValue) return null;
+                
+                return {
+                    type: 'parsed',
+                    value: morphemeValue,
+                    meaning: parts[1] ? parts[1].trim() : 'unknown'
+                };
+            }).filter(m => m && m.value);
+        } catch (error) {
+            console.warn(`Failed to parse morphemes from "${value}": ${error.message}`);
+            return [];
+        }
+    }
+
+    parseDefinitionList(value) {
+        return value.split(/[;,]/).map(d => d.trim()).filter(d => d);
+    }
+
+    parseWeightedWords(value) {
+        const weightedWords = new Map();
+        const pairs = value.split(',');
+        
+        for (const pair of pairs) {
+            const parts = pair.trim().split(':');
+            if (parts.length === 2) {
+                const word = parts[0].trim();
+                const weight = parseInt(parts[1]) || 5;
+                weightedWords.set(word, weight);
+            }
+        }
+        
+        return weightedWords;
+    }
+
+    getDefaultEtymology(word) {
+        return {
+            origin: 'unknown',
+            root: word,
+            development: 'etymology unavailable',
+            relatedWords: [],
+            morphemes: [{ morpheme: word, meaning: 'unknown' }],
+            periods: ['modern']
+        };
+    }
+
+    getDefaultDefinitions(word) {
+        return {
+            primary: [`Definition of ${word} unavailable`],
+            secondary: [],
+            technical: [],
+            partOfSpeech: ['unknown'],
+            examples: []
+        };
+    }
+
+    getDefaultSemanticAnalysis(word) {
+        return {
+            core: `Core meaning of ${word}`,
+            connotations: [],
+            semanticField: 'general',
+            cultural: [],
+            metaphors: []
+        };
+    }
+
+    getDefaultRelatedWords(word) {
+        return {
+            direct: new Map(),
+            semantic: [],
+            etymological: [],
+            morphological: []
+        };
+    }
+
+    getCacheKey(kind, word) {
+        return ResponseCache.key({ model: this.model, promptVersion: PROMPT_TEMPLATE_VERSION, kind, word });
+    }
+
+    async cacheResult(kind, word, result) {
+        await this.cache.set(this.getCacheKey(kind, word), result, {
+            model: this.model || 'default',
+            promptVersion: PROMPT_TEMPLATE_VERSION,
+            kind,
+            word
+        });
+    }
+
+    async flushCache() {
+        await this.cache.save();
+    }
+
+    async clearCache(filter = {}) {
+        return this.cache.clear(filter);
+    }
+
+    async getCacheStats() {
+        return this.cache.getStats();
+    }
+}
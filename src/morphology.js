@@ -0,0 +1,375 @@
+import fs from 'fs';
+
+const VOWELS = /[aeiouy]/;
+const LEXICON_FILES = ['../wordlists/eng-1000.txt', '../data/common-words.txt', '../data/compound-parts.txt'];
+
+// `forms` are the spellings an affix takes; `innerForms` only occur with another suffix after them
+// (abil-ity). `strength` is how reliably the spelling marks the affix rather than part of a root.
+const PREFIXES = [
+    { value: 'un-', forms: ['un'], meaning: 'not, opposite of', category: 'negation', strength: 0.6 },
+    { value: 're-', forms: ['re'], meaning: 'again, back', category: 'temporal', strength: 0.5 },
+    { value: 'pre-', forms: ['pre'], meaning: 'before', category: 'temporal', strength: 0.6 },
+    { value: 'dis-', forms: ['dis'], meaning: 'not, opposite', category: 'negation', strength: 0.7 },
+    { value: 'mis-', forms: ['mis'], meaning: 'wrongly, badly', category: 'negation', strength: 0.7 },
+    { value: 'over-', forms: ['over'], meaning: 'too much, above', category: 'spatial', strength: 0.8 },
+    { value: 'under-', forms: ['under'], meaning: 'too little, below', category: 'spatial', strength: 0.8 },
+    { value: 'out-', forms: ['out'], meaning: 'beyond, more than', category: 'spatial', strength: 0.6 },
+    { value: 'up-', forms: ['up'], meaning: 'upward, increase', category: 'spatial', strength: 0.5 },
+    { value: 'anti-', forms: ['anti'], meaning: 'against', category: 'negation', strength: 0.9 },
+    { value: 'de-', forms: ['de'], meaning: 'remove, reverse', category: 'negation', strength: 0.4 },
+    { value: 'non-', forms: ['non'], meaning: 'not', category: 'negation', strength: 0.8 },
+    { value: 'in-', forms: ['in', 'im', 'il', 'ir'], meaning: 'not', category: 'negation', strength: 0.4 },
+    { value: 'en-', forms: ['en', 'em'], meaning: 'make, put into', category: 'action', strength: 0.4 },
+    { value: 'inter-', forms: ['inter'], meaning: 'between', category: 'spatial', strength: 0.9 },
+    { value: 'sub-', forms: ['sub'], meaning: 'under', category: 'spatial', strength: 0.6 },
+    { value: 'super-', forms: ['super'], meaning: 'above, beyond', category: 'degree', strength: 0.9 },
+    { value: 'trans-', forms: ['trans'], meaning: 'across', category: 'spatial', strength: 0.9 },
+    { value: 'co-', forms: ['co'], meaning: 'together', category: 'relational', strength: 0.3 },
+    { value: 'ex-', forms: ['ex'], meaning: 'out of, former', category: 'spatial', strength: 0.4 },
+    { value: 'fore-', forms: ['fore'], meaning: 'before', category: 'temporal', strength: 0.8 },
+    { value: 'post-', forms: ['post'], meaning: 'after', category: 'temporal', strength: 0.7 },
+    { value: 'semi-', forms: ['semi'], meaning: 'half', category: 'degree', strength: 0.9 },
+    { value: 'multi-', forms: ['multi'], meaning: 'many', category: 'degree', strength: 0.9 },
+    { value: 'counter-', forms: ['counter'], meaning: 'against, opposite', category: 'negation', strength: 0.9 },
+    { value: 'mid-', forms: ['mid'], meaning: 'middle', category: 'spatial', strength: 0.6 }
+];
+
+// Inflectional suffixes always come last (help-ful-ness-es, not help-s-ful)
+const SUFFIXES = [
+    { value: '-s', forms: ['s', 'es'], meaning: 'plural, third person', category: 'grammatical', inflectional: true, strength: 0.2 },
+    { value: '-ed', forms: ['ed'], meaning: 'past action, completed', category: 'temporal', inflectional: true, strength: 0.3 },
+    { value: '-ing', forms: ['ing'], meaning: 'action, process', category: 'action', inflectional: true, strength: 0.5 },
+    { value: '-est', forms: ['est'], meaning: 'most, superlative', category: 'degree', inflectional: true, strength: 0.4 },
+    { value: '-er', forms: ['er'], meaning: 'one who does', category: 'agent', strength: 0.2 },
+    { value: '-or', forms: ['or'], meaning: 'one who does', category: 'agent', strength: 0.3 },
+    { value: '-ly', forms: ['ly'], meaning: 'in the manner of', category: 'manner', strength: 0.4 },
+    { value: '-tion', forms: ['tion', 'ation'], meaning: 'action, state', category: 'action', strength: 0.7 },
+    { value: '-sion', forms: ['sion'], meaning: 'action, state', category: 'action', strength: 0.7 },
+    { value: '-ion', forms: ['ion'], meaning: 'action, result', category: 'action', strength: 0.5 },
+    { value: '-ness', forms: ['ness'], meaning: 'quality, state', category: 'quality', strength: 1.0 },
+    { value: '-ment', forms: ['ment'], meaning: 'action, result', category: 'action', strength: 0.9 },
+    { value: '-ful', forms: ['ful'], meaning: 'full of', category: 'quality', strength: 0.8 },
+    { value: '-less', forms: ['less'], meaning: 'without', category: 'negation', strength: 0.9 },
+    { value: '-able', forms: ['able'], innerForms: ['abil'], meaning: 'capable of', category: 'quality', strength: 0.9 },
+    { value: '-ible', forms: ['ible'], innerForms: ['ibil'], meaning: 'capable of', category: 'quality', strength: 0.8 },
+    { value: '-ity', forms: ['ity'], meaning: 'state, quality', category: 'quality', strength: 0.7 },
+    { value: '-ous', forms: ['ous'], meaning: 'having, full of', category: 'quality', strength: 0.6 },
+    { value: '-ive', forms: ['ive'], meaning: 'tending to', category: 'quality', strength: 0.5 },
+    { value: '-al', forms: ['al'], meaning: 'relating to', category: 'quality', strength: 0.3 },
+    { value: '-ize', forms: ['ize', 'ise'], meaning: 'make, become', category: 'action', strength: 0.7 },
+    { value: '-ify', forms: ['ify'], meaning: 'make', category: 'action', strength: 0.7 },
+    { value: '-en', forms: ['en'], meaning: 'make, become', category: 'action', strength: 0.2 },
+    { value: '-ish', forms: ['ish'], meaning: 'somewhat', category: 'degree', strength: 0.6 },
+    { value: '-hood', forms: ['hood'], meaning: 'state, condition', category: 'quality', strength: 1.0 },
+    { value: '-ship', forms: ['ship'], meaning: 'state, office', category: 'quality', strength: 1.0 },
+    { value: '-dom', forms: ['dom'], meaning: 'domain, state', category: 'quality', strength: 0.8 },
+    { value: '-ist', forms: ['ist'], meaning: 'one who practices', category: 'agent', strength: 0.6 },
+    { value: '-ism', forms: ['ism'], meaning: 'doctrine, practice', category: 'quality', strength: 0.7 },
+    { value: '-ance', forms: ['ance', 'ence'], meaning: 'state, action', category: 'quality', strength: 0.6 },
+    { value: '-ward', forms: ['ward', 'wards'], meaning: 'in the direction of', category: 'spatial', strength: 0.9 },
+    { value: '-y', forms: ['y'], meaning: 'having, like', category: 'quality', strength: 0.2 }
+];
+
+// Allomorphs of in- and en- depend on the next sound: im-possible, il-legal, ir-regular, em-power
+const PREFIX_CONTEXTS = {
+    in: /^[^bmplr]/,
+    im: /^[bmp]/,
+    il: /^l/,
+    ir: /^r/,
+    en: /^[^bp]/,
+    em: /^[bp]/
+};
+
+// Closed-class words are never the root of a derived word (butter is not but + -er, offer not off + -er)
+const FUNCTION_WORDS = new Set([
+    'all', 'and', 'any', 'are', 'both', 'but', 'can', 'few', 'for', 'from', 'had', 'has', 'her', 'him',
+    'his', 'how', 'its', 'nor', 'not', 'off', 'our', 'own', 'she', 'than', 'that', 'the', 'them', 'then',
+    'they', 'this', 'too', 'was', 'what', 'when', 'who', 'why', 'with', 'yet', 'you'
+]);
+
+// Known words and roots start from a fixed score; every affix then adds its strength less a
+// threshold, so weak affixes (-er, -y) only split off a known word when the evidence is strong
+const KNOWN_WORD_SCORE = 2.25;
+const KNOWN_ROOT_SCORE = 2;
+const KNOWN_ROOT_AFFIX_THRESHOLD = 0.5;
+const UNKNOWN_ROOT_AFFIX_THRESHOLD = 0.6;
+
+let defaultLexicon = null;
+
+/**
+ * Splits English words into prefixes, a root and suffixes. Affixes stack recursively
+ * (un-help-ful-ness), spelling changes at morpheme boundaries are undone (happi-ness
+ * → happy, mak-ing → make, runn-ing → run) and roots shorter than `minRootLength`
+ * are never produced. Every plausible split is scored, so ambiguous words get a
+ * ranked list of candidate segmentations.
+ */
+export class MorphologicalSegmenter {
+    constructor(options = {}) {
+        this.minRootLength = options.minRootLength || 3;
+        this.maxAffixes = options.maxAffixes || 4;
+        this.maxCandidates = options.maxCandidates || 5;
+        this.lexicon = options.lexicon || MorphologicalSegmenter.loadDefaultLexicon();
+        this.prefixes = options.prefixes || PREFIXES;
+        this.suffixes = options.suffixes || SUFFIXES;
+        this.affixes = new Map([...this.prefixes, ...this.suffixes].map(affix => [affix.value, affix]));
+    }
+
+    // Common English words, used to tell real roots (help-ful) from accidental matches (und-er)
+    static loadDefaultLexicon() {
+        if (!defaultLexicon) {
+            defaultLexicon = new Set();
+            for (const file of LEXICON_FILES) {
+                try {
+                    const content = fs.readFileSync(new URL(file, import.meta.url), 'utf8');
+                    for (const line of content.split(/\r?\n/)) {
+                        const word = line.trim().toLowerCase();
+                        if (word && !word.startsWith('#')) defaultLexicon.add(word);
+                    }
+                } catch (error) {
+                    console.warn(`Failed to load word list ${file}: ${error.message}`);
+                }
+            }
+        }
+        return defaultLexicon;
+    }
+
+    /**
+     * Split a compound into known words, using as few parts as possible (framework →
+     * frame + work). Parts need `minPartLength` letters and the last one `minLastPartLength`,
+     * which keeps words like carpet and season from splitting into car + pet and sea + son.
+     * Words that also split into as many known words elsewhere, counting words down to
+     * `minAmbiguousPartLength` letters, stay whole: nowhere is no + where, not now + here.
+     * @param {string} word - English word
+     * @param {Function} isKnown - Whether a lowercase string is a known word
+     * @param {Object} options - minPartLength (3), minLastPartLength (4), maxParts (3),
+     *   minAmbiguousPartLength (2)
+     * @returns {string[]|null} Parts in order, or null if the word isn't a compound
+     */
+    static splitCompound(word, isKnown, options = {}) {
+        const { minPartLength = 3, minLastPartLength = 4, maxParts = 3, minAmbiguousPartLength = 2 } = options;
+        const surface = String(word).trim().toLowerCase();
+        if (!/^\p{L}+$/u.test(surface)) return null;
+
+        const search = (start, depth) => {
+            const last = surface.slice(start);
+            if (depth > 0 && last.length >= minLastPartLength && isKnown(last)) {
+                return [last];
+            }
+            if (depth + 1 >= maxParts) return null;
+
+            // Longest first part first, so frame+work wins over a split of "framew"
+            let best = null;
+            for (let end = surface.length - minPartLength; end - start >= minPartLength; end--) {
+                const part = surface.slice(start, end);
+                if (!isKnown(part)) continue;
+                const rest = search(end, depth + 1);
+                if (rest && (!best || rest.length + 1 < best.length)) {
+                    best = [part, ...rest];
+                }
+            }
+            return best;
+        };
+
+        // Whether the letters from `start` split into exactly `count` known words other than `parts`
+        const splitsElsewhere = (start, count, parts) => {
+            if (count === 1) {
+                const last = surface.slice(start);
+                return last.length >= minAmbiguousPartLength && last !== parts[0] && isKnown(last);
+            }
+            for (let end = start + minAmbiguousPartLength; surface.length - end >= minAmbiguousPartLength; end++) {
+                const part = surface.slice(start, end);
+                if (!isKnown(part)) continue;
+                // Once a part differs, the rest only has to split at all
+                const rest = part === parts[0] ? parts.slice(1) : [];
+                if (splitsElsewhere(end, count - 1, rest)) return true;
+            }
+            return false;
+        };
+
+        const parts = search(0, 0);
+        if (!parts || splitsElsewhere(0, parts.length, parts)) return null;
+        return parts;
+    }
+
+    getAffix(value) {
+        return this.affixes.get(value) || null;
+    }
+
+    /**
+     * Ranked segmentations of a word, best first. Each candidate has the morphemes in
+     * word order ({ type, value, form, meaning }, where `form` is the spelling in this
+     * word and `value` the underlying affix or root), a score and the spelling rules used.
+     * @param {string} word - English word
+     * @returns {Array<{morphemes: Array, score: number, rules: string[]}>}
+     */
+    segment(word) {
+        const surface = String(word).trim().toLowerCase();
+        const whole = this.buildCandidate(surface, [], { value: surface, form: surface }, [], []);
+
+        // Hyphenated, multi-word and non-alphabetic input is left whole
+        if (!/^[a-z]+$/.test(surface)) {
+            return [whole];
+        }
+
+        const candidates = new Map([[this.candidateKey(whole), whole]]);
+        this.stripSuffixes(surface, {
+            stem: surface,
+            end: surface.length,
+            added: 0,
+            restored: 0,
+            suffixes: [],
+            rules: [],
+            penalty: 0
+        }, candidates);
+
+        return Array.from(candidates.values())
+            .sort((a, b) => b.score - a.score || a.rules.length - b.rules.length || a.morphemes.length - b.morphemes.length)
+            .slice(0, this.maxCandidates);
+    }
+
+    // `stem` is the underlying spelling of word.slice(0, end); its last `restored` letters come from
+    // a spelling rule, `added` of them beyond the letters in the word
+    stripSuffixes(word, state, candidates) {
+        this.stripPrefixes(word, state, state.stem, 0, [], candidates);
+
+        if (state.suffixes.length >= this.maxAffixes) return;
+
+        for (const suffix of this.suffixes) {
+            // Inflections are outermost, so they can't follow another suffix
+            if (suffix.inflectional && state.suffixes.length > 0) continue;
+
+            const forms = state.suffixes.length > 0 ? [...suffix.forms, ...(suffix.innerForms || [])] : suffix.forms;
+            for (const form of forms) {
+                // A suffix can't consist of letters a spelling rule put back (happi-ness is not happ-y-ness)
+                if (!state.stem.endsWith(form) || form.length <= state.restored) continue;
+
+                const base = state.stem.slice(0, -form.length);
+                const end = state.end - (form.length - state.added);
+                const morpheme = {
+                    type: 'suffix',
+                    value: suffix.value,
+                    form: word.slice(end, state.end),
+                    meaning: suffix.meaning
+                };
+
+                for (const restored of this.restoreStem(base, form, suffix)) {
+                    if (!this.isPlausibleRoot(restored.stem)) continue;
+                    this.stripSuffixes(word, {
+                        stem: restored.stem,
+                        end,
+                        added: restored.stem.length - base.length,
+                        restored: restored.restored || 0,
+                        suffixes: [morpheme, ...state.suffixes],
+                        rules: restored.rule ? [...state.rules, restored.rule] : state.rules,
+                        penalty: state.penalty + restored.penalty + this.affixPenalty(suffix, form)
+                    }, candidates);
+                }
+            }
+        }
+    }
+
+    stripPrefixes(word, state, stem, start, prefixes, candidates) {
+        const form = word.slice(start, state.end);
+        // The root's own letters need a vowel too (th-ing is not the + -ing), and prefixes only come
+        // off known roots, since dis-, mis- and the like start many plain words (dishes, misery, mister)
+        if ((prefixes.length > 0 || state.suffixes.length > 0) && VOWELS.test(form) &&
+            (prefixes.length === 0 || this.isKnownRoot(stem))) {
+            const root = { value: stem, form };
+            const candidate = this.buildCandidate(word, prefixes, root, state.suffixes, state.rules, state.penalty);
+            const key = this.candidateKey(candidate);
+            if (!candidates.has(key) || candidates.get(key).score < candidate.score) {
+                candidates.set(key, candidate);
+            }
+        }
+
+        if (prefixes.length + state.suffixes.length >= this.maxAffixes) return;
+
+        for (const prefix of this.prefixes) {
+            for (const form of prefix.forms) {
+                if (!stem.startsWith(form)) continue;
+
+                const rest = stem.slice(form.length);
+                if (PREFIX_CONTEXTS[form] && !PREFIX_CONTEXTS[form].test(rest)) continue;
+                if (!this.isPlausibleRoot(rest)) continue;
+
+                const morpheme = { type: 'prefix', value: prefix.value, form, meaning: prefix.meaning };
+                this.stripPrefixes(word, state, rest, start + form.length, [...prefixes, morpheme], candidates);
+            }
+        }
+    }
+
+    // Underlying spellings the stem may have had before the suffix was attached
+    restoreStem(base, form, suffix) {
+        const options = [];
+        const vowelInitial = /^[aeiouy]/.test(form);
+
+        // happi-ness → happy, stud-ies → study
+        if (base.endsWith('i') && !form.startsWith('i')) {
+            options.push({ stem: `${base.slice(0, -1)}y`, rule: 'y-to-i', restored: 1, penalty: 0 });
+            options.push({ stem: base, penalty: 0.2 });
+        } else if (vowelInitial && /([bdgmnprt])\1$/.test(base)) {
+            // runn-ing → run
+            options.push({ stem: base.slice(0, -1), rule: 'consonant-doubling', penalty: 0 });
+            options.push({ stem: base, penalty: 0.2 });
+        } else if (vowelInitial && /[^aeiouy]$/.test(base)) {
+            // mak-ing → make; English words rarely end in c, g (as /dʒ/), v or u without it
+            const expectsE = /(v|u|[^aeiou][cg])$/.test(base);
+            options.push({ stem: base, penalty: expectsE ? 0.2 : 0 });
+            options.push({ stem: `${base}e`, rule: 'e-deletion', restored: 1, penalty: expectsE ? 0 : 0.1 });
+        } else if (form === 'ly' && /[^aeiouy]$/.test(base)) {
+            // gent-ly → gentle
+            options.push({ stem: base, penalty: 0 });
+            options.push({ stem: `${base}le`, rule: 'le-to-ly', restored: 2, penalty: 0.2 });
+        } else {
+            options.push({ stem: base, penalty: 0 });
+        }
+
+        return options.filter(option => this.allowsSuffix(option.stem, form, suffix));
+    }
+
+    allowsSuffix(stem, form, suffix) {
+        if (suffix.value !== '-s') return true;
+        // -es follows sibilants and o (wish-es, potato-es); plain -s doesn't follow s (glass)
+        return form === 'es' ? /(s|x|z|ch|sh|o|y)$/.test(stem) : !/s$/.test(stem);
+    }
+
+    isKnownRoot(stem) {
+        return this.lexicon.has(stem) && !FUNCTION_WORDS.has(stem);
+    }
+
+    isPlausibleRoot(stem) {
+        return stem.length >= this.minRootLength && VOWELS.test(stem);
+    }
+
+    affixPenalty(affix, form) {
+        // Allomorphs are slightly less likely than the usual spelling
+        return form === affix.forms[0] ? 0 : 0.05;
+    }
+
+    buildCandidate(word, prefixes, root, suffixes, rules, penalty = 0) {
+        const affixes = [...prefixes, ...suffixes];
+        let score;
+        if (affixes.length === 0) {
+            score = this.lexicon.has(word) ? KNOWN_WORD_SCORE : 0;
+        } else {
+            const known = this.isKnownRoot(root.value);
+            const threshold = known ? KNOWN_ROOT_AFFIX_THRESHOLD : UNKNOWN_ROOT_AFFIX_THRESHOLD;
+            score = (known ? KNOWN_ROOT_SCORE : 0) +
+                affixes.reduce((sum, morpheme) => sum + this.getAffix(morpheme.value).strength - threshold, 0);
+        }
+
+        return {
+            morphemes: [
+                ...prefixes,
+                { type: 'root', value: root.value, form: root.form, meaning: 'core meaning' },
+                ...suffixes
+            ],
+            score: Math.round((score - penalty) * 100) / 100,
+            rules
+        };
+    }
+
+    candidateKey(candidate) {
+        return candidate.morphemes.map(morpheme => `${morpheme.value}:${morpheme.form}`).join('+');
+    }
+}
@@ -0,0 +1,45 @@
+import { LLMProvider } from './llm-provider.js';
+
+/**
+ * Provider used when no language model is configured or reachable.
+ * Answers immediately with placeholders so generation stays fully local.
+ */
+export class OfflineProvider extends LLMProvider {
+    get name() {
+        return 'offline';
+    }
+
+    get isAvailable() {
+        return false;
+    }
+
+    async makeRequest(prompt) {
+        throw new Error('No language model provider is configured');
+    }
+
+    async complete(prompt) {
+        return null;
+    }
+
+    async getEtymology(word) {
+        return {
+            origin: 'unknown',
+            historicalForms: [],
+            relatedWords: [],
+            meanings: ['definition unavailable'],
+            source: 'offline'
+        };
+    }
+
+    async getDefinitions(word) {
+        return { primary: [`Definition of ${word}`], source: 'offline' };
+    }
+
+    async getSemanticAnalysis(word) {
+        return { ...this.getDefaultSemanticAnalysis(word), source: 'offline' };
+    }
+
+    async getRelatedWords(word, relationship = 'all') {
+        return { ...this.getDefaultRelatedWords(word), source: 'offline' };
+    }
+}
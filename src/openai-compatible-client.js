@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { LLMProvider } from './llm-provider.js';
+
+/**
+ * Client for servers exposing the OpenAI chat completions API,
+ * such as llama.cpp's server, vLLM, LM Studio or OpenAI itself.
+ */
+export class OpenAICompatibleClient extends LLMProvider {
+    constructor(baseUrl = 'http://localhost:8080/v1', model = null, options = {}) {
+        super({ ...options, model });
+        this.baseUrl = OpenAICompatibleClient.normalizeBaseUrl(baseUrl);
+        this.apiKey = options.apiKey || null;
+    }
+
+    // Accept both http://host:port and http://host:port/v1
+    static normalizeBaseUrl(baseUrl) {
+        const trimmed = baseUrl.replace(/\/+$/, '');
+        return /\/v\d+$/.test(trimmed) ? trimmed : `${trimmed}/v1`;
+    }
+
+    get name() {
+        return 'openai';
+    }
+
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async testConnection() {
+        try {
+            const response = await axios.get(`${this.baseUrl}/models`, {
+                timeout: this.timeout,
+                headers: this.getHeaders()
+            });
+
+            // Single-model servers don't care about the name, but vLLM requires one
+            if (!this.model) {
+                this.model = response.data?.data?.[0]?.id || null;
+            }
+            return response.status === 200;
+        } catch (error) {
+            console.warn(`OpenAI-compatible server at ${this.baseUrl} unavailable:`, error.message);
+            return false;
+        }
+    }
+
+    async makeRequest(prompt, responseFormat = undefined) {
+        const requestData = {
+            messages: [{ role: 'user', content: prompt }],
+            stream: false,
+            temperature: 0.3,
+            top_p: 0.9
+        };
+        if (this.model) {
+            requestData.model = this.model;
+        }
+        if (responseFormat) {
+            requestData.response_format = responseFormat;
+        }
+
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, requestData, {
+            timeout: this.timeout,
+            headers: this.getHeaders()
+        });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+            throw new Error('Response contained no message content');
+        }
+        return content;
+    }
+
+    // llama.cpp, vLLM and OpenAI all accept json_schema response formats
+    async makeStructuredRequest(prompt, schema) {
+        return this.makeRequest(prompt, {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema }
+        });
+    }
+}
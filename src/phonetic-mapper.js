@@ -1,3 +1,8 @@
+import { SeededRandom } from './seeded-random.js';
+import { GraphemeToPhoneme } from './g2p.js';
+import { Phonotactics } from './phonotactics.js';
+import { Syllabifier } from './syllabifier.js';
+
 export class PhoneticMapper {
     constructor(languageConfig = {}) {
         this.languageConfig = {
@@ -7,6 +12,10 @@ export class PhoneticMapper {
             ...languageConfig
         };
         
+        this.random = new SeededRandom(this.languageConfig.seed);
+        this.wordRandom = null;
+        this.g2p = new GraphemeToPhoneme({ lexicon: this.languageConfig.pronunciationLexicon });
+        this.phonotactics = new Phonotactics(this.languageConfig.phonotactics);
         this.initializeBaseMappings();
     }
 
@@ -39,36 +48,152 @@ export class PhoneticMapper {
     }
 
     mapWordToSigment(englishWord, etymologyAnalysis, languageStyle = 'default', options = {}) {
-        const sigmentWord = this.transformWord(englishWord, etymologyAnalysis, languageStyle);
+        // Each word draws from its own stream so results don't depend on processing order
+        const baseRandom = options.seed !== undefined ? new SeededRandom(options.seed) : this.random;
+        this.wordRandom = baseRandom.fork(englishWord.toLowerCase());
+
+        const sigmentWord = this.repairPhonotactics(
+            this.transformWord(englishWord, etymologyAnalysis, languageStyle, options.soundChanges, options.affixes),
+            options
+        );
+        return this.describeSigmentWord(englishWord, sigmentWord, etymologyAnalysis, options);
+    }
+
+    describeSigmentWord(englishWord, sigmentWord, etymologyAnalysis, options = {}) {
         const useAsciiPronunciation = options.asciiPronunciation || false;
         
         return {
             english: englishWord,
             sigment: sigmentWord,
             pronunciation: useAsciiPronunciation ? 
-                this.generateAsciiPronunciation(sigmentWord) : 
-                this.generatePronunciation(sigmentWord),
-            phoneticStructure: this.analyzePhoneticStructure(sigmentWord),
+                this.generateAsciiPronunciation(sigmentWord, options) : 
+                this.generatePronunciation(sigmentWord, options),
+            phoneticStructure: {
+                ...this.analyzePhoneticStructure(sigmentWord, options),
+                phonotacticScore: this.getPhonotactics(options).analyze(sigmentWord).score
+            },
             transformationRules: this.getAppliedRules(englishWord, sigmentWord),
             etymologicalBasis: this.deriveEtymologicalLogic(etymologyAnalysis)
         };
     }
 
-    transformWord(word, etymology, style) {
-        let transformed = word.toLowerCase();
+    // A compound's form is its parts' forms joined, so it stays recognisable from its components
+    composeSigmentWord(englishWord, partForms, etymologyAnalysis, options = {}) {
+        const baseRandom = options.seed !== undefined ? new SeededRandom(options.seed) : this.random;
+        this.wordRandom = baseRandom.fork(englishWord.toLowerCase());
+
+        const sigmentWord = this.repairPhonotactics(this.applyPhoneticConsistency(partForms.join('')), options);
+        return this.describeSigmentWord(englishWord, sigmentWord, etymologyAnalysis, options);
+    }
+
+    /**
+     * Build the Sigment form of every affix once, the way the language builds its words, so
+     * each word with -ness or re- carries the same Sigment morpheme
+     * @param {Array} affixes - Affixes with their English `value` (re-, -ness) and spellings as `forms`
+     * @param {string} languageStyle - Transformation style
+     * @param {Object} options - seed, soundChanges and phonotactics
+     * @returns {Object} Sigment form by English affix
+     */
+    generateAffixTable(affixes, languageStyle = 'default', options = {}) {
+        const baseRandom = options.seed !== undefined ? new SeededRandom(options.seed) : this.random;
+        const table = {};
+
+        for (const affix of affixes) {
+            const morpheme = {
+                type: affix.value.endsWith('-') ? 'prefix' : 'suffix',
+                value: affix.value,
+                form: affix.forms?.[0] || affix.value.replace(/^-|-$/g, '')
+            };
+            this.wordRandom = baseRandom.fork(`affix:${affix.value}`);
+            const form = this.applySystematicTransformations(morpheme.form, { morphemes: [morpheme] }, languageStyle, options.soundChanges);
+            // Only the edge of the affix that ends up at the edge of a word is held to onset or coda rules
+            const edges = morpheme.type === 'prefix' ? { end: false } : { start: false };
+            table[affix.value] = this.repairPhonotactics(this.applyPhoneticConsistency(form), options, edges) || morpheme.form;
+        }
+
+        return table;
+    }
+
+    transformWord(word, etymology, style, soundChanges = null, affixes = null) {
         const morphemes = etymology.morphemes || [];
-        
-        transformed = this.applySystematicTransformations(transformed, etymology, style);
-        transformed = this.applyMorphemeBasedRules(transformed, morphemes, style);
+        const { stem, affixMorphemes } = this.splitAffixes(word.toLowerCase(), morphemes);
+
+        // Only the stem goes through the style's rules; affixes are attached afterwards in their table forms
+        let transformed = this.applySystematicTransformations(stem, etymology, style, soundChanges);
         transformed = this.applyPhoneticConsistency(transformed);
+        transformed = this.applyMorphemeBasedRules(transformed, [
+            ...morphemes.filter(morpheme => morpheme.type === 'root'),
+            ...affixMorphemes
+        ], style, affixes || {});
         
         return transformed;
     }
 
-    applySystematicTransformations(word, etymology, style) {
+    // The word without its affixes, if the morphemes spell out the word; otherwise the whole word is the stem
+    splitAffixes(word, morphemes) {
+        const prefixes = morphemes.filter(morpheme => morpheme.type === 'prefix');
+        const suffixes = morphemes.filter(morpheme => morpheme.type === 'suffix');
+        const before = prefixes.map(morpheme => this.getMorphemeForm(morpheme)).join('');
+        const after = suffixes.map(morpheme => this.getMorphemeForm(morpheme)).join('');
+
+        if ((!before && !after) || !word.startsWith(before) || !word.endsWith(after) ||
+            word.length <= before.length + after.length) {
+            return { stem: word, affixMorphemes: [] };
+        }
+
+        return {
+            stem: word.slice(before.length, word.length - after.length),
+            affixMorphemes: [...prefixes, ...suffixes]
+        };
+    }
+
+    generateAlternateForm(word, attempt) {
+        const vowelShift = { a: 'e', e: 'i', i: 'o', o: 'u', u: 'a' };
+        const consonantShift = { t: 'd', d: 't', k: 'g', g: 'k', p: 'b', b: 'p', s: 'z', z: 's', f: 'v', v: 'f' };
+        const vowelPositions = [];
+        for (let i = 0; i < word.length; i++) {
+            if (vowelShift[word[i]]) vowelPositions.push(i);
+        }
+
+        const replaceAt = (text, index, replacement) =>
+            text.substring(0, index) + replacement + text.substring(index + 1);
+
+        // Deterministic variants, from least to most noticeable
+        switch (attempt) {
+            case 1: {
+                const last = vowelPositions[vowelPositions.length - 1];
+                return last === undefined ? null : replaceAt(word, last, vowelShift[word[last]]);
+            }
+            case 2: {
+                const first = vowelPositions[0];
+                return first === undefined ? null : replaceAt(word, first, vowelShift[word[first]]);
+            }
+            case 3: {
+                const lastIndex = word.length - 1;
+                return consonantShift[word[lastIndex]] ? replaceAt(word, lastIndex, consonantShift[word[lastIndex]]) : null;
+            }
+            case 4: {
+                const firstIndex = word.search(/[tdkgpbszfv]/);
+                return firstIndex === -1 ? null : replaceAt(word, firstIndex, consonantShift[word[firstIndex]]);
+            }
+            case 5: {
+                const last = vowelPositions[vowelPositions.length - 1];
+                return last === undefined ? null : replaceAt(word, last, vowelShift[vowelShift[word[last]]]);
+            }
+            case 6:
+                return /[aeiou]$/.test(word) ? `${word}n` : `${word}e`;
+            default:
+                return null;
+        }
+    }
+
+    applySystematicTransformations(word, etymology, style, soundChanges = null) {
         let result = word;
         
         switch (style) {
+            case 'custom':
+                // Only the user's sound change rules apply
+                break;
             case 'consonant_shift':
                 result = this.applyConsonantShift(result, etymology);
                 break;
@@ -84,6 +209,10 @@ export class PhoneticMapper {
             default:
                 result = this.applyDefaultTransformation(result, etymology);
         }
+
+        if (soundChanges) {
+            result = soundChanges.apply(result);
+        }
         
         return result;
     }
@@ -133,9 +262,9 @@ export class PhoneticMapper {
         for (const char of word) {
             if (vowels.includes(char)) {
                 if (dominantClass === 'front' && harmony.back.includes(char)) {
-                    result += harmony.front[Math.floor(Math.random() * harmony.front.length)];
+                    result += this.getRandom().pick(harmony.front);
                 } else if (dominantClass === 'back' && harmony.front.includes(char)) {
-                    result += harmony.back[Math.floor(Math.random() * harmony.back.length)];
+                    result += this.getRandom().pick(harmony.back);
                 } else {
                     result += char;
                 }
@@ -156,11 +285,11 @@ export class PhoneticMapper {
         
         for (const morpheme of etymology.morphemes) {
             if (morpheme && morpheme.type === 'root' && morpheme.value) {
-                const start = result.indexOf(morpheme.value, offset);
+                const form = this.getMorphemeForm(morpheme);
+                const start = result.indexOf(form, offset);
                 if (start !== -1) {
-                    const morphemeText = result.substring(start, start + morpheme.value.length);
-                    const emphasized = this.emphasizeMorpheme(morphemeText, morpheme);
-                    result = result.substring(0, start) + emphasized + result.substring(start + morpheme.value.length);
+                    const emphasized = this.emphasizeMorpheme(form, morpheme);
+                    result = result.substring(0, start) + emphasized + result.substring(start + form.length);
                     offset = start + emphasized.length;
                 }
             }
@@ -196,34 +325,44 @@ export class PhoneticMapper {
         return result;
     }
 
-    applyMorphemeBasedRules(word, morphemes, style) {
+    applyMorphemeBasedRules(word, morphemes, style, affixes = {}) {
         let result = word;
         
         for (const morpheme of morphemes) {
-            if (morpheme.type === 'prefix') {
-                result = this.transformPrefix(result, morpheme, style);
-            } else if (morpheme.type === 'suffix') {
-                result = this.transformSuffix(result, morpheme, style);
-            } else if (morpheme.type === 'root') {
+            if (morpheme.type === 'root') {
                 result = this.transformRoot(result, morpheme, style);
             }
         }
+
+        // Affixes attach from the stem outwards: un-(re-(do)), (help-ful)-ness
+        for (const morpheme of morphemes.filter(m => m.type === 'prefix').reverse()) {
+            result = this.transformPrefix(result, morpheme, style, affixes);
+        }
+        for (const morpheme of morphemes.filter(m => m.type === 'suffix')) {
+            result = this.transformSuffix(result, morpheme, style, affixes);
+        }
         
         return result;
     }
 
-    transformPrefix(word, morpheme, style) {
-        return word;
+    transformPrefix(word, morpheme, style, affixes = {}) {
+        return this.getAffixForm(morpheme, affixes) + word;
     }
 
-    transformSuffix(word, morpheme, style) {
-        return word;
+    transformSuffix(word, morpheme, style, affixes = {}) {
+        return word + this.getAffixForm(morpheme, affixes);
     }
 
     transformRoot(word, morpheme, style) {
+        // The stem has already been through the style's rules
         return word;
     }
 
+    // Affixes missing from the table keep their English spelling
+    getAffixForm(morpheme, affixes = {}) {
+        return affixes[morpheme.value] ?? this.getMorphemeForm(morpheme);
+    }
+
     applyPhoneticConsistency(word) {
         let result = word;
         
@@ -234,6 +373,21 @@ export class PhoneticMapper {
         return result;
     }
 
+    getPhonotactics(options = {}) {
+        return options.phonotactics || this.phonotactics;
+    }
+
+    // Syllables follow the language's onsets, stress its stress rule (options.stress)
+    getSyllabifier(options = {}) {
+        return new Syllabifier({ phonotactics: this.getPhonotactics(options), stress: options.stress });
+    }
+
+    // Words breaking the language's phonotactics are repaired unless the language turned repair off
+    repairPhonotactics(word, options = {}, edges = {}) {
+        const phonotactics = this.getPhonotactics(options);
+        return phonotactics.repairEnabled ? phonotactics.repair(word, edges).word : word;
+    }
+
     handleConsonantClusters(word) {
         let result = word;
         
@@ -247,118 +401,37 @@ export class PhoneticMapper {
         return result;
     }
 
-    generatePronunciation(sigmentWord) {
-        let pronunciation = '/';
-        
-        for (let i = 0; i < sigmentWord.length; i++) {
-            const char = sigmentWord[i];
-            const phoneme = this.getPhoneme(char, sigmentWord, i);
-            pronunciation += phoneme;
-        }
-        
-        pronunciation += '/';
-        return pronunciation;
+    // Sigment words are read with English spelling rules; options.pronunciationLexicon overrides single words
+    generatePronunciation(sigmentWord, options = {}) {
+        return this.g2p.toIPA(sigmentWord, { lexicon: options.pronunciationLexicon, syllabifier: this.getSyllabifier(options) });
     }
 
-    generateAsciiPronunciation(sigmentWord) {
-        let pronunciation = '';
-        
-        for (let i = 0; i < sigmentWord.length; i++) {
-            const char = sigmentWord[i];
-            const asciiPhoneme = this.getAsciiPhoneme(char, sigmentWord, i);
-            pronunciation += asciiPhoneme;
-        }
-        
-        return pronunciation;
+    generateAsciiPronunciation(sigmentWord, options = {}) {
+        return this.g2p.toAscii(sigmentWord, { lexicon: options.pronunciationLexicon, syllabifier: this.getSyllabifier(options) });
     }
 
-    getPhoneme(char, word, position) {
-        const phoneticMap = {
-            'a': 'æ', 'e': 'ɛ', 'i': 'ɪ', 'o': 'ɔ', 'u': 'ʌ',
-            'b': 'b', 'c': 'k', 'd': 'd', 'f': 'f', 'g': 'g',
-            'h': 'h', 'j': 'ʤ', 'k': 'k', 'l': 'l', 'm': 'm',
-            'n': 'n', 'p': 'p', 'q': 'kw', 'r': 'r', 's': 's',
-            't': 't', 'v': 'v', 'w': 'w', 'x': 'ks', 'y': 'j', 'z': 'z'
-        };
-        
-        return phoneticMap[char.toLowerCase()] || char;
-    }
-
-    getAsciiPhoneme(char, word, position) {
-        const lowerChar = char.toLowerCase();
-        const nextChar = word[position + 1]?.toLowerCase() || '';
-        const prevChar = word[position - 1]?.toLowerCase() || '';
-        
-        // Handle common two-letter combinations first
-        const twoChar = lowerChar + nextChar;
-        const asciiCombinations = {
-            'th': 'th',    // "th" as in "the" 
-            'ch': 'ch',    // "ch" as in "chair"
-            'sh': 'sh',    // "sh" as in "shoe"
-            'ph': 'f',     // "ph" as in "phone" -> "f"
-            'gh': 'g',     // "gh" as in "ghost" -> "g" 
-            'ck': 'k',     // "ck" as in "back" -> "k"
-            'ng': 'ng',    // "ng" as in "ring"
-            'qu': 'kw'     // "qu" as in "queen" -> "kw"
-        };
-        
-        if (asciiCombinations[twoChar]) {
-            // Mark next character to skip
-            this._skipNext = true;
-            return asciiCombinations[twoChar];
-        }
-        
-        // Skip if previous combination marked this character
-        if (this._skipNext) {
-            this._skipNext = false;
-            return '';
-        }
-        
-        // Single character ASCII phonetic mapping
-        const asciiPhoneticMap = {
-            // Vowels - using common keyboard representations
-            'a': 'a',      // "cat" -> "a" 
-            'e': 'e',      // "bed" -> "e"
-            'i': 'i',      // "bit" -> "i"
-            'o': 'o',      // "pot" -> "o" 
-            'u': 'u',      // "but" -> "u"
-            'y': 'y',      // "yes" -> "y"
-            
-            // Consonants - mostly stay the same
-            'b': 'b', 'c': 'k', 'd': 'd', 'f': 'f', 'g': 'g',
-            'h': 'h', 'j': 'j', 'k': 'k', 'l': 'l', 'm': 'm',
-            'n': 'n', 'p': 'p', 'r': 'r', 's': 's',
-            't': 't', 'v': 'v', 'w': 'w', 'x': 'ks', 'z': 'z'
-        };
-        
-        return asciiPhoneticMap[lowerChar] || lowerChar;
-    }
-
-    analyzePhoneticStructure(word) {
+    analyzePhoneticStructure(word, options = {}) {
         const vowels = 'aeiouAEIOU';
         const consonants = 'bcdfghjklmnpqrstvwxyzBCDFGHJKLMNPQRSTVWXYZ';
         
         let structure = '';
-        let syllables = 0;
-        let lastWasVowel = false;
-        
         for (const char of word) {
             if (vowels.includes(char)) {
                 structure += 'V';
-                if (!lastWasVowel) syllables++;
-                lastWasVowel = true;
             } else if (consonants.includes(char)) {
                 structure += 'C';
-                lastWasVowel = false;
             } else {
                 structure += 'X';
-                lastWasVowel = false;
             }
         }
+
+        const { syllables, stress } = this.getSyllabifier(options).analyze(word);
         
         return {
             pattern: structure,
-            syllableCount: syllables || 1,
+            syllableCount: syllables.length || 1,
+            syllables: syllables.map(syllable => syllable.text),
+            stressPattern: stress,
             complexity: this.calculatePhoneticComplexity(word),
             rhythm: this.determineRhythm(structure)
         };
@@ -386,7 +459,11 @@ export class PhoneticMapper {
         if (pattern.match(/^(CVC)+$/)) return 'closed_syllable';
         if (pattern.match(/^C*V+C*$/)) return 'vowel_centered';
         
-        return rhythmTypes[Math.floor(Math.random() * rhythmTypes.length)];
+        return this.getRandom().pick(rhythmTypes);
+    }
+
+    getRandom() {
+        return this.wordRandom || this.random;
     }
 
     getAppliedRules(original, transformed) {
@@ -423,8 +500,9 @@ export class PhoneticMapper {
         
         for (const morpheme of etymology.morphemes) {
             if (morpheme && morpheme.type === 'root' && morpheme.value) {
-                const start = word.indexOf(morpheme.value);
-                const end = start + morpheme.value.length;
+                const form = this.getMorphemeForm(morpheme);
+                const start = word.indexOf(form);
+                const end = start + form.length;
                 if (position >= start && position < end) {
                     return true;
                 }
@@ -433,6 +511,11 @@ export class PhoneticMapper {
         return false;
     }
 
+    // Morphemes give their underlying spelling as `value` (happy) and the spelling in the word as `form` (happi)
+    getMorphemeForm(morpheme) {
+        return morpheme.form || morpheme.value.replace(/^-|-$/g, '');
+    }
+
     calculateOverallSemanticWeight(etymology) {
         if (!etymology || !etymology.semanticComponents || !Array.isArray(etymology.semanticComponents)) {
             return 0.5;
@@ -487,7 +570,7 @@ export class PhoneticMapper {
         for (const char of word) {
             if (vowelVariants[char]) {
                 const variants = vowelVariants[char];
-                result += variants[Math.floor(Math.random() * variants.length)];
+                result += this.getRandom().pick(variants);
             } else {
                 result += char;
             }
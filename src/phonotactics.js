@@ -0,0 +1,300 @@
+/**
+ * Phonotactic constraints on Sigment spellings: which consonant clusters may begin a word (onsets),
+ * which may end one (codas) and which letter sequences may not appear at all. Clusters inside a word
+ * must split into a coda followed by an onset, as in "ant|ler" or "ex|tra".
+ *
+ * Clusters are compared by sound rather than spelling, so the inventories only list one spelling
+ * of each: c and ck count as k, ph as f, kh as ch, dh as th, zh as sh, and doubled letters as one.
+ * Each list in the configuration either replaces the default or edits it:
+ *
+ *   { "onsets": { "add": ["tl"] }, "codas": ["n", "s", "t"], "forbidden": ["aa"], "epentheticVowel": "a" }
+ */
+
+const DEFAULT_ONSETS = [
+    'b', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'm', 'n', 'p', 'q', 'r', 's', 't', 'v', 'w', 'x', 'y', 'z',
+    'th', 'sh', 'ch', 'wh', 'gh',
+    'bl', 'br', 'dr', 'dw', 'fl', 'fr', 'gl', 'gr', 'gw', 'kl', 'kr', 'kw', 'pl', 'pr', 'tr', 'tw',
+    'sk', 'sl', 'sm', 'sn', 'sp', 'sq', 'st', 'sw', 'skr', 'skw', 'spl', 'spr', 'str', 'sch', 'schr',
+    'thr', 'thw', 'shr', 'chr', 'kn', 'gn', 'wr', 'ps',
+    'by', 'py', 'ky', 'fy', 'vy', 'my', 'hy'
+];
+
+const BASE_CODAS = [
+    'b', 'd', 'f', 'g', 'k', 'l', 'm', 'n', 'p', 'r', 's', 't', 'v', 'x', 'z',
+    'th', 'sh', 'ch', 'gh', 'ng', 'nk', 'nd', 'nt', 'nch', 'nth', 'ngth', 'mp', 'mpt', 'mb', 'mn', 'gn',
+    'ft', 'ld', 'lt', 'lk', 'lf', 'lm', 'lp', 'lb', 'lv', 'lch', 'lth', 'lst',
+    'rd', 'rt', 'rk', 'rm', 'rn', 'rp', 'rb', 'rl', 'rf', 'rg', 'rv', 'rch', 'rth', 'rsh', 'rst', 'rld', 'rnt',
+    'st', 'sk', 'sp', 'kt', 'pt', 'xt', 'ght', 'tch', 'dth', 'fth', 'pth', 'nst', 'nkt', 'kst', 'ngst',
+    // Voiced clusters English only spells with -ed and -s (loved, begged, dozed, bags)
+    'bd', 'gd', 'vd', 'zd', 'md', 'ngd', 'dz', 'gz', 'vz', 'bz'
+];
+
+// Plural and third-person -s can follow any coda that doesn't already end in a sibilant
+const DEFAULT_CODAS = [
+    ...BASE_CODAS,
+    ...BASE_CODAS.filter(coda => !/(s|x|z|sh|ch)$/.test(coda)).map(coda => `${coda}s`)
+];
+
+// Doubled letters English spelling never doubles; other doubles and long vowels can still be read
+const DEFAULT_FORBIDDEN = ['jj', 'qq', 'xx', 'yy'];
+
+// Vowel letters, including those sound change rules introduce (ø, æ) and accented ones (é)
+function isVowelLetter(char) {
+    return Boolean(char) && /[aeiouæɛɪɔʌəøœɑɒʊ]/.test(char.normalize('NFD')[0]);
+}
+
+const SEVERITY = { nucleus: 100, onset: 25, coda: 25, cluster: 25, forbidden: 25 };
+
+function resolveList(setting, defaults) {
+    if (Array.isArray(setting)) return setting;
+    if (setting && typeof setting === 'object') {
+        const removed = new Set(setting.remove || []);
+        return [...defaults.filter(item => !removed.has(item)), ...(setting.add || [])];
+    }
+    return defaults;
+}
+
+// One spelling per sound, so "bakc", "back" and "bak" all end in the coda "k"
+function canonical(cluster) {
+    return cluster
+        .replace(/ph/g, 'f')
+        .replace(/kh/g, 'ch')
+        .replace(/c+h/g, 'ch')
+        .replace(/dh/g, 'th')
+        .replace(/zh/g, 'sh')
+        .replace(/c(?!h)/g, 'k')
+        .replace(/(.)\1+/g, '$1');
+}
+
+export class Phonotactics {
+    constructor(config = {}) {
+        this.config = config || {};
+        this.onsets = new Set(resolveList(this.config.onsets, DEFAULT_ONSETS).map(item => canonical(item.toLowerCase())));
+        this.codas = new Set(resolveList(this.config.codas, DEFAULT_CODAS).map(item => canonical(item.toLowerCase())));
+        this.forbidden = resolveList(this.config.forbidden, DEFAULT_FORBIDDEN).map(item => item.toLowerCase()).filter(Boolean);
+        this.epentheticVowel = this.config.epentheticVowel || 'e';
+        this.repairEnabled = this.config.repair !== false;
+    }
+
+    static get defaults() {
+        return { onsets: [...DEFAULT_ONSETS], codas: [...DEFAULT_CODAS], forbidden: [...DEFAULT_FORBIDDEN], epentheticVowel: 'e' };
+    }
+
+    // Accepts the configuration as JSON text, checking the shape of each list
+    static parse(content) {
+        const config = JSON.parse(content);
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Phonotactics must be a JSON object');
+        }
+
+        for (const key of ['onsets', 'codas', 'forbidden']) {
+            const setting = config[key];
+            if (setting === undefined) continue;
+            const lists = Array.isArray(setting) ? [setting] : [setting.add || [], setting.remove || []];
+            if (!lists.every(list => Array.isArray(list) && list.every(item => typeof item === 'string' && /^[a-z]+$/i.test(item)))) {
+                throw new Error(`"${key}" must be a list of letter sequences, or an object with "add" and "remove" lists`);
+            }
+        }
+        if (config.epentheticVowel !== undefined && !/^[aeiou]$/.test(config.epentheticVowel)) {
+            throw new Error('"epentheticVowel" must be one of a, e, i, o, u');
+        }
+
+        return config;
+    }
+
+    // y is a vowel unless a vowel follows it; w and h after a vowel spell part of it (aw, ow, ah, oh)
+    isVowelAt(word, index) {
+        const char = word[index];
+        if (isVowelLetter(char)) return true;
+
+        const nextIsVowel = isVowelLetter(word[index + 1]);
+        if (char === 'y') return !nextIsVowel;
+        if (char === 'w' || char === 'h') return isVowelLetter(word[index - 1]) && !nextIsVowel;
+        return false;
+    }
+
+    // Consonant runs of a lowercase word and where they stand
+    clusters(word) {
+        const clusters = [];
+        let start = null;
+
+        for (let i = 0; i <= word.length; i++) {
+            const isConsonant = i < word.length && !this.isVowelAt(word, i);
+            if (isConsonant && start === null) {
+                start = i;
+            } else if (!isConsonant && start !== null) {
+                const atStart = start === 0;
+                const atEnd = i === word.length;
+                clusters.push({
+                    text: word.slice(start, i),
+                    index: start,
+                    position: atStart && atEnd ? 'whole' : atStart ? 'initial' : atEnd ? 'final' : 'medial'
+                });
+                start = null;
+            }
+        }
+
+        return clusters;
+    }
+
+    isOnset(cluster) {
+        return cluster === '' || this.onsets.has(canonical(cluster));
+    }
+
+    isCoda(cluster) {
+        return cluster === '' || this.codas.has(canonical(cluster));
+    }
+
+    isMedial(cluster) {
+        for (let i = 0; i <= cluster.length; i++) {
+            if (this.isCoda(cluster.slice(0, i)) && this.isOnset(cluster.slice(i))) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check a word against the constraints
+     * @param {string} word - Sigment word
+     * @param {Object} edges - Set start or end to false to skip the word's edges (used for affixes)
+     * @returns {Object} score from 0 (unpronounceable) to 100 and the violations found
+     */
+    analyze(word, edges = {}) {
+        const violations = this.findViolations(this.letters(word).text.toLowerCase(), edges);
+        const penalty = violations.reduce((sum, violation) => sum + SEVERITY[violation.type], 0);
+        return { score: Math.max(0, 100 - penalty), violations };
+    }
+
+    findViolations(word, { start = true, end = true } = {}) {
+        const violations = [];
+
+        for (const cluster of this.clusters(word)) {
+            const { text, index, position } = cluster;
+            if (position === 'whole') {
+                if (start && end) {
+                    violations.push({ type: 'nucleus', sequence: text, index, message: `"${word}" has no vowel` });
+                }
+            } else if (position === 'initial') {
+                if (start && !this.isOnset(text)) {
+                    violations.push({ type: 'onset', sequence: text, index, message: `"${text}" cannot begin a word` });
+                }
+            } else if (position === 'final') {
+                if (end && !this.isCoda(text)) {
+                    violations.push({ type: 'coda', sequence: text, index, message: `"${text}" cannot end a word` });
+                }
+            } else if (!this.isMedial(text)) {
+                violations.push({ type: 'cluster', sequence: text, index, message: `"${text}" cannot be split into a coda and an onset` });
+            }
+        }
+
+        for (const sequence of this.forbidden) {
+            for (let index = word.indexOf(sequence); index !== -1; index = word.indexOf(sequence, index + 1)) {
+                violations.push({ type: 'forbidden', sequence, index, message: `"${sequence}" is not allowed` });
+            }
+        }
+
+        return violations.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Repair a word until it satisfies the constraints: a forbidden sequence loses its last letter,
+     * an impossible onset or coda loses one consonant where that is enough, and otherwise the
+     * epenthetic vowel is inserted to break the cluster up
+     * @param {string} word - Sigment word
+     * @param {Object} edges - Set start or end to false to leave the word's edges alone (used for affixes)
+     * @returns {Object} the repaired word and the repairs made
+     */
+    repair(word, edges = {}) {
+        const { text, separators } = this.letters(word);
+        const repairs = [];
+        let current = text;
+
+        // Every repair shortens a cluster or the word, so this ends well before the limit
+        for (let attempt = 0; attempt < text.length * 3; attempt++) {
+            const lower = current.toLowerCase();
+            const [violation] = this.findViolations(lower, edges);
+            if (!violation) break;
+
+            const fix = this.planRepair(lower, violation);
+            if (fix.action === 'deletion') {
+                current = current.slice(0, fix.index) + current.slice(fix.index + 1);
+            } else {
+                current = current.slice(0, fix.index) + this.epentheticVowel + current.slice(fix.index);
+            }
+            for (const separator of separators) {
+                if (separator.index > fix.index) separator.index += fix.action === 'deletion' ? -1 : 1;
+            }
+            repairs.push({ type: violation.type, sequence: violation.sequence, ...fix });
+        }
+
+        // Apostrophes and hyphens go back where they were
+        let repaired = current;
+        for (const separator of [...separators].reverse()) {
+            repaired = repaired.slice(0, separator.index) + separator.text + repaired.slice(separator.index);
+        }
+        return { word: repaired, repairs };
+    }
+
+    planRepair(word, violation) {
+        const { type, sequence, index } = violation;
+        const without = (position) => sequence.slice(0, position) + sequence.slice(position + 1);
+
+        switch (type) {
+            case 'forbidden':
+                return { action: 'deletion', index: index + sequence.length - 1 };
+            case 'onset': {
+                // The first consonant is kept where possible, since it does most to make the word recognisable
+                for (let i = sequence.length - 1; i >= 0; i--) {
+                    if (this.isOnset(without(i))) return { action: 'deletion', index: index + i };
+                }
+                return { action: 'epenthesis', index: index + this.lastSplit(sequence, (left) => this.isOnset(left)) };
+            }
+            case 'coda': {
+                for (let i = sequence.length - 1; i >= 0; i--) {
+                    if (this.isCoda(without(i))) return { action: 'deletion', index: index + i };
+                }
+                return { action: 'epenthesis', index: index + this.firstSplit(sequence, (left, right) => this.isMedial(left) && this.isCoda(right)) };
+            }
+            case 'cluster':
+                return { action: 'epenthesis', index: index + this.firstSplit(sequence, (left, right) => this.isMedial(left) && this.isMedial(right)) };
+            default:
+                // A word without a vowel gets one after its onset
+                return sequence.length === 1
+                    ? { action: 'epenthesis', index: index + 1 }
+                    : { action: 'epenthesis', index: index + this.lastSplit(sequence, (left, right) => this.isOnset(left) && this.isCoda(right)) };
+        }
+    }
+
+    firstSplit(sequence, isValid) {
+        for (let i = 1; i < sequence.length; i++) {
+            if (isValid(sequence.slice(0, i), sequence.slice(i))) return i;
+        }
+        return 1;
+    }
+
+    lastSplit(sequence, isValid) {
+        for (let i = sequence.length - 1; i > 0; i--) {
+            if (isValid(sequence.slice(0, i), sequence.slice(i))) return i;
+        }
+        return 1;
+    }
+
+    // The word's letters, with anything else (apostrophes, hyphens) set aside by position
+    letters(word) {
+        const separators = [];
+        let text = '';
+        for (const char of word) {
+            if (/\p{L}/u.test(char)) {
+                text += char;
+            } else if (separators.length > 0 && separators[separators.length - 1].index === text.length) {
+                separators[separators.length - 1].text += char;
+            } else {
+                separators.push({ index: text.length, text: char });
+            }
+        }
+        return { text, separators };
+    }
+
+    toJSON() {
+        return { ...this.config };
+    }
+}
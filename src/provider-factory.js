@@ -0,0 +1,110 @@
+import { OllamaClient } from './ollama-client.js';
+import { OpenAICompatibleClient } from './openai-compatible-client.js';
+import { OfflineProvider } from './offline-provider.js';
+import { ResponseCache } from './response-cache.js';
+
+const PROVIDER_ALIASES = {
+    ollama: 'ollama',
+    openai: 'openai',
+    'openai-compatible': 'openai',
+    'llama.cpp': 'openai',
+    vllm: 'openai',
+    offline: 'offline',
+    none: 'offline'
+};
+
+const DEFAULT_URLS = {
+    ollama: 'http://localhost:11434',
+    openai: 'http://localhost:8080/v1'
+};
+
+/**
+ * Builds the language model provider described by generator options:
+ *   provider                 ollama | openai | offline (aliases: openai-compatible, llama.cpp, vllm, none)
+ *   providerUrl              server URL (defaults to ollamaUrl for Ollama)
+ *   providerModel            model name (defaults to ollamaModel for Ollama)
+ *   apiKey                   bearer token for OpenAI-compatible servers
+ *   cacheEnabled             persist responses to cachePath (default ./cache/llm-responses.json)
+ *   cacheTtlDays             ignore cached responses older than this many days (0 = never)
+ *   maxConcurrentRequests    requests in flight at once (default 4)
+ *   requestsPerMinute        cap on new requests per minute (0 = no cap)
+ *   providerTimeout          milliseconds before a request times out (default 30000)
+ *   providerRetries          retries after a timeout or server error (default 2)
+ *   circuitBreakerThreshold  consecutive failures before going offline (default 5)
+ *   circuitBreakerCooldown   milliseconds offline before probing the server again (default 30000)
+ * Unset options fall back to the SIGMENT_PROVIDER, SIGMENT_PROVIDER_URL,
+ * SIGMENT_PROVIDER_MODEL and SIGMENT_API_KEY environment variables.
+ * useOllama: false (the CLI's --no-ollama) always selects the offline provider.
+ */
+export class ProviderFactory {
+    static get providers() {
+        return Object.keys(PROVIDER_ALIASES);
+    }
+
+    static resolveName(options = {}) {
+        if (options.useOllama === false) return 'offline';
+
+        const requested = String(options.provider || process.env.SIGMENT_PROVIDER || 'ollama').toLowerCase();
+        const name = PROVIDER_ALIASES[requested];
+        if (!name) {
+            throw new Error(`Unknown provider "${requested}". Available: ${ProviderFactory.providers.join(', ')}`);
+        }
+        return name;
+    }
+
+    static create(options = {}) {
+        const name = ProviderFactory.resolveName(options);
+        const env = process.env;
+        const settings = {
+            timeout: options.providerTimeout,
+            apiKey: options.apiKey || env.SIGMENT_API_KEY || env.OPENAI_API_KEY,
+            cache: name === 'offline' ? null : ProviderFactory.createCache(options),
+            maxConcurrentRequests: Number(options.maxConcurrentRequests) || 4,
+            requestsPerMinute: Number(options.requestsPerMinute) || 0,
+            retries: options.providerRetries ?? 2,
+            failureThreshold: options.circuitBreakerThreshold,
+            circuitCooldown: options.circuitBreakerCooldown
+        };
+
+        switch (name) {
+            case 'ollama':
+                return new OllamaClient(
+                    options.providerUrl || env.SIGMENT_PROVIDER_URL || options.ollamaUrl || DEFAULT_URLS.ollama,
+                    options.providerModel || env.SIGMENT_PROVIDER_MODEL || options.ollamaModel || 'llama3.2',
+                    settings
+                );
+            case 'openai':
+                return new OpenAICompatibleClient(
+                    options.providerUrl || env.SIGMENT_PROVIDER_URL || DEFAULT_URLS.openai,
+                    options.providerModel || env.SIGMENT_PROVIDER_MODEL || null,
+                    settings
+                );
+            default:
+                return new OfflineProvider(settings);
+        }
+    }
+
+    static createCache(options = {}) {
+        if (options.cacheEnabled === false) {
+            return new ResponseCache({ maxEntries: 1000 });
+        }
+        return new ResponseCache({
+            path: options.cachePath || ResponseCache.defaultPath,
+            ttlDays: Number(options.cacheTtlDays) || 0
+        });
+    }
+
+    // Creates the provider; when its server can't be reached the circuit starts open, so
+    // words get placeholder (degraded) data until a probe after the cooldown finds it back
+    static async connect(options = {}) {
+        const provider = ProviderFactory.create(options);
+        if (await provider.testConnection()) {
+            return provider;
+        }
+
+        const { circuitBreaker } = provider;
+        console.warn(`${provider.name} provider unavailable; continuing offline and retrying in ${Math.round(circuitBreaker.cooldown / 1000)}s`);
+        circuitBreaker.trip();
+        return provider;
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Limits how many requests run at once and how often new ones may start,
+ * so several workers can share one model server without overloading it.
+ */
+export class RateLimiter {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent > 0 ? options.maxConcurrent : Infinity;
+        this.minInterval = options.requestsPerMinute > 0 ? 60000 / options.requestsPerMinute : 0;
+        this.active = 0;
+        this.waiting = [];
+        this.nextStart = 0;
+    }
+
+    async schedule(task) {
+        await this.acquire();
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+
+    async acquire() {
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+        } else {
+            // release() hands its slot straight to the next waiter
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+
+        if (this.minInterval) {
+            const now = Date.now();
+            const startAt = Math.max(now, this.nextStart);
+            this.nextStart = startAt + this.minInterval;
+            if (startAt > now) {
+                await new Promise(resolve => setTimeout(resolve, startAt - now));
+            }
+        }
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    getStats() {
+        return {
+            active: this.active,
+            waiting: this.waiting.length,
+            maxConcurrent: this.maxConcurrent === Infinity ? null : this.maxConcurrent,
+            requestsPerMinute: this.minInterval ? 60000 / this.minInterval : null
+        };
+    }
+}
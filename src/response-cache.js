@@ -0,0 +1,264 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const CACHE_FORMAT = 'sigment-llm-cache';
+const CACHE_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Related-word responses hold Maps, which JSON can't represent directly
+function replacer(key, value) {
+    return value instanceof Map ? { $map: Array.from(value.entries()) } : value;
+}
+
+function reviver(key, value) {
+    if (value && typeof value === 'object' && Array.isArray(value.$map) && Object.keys(value).length === 1) {
+        return new Map(value.$map);
+    }
+    return value;
+}
+
+/**
+ * Cache of parsed language model responses, keyed by model, prompt template
+ * version, request kind and word. With a path it is persisted as a JSON file
+ * that can be exported, imported and shared; without one it only lives in memory.
+ */
+export class ResponseCache {
+    constructor(options = {}) {
+        this.options = {
+            path: null,
+            ttlDays: 0,
+            maxEntries: 0,
+            autosaveInterval: 25,
+            ...options
+        };
+
+        this.entries = new Map();
+        this.loadPromise = null;
+        this.savePromise = Promise.resolve();
+        this.unsavedWrites = 0;
+        this.persistent = Boolean(this.options.path);
+        this.session = { hits: 0, misses: 0, writes: 0 };
+    }
+
+    static get defaultPath() {
+        return './cache/llm-responses.json';
+    }
+
+    static key({ model, promptVersion, kind, word }) {
+        return [model || 'default', `v${promptVersion}`, kind, String(word).trim().toLowerCase()].join('|');
+    }
+
+    async load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readFile();
+        }
+        return this.loadPromise;
+    }
+
+    async readFile() {
+        if (!this.persistent) return;
+
+        let content;
+        try {
+            content = await fs.readFile(this.options.path, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Failed to read response cache ${this.options.path}:`, error.message);
+                this.persistent = false;
+            }
+            return;
+        }
+
+        try {
+            for (const [key, entry] of Object.entries(ResponseCache.parse(content))) {
+                this.entries.set(key, entry);
+            }
+        } catch (error) {
+            // Keep a damaged (possibly shared) cache file intact rather than overwrite it
+            console.warn(`Ignoring response cache ${this.options.path}: ${error.message}`);
+            this.persistent = false;
+        }
+    }
+
+    static parse(content) {
+        const data = JSON.parse(content, reviver);
+        if (data?.format !== CACHE_FORMAT || !data.entries || typeof data.entries !== 'object') {
+            throw new Error(`not a ${CACHE_FORMAT} file`);
+        }
+        if (data.version > CACHE_VERSION) {
+            throw new Error(`cache format version ${data.version} is newer than supported (${CACHE_VERSION})`);
+        }
+        return data.entries;
+    }
+
+    serialize(entries = this.entries) {
+        return JSON.stringify({
+            format: CACHE_FORMAT,
+            version: CACHE_VERSION,
+            updated: new Date().toISOString(),
+            entries: Object.fromEntries(entries)
+        }, replacer, 2);
+    }
+
+    isExpired(entry, ttlDays = this.options.ttlDays) {
+        if (!ttlDays) return false;
+        return Date.now() - new Date(entry.created).getTime() > ttlDays * DAY_MS;
+    }
+
+    async get(key) {
+        await this.load();
+
+        const entry = this.entries.get(key);
+        if (!entry || this.isExpired(entry)) {
+            this.session.misses++;
+            return undefined;
+        }
+
+        this.session.hits++;
+        return entry.value;
+    }
+
+    // Like get(), but without counting towards the hit/miss statistics
+    async has(key) {
+        await this.load();
+
+        const entry = this.entries.get(key);
+        return Boolean(entry) && !this.isExpired(entry);
+    }
+
+    async set(key, value, details = {}) {
+        await this.load();
+
+        this.entries.delete(key);
+        this.entries.set(key, { ...details, created: new Date().toISOString(), value });
+        this.session.writes++;
+        this.unsavedWrites++;
+
+        // In-memory caches are bounded; drop the oldest entries first
+        if (this.options.maxEntries && this.entries.size > this.options.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        if (this.options.autosaveInterval && this.unsavedWrites >= this.options.autosaveInterval) {
+            await this.save();
+        }
+    }
+
+    async save() {
+        if (!this.persistent || this.unsavedWrites === 0) return;
+
+        this.unsavedWrites = 0;
+        // Writes are chained so overlapping saves can't interleave
+        this.savePromise = this.savePromise.catch(() => {}).then(async () => {
+            const filePath = this.options.path;
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(tempPath, this.serialize());
+            await fs.rename(tempPath, filePath);
+        });
+
+        try {
+            await this.savePromise;
+        } catch (error) {
+            console.warn(`Failed to save response cache ${this.options.path}:`, error.message);
+        }
+    }
+
+    matches(entry, filter) {
+        if (filter.model && entry.model !== filter.model) return false;
+        if (filter.kind && entry.kind !== filter.kind && !entry.kind?.startsWith(`${filter.kind}:`)) return false;
+        if (filter.word && entry.word?.toLowerCase() !== filter.word.toLowerCase()) return false;
+        if (filter.olderThanDays && !this.isExpired(entry, filter.olderThanDays)) return false;
+        return true;
+    }
+
+    async clear(filter = {}) {
+        await this.load();
+
+        let removed = 0;
+        for (const [key, entry] of this.entries) {
+            if (this.matches(entry, filter)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            this.unsavedWrites += removed;
+            await this.save();
+        }
+        return removed;
+    }
+
+    async exportTo(filePath, filter = {}) {
+        await this.load();
+
+        const entries = Array.from(this.entries).filter(([, entry]) => this.matches(entry, filter));
+        await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        await fs.writeFile(filePath, this.serialize(entries));
+        return entries.length;
+    }
+
+    async importFrom(filePath, options = {}) {
+        await this.load();
+
+        const incoming = ResponseCache.parse(await fs.readFile(filePath, 'utf8'));
+        const result = { added: 0, updated: 0, skipped: 0 };
+
+        for (const [key, entry] of Object.entries(incoming)) {
+            const existing = this.entries.get(key);
+            if (!existing) {
+                result.added++;
+            } else if (options.overwrite || new Date(entry.created) > new Date(existing.created)) {
+                result.updated++;
+            } else {
+                result.skipped++;
+                continue;
+            }
+            this.entries.set(key, entry);
+        }
+
+        this.unsavedWrites += result.added + result.updated;
+        await this.save();
+        return result;
+    }
+
+    async getStats() {
+        await this.load();
+
+        const stats = {
+            path: this.options.path,
+            persistent: this.persistent,
+            entries: this.entries.size,
+            expired: 0,
+            sizeBytes: null,
+            byKind: {},
+            byModel: {},
+            byPromptVersion: {},
+            oldest: null,
+            newest: null,
+            ttlDays: this.options.ttlDays || null,
+            session: { ...this.session }
+        };
+
+        for (const entry of this.entries.values()) {
+            const kind = (entry.kind || 'unknown').split(':')[0];
+            stats.byKind[kind] = (stats.byKind[kind] || 0) + 1;
+            stats.byModel[entry.model || 'default'] = (stats.byModel[entry.model || 'default'] || 0) + 1;
+            stats.byPromptVersion[entry.promptVersion] = (stats.byPromptVersion[entry.promptVersion] || 0) + 1;
+            if (this.isExpired(entry)) stats.expired++;
+            if (!stats.oldest || entry.created < stats.oldest) stats.oldest = entry.created;
+            if (!stats.newest || entry.created > stats.newest) stats.newest = entry.created;
+        }
+
+        if (this.options.path) {
+            try {
+                stats.sizeBytes = (await fs.stat(this.options.path)).size;
+            } catch {
+                // Not saved yet
+            }
+        }
+
+        return stats;
+    }
+}
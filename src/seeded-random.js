@@ -0,0 +1,52 @@
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36);
+    }
+
+    static hashSeed(seed) {
+        // FNV-1a string hash to get a 32-bit starting state
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Mulberry32: small, fast and good enough for linguistic choices
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(items) {
+        return items[this.nextInt(items.length)];
+    }
+
+    weightedPick(items, weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let roll = this.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    // Independent stream for a sub-task, e.g. one word, so results don't depend on processing order
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+}
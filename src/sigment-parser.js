@@ -5,10 +5,16 @@
 
 import fs from 'fs';
 import path from 'path';
+import { GrammarEngine } from './grammar-engine.js';
+import { MorphologicalSegmenter } from './morphology.js';
+import { SigmentValidator } from './sigment-validator.js';
+
+export const SIGMENT_VERSION = '1.1';
 
 export class SigmentParser {
     constructor() {
-        this.supportedVersions = ['1.0'];
+        this.supportedVersions = SigmentValidator.supportedVersions;
+        this.validator = new SigmentValidator();
     }
 
     /**
@@ -41,73 +47,101 @@ export class SigmentParser {
         }
 
         this.validate(data, source);
-        return new SigmentLanguage(data);
+        return new SigmentLanguage(SigmentParser.migrate(data));
     }
 
     /**
-     * Validate Sigment file structure
+     * Validate Sigment data against the schema of its version
      * @param {Object} data - Parsed JSON data
      * @param {string} source - Source identifier for error reporting
+     * @returns {Object} Validation report with all diagnostics
+     * @throws {Error} If the data has error-level diagnostics
      */
     validate(data, source = 'data') {
-        // Check root structure
-        if (!data.sigment) {
-            throw new Error(`${source}: Missing 'sigment' root object`);
+        const report = this.validator.validate(data);
+        const errors = report.diagnostics.filter(d => d.severity === 'error');
+
+        if (errors.length > 0) {
+            const [first] = errors;
+            const more = errors.length > 1 ? ` (and ${errors.length - 1} more errors)` : '';
+            throw new Error(`${source}: ${first.path ? `${first.path}: ` : ''}${first.message}${more}`);
         }
 
-        const sigment = data.sigment;
+        return report;
+    }
 
-        // Check version
-        if (!sigment.version) {
-            throw new Error(`${source}: Missing 'version' field`);
+    /**
+     * Upgrade parsed data to the current format version
+     * @param {Object} data - Parsed data of any supported version
+     * @returns {Object} Data in the current version; the input is left untouched
+     */
+    static migrate(data) {
+        if (data.sigment.version === SIGMENT_VERSION) {
+            return data;
         }
 
-        if (!this.supportedVersions.includes(sigment.version)) {
-            throw new Error(`${source}: Unsupported version '${sigment.version}'. Supported: ${this.supportedVersions.join(', ')}`);
-        }
+        const sigment = structuredClone(data.sigment);
+        const dictionaries = sigment.dictionaries;
 
-        // Check required language fields
-        if (!sigment.language) {
-            throw new Error(`${source}: Missing 'language' object`);
-        }
+        // Some 1.0 exports hold whole generator dictionary files ({metadata, dictionary}) instead of flat maps
+        const toEnglish = SigmentParser.unwrapDictionary(dictionaries.to_english);
+        const toSigment = SigmentParser.unwrapDictionary(dictionaries.to_sigment);
+        const sigmentDefinitions = SigmentParser.unwrapDictionary(dictionaries.sigment_definitions || {});
+
+        const migrated = {
+            to_english: {},
+            to_sigment: {},
+            sigment_definitions: {},
+            entries: {}
+        };
 
-        if (!sigment.language.name) {
-            throw new Error(`${source}: Missing language name`);
+        for (const [sigmentWord, value] of Object.entries(toEnglish)) {
+            migrated.to_english[sigmentWord] = SigmentParser.englishSenses(value);
         }
 
-        // Check required dictionaries
-        if (!sigment.dictionaries) {
-            throw new Error(`${source}: Missing 'dictionaries' object`);
+        for (const [english, value] of Object.entries(toSigment)) {
+            const entry = typeof value === 'string' ? { sigment: value } : value;
+            migrated.to_sigment[english] = entry.sigment;
+            migrated.entries[english] = SigmentUtils.entryFromDictionary(english, entry, sigment.language.created);
         }
 
-        const dicts = sigment.dictionaries;
-        if (!dicts.to_english) {
-            throw new Error(`${source}: Missing 'to_english' dictionary`);
+        for (const [sigmentWord, value] of Object.entries(sigmentDefinitions)) {
+            migrated.sigment_definitions[sigmentWord] = typeof value === 'string' ? value : (value.definitions || []).join('; ');
         }
 
-        if (!dicts.to_sigment) {
-            throw new Error(`${source}: Missing 'to_sigment' dictionary`);
+        // Generator settings that old exports left inside the metadata
+        const { config, phoneticSystem, grammar, ...metadata } = sigment.metadata || {};
+        if (config && !sigment.language.config) {
+            sigment.language.config = config;
+            sigment.language.style = sigment.language.style || config.style;
+            sigment.language.seed = sigment.language.seed ?? config.seed;
         }
+        if (phoneticSystem) sigment.phonetics = { ...sigment.phonetics, system: sigment.phonetics?.system || phoneticSystem };
+        if (grammar && !sigment.grammar?.patterns) sigment.grammar = grammar;
 
-        // Validate dictionary consistency
-        this.validateDictionaries(dicts, source);
+        return {
+            ...data,
+            sigment: {
+                ...sigment,
+                version: SIGMENT_VERSION,
+                dictionaries: migrated,
+                metadata: { ...metadata, migrated_from: data.sigment.version }
+            }
+        };
     }
 
-    /**
-     * Validate dictionary consistency
-     * @param {Object} dictionaries - Dictionary objects
-     * @param {string} source - Source identifier
-     */
-    validateDictionaries(dictionaries, source) {
-        const toEnglish = dictionaries.to_english;
-        const toSigment = dictionaries.to_sigment;
-
-        // Check for orphaned entries
-        for (const [sigmentWord, englishWord] of Object.entries(toEnglish)) {
-            if (toSigment[englishWord] !== sigmentWord) {
-                console.warn(`${source}: Dictionary inconsistency - '${sigmentWord}' -> '${englishWord}' but reverse mapping missing or different`);
-            }
+    static unwrapDictionary(dictionary) {
+        if (dictionary && dictionary.metadata && dictionary.dictionary && typeof dictionary.dictionary === 'object') {
+            return dictionary.dictionary;
         }
+        return dictionary;
+    }
+
+    // A form shared by homonyms maps to the list of its English words, the first sense first
+    static englishSenses(value) {
+        if (typeof value === 'string' || Array.isArray(value)) return value;
+        const senses = [value.english, ...(value.homonyms || []).map(homonym => homonym.english)];
+        return senses.length > 1 ? senses : value.english;
     }
 
     /**
@@ -135,14 +169,18 @@ export class SigmentLanguage {
     get version() { return this.sigment.version; }
     get style() { return this.sigment.language.style; }
     get created() { return this.sigment.language.created; }
+    get seed() { return this.sigment.language.seed ?? null; }
+    get config() { return this.sigment.language.config || {}; }
 
     // Dictionaries
     get toEnglish() { return this.sigment.dictionaries.to_english; }
     get toSigment() { return this.sigment.dictionaries.to_sigment; }
     get sigmentDefinitions() { return this.sigment.dictionaries.sigment_definitions || {}; }
+    get entries() { return this.sigment.dictionaries.entries || {}; }
 
     // Optional data
     get phonetics() { return this.sigment.phonetics || {}; }
+    get phoneticSystem() { return this.phonetics.system || null; }
     get grammar() { return this.sigment.grammar || {}; }
     get metadata() { return this.sigment.metadata || {}; }
 
@@ -156,12 +194,291 @@ export class SigmentLanguage {
     }
 
     /**
-     * Translate Sigment word to English
+     * Translate Sigment word to English; a homonym gives its first sense
      * @param {string} word - Sigment word
      * @returns {string|null} English translation or null if not found
      */
     translateToEnglish(word) {
-        return this.toEnglish[word.toLowerCase()] || null;
+        return this.getSenses(word)[0] || null;
+    }
+
+    /**
+     * Get every English word a Sigment form stands for; homonyms have more than one
+     * @param {string} word - Sigment word
+     * @returns {Array} English words, empty if not found
+     */
+    getSenses(word) {
+        const value = this.toEnglish[word.toLowerCase()];
+        return value === undefined ? [] : [].concat(value);
+    }
+
+    /**
+     * Get the full record of an English word: pronunciation, definitions, etymology and more
+     * @param {string} word - English word
+     * @returns {Object|null} Entry or null if not found
+     */
+    getEntry(word) {
+        return this.entries[word] || this.entries[word.toLowerCase()] || null;
+    }
+
+    /**
+     * Inflect a word with the language's grammatical suffixes
+     * @param {string} word - English or Sigment word
+     * @param {Object} features - Grammatical features
+     * @param {string} features.number - 'singular' or 'plural'
+     * @param {string} features.tense - 'present', 'past' or 'future'
+     * @param {string|number} features.person - 'first', 'second', 'third' or 1-3
+     * @returns {string} Inflected Sigment word
+     */
+    inflect(word, features = {}) {
+        const stem = this.translateToSigment(word) || word.toLowerCase();
+        return GrammarEngine.inflect(stem, features, this.grammar.patterns || {});
+    }
+
+    /**
+     * Get the part of speech of an English word
+     * @param {string} word - English word
+     * @returns {string} Part of speech, guessed when the dictionary has none
+     */
+    getPartOfSpeech(word) {
+        const known = this.getEntry(word)?.partOfSpeech;
+        return known && known !== 'unknown' ? known : GrammarEngine.guessPartOfSpeech(word);
+    }
+
+    /**
+     * Translate running text word by word, keeping punctuation, casing and whitespace.
+     * When the language has a grammar, inflected English words are translated through
+     * their base form and English-to-Sigment clauses are rearranged into its word order.
+     * @param {string} text - Text to translate
+     * @param {Object} options - Translation options
+     * @param {string} options.direction - 'to-sigment' or 'to-english'
+     * @param {boolean} options.markUnknown - Wrap untranslatable words in brackets
+     * @param {boolean} options.applyGrammar - Apply inflection and word order (default true)
+     * @returns {Object} Translated text, token breakdown and unknown words
+     */
+    translateText(text, options = {}) {
+        const direction = options.direction || 'to-sigment';
+        const markUnknown = options.markUnknown || false;
+        const patterns = options.applyGrammar === false ? null : this.grammar.patterns || null;
+
+        if (direction !== 'to-sigment' && direction !== 'to-english') {
+            throw new Error(`Unsupported text translation direction '${direction}'`);
+        }
+
+        const tokens = SigmentLanguage.tokenize(text);
+        const unknown = [];
+
+        for (const token of tokens) {
+            if (token.type !== 'word') {
+                token.translation = token.value;
+                continue;
+            }
+
+            const translation = direction === 'to-sigment' ?
+                this.translateTokenToSigment(token, patterns) :
+                this.translateTokenToEnglish(token, patterns);
+
+            if (translation) {
+                token.translation = SigmentLanguage.matchCase(token.value, translation);
+                token.known = true;
+            } else {
+                token.translation = markUnknown ? `[${token.value}]` : token.value;
+                token.known = false;
+                if (!unknown.includes(token.value.toLowerCase())) {
+                    unknown.push(token.value.toLowerCase());
+                }
+            }
+        }
+
+        if (patterns && direction === 'to-sigment') {
+            this.applyWordOrder(tokens, patterns);
+        }
+
+        return {
+            text: tokens.map(token => token.translation).join(''),
+            tokens,
+            unknown
+        };
+    }
+
+    /**
+     * Translate one English word token, falling back to its base form plus inflection
+     * and then to the words it is compounded from
+     * @param {Object} token - Word token, annotated with pos, stem, features and compound parts
+     * @param {Object|null} patterns - Grammar patterns, or null to skip inflection
+     * @returns {string|null} Sigment word or null if not found
+     */
+    translateTokenToSigment(token, patterns) {
+        token.pos = this.getPartOfSpeech(token.value);
+        token.features = {};
+
+        const direct = this.translateToSigment(token.value);
+        if (direct) {
+            token.stem = direct;
+            return direct;
+        }
+
+        for (const candidate of patterns ? GrammarEngine.lemmatize(token.value) : []) {
+            const stem = this.translateToSigment(candidate.lemma);
+            if (!stem) continue;
+
+            token.pos = this.getPartOfSpeech(candidate.lemma);
+            token.stem = stem;
+            // English -s on a verb is third person agreement, not a plural
+            token.features = candidate.features.number && GrammarEngine.isVerb(token.pos) ?
+                { person: 'third' } :
+                candidate.features;
+            return GrammarEngine.inflect(stem, token.features, patterns);
+        }
+
+        const parts = MorphologicalSegmenter.splitCompound(token.value, word => Boolean(this.translateToSigment(word)));
+        if (parts) {
+            token.pos = this.getPartOfSpeech(parts[parts.length - 1]);
+            token.compound = parts;
+            token.stem = parts.map(part => this.translateToSigment(part)).join('');
+            return token.stem;
+        }
+
+        token.stem = null;
+        return null;
+    }
+
+    /**
+     * Translate one Sigment word token, stripping a grammatical suffix if needed
+     * and then splitting it into the words it is compounded from
+     * @param {Object} token - Word token
+     * @param {Object|null} patterns - Grammar patterns, or null to skip inflection
+     * @returns {string|null} English word or null if not found
+     */
+    translateTokenToEnglish(token, patterns) {
+        const direct = this.translateToEnglish(token.value);
+        if (direct) {
+            return direct;
+        }
+
+        for (const candidate of patterns ? GrammarEngine.deinflect(token.value, patterns) : []) {
+            const english = this.translateToEnglish(candidate.stem);
+            if (english) {
+                token.features = candidate.features;
+                return GrammarEngine.inflectEnglish(english, candidate.features);
+            }
+        }
+
+        // Sigment forms are often shorter than the English words they stand for
+        const parts = MorphologicalSegmenter.splitCompound(
+            token.value,
+            word => Boolean(this.translateToEnglish(word)),
+            { minPartLength: 2, minLastPartLength: 2 }
+        );
+        if (parts) {
+            token.compound = parts;
+            return parts.map(part => this.translateToEnglish(part)).join('');
+        }
+
+        return null;
+    }
+
+    /**
+     * Rearrange the translated words of each clause into the grammar's word order.
+     * Whitespace and punctuation stay in place; clauses end at punctuation and conjunctions.
+     * @param {Array} tokens - Translated tokens
+     * @param {Object} patterns - Grammar patterns
+     */
+    applyWordOrder(tokens, patterns) {
+        let clause = [];
+
+        const flush = () => {
+            if (clause.length > 1) {
+                this.reorderClauseTokens(clause, patterns);
+            }
+            clause = [];
+        };
+
+        for (const token of tokens) {
+            if (token.type === 'punctuation' || (token.type === 'word' && token.pos === 'conjunction')) {
+                flush();
+            } else if (token.type === 'word') {
+                clause.push(token);
+            }
+        }
+        flush();
+    }
+
+    /**
+     * Reorder one clause in place and apply subject-verb agreement
+     * @param {Array} clause - Word tokens of the clause
+     * @param {Object} patterns - Grammar patterns
+     */
+    reorderClauseTokens(clause, patterns) {
+        const words = clause.map(token => ({
+            pos: token.pos,
+            value: token.value,
+            translation: token.translation
+        }));
+
+        // Verbs agree with a pronoun subject
+        const verb = clause.find(token => GrammarEngine.isVerb(token.pos));
+        const subject = clause.slice(0, clause.indexOf(verb)).find(token => GrammarEngine.getPerson(token.value));
+        if (verb && verb.known && subject && verb.stem) {
+            const features = { ...verb.features, person: GrammarEngine.getPerson(subject.value) };
+            words[clause.indexOf(verb)].translation = SigmentLanguage.matchCase(
+                verb.value, GrammarEngine.inflect(verb.stem, features, patterns));
+        }
+
+        const ordered = GrammarEngine.reorderClause(words, patterns);
+
+        // Sentence-initial capitals belong to the position, not the word
+        const first = words[0];
+        const capitalizedStart = first.value[0] !== first.value[0].toLowerCase() &&
+            (first.value.length === 1 || first.value !== first.value.toUpperCase());
+        if (capitalizedStart && ordered[0] !== first) {
+            if (first.value !== 'I') {
+                first.translation = first.translation[0].toLowerCase() + first.translation.slice(1);
+            }
+            ordered[0].translation = ordered[0].translation[0].toUpperCase() + ordered[0].translation.slice(1);
+        }
+
+        ordered.forEach((word, index) => {
+            clause[index].translation = word.translation;
+        });
+    }
+
+    /**
+     * Split text into word, whitespace and punctuation tokens
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Tokens that join back into the original text
+     */
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /([\p{L}\p{M}]+(?:['’][\p{L}\p{M}]+)*)|(\s+)|([^\p{L}\p{M}\s]+)/gu;
+
+        for (const match of text.matchAll(pattern)) {
+            if (match[1]) {
+                tokens.push({ type: 'word', value: match[1] });
+            } else if (match[2]) {
+                tokens.push({ type: 'space', value: match[2] });
+            } else {
+                tokens.push({ type: 'punctuation', value: match[3] });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Apply the casing of a source word to its translation
+     * @param {string} source - Original word
+     * @param {string} target - Translated word
+     * @returns {string} Translated word with matching case
+     */
+    static matchCase(source, target) {
+        if (source.length > 1 && source === source.toUpperCase() && source !== source.toLowerCase()) {
+            return target.toUpperCase();
+        }
+        if (source[0] !== source[0].toLowerCase()) {
+            return target[0].toUpperCase() + target.slice(1);
+        }
+        return target;
     }
 
     /**
@@ -192,9 +509,11 @@ export class SigmentLanguage {
         }
 
         if (direction === 'sigment' || direction === 'both') {
-            for (const [sigment, english] of Object.entries(this.toEnglish)) {
+            for (const sigment of Object.keys(this.toEnglish)) {
                 if (sigment.includes(term)) {
-                    results.push({ english, sigment, type: 'sigment' });
+                    for (const english of this.getSenses(sigment)) {
+                        results.push({ english, sigment, type: 'sigment' });
+                    }
                 }
             }
         }
@@ -212,9 +531,11 @@ export class SigmentLanguage {
             version: this.version,
             style: this.style,
             totalWords: Object.keys(this.toEnglish).length,
+            totalEntries: Object.keys(this.entries).length,
             hasDefinitions: Object.keys(this.sigmentDefinitions).length > 0,
             hasPhonetics: Object.keys(this.phonetics).length > 0,
             hasGrammar: Object.keys(this.grammar).length > 0,
+            seed: this.seed,
             created: this.created
         };
     }
@@ -235,17 +556,20 @@ export class SigmentLanguage {
     static create(config) {
         const data = {
             sigment: {
-                version: "1.0",
+                version: SIGMENT_VERSION,
                 language: {
                     name: config.name,
-                    created: new Date().toISOString(),
+                    created: config.created || new Date().toISOString(),
                     style: config.style || "default",
-                    generator_version: "1.0.0"
+                    generator_version: "1.0.0",
+                    ...(config.seed !== undefined && config.seed !== null ? { seed: String(config.seed) } : {}),
+                    ...(config.generatorConfig ? { config: config.generatorConfig } : {})
                 },
                 dictionaries: {
                     to_english: config.toEnglish || {},
                     to_sigment: config.toSigment || {},
-                    sigment_definitions: config.sigmentDefinitions || {}
+                    sigment_definitions: config.sigmentDefinitions || {},
+                    entries: config.entries || {}
                 },
                 phonetics: config.phonetics || {},
                 grammar: config.grammar || {},
@@ -298,6 +622,61 @@ export class SigmentUtils {
         return files;
     }
 
+    /**
+     * Build a full entry record from an English_to_{Language} dictionary entry
+     * @param {string} english - English word
+     * @param {Object} entry - Dictionary entry
+     * @param {string} created - Fallback creation date
+     * @returns {Object} Entry with the same fields as a generator vocabulary entry
+     */
+    static entryFromDictionary(english, entry, created = null) {
+        // Dictionary files keep the primary definitions as a list next to the full set; entries hold the full set
+        let definitions = entry.definitionDetails || entry.definitions || [];
+        if (Array.isArray(definitions)) {
+            definitions = { primary: definitions };
+        }
+
+        const record = {
+            english,
+            sigment: entry.sigment,
+            pronunciation: entry.pronunciation || '',
+            definitions,
+            etymology: entry.etymology || { morphemes: [], origin: 'reconstructed', root: english },
+            phoneticStructure: entry.phoneticStructure || {},
+            transformationRules: entry.transformationRules || [],
+            partOfSpeech: entry.partOfSpeech || 'unknown',
+            frequency: entry.frequency || 'unknown',
+            created: entry.created || created || new Date().toISOString()
+        };
+
+        if (entry.dataSource) {
+            record.dataSource = entry.dataSource;
+        }
+        if (entry.degraded) {
+            record.degraded = true;
+        }
+        if (entry.collision) {
+            record.collision = entry.collision;
+        }
+        if (entry.compound) {
+            record.compound = entry.compound;
+        }
+        if (entry.inherited) {
+            record.inherited = entry.inherited;
+        }
+        if (entry.semanticDrift) {
+            record.semanticDrift = entry.semanticDrift;
+        }
+        if (entry.locked) {
+            record.locked = true;
+        }
+        if (entry.edited) {
+            record.edited = entry.edited;
+        }
+
+        return record;
+    }
+
     /**
      * Convert existing language files to .sigment format
      * @param {string} dictDir - Dictionary directory path
@@ -305,39 +684,55 @@ export class SigmentUtils {
      * @returns {SigmentLanguage} Converted language
      */
     static convertFromDictionaries(dictDir, languageName) {
-        const toEnglishPath = path.join(dictDir, `${languageName}_to_English.json`);
-        const toSigmentPath = path.join(dictDir, `English_to_${languageName}.json`);
-        const definitionsPath = path.join(dictDir, `${languageName}_to_${languageName}.json`);
-        const metadataPath = path.join(dictDir, `${languageName}_metadata.json`);
+        const readDictionary = (fileName, required = true) => {
+            const filePath = path.join(dictDir, fileName);
+            if (!required && !fs.existsSync(filePath)) return null;
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        };
 
-        let toEnglish = {};
-        let toSigment = {};
-        let sigmentDefinitions = {};
-        let metadata = {};
+        // The two translation dictionaries are required; definitions and metadata are optional
+        const sigmentToEnglish = SigmentParser.unwrapDictionary(readDictionary(`${languageName}_to_English.json`));
+        const englishToSigment = SigmentParser.unwrapDictionary(readDictionary(`English_to_${languageName}.json`));
+        const sigmentToSigment = SigmentParser.unwrapDictionary(readDictionary(`${languageName}_to_${languageName}.json`, false) || {});
+        const { config, phoneticSystem, grammar, affixes, ...metadata } = readDictionary(`${languageName}_metadata.json`, false) || {};
 
-        try {
-            if (fs.existsSync(toEnglishPath)) {
-                toEnglish = JSON.parse(fs.readFileSync(toEnglishPath, 'utf8'));
-            }
-            if (fs.existsSync(toSigmentPath)) {
-                toSigment = JSON.parse(fs.readFileSync(toSigmentPath, 'utf8'));
-            }
-            if (fs.existsSync(definitionsPath)) {
-                sigmentDefinitions = JSON.parse(fs.readFileSync(definitionsPath, 'utf8'));
-            }
-            if (fs.existsSync(metadataPath)) {
-                metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        const toEnglish = {};
+        for (const [sigment, entry] of Object.entries(sigmentToEnglish)) {
+            toEnglish[sigment.toLowerCase()] = SigmentParser.englishSenses(entry);
+        }
+
+        const toSigment = {};
+        const entries = {};
+        for (const [english, entry] of Object.entries(englishToSigment)) {
+            const record = typeof entry === 'string' ? { sigment: entry } : entry;
+            toSigment[english.toLowerCase()] = record.sigment;
+            entries[english] = this.entryFromDictionary(english, record, metadata.created);
+        }
+
+        const sigmentDefinitions = {};
+        for (const [sigment, entry] of Object.entries(sigmentToSigment)) {
+            const definitions = typeof entry === 'string' ? [entry] : entry.definitions || [];
+            if (definitions.length > 0) {
+                sigmentDefinitions[sigment.toLowerCase()] = definitions.join('; ');
             }
-        } catch (error) {
-            throw new Error(`Failed to convert dictionaries: ${error.message}`);
         }
 
+        const phonetics = {};
+        if (config?.soundChanges?.length) phonetics.rules = config.soundChanges;
+        if (phoneticSystem) phonetics.system = phoneticSystem;
+
         return SigmentLanguage.create({
             name: languageName,
-            style: metadata.style || "default",
+            created: metadata.created,
+            style: config?.style || metadata.style,
+            seed: metadata.seed ?? config?.seed,
+            generatorConfig: config,
+            phonetics,
+            grammar: affixes ? { ...grammar, affixes } : grammar || {},
             toEnglish,
             toSigment,
             sigmentDefinitions,
+            entries,
             metadata
         });
     }
@@ -0,0 +1,269 @@
+import fs from 'fs';
+import { JsonSchemaValidator } from './json-schema.js';
+
+const SCHEMA_DIR = new URL('../schemas/', import.meta.url);
+
+const SCHEMA_CODES = {
+    required: 'missing-property',
+    type: 'type-mismatch',
+    const: 'invalid-value',
+    enum: 'invalid-value',
+    minLength: 'empty-value',
+    minItems: 'too-few-items',
+    minimum: 'out-of-range',
+    pattern: 'invalid-format',
+    format: 'invalid-format',
+    false: 'unexpected-property'
+};
+
+// Letters used in broad IPA transcriptions, plus stress, length and syllable marks
+const IPA_CHARACTERS = /^[a-z\u00e6\u00e7\u00f0\u00f8\u0127\u014b\u0153\u03b2\u03b8\u03c7\u0250-\u02ff\u0300-\u036f\u1d00-\u1dbf.\s\u203f|-]+$/u;
+
+const DICTIONARY_KEYS = ['to_english', 'to_sigment', 'sigment_definitions'];
+
+/**
+ * Validates .sigment data against the published JSON Schema of its version,
+ * then checks the dictionaries for problems a schema can't express.
+ * Every problem becomes a diagnostic: { path, severity, code, message }.
+ */
+export class SigmentValidator {
+    constructor() {
+        this.schemaValidators = new Map();
+    }
+
+    static get supportedVersions() {
+        return ['1.0', '1.1'];
+    }
+
+    static schemaPath(version) {
+        return new URL(`sigment-${version}.schema.json`, SCHEMA_DIR);
+    }
+
+    getSchemaValidator(version) {
+        if (!this.schemaValidators.has(version)) {
+            const schema = JSON.parse(fs.readFileSync(SigmentValidator.schemaPath(version), 'utf8'));
+            this.schemaValidators.set(version, new JsonSchemaValidator(schema));
+        }
+        return this.schemaValidators.get(version);
+    }
+
+    validateFile(filePath) {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            const code = error.code === 'ENOENT' ? 'file-not-found' : 'unreadable-file';
+            return { file: filePath, ...this.report([this.diagnostic('', 'error', code, error.message)]) };
+        }
+        return { file: filePath, ...this.validateContent(content) };
+    }
+
+    validateContent(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return this.report([this.diagnostic('', 'error', 'invalid-json', error.message)]);
+        }
+        return this.validate(data);
+    }
+
+    validate(data) {
+        const diagnostics = [];
+        const sigment = data?.sigment;
+
+        if (!sigment || typeof sigment !== 'object' || Array.isArray(sigment)) {
+            diagnostics.push(this.diagnostic('/sigment', 'error', 'missing-property', "Missing 'sigment' root object"));
+            return this.report(diagnostics, data);
+        }
+
+        if (!sigment.version) {
+            diagnostics.push(this.diagnostic('/sigment/version', 'error', 'missing-property', "Missing 'version' field"));
+            return this.report(diagnostics, data);
+        }
+
+        if (!SigmentValidator.supportedVersions.includes(sigment.version)) {
+            diagnostics.push(this.diagnostic('/sigment/version', 'error', 'unsupported-version',
+                `Unsupported version '${sigment.version}'. Supported: ${SigmentValidator.supportedVersions.join(', ')}`));
+            return this.report(diagnostics, data);
+        }
+
+        const legacyPaths = this.checkLegacyEnvelopes(sigment, diagnostics);
+
+        for (const error of this.getSchemaValidator(sigment.version).validate(data)) {
+            if (legacyPaths.some(legacyPath => error.path.startsWith(legacyPath))) continue;
+            const severity = error.keyword === 'format' ? 'warning' : 'error';
+            diagnostics.push(this.diagnostic(error.path, severity, SCHEMA_CODES[error.keyword] || 'schema-violation', error.message));
+        }
+
+        const dictionaries = sigment.dictionaries;
+        if (dictionaries && typeof dictionaries === 'object' && legacyPaths.length === 0) {
+            this.checkDictionaries(dictionaries, diagnostics);
+            this.checkEntries(sigment, diagnostics);
+            this.checkCompleteness(sigment, diagnostics);
+        }
+
+        return this.report(diagnostics, data);
+    }
+
+    checkCompleteness(sigment, diagnostics) {
+        const isEmpty = (value) => !value || typeof value !== 'object' || Object.keys(value).length === 0;
+
+        if (Object.keys(this.asMap(sigment.dictionaries.to_english)).length < 5) {
+            diagnostics.push(this.diagnostic('/sigment/dictionaries/to_english', 'info', 'few-words', 'Language has fewer than 5 words'));
+        }
+        if (isEmpty(sigment.dictionaries.sigment_definitions)) {
+            diagnostics.push(this.diagnostic('/sigment/dictionaries/sigment_definitions', 'info', 'missing-definitions', 'Language has no Sigment definitions'));
+        }
+        if (isEmpty(sigment.phonetics)) {
+            diagnostics.push(this.diagnostic('/sigment/phonetics', 'info', 'missing-phonetics', 'Language has no phonetic rules'));
+        }
+        if (isEmpty(sigment.grammar)) {
+            diagnostics.push(this.diagnostic('/sigment/grammar', 'info', 'missing-grammar', 'Language has no grammar rules'));
+        }
+    }
+
+    checkLegacyEnvelopes(sigment, diagnostics) {
+        const legacyPaths = [];
+        if (sigment.version !== '1.0' || !sigment.dictionaries) return legacyPaths;
+
+        for (const key of DICTIONARY_KEYS) {
+            const dictionary = sigment.dictionaries[key];
+            if (dictionary?.metadata && dictionary?.dictionary && typeof dictionary.dictionary === 'object') {
+                const path = `/sigment/dictionaries/${key}`;
+                legacyPaths.push(path);
+                diagnostics.push(this.diagnostic(path, 'warning', 'legacy-envelope',
+                    'Holds a whole generator dictionary file instead of a flat map; it is migrated on import'));
+            }
+        }
+        return legacyPaths;
+    }
+
+    checkDictionaries(dictionaries, diagnostics) {
+        const toEnglish = this.asMap(dictionaries.to_english);
+        const toSigment = this.asMap(dictionaries.to_sigment);
+        const definitions = this.asMap(dictionaries.sigment_definitions);
+        const entries = this.asMap(dictionaries.entries);
+        const isHomonym = (english) => entries[english]?.collision?.homonym === true;
+
+        for (const key of DICTIONARY_KEYS) {
+            for (const [word, value] of Object.entries(this.asMap(dictionaries[key]))) {
+                const path = this.pointer('dictionaries', key, word);
+                if (!word.trim()) {
+                    diagnostics.push(this.diagnostic(path, 'error', 'empty-value', 'Empty word used as a dictionary key'));
+                } else if (typeof value === 'string' && !value.trim()) {
+                    const severity = key === 'sigment_definitions' ? 'warning' : 'error';
+                    diagnostics.push(this.diagnostic(path, severity, 'empty-value', `"${word}" maps to an empty value`));
+                }
+            }
+        }
+
+        // A form shared by homonyms lists each of their English words
+        for (const [sigmentWord, senses] of Object.entries(toEnglish)) {
+            const path = this.pointer('dictionaries', 'to_english', sigmentWord);
+            for (const english of [].concat(senses)) {
+                if (typeof english !== 'string' || !english.trim()) continue;
+                if (toSigment[english] === undefined) {
+                    diagnostics.push(this.diagnostic(path, 'warning', 'orphan-entry',
+                        `"${sigmentWord}" -> "${english}" has no to_sigment entry for "${english}"`));
+                } else if (toSigment[english] !== sigmentWord && !isHomonym(english)) {
+                    diagnostics.push(this.diagnostic(path, 'warning', 'mismatched-entry',
+                        `"${sigmentWord}" -> "${english}" but to_sigment maps "${english}" to "${toSigment[english]}"`));
+                }
+            }
+        }
+
+        const formsSeen = new Map();
+        for (const [english, sigmentWord] of Object.entries(toSigment)) {
+            if (typeof sigmentWord !== 'string' || !sigmentWord.trim()) continue;
+            const path = this.pointer('dictionaries', 'to_sigment', english);
+
+            if (toEnglish[sigmentWord] === undefined) {
+                diagnostics.push(this.diagnostic(path, 'warning', 'orphan-entry',
+                    `"${english}" -> "${sigmentWord}" has no to_english entry for "${sigmentWord}"`));
+            }
+
+            const firstEnglish = formsSeen.get(sigmentWord);
+            if (firstEnglish && !isHomonym(english) && !isHomonym(firstEnglish)) {
+                diagnostics.push(this.diagnostic(path, 'warning', 'duplicate-form',
+                    `"${english}" and "${firstEnglish}" share the form "${sigmentWord}" without being marked as homonyms`));
+            } else if (!firstEnglish) {
+                formsSeen.set(sigmentWord, english);
+            }
+        }
+
+        for (const sigmentWord of Object.keys(definitions)) {
+            if (sigmentWord.trim() && toEnglish[sigmentWord] === undefined) {
+                diagnostics.push(this.diagnostic(this.pointer('dictionaries', 'sigment_definitions', sigmentWord), 'warning',
+                    'orphan-definition', `Definition for "${sigmentWord}", which is not in to_english`));
+            }
+        }
+    }
+
+    checkEntries(sigment, diagnostics) {
+        const entries = this.asMap(sigment.dictionaries.entries);
+        const toSigment = this.asMap(sigment.dictionaries.to_sigment);
+        const asciiPronunciation = sigment.language?.config?.asciiPronunciation === true;
+
+        for (const [english, entry] of Object.entries(entries)) {
+            if (!entry || typeof entry !== 'object') continue;
+            const path = this.pointer('dictionaries', 'entries', english);
+            const mapped = toSigment[english] ?? toSigment[english.toLowerCase()];
+
+            if (mapped === undefined) {
+                diagnostics.push(this.diagnostic(path, 'warning', 'orphan-entry', `Entry "${english}" is missing from to_sigment`));
+            } else if (typeof entry.sigment === 'string' && entry.sigment.toLowerCase() !== mapped) {
+                diagnostics.push(this.diagnostic(`${path}/sigment`, 'error', 'mismatched-entry',
+                    `Entry form "${entry.sigment}" differs from to_sigment "${mapped}"`));
+            }
+
+            if (typeof entry.pronunciation === 'string') {
+                this.checkPronunciation(entry.pronunciation, `${path}/pronunciation`, asciiPronunciation, diagnostics);
+            }
+
+            if (Array.isArray(entry.definitions?.primary) && entry.definitions.primary.length === 0) {
+                diagnostics.push(this.diagnostic(`${path}/definitions/primary`, 'warning', 'empty-value', `"${english}" has no definitions`));
+            }
+        }
+    }
+
+    checkPronunciation(pronunciation, path, asciiPronunciation, diagnostics) {
+        if (!pronunciation.trim()) {
+            diagnostics.push(this.diagnostic(path, 'warning', 'empty-value', 'Empty pronunciation'));
+            return;
+        }
+
+        const match = pronunciation.match(/^\/(.+)\/$/u) || pronunciation.match(/^\[(.+)\]$/u);
+        if (!match) {
+            diagnostics.push(this.diagnostic(path, 'warning', 'invalid-ipa',
+                `"${pronunciation}" should be wrapped in /slashes/ or [brackets]`));
+        } else if (!asciiPronunciation && !IPA_CHARACTERS.test(match[1])) {
+            const invalid = [...new Set([...match[1]].filter(char => !IPA_CHARACTERS.test(char)))];
+            diagnostics.push(this.diagnostic(path, 'warning', 'invalid-ipa',
+                `"${pronunciation}" contains non-IPA characters: ${invalid.join(' ')}`));
+        }
+    }
+
+    asMap(value) {
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    }
+
+    pointer(...segments) {
+        return JsonSchemaValidator.pointer(['sigment', ...segments]);
+    }
+
+    diagnostic(path, severity, code, message) {
+        return { path, severity, code, message };
+    }
+
+    report(diagnostics, data = null) {
+        return {
+            valid: !diagnostics.some(d => d.severity === 'error'),
+            version: data?.sigment?.version ?? null,
+            name: data?.sigment?.language?.name ?? null,
+            errors: diagnostics.filter(d => d.severity === 'error').length,
+            warnings: diagnostics.filter(d => d.severity === 'warning').length,
+            diagnostics
+        };
+    }
+}
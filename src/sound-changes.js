@@ -0,0 +1,247 @@
+/**
+ * Sound change rules in classic conlang notation:
+ *
+ *   ; comments start with ';' or '//'
+ *   V = a e i o u          class definitions (single uppercase letter)
+ *   p t k > b d g / V_V    positional replacement between vowels
+ *   e > / C_#              deletion at the end of a word (also '∅' or '0')
+ *   th > t                 no environment: applies everywhere
+ *
+ * '#' marks a word boundary and '_' the position of the changing segment.
+ * Rules apply in file order; each rule applies to all matches simultaneously.
+ */
+
+const DEFAULT_CLASSES = {
+    V: ['a', 'e', 'i', 'o', 'u'],
+    C: ['b', 'c', 'd', 'f', 'g', 'h', 'j', 'k', 'l', 'm', 'n', 'p', 'q', 'r', 's', 't', 'v', 'w', 'x', 'y', 'z']
+};
+
+const NULL_SEGMENTS = ['∅', '0', 'Ø'];
+
+export class SoundChangeRules {
+    constructor() {
+        this.classes = new Map(Object.entries(DEFAULT_CLASSES).map(([name, members]) => [name, [...members]]));
+        this.customClasses = new Set();
+        this.rules = [];
+    }
+
+    static parse(text) {
+        const ruleSet = new SoundChangeRules();
+        const lines = text.split(/\r?\n/);
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.replace(/(;|\/\/).*$/, '').trim();
+            if (!line) return;
+
+            try {
+                if (/^[A-Z]\s*=/.test(line)) {
+                    const [name, members] = line.split('=');
+                    ruleSet.defineClass(name.trim(), members.trim());
+                } else {
+                    ruleSet.addRule(line);
+                }
+            } catch (error) {
+                throw new Error(`Sound change line ${index + 1} ("${rawLine.trim()}"): ${error.message}`);
+            }
+        });
+
+        return ruleSet;
+    }
+
+    static fromJSON(serialized = []) {
+        const ruleSet = new SoundChangeRules();
+        for (const item of serialized) {
+            if (item.type === 'class') {
+                ruleSet.defineClass(item.name, item.members);
+            } else if (item.rule) {
+                ruleSet.addRule(item.rule);
+            } else if (item.from !== undefined) {
+                const context = item.context && item.context !== 'any' ? ` / ${item.context}` : '';
+                ruleSet.addRule(`${item.from} > ${item.to || ''}${context}`);
+            }
+        }
+        return ruleSet;
+    }
+
+    defineClass(name, members) {
+        if (!/^[A-Z]$/.test(name)) {
+            throw new Error(`Class names must be a single uppercase letter, got "${name}"`);
+        }
+
+        const list = Array.isArray(members) ? members :
+            (members.includes(' ') ? members.split(/\s+/) : members.split(''));
+        const cleaned = list.map(m => m.trim()).filter(Boolean);
+
+        if (cleaned.length === 0) {
+            throw new Error(`Class ${name} has no members`);
+        }
+
+        this.classes.set(name, cleaned);
+        this.customClasses.add(name);
+    }
+
+    addRule(line) {
+        const arrowMatch = line.match(/^(.*?)\s*(?:>|->|→)\s*(.*)$/);
+        if (!arrowMatch) {
+            throw new Error('Expected "target > replacement / environment"');
+        }
+
+        const target = arrowMatch[1].trim();
+        const [replacementPart, ...environmentParts] = arrowMatch[2].split('/');
+        const replacement = replacementPart.trim();
+        const context = environmentParts.join('/').trim();
+
+        if (!target) {
+            throw new Error('Missing target segment');
+        }
+
+        const fromItems = target.split(/\s+/);
+        const toItems = replacement && !NULL_SEGMENTS.includes(replacement) ? replacement.split(/\s+/) : [''];
+        const replacements = this.buildReplacementMap(fromItems, toItems);
+        const pattern = this.compilePattern(replacements, context);
+
+        this.rules.push({
+            rule: line,
+            from: target,
+            to: toItems.join(' '),
+            context: context || 'any',
+            replacements,
+            pattern
+        });
+    }
+
+    buildReplacementMap(fromItems, toItems) {
+        const replacements = new Map();
+
+        const addMapping = (source, output) => {
+            if (!replacements.has(source)) replacements.set(source, output);
+        };
+
+        fromItems.forEach((fromItem, index) => {
+            const output = toItems.length === fromItems.length ? toItems[index] : toItems[0];
+
+            if (toItems.length !== 1 && toItems.length !== fromItems.length) {
+                throw new Error(`${fromItems.length} targets but ${toItems.length} replacements`);
+            }
+
+            if (this.classes.has(fromItem)) {
+                const sourceMembers = this.classes.get(fromItem);
+                if (this.classes.has(output)) {
+                    // V > W maps class members positionally
+                    const outputMembers = this.classes.get(output);
+                    if (outputMembers.length !== sourceMembers.length) {
+                        throw new Error(`Classes ${fromItem} and ${output} have different sizes`);
+                    }
+                    sourceMembers.forEach((member, i) => addMapping(member, outputMembers[i]));
+                } else {
+                    sourceMembers.forEach(member => addMapping(member, output));
+                }
+            } else {
+                if (this.classes.has(output)) {
+                    throw new Error(`Cannot map literal "${fromItem}" onto class ${output}`);
+                }
+                addMapping(fromItem, output);
+            }
+        });
+
+        return replacements;
+    }
+
+    compilePattern(replacements, context) {
+        const targetPattern = this.alternation([...replacements.keys()]);
+
+        if (!context) {
+            return new RegExp(`(${targetPattern})`, 'g');
+        }
+
+        const focusIndex = context.indexOf('_');
+        if (focusIndex === -1 || context.indexOf('_', focusIndex + 1) !== -1) {
+            throw new Error(`Environment "${context}" must contain exactly one "_"`);
+        }
+
+        const before = this.compileEnvironment(context.substring(0, focusIndex).trim(), 'before');
+        const after = this.compileEnvironment(context.substring(focusIndex + 1).trim(), 'after');
+
+        return new RegExp(`${before ? `(?<=${before})` : ''}(${targetPattern})${after ? `(?=${after})` : ''}`, 'g');
+    }
+
+    compileEnvironment(environment, side) {
+        let pattern = '';
+
+        for (let i = 0; i < environment.length; i++) {
+            const char = environment[i];
+            if (char === ' ') continue;
+
+            if (char === '#') {
+                if (side === 'before' && i !== 0) {
+                    throw new Error('Word boundary "#" must start the environment');
+                }
+                if (side === 'after' && i !== environment.length - 1) {
+                    throw new Error('Word boundary "#" must end the environment');
+                }
+                pattern += side === 'before' ? '^' : '$';
+            } else if (this.classes.has(char)) {
+                pattern += `(?:${this.alternation(this.classes.get(char))})`;
+            } else {
+                pattern += this.escape(char);
+            }
+        }
+
+        return pattern;
+    }
+
+    alternation(segments) {
+        // Longest first so digraphs win over their first letter
+        return [...segments]
+            .sort((a, b) => b.length - a.length)
+            .map(segment => this.escape(segment))
+            .join('|');
+    }
+
+    escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    apply(word) {
+        let result = word;
+        for (const rule of this.rules) {
+            result = result.replace(rule.pattern, match => rule.replacements.get(match) ?? match);
+        }
+        return result;
+    }
+
+    trace(word) {
+        const steps = [];
+        let result = word;
+        for (const rule of this.rules) {
+            const next = result.replace(rule.pattern, match => rule.replacements.get(match) ?? match);
+            if (next !== result) {
+                steps.push({ rule: rule.rule, before: result, after: next });
+            }
+            result = next;
+        }
+        return { result, steps };
+    }
+
+    get size() {
+        return this.rules.length;
+    }
+
+    toJSON() {
+        const classes = [...this.customClasses].map(name => ({
+            type: 'class',
+            name,
+            members: this.classes.get(name)
+        }));
+
+        const rules = this.rules.map(rule => ({
+            type: 'rule',
+            rule: rule.rule,
+            from: rule.from,
+            to: rule.to,
+            context: rule.context
+        }));
+
+        return [...classes, ...rules];
+    }
+}
@@ -0,0 +1,130 @@
+import { Phonotactics } from './phonotactics.js';
+
+export const STRESS_RULES = ['initial', 'penultimate', 'weight-sensitive'];
+
+/**
+ * Splits spellings into syllables and assigns stress. Consonants between two vowels go to the
+ * second syllable as far as the language's onsets allow (maximal onset), so with English
+ * onsets "construct" is con|struct and "antler" ant|ler. Stress follows one of STRESS_RULES:
+ *
+ *   initial            first syllable                     CON-struct, BA-na-na
+ *   penultimate        next-to-last syllable              con-STRUCT, ba-NA-na
+ *   weight-sensitive   penult if heavy, else antepenult   a-GEN-da, CA-me-ra
+ *
+ * A syllable is heavy when it has a coda or a long vowel spelling (ee, ai, oh). Secondary stress
+ * falls on every second syllable away from the primary one, except the last.
+ */
+export class Syllabifier {
+    constructor(options = {}) {
+        this.phonotactics = options.phonotactics || new Phonotactics();
+        this.stress = options.stress || 'initial';
+
+        if (!STRESS_RULES.includes(this.stress)) {
+            throw new Error(`Unknown stress rule "${this.stress}". Use ${STRESS_RULES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Split a word into syllables
+     * @param {string} word - Sigment or English word
+     * @returns {Array} syllables with their onset, nucleus, coda, text, letter index and weight
+     */
+    syllabify(word) {
+        const letters = this.phonotactics.letters(word).text.toLowerCase();
+        const nuclei = this.findNuclei(letters);
+
+        if (nuclei.length === 0) {
+            return letters ? [this.makeSyllable(letters, 0, '', letters.length, letters.length)] : [];
+        }
+
+        const syllables = [];
+        let start = 0;
+        nuclei.forEach((nucleus, i) => {
+            const next = nuclei[i + 1];
+            const end = next ? next.start - this.onsetLength(letters.slice(nucleus.end, next.start)) : letters.length;
+            syllables.push(this.makeSyllable(letters.slice(start, end), start, letters.slice(nucleus.start, nucleus.end), nucleus.start - start, nucleus.end - start));
+            start = end;
+        });
+
+        return syllables;
+    }
+
+    findNuclei(letters) {
+        const nuclei = [];
+        for (let i = 0; i < letters.length; i++) {
+            if (!this.phonotactics.isVowelAt(letters, i)) continue;
+            const last = nuclei[nuclei.length - 1];
+            if (last && last.end === i) {
+                last.end = i + 1;
+            } else {
+                nuclei.push({ start: i, end: i + 1 });
+            }
+        }
+
+        // A final e after a consonant is silent (stone), except in -le after a consonant (table)
+        const last = nuclei[nuclei.length - 1];
+        if (nuclei.length > 1 && last.start === letters.length - 1 && letters[last.start] === 'e' &&
+            !/[^aeiouy]le$/.test(letters)) {
+            nuclei.pop();
+        }
+
+        return nuclei;
+    }
+
+    // Maximal onset: the longest end of the cluster that can begin a syllable. Doubled letters
+    // and ck are split (hap|pen, pac|ker) and x stays with the syllable before (tax|i)
+    onsetLength(cluster) {
+        for (let length = cluster.length; length > 0; length--) {
+            const onset = cluster.slice(-length);
+            if (onset[0] === onset[1] || /^(ck|x)/.test(onset)) continue;
+            if (this.phonotactics.isOnset(onset)) return length;
+        }
+        return 0;
+    }
+
+    makeSyllable(text, index, nucleus, nucleusStart, nucleusEnd) {
+        const coda = text.slice(nucleusEnd);
+        return {
+            text,
+            index,
+            onset: text.slice(0, nucleusStart),
+            nucleus,
+            coda,
+            weight: coda.length > 0 || nucleus.length > 1 ? 'heavy' : 'light'
+        };
+    }
+
+    /**
+     * Stress level of each syllable under the language's stress rule
+     * @param {Array} syllables - Result of syllabify()
+     * @returns {Array} 'primary', 'secondary' or 'unstressed' for each syllable
+     */
+    stressPattern(syllables) {
+        const count = syllables.length;
+        if (count <= 1) return ['primary'];
+
+        const primary = this.primaryStress(syllables);
+        return syllables.map((syllable, i) => {
+            if (i === primary) return 'primary';
+            return Math.abs(i - primary) % 2 === 0 && i !== count - 1 ? 'secondary' : 'unstressed';
+        });
+    }
+
+    primaryStress(syllables) {
+        const count = syllables.length;
+        switch (this.stress) {
+            case 'penultimate':
+                return count - 2;
+            case 'weight-sensitive':
+                if (count === 2 || syllables[count - 2].weight === 'heavy') return count - 2;
+                return count - 3;
+            default:
+                return 0;
+        }
+    }
+
+    analyze(word) {
+        const syllables = this.syllabify(word);
+        return { syllables, stress: this.stressPattern(syllables) };
+    }
+}
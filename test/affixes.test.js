@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PhoneticMapper } from '../src/phonetic-mapper.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const affixes = [{ value: 're-' }, { value: 'un-' }, { value: '-ness' }, { value: '-ful' }];
+
+test('generates the same affix table for the same seed', () => {
+    const table = new PhoneticMapper().generateAffixTable(affixes, 'consonant_shift', { seed: 'affix' });
+    assert.deepEqual(Object.keys(table), ['re-', 'un-', '-ness', '-ful']);
+    assert.deepEqual(new PhoneticMapper().generateAffixTable(affixes, 'consonant_shift', { seed: 'affix' }), table);
+    for (const form of Object.values(table)) {
+        assert.match(form, /^[a-z]+$/);
+    }
+});
+
+test('attaches affixes in their table forms', () => {
+    const mapper = new PhoneticMapper();
+    const table = { 're-': 'vo', 'un-': 'ka', '-ness': 'vek' };
+
+    assert.equal(mapper.transformPrefix('rit', { type: 'prefix', value: 're-' }, 'default', table), 'vorit');
+    assert.equal(mapper.transformSuffix('gint', { type: 'suffix', value: '-ness' }, 'default', table), 'gintvek');
+    // Affixes missing from the table keep their English spelling
+    assert.equal(mapper.transformSuffix('help', { type: 'suffix', value: '-ful' }, 'default', table), 'helpful');
+    assert.equal(mapper.transformRoot('kind', { type: 'root', value: 'kind' }, 'default'), 'kind');
+
+    // Affixes attach from the stem outwards
+    const morphemes = [
+        { type: 'prefix', value: 'un-' },
+        { type: 'prefix', value: 're-' },
+        { type: 'root', value: 'kind' },
+        { type: 'suffix', value: '-ness' }
+    ];
+    assert.equal(mapper.applyMorphemeBasedRules('gint', morphemes, 'default', table), 'kavogintvek');
+});
+
+test('gives every word sharing an English affix the same Sigment affix', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-affixes-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath });
+    const { language } = await generator.generateLanguage({
+        name: 'Affixed',
+        seed: 'affix',
+        style: 'consonant_shift',
+        vocabulary: ['kindness', 'darkness', 'rewrite', 'remake'],
+        allowPause: false
+    });
+
+    const { '-ness': ness, 're-': re } = language.affixes;
+    assert.ok(language.vocabulary.get('kindness').sigment.endsWith(ness));
+    assert.ok(language.vocabulary.get('darkness').sigment.endsWith(ness));
+    assert.ok(language.vocabulary.get('rewrite').sigment.startsWith(re));
+    assert.ok(language.vocabulary.get('remake').sigment.startsWith(re));
+
+    const patterns = await generator.analyzePhoneticPatterns(language);
+    assert.equal(patterns.affixConsistency, 100);
+    assert.deepEqual(Object.fromEntries(patterns.morphemeRules.get('-ness')), { [ness]: 2 });
+
+    // Stored with the language and reused when it is loaded again
+    const reloaded = await new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath }).loadFullLanguageData('Affixed');
+    assert.deepEqual(reloaded.affixes, language.affixes);
+});
+
+test('keeps existing affix forms when the table is extended', async () => {
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false });
+    await generator.initializationPromise;
+    const language = { config: { seed: 'affix', style: 'default' }, affixes: { '-ness': 'vek' } };
+
+    const table = generator.ensureLanguageAffixes(language);
+    assert.equal(table['-ness'], 'vek');
+    assert.ok(Object.keys(table).length > 1);
+    assert.ok(Object.hasOwn(table, 're-'));
+});
+
+test('reports inconsistent affixes', () => {
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false });
+    const rules = new Map([
+        ['-ness', new Map([['vek', 3], ['vak', 1]])],
+        ['re-', new Map([['vo', 2]])],
+        ['un-', new Map([['ka', 1]])]
+    ]);
+    assert.equal(generator.calculateAffixConsistency(rules), 87.5);
+    assert.equal(generator.calculateAffixConsistency(new Map()), null);
+});
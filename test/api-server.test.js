@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SigmentApiServer } from '../src/api-server.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+let workDir;
+let server;
+let base;
+let language;
+
+before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-api-'));
+    const dictionaryPath = path.join(workDir, 'dictionaries');
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath: dictionaryPath });
+    ({ language } = await generator.generateLanguage({ name: 'ApiTest', seed: 'api', vocabulary: ['water', 'fire'], allowPause: false }));
+
+    server = new SigmentApiServer({ port: 0, dictionaryPath, useOllama: false, cacheEnabled: false });
+    const address = await server.start();
+    base = `http://127.0.0.1:${address.port}`;
+});
+
+after(async () => {
+    await server.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const post = (pathname, body, headers = { 'Content-Type': 'application/json' }) =>
+    fetch(`${base}${pathname}`, { method: 'POST', headers, body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+test('lists and translates words', async () => {
+    const list = await fetch(`${base}/languages`);
+    assert.equal(list.status, 200);
+    assert.deepEqual((await list.json()).languages.map(entry => entry.name), ['ApiTest']);
+
+    const water = language.vocabulary.get('water').sigment;
+    const translated = await fetch(`${base}/languages/ApiTest/translate?word=water`);
+    assert.equal(translated.status, 200);
+    assert.equal((await translated.json()).translation, water);
+
+    const text = await post('/languages/ApiTest/translate', { text: 'Water!', direction: 'to-sigment' });
+    assert.equal(text.status, 200);
+    assert.equal((await text.json()).translation, `${water[0].toUpperCase()}${water.slice(1)}!`);
+});
+
+test('unknown languages, words and endpoints are 404', async () => {
+    assert.equal((await fetch(`${base}/languages/Nope`)).status, 404);
+    assert.equal((await fetch(`${base}/languages/ApiTest/translate?word=zorb`)).status, 404);
+    assert.equal((await fetch(`${base}/languages/ApiTest/definitions/zorb`)).status, 404);
+    assert.equal((await fetch(`${base}/elsewhere`)).status, 404);
+});
+
+test('bad input is 400', async () => {
+    for (const body of [{ word: 5 }, { text: ['a'] }, { word: '  ' }, {}, { word: 'water', direction: 'sideways' }]) {
+        const response = await post('/languages/ApiTest/translate', body);
+        assert.equal(response.status, 400, JSON.stringify(body));
+        assert.equal((await response.json()).status, 400);
+    }
+
+    assert.equal((await post('/languages/ApiTest/translate', '{"word":')).status, 400);
+    assert.equal((await post('/languages/ApiTest/translate', '["water"]')).status, 400);
+    assert.equal((await post('/languages/ApiTest/words', { words: [1, 2] })).status, 400);
+    assert.equal((await post('/languages/ApiTest/words', { words: 'tree', collisionStrategy: 'drop' })).status, 400);
+    assert.equal((await fetch(`${base}/languages/ApiTest/search`)).status, 400);
+    assert.equal((await fetch(`${base}/languages/%E0%A4%A`)).status, 400);
+});
+
+test('bodies must be JSON and methods must match', async () => {
+    const plain = await post('/languages/ApiTest/translate', '{"word":"water"}', { 'Content-Type': 'text/plain' });
+    assert.equal(plain.status, 415);
+    assert.equal((await post('/languages/ApiTest/words', 'words=tree', { 'Content-Type': 'application/x-www-form-urlencoded' })).status, 415);
+    assert.equal((await fetch(`${base}/languages/ApiTest/words`)).status, 405);
+});
+
+test('CORS is only granted to pages on this machine by default', async () => {
+    const headers = async origin => (await fetch(`${base}/languages`, { headers: { Origin: origin } })).headers;
+
+    assert.equal((await headers('http://localhost:5173')).get('access-control-allow-origin'), 'http://localhost:5173');
+    assert.equal((await headers('http://127.0.0.1:8080')).get('access-control-allow-origin'), 'http://127.0.0.1:8080');
+    assert.equal((await headers('https://example.com')).get('access-control-allow-origin'), null);
+    assert.equal((await headers('http://localhost.example.com')).get('access-control-allow-origin'), null);
+    assert.equal((await headers('https://example.com')).get('vary'), 'Origin');
+
+    const preflight = await fetch(`${base}/languages/ApiTest/words`, { method: 'OPTIONS', headers: { Origin: 'http://localhost:3000' } });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-headers'), 'Content-Type');
+});
+
+test('words added to one language are written one request at a time', async () => {
+    const generator = server.getGenerator();
+    const addWords = generator.addWordsToLanguage.bind(generator);
+    let running = 0;
+    let overlapped = false;
+    generator.addWordsToLanguage = async (...args) => {
+        overlapped ||= running > 0;
+        running++;
+        try {
+            return await addWords(...args);
+        } finally {
+            running--;
+        }
+    };
+
+    const responses = await Promise.all([
+        post('/languages/ApiTest/words', { words: ['tree', 'river'] }),
+        post('/languages/ApiTest/words', { words: 'stone, cloud' })
+    ]);
+    assert.deepEqual(responses.map(response => response.status), [201, 201]);
+    assert.equal(overlapped, false);
+
+    const stats = await (await fetch(`${base}/languages/ApiTest`)).json();
+    assert.equal(stats.totalWords, 6);
+});
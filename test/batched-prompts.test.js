@@ -0,0 +1,134 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { OllamaClient } from '../src/ollama-client.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const data = {
+    etymology: word => ({ origin: 'Old English', root: word, morphemes: [{ value: word }] }),
+    definitions: word => ({ primary: [`meaning of ${word}`], partOfSpeech: ['noun'] })
+};
+
+// A stand-in Ollama server that answers batches for every word except "garbled" (invalid) and "dropped" (left out)
+let server;
+let url;
+let requests = [];
+
+function reply(request) {
+    const schema = request.format;
+    if (schema?.required?.[0] === 'results') {
+        const kind = schema.properties.results.items.required.includes('origin') ? 'etymology' : 'definitions';
+        const words = JSON.parse(`[${request.prompt.match(/^Words: (.*)$/m)[1]}]`);
+        const results = words
+            .filter(word => word !== 'dropped')
+            .map(word => word === 'garbled' ? { word } : { word, ...data[kind](word) });
+        return { results };
+    }
+    const word = request.prompt.match(/"([^"]+)"/)[1];
+    if (schema?.required?.includes('origin')) return data.etymology(word);
+    if (schema?.required?.includes('primary')) return data.definitions(word);
+    if (schema?.required?.includes('core')) return { core: word };
+    return { direct: [] };
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === '/api/tags') {
+                res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"models":[]}');
+                return;
+            }
+            const request = JSON.parse(body);
+            requests.push(request);
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ response: JSON.stringify(reply(request)) }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+});
+
+const isBatch = request => request.format?.required?.[0] === 'results';
+const createClient = () => new OllamaClient(url, 'stub', { retries: 0 });
+
+test('keeps only batch items that match a requested word and validate', () => {
+    const client = createClient();
+    const response = JSON.stringify({
+        results: [
+            { word: 'Water', ...data.definitions('water') },
+            { word: 'water', primary: ['a duplicate'], partOfSpeech: ['noun'] },
+            { word: 'fire', primary: [] },
+            { word: 'stranger', ...data.definitions('stranger') },
+            { ...data.definitions('earth') }
+        ]
+    });
+
+    const results = client.parseBatchResponse(response, 'definitions', ['water', 'fire', 'earth']);
+    assert.deepEqual(results, [['water', data.definitions('water')]]);
+    assert.deepEqual(client.parseBatchResponse('{"items": []}', 'definitions', ['water']), []);
+});
+
+test('fetches several words with one request per kind and caches them as batched', async () => {
+    const client = createClient();
+    const summary = await client.prefetch(['water', 'fire', 'earth']);
+
+    assert.deepEqual(summary, { fetched: 6, retried: [] });
+    assert.equal(requests.length, 2);
+    assert.ok(requests.every(isBatch));
+
+    const definitions = await client.getDefinitions('fire');
+    assert.equal(definitions.source, 'batched');
+    assert.deepEqual(definitions.primary, ['meaning of fire']);
+    assert.equal(requests.length, 2);
+});
+
+test('retries dropped and garbled words one at a time', async () => {
+    const client = createClient();
+    const summary = await client.prefetch(['water', 'dropped', 'garbled']);
+
+    assert.equal(summary.fetched, 2);
+    assert.deepEqual(summary.retried, ['dropped', 'garbled']);
+
+    requests = [];
+    assert.equal((await client.getDefinitions('dropped')).source, 'structured');
+    assert.equal((await client.getDefinitions('garbled')).source, 'structured');
+    assert.equal((await client.getDefinitions('water')).source, 'batched');
+    assert.equal(requests.length, 2);
+    assert.ok(!requests.some(isBatch));
+});
+
+test('skips cached words and batches of a single word', async () => {
+    const client = createClient();
+    await client.getDefinitions('water');
+    requests = [];
+
+    assert.deepEqual(await client.prefetch(['water', 'fire'], ['definitions']), { fetched: 0, retried: [] });
+    assert.equal(requests.length, 0);
+});
+
+test('--batch-size groups the words of a run into batched requests', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-batched-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({ provider: 'ollama', providerUrl: url, providerRetries: 0, cacheEnabled: false, outputPath });
+    const vocabulary = ['water', 'fire', 'earth', 'wind', 'stone'];
+    const { language } = await generator.generateLanguage({ name: 'Batched', seed: 'batched', vocabulary, batchSize: 2, allowPause: false });
+
+    // Batches of two, two and one word; the single word is fetched on its own
+    const batches = requests.filter(isBatch);
+    assert.equal(batches.length, 4);
+    assert.equal(language.vocabulary.get('water').dataSource.definitions, 'batched');
+    assert.equal(language.vocabulary.get('stone').dataSource.definitions, 'structured');
+});
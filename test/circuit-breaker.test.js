@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CircuitOpenError } from '../src/circuit-breaker.js';
+
+const fail = () => Promise.reject(new Error('down'));
+const succeed = () => Promise.resolve('ok');
+
+test('opens after the failure threshold and rejects calls while cooling down', async () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2, cooldown: 60000 });
+
+    await assert.rejects(breaker.execute(fail), /down/);
+    assert.equal(breaker.state, 'closed');
+    await assert.rejects(breaker.execute(fail), /down/);
+    assert.equal(breaker.state, 'open');
+    assert.ok(breaker.isOpen);
+
+    let called = false;
+    await assert.rejects(breaker.execute(() => { called = true; return succeed(); }), CircuitOpenError);
+    assert.equal(called, false);
+    assert.deepEqual(breaker.getStats(), { state: 'open', consecutiveFailures: 2, trips: 1, rejected: 1 });
+});
+
+test('lets one probe through after the cooldown and closes when it succeeds', async () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, cooldown: 0 });
+    breaker.trip();
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.isOpen, false);
+
+    let release;
+    const probe = breaker.execute(() => new Promise(resolve => { release = resolve; }));
+    assert.equal(breaker.state, 'half-open');
+    // Only a single probe at a time
+    await assert.rejects(breaker.execute(succeed), CircuitOpenError);
+
+    release('back');
+    assert.equal(await probe, 'back');
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.failures, 0);
+    assert.equal(await breaker.execute(succeed), 'ok');
+});
+
+test('reopens when the half-open probe fails', async () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3, cooldown: 0 });
+    breaker.trip();
+
+    await assert.rejects(breaker.execute(fail), /down/);
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.stats.trips, 2);
+});
+
+test('ignores errors that are not failures of the service', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, isFailure: error => error.message !== 'rejected' });
+
+    await assert.rejects(breaker.execute(() => Promise.reject(new Error('rejected'))));
+    assert.equal(breaker.state, 'closed');
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CollisionResolver } from '../src/collision-resolver.js';
+import { PhoneticMapper } from '../src/phonetic-mapper.js';
+
+const phoneticMapper = new PhoneticMapper();
+const languageWith = (forms) => ({
+    etymologicalMaps: new Map(Object.entries(forms).map(([sigment, english]) => [sigment, { english, sigment }]))
+});
+
+test('free forms and a word\'s own form are not collisions', () => {
+    const resolver = new CollisionResolver();
+    const language = languageWith({ kata: 'cat' });
+
+    assert.deepEqual(resolver.resolve(language, 'dog', 'doga', phoneticMapper), { sigment: 'doga', collision: null });
+    assert.deepEqual(resolver.resolve(language, 'cat', 'kata', phoneticMapper), { sigment: 'kata', collision: null });
+});
+
+test('alternate finds a free variant of the form', () => {
+    const language = languageWith({ kata: 'cat' });
+    const { sigment, collision } = new CollisionResolver().resolve(language, 'dog', 'kata', phoneticMapper, 'alternate');
+
+    assert.notEqual(sigment, 'kata');
+    assert.ok(!language.etymologicalMaps.has(sigment));
+    assert.equal(collision.strategy, 'alternate');
+    assert.equal(collision.conflictsWith, 'cat');
+    assert.ok(collision.attempts >= 1);
+});
+
+test('affix adds the first free disambiguator, avoiding vowel clashes', () => {
+    const language = languageWith({ kata: 'cat', katala: 'hat' });
+    const { sigment, collision } = new CollisionResolver().resolve(language, 'dog', 'kata', phoneticMapper, 'affix');
+
+    assert.equal(sigment, 'katalen');
+    assert.equal(collision.disambiguator, 'en');
+});
+
+test('alternate falls through to affix when every variant is taken', () => {
+    const resolver = new CollisionResolver({ maxAlternates: 0 });
+    const { sigment, collision } = resolver.resolve(languageWith({ kata: 'cat' }), 'dog', 'kata', phoneticMapper, 'alternate');
+
+    assert.equal(sigment, 'katala');
+    assert.equal(collision.strategy, 'affix');
+});
+
+test('homonym keeps the form and records the collision', () => {
+    const { sigment, collision } = new CollisionResolver().resolve(languageWith({ kata: 'cat' }), 'dog', 'kata', phoneticMapper, 'homonym');
+
+    assert.equal(sigment, 'kata');
+    assert.equal(collision.homonym, true);
+});
+
+test('unknown strategies are rejected', () => {
+    assert.equal(CollisionResolver.checkStrategy('affix'), 'affix');
+    assert.throws(() => CollisionResolver.checkStrategy('drop'), /Unknown collision strategy "drop"/);
+    assert.throws(
+        () => new CollisionResolver().resolve(languageWith({ kata: 'cat' }), 'dog', 'kata', phoneticMapper, 'drop'),
+        /Unknown collision strategy/
+    );
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MorphologicalSegmenter } from '../src/morphology.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const lexicon = MorphologicalSegmenter.loadDefaultLexicon();
+const split = word => MorphologicalSegmenter.splitCompound(word, part => lexicon.has(part));
+
+test('splits compounds into words from the base lexicon', () => {
+    assert.deepEqual(split('framework'), ['frame', 'work']);
+    assert.deepEqual(split('database'), ['data', 'base']);
+    assert.deepEqual(split('network'), ['net', 'work']);
+    assert.deepEqual(split('toothbrush'), ['tooth', 'brush']);
+});
+
+test('leaves words whole when the parts are too short or the split is ambiguous', () => {
+    assert.equal(split('carpet'), null);
+    assert.equal(split('season'), null);
+    // no + where would also fit, so now + here isn't trusted
+    assert.equal(split('nowhere'), null);
+    assert.equal(split('data'), null);
+});
+
+test('prefers the language vocabulary and the fewest parts', () => {
+    const vocabulary = new Set(['sun', 'flower', 'seed']);
+    const isKnown = part => vocabulary.has(part) || lexicon.has(part);
+    assert.deepEqual(MorphologicalSegmenter.splitCompound('sunflowerseed', isKnown), ['sun', 'flower', 'seed']);
+    assert.equal(MorphologicalSegmenter.splitCompound('sunflowerseed', isKnown, { maxParts: 2 }), null);
+});
+
+test('builds compounds from the Sigment forms of their parts', async (t) => {
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-compounds-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath });
+    const { language } = await generator.generateLanguage({
+        name: 'CompoundTest',
+        seed: 'compounds',
+        vocabulary: ['frame', 'work', 'data', 'base', 'net', 'framework', 'database', 'network'],
+        allowPause: false
+    });
+
+    for (const [compound, parts] of [['framework', ['frame', 'work']], ['database', ['data', 'base']], ['network', ['net', 'work']]]) {
+        const entry = language.vocabulary.get(compound);
+        assert.deepEqual(entry.compound.parts, parts.map(part => ({ english: part, sigment: language.vocabulary.get(part).sigment })));
+        assert.deepEqual(entry.etymology.morphemes.map(morpheme => morpheme.value), parts);
+    }
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RateLimiter } from '../src/rate-limiter.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const words = ['water', 'fire', 'earth', 'wind'];
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createGenerator(t) {
+    // Progress lines printed between test events can garble the test runner's stream
+    t.mock.method(console, 'log', () => {});
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-concurrency-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+    return new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath });
+}
+
+const generate = (generator, config = {}) => generator.generateLanguage({ name: 'Pool', seed: 'pool', vocabulary: words, allowPause: false, ...config });
+const forms = language => Array.from(language.vocabulary.values(), entry => `${entry.english}=${entry.sigment}`);
+
+test('runs at most maxConcurrent tasks at once, in arrival order', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 2 });
+    let active = 0;
+    let peak = 0;
+    const started = [];
+
+    await Promise.all([0, 1, 2, 3, 4].map(index => limiter.schedule(async () => {
+        started.push(index);
+        peak = Math.max(peak, ++active);
+        await sleep(10);
+        active--;
+    })));
+
+    assert.equal(peak, 2);
+    assert.deepEqual(started, [0, 1, 2, 3, 4]);
+    assert.deepEqual(limiter.getStats(), { active: 0, waiting: 0, maxConcurrent: 2, requestsPerMinute: null });
+});
+
+test('spaces request starts to the requests-per-minute cap', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1200 });
+    const starts = [];
+    await Promise.all([0, 1, 2].map(() => limiter.schedule(async () => starts.push(Date.now()))));
+
+    assert.ok(starts[1] - starts[0] >= 45, `started ${starts[1] - starts[0]}ms apart`);
+    assert.ok(starts[2] - starts[1] >= 45, `started ${starts[2] - starts[1]}ms apart`);
+});
+
+test('a failing task frees its slot', async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    await assert.rejects(limiter.schedule(() => Promise.reject(new Error('boom'))), /boom/);
+    assert.equal(await limiter.schedule(async () => 'next'), 'next');
+});
+
+test('fetches words in parallel but adds them in list order', async (t) => {
+    const sequential = forms((await generate(createGenerator(t))).language);
+
+    const generator = createGenerator(t);
+    await generator.initializationPromise;
+    const fetchWordData = generator.fetchWordData.bind(generator);
+    let active = 0;
+    let peak = 0;
+    // Later words answer sooner, so lookups finish out of order
+    generator.fetchWordData = async (word) => {
+        peak = Math.max(peak, ++active);
+        await sleep(2 * (words.length - words.indexOf(word)));
+        active--;
+        return fetchWordData(word);
+    };
+
+    const { language } = await generate(generator, { concurrency: 4 });
+    assert.deepEqual(forms(language), sequential);
+    assert.ok(peak > 1 && peak <= 4, `peak of ${peak} lookups in flight`);
+});
+
+test('stops between words, saves progress and resumes where it left off', async (t) => {
+    const generator = createGenerator(t);
+    const { language } = await generate(generator, { vocabulary: ['sun'] });
+    language.vocabulary.clear();
+
+    const processWord = generator.processWord.bind(generator);
+    generator.processWord = async (...args) => {
+        await processWord(...args);
+        if (language.vocabulary.size === 2) generator.batchState.shouldStop = true;
+    };
+
+    const stopped = await generator.processWordsBatch(language, words, { allowPause: false, concurrency: 3 });
+    assert.deepEqual(stopped, { stopped: true, processed: 2, savedAt: 2 });
+
+    const progressFile = path.join(generator.options.outputPath, 'Pool_batch_progress.json');
+    const progress = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+    assert.equal(progress.currentIndex, 2);
+    assert.deepEqual(progress.processedWords, words.slice(0, 2));
+
+    generator.processWord = processWord;
+    const resumed = await generator.processWordsBatch(language, words, { allowPause: false, concurrency: 3, resumeFile: progressFile });
+    assert.deepEqual(resumed, { completed: true, processed: 2 });
+    assert.deepEqual(Array.from(language.vocabulary.keys()), words);
+
+    // The progress file is removed once the run completes
+    await sleep(20);
+    assert.equal(fs.existsSync(progressFile), false);
+});
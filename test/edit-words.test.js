@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const vocabulary = ['water', 'fire', 'earth', 'stone'];
+
+async function setup(t, name) {
+    t.mock.method(console, 'log', () => {});
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-edit-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    const options = { useOllama: false, cacheEnabled: false, outputPath };
+    const { language } = await new LanguageGenerator(options).generateLanguage({ name, seed: 'edit', vocabulary, allowPause: false });
+    const read = file => JSON.parse(fs.readFileSync(path.join(outputPath, file), 'utf8'));
+    // A fresh generator for every step, as with separate CLI commands
+    const generator = () => new LanguageGenerator(options);
+    return { language, read, generator, outputPath };
+}
+
+test('edits a form and rewrites every dictionary file', async (t) => {
+    const { language, read, generator } = await setup(t, 'Edit');
+    const old = language.vocabulary.get('water');
+
+    const { entry, previous, fields } = await generator().editWord('Edit', 'water', { sigment: 'ulvo', definitions: ['the clear liquid'] });
+    assert.deepEqual(fields, ['sigment', 'definitions']);
+    assert.deepEqual(previous, { sigment: old.sigment, pronunciation: old.pronunciation });
+    assert.equal(entry.sigment, 'ulvo');
+    assert.notEqual(entry.pronunciation, old.pronunciation);
+    assert.ok(entry.edited);
+
+    assert.equal(read('English_to_Edit.json').dictionary.water.sigment, 'ulvo');
+    const toEnglish = read('Edit_to_English.json').dictionary;
+    assert.equal(toEnglish.ulvo.english, 'water');
+    assert.deepEqual(toEnglish.ulvo.definitions, ['the clear liquid']);
+    assert.equal(toEnglish[old.sigment], undefined);
+    assert.ok(read('Edit_to_Edit.json').dictionary.ulvo);
+    assert.equal(read('Edit_metadata.json').version, '1.0.1');
+
+    // A pronunciation given with the form is kept as it is
+    const respelled = await generator().editWord('Edit', 'water', { sigment: 'ulva', pronunciation: '/ˈʊlvə/' });
+    assert.equal(respelled.entry.pronunciation, '/ˈʊlvə/');
+});
+
+test('only shares a form with another word as an intended homonym', async (t) => {
+    const { language, read, generator } = await setup(t, 'Homonym');
+    const fire = language.vocabulary.get('fire').sigment;
+
+    await assert.rejects(generator().editWord('Homonym', 'water', { sigment: fire }), /already the Homonym word for "fire"/);
+
+    const { entry } = await generator().editWord('Homonym', 'water', { sigment: fire, homonym: true });
+    assert.deepEqual(entry.collision, { strategy: 'homonym', originalForm: fire, conflictsWith: 'fire', homonym: true });
+    assert.equal(read('English_to_Homonym.json').dictionary.water.sigment, fire);
+    const shared = read('Homonym_to_English.json').dictionary[fire];
+    assert.deepEqual([shared.english, ...shared.homonyms.map(sense => sense.english)].sort(), ['fire', 'water']);
+
+    await assert.rejects(generator().editWord('Homonym', 'water', {}), /Nothing to change/);
+    await assert.rejects(generator().editWord('Homonym', 'moon', { partOfSpeech: 'noun' }), /"moon" is not in Homonym/);
+    await assert.rejects(generator().editWord('Missing', 'water', { partOfSpeech: 'noun' }), /"Missing" not found/);
+});
+
+test('removes words and frees their forms', async (t) => {
+    const { language, read, generator } = await setup(t, 'Remove');
+    const stone = language.vocabulary.get('stone').sigment;
+
+    assert.deepEqual(await generator().removeWords('Remove', ['stone', 'moon']), { removed: ['stone'], missing: ['moon'] });
+    assert.equal(read('English_to_Remove.json').dictionary.stone, undefined);
+    assert.equal(read('Remove_to_English.json').dictionary[stone], undefined);
+    assert.equal(read('Remove_metadata.json').vocabularySize, 3);
+
+    const { entry } = await generator().editWord('Remove', 'earth', { sigment: stone });
+    assert.equal(entry.collision, undefined);
+});
+
+test('locked words keep their forms through reconstruction', async (t) => {
+    const { language, read, generator } = await setup(t, 'Lock');
+    const water = language.vocabulary.get('water').sigment;
+
+    assert.deepEqual(await generator().lockWords('Lock', ['water', 'moon']), { changed: ['water'], unchanged: [], missing: ['moon'] });
+    assert.deepEqual(await generator().lockWords('Lock', ['water']), { changed: [], unchanged: ['water'], missing: [] });
+    assert.equal(read('English_to_Lock.json').dictionary.water.locked, true);
+
+    const reconstructor = generator();
+    const loaded = await reconstructor.loadFullLanguageData('Lock');
+    const result = await reconstructor.reconstructDictionary(loaded, { soundChanges: 'a > o\ne > i' });
+    assert.equal(result.lockedWords, 1);
+    assert.equal(loaded.vocabulary.get('water').sigment, water);
+    assert.ok(!result.changes.some(change => change.english === 'water'));
+    for (const [english, entry] of loaded.vocabulary) {
+        if (english !== 'water') assert.notEqual(entry.sigment, water, english);
+    }
+
+    assert.deepEqual(await generator().lockWords('Lock', ['water'], false), { changed: ['water'], unchanged: [], missing: [] });
+    assert.equal(read('English_to_Lock.json').dictionary.water.locked, undefined);
+});
+
+test('replaces no file when one of them cannot be written', async (t) => {
+    const { outputPath, generator } = await setup(t, 'Atomic');
+    const target = path.join(outputPath, 'first.json');
+    fs.writeFileSync(target, 'old');
+
+    await assert.rejects(generator().writeFilesAtomically([
+        { path: target, content: 'new' },
+        { path: path.join(outputPath, 'missing', 'second.json'), content: 'new' }
+    ]), { code: 'ENOENT' });
+
+    assert.equal(fs.readFileSync(target, 'utf8'), 'old');
+    assert.deepEqual(fs.readdirSync(outputPath).filter(file => file.endsWith('.tmp')), []);
+});
@@ -0,0 +1,125 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+// A stand-in Ollama server with real-looking data for every word except "earth", which it can't answer
+let server;
+let url;
+let workDir;
+
+function reply(request) {
+    const word = request.prompt.match(/"([^"]+)"/)?.[1];
+    const required = request.format?.required || [];
+    if (required.includes('origin')) return { origin: 'Old English', root: `${word}-root`, morphemes: [{ value: word, meaning: word }] };
+    if (required.includes('primary')) return { primary: [`the ${word} itself`], partOfSpeech: ['noun'] };
+    if (required.includes('core')) return { core: word };
+    return { direct: [] };
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === '/api/tags') {
+                res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"models":[]}');
+                return;
+            }
+            const request = JSON.parse(body);
+            if (request.prompt.includes('"earth"')) {
+                res.writeHead(400).end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ response: JSON.stringify(reply(request)) }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-enrich-'));
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Every test starts from its own language generated offline, so all of its entries hold placeholders
+async function generateOffline(t, name) {
+    t.mock.method(console, 'log', () => {});
+    const outputPath = path.join(workDir, name);
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath });
+    const { language } = await generator.generateLanguage({ name, seed: 'enrich', vocabulary: ['water', 'fire', 'earth'], allowPause: false });
+    const forms = Object.fromEntries(Array.from(language.vocabulary, ([english, entry]) => [english, entry.sigment]));
+    return { outputPath, forms };
+}
+
+const createEnricher = outputPath => new LanguageGenerator({ provider: 'ollama', providerUrl: url, providerRetries: 0, cacheEnabled: false, outputPath });
+
+test('finds entries with placeholder definitions and etymologies', () => {
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false });
+    const needs = entry => generator.getEnrichmentNeeds(entry);
+
+    assert.deepEqual(needs({ definitions: { primary: ['Definition of water'] }, etymology: { origin: 'unknown', morphemes: [] } }), {
+        fields: ['definitions', 'etymology'],
+        reasons: ['placeholder definitions', 'origin unknown', 'no morphemes']
+    });
+    assert.deepEqual(needs({ definitions: { primary: [] }, etymology: { etymology: { origin: 'Latin' }, morphemes: [{ value: 'aqua' }] } }), {
+        fields: ['definitions'],
+        reasons: ['no definitions']
+    });
+    assert.deepEqual(needs({
+        definitions: { primary: ['clear liquid'] },
+        etymology: { etymology: { origin: 'Old English' }, morphemes: [{ value: 'water' }] },
+        dataSource: { etymology: 'fallback', definitions: 'structured' }
+    }).reasons, ['fallback etymology']);
+});
+
+test('fills in missing data, keeps Sigment forms and reports what changed', async (t) => {
+    const { outputPath, forms } = await generateOffline(t, 'EnrichAll');
+    const result = await createEnricher(outputPath).enrichLanguage('EnrichAll', { batchSize: 1 });
+
+    assert.equal(result.checkedCount, 3);
+    assert.deepEqual(result.changes.map(change => change.english).sort(), ['fire', 'water']);
+    const water = result.changes.find(change => change.english === 'water');
+    assert.deepEqual(water.fields, ['etymology', 'definitions']);
+    assert.deepEqual(water.before.definitions, ['Definition of water']);
+    assert.deepEqual(water.after, { origin: 'Old English', definitions: ['the water itself'], partOfSpeech: 'noun' });
+    assert.deepEqual(result.unresolved.map(word => word.english), ['earth']);
+
+    // Saved, with the forms untouched
+    const saved = await new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath }).loadFullLanguageData('EnrichAll');
+    for (const [english, sigment] of Object.entries(forms)) {
+        assert.equal(saved.vocabulary.get(english).sigment, sigment);
+    }
+    assert.deepEqual(saved.vocabulary.get('fire').definitions.primary, ['the fire itself']);
+    assert.deepEqual(saved.vocabulary.get('fire').dataSource, { etymology: 'structured', definitions: 'structured' });
+    assert.deepEqual(saved.vocabulary.get('earth').definitions.primary, ['Definition of earth']);
+});
+
+test('previews with dryRun and narrows the run to given words or a limit', async (t) => {
+    const { outputPath } = await generateOffline(t, 'EnrichSome');
+    const englishPath = path.join(outputPath, 'English_to_EnrichSome.json');
+    const original = fs.readFileSync(englishPath, 'utf8');
+
+    const dryRun = await createEnricher(outputPath).enrichLanguage('EnrichSome', { dryRun: true });
+    assert.equal(dryRun.dryRun, true);
+    assert.equal(dryRun.changes.length, 2);
+    assert.equal(fs.readFileSync(englishPath, 'utf8'), original);
+
+    const onlyFire = await createEnricher(outputPath).enrichLanguage('EnrichSome', { words: ['Fire'] });
+    assert.equal(onlyFire.checkedCount, 1);
+    assert.deepEqual(onlyFire.changes.map(change => change.english), ['fire']);
+
+    const limited = await createEnricher(outputPath).enrichLanguage('EnrichSome', { limit: 1 });
+    assert.equal(limited.checkedCount, 1);
+});
+
+test('needs a language model provider', async () => {
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath: workDir });
+    await assert.rejects(generator.enrichLanguage('Anything'), /needs a language model provider/);
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LanguageGenerator } from '../src/language-generator.js';
+import { SoundChangeRules } from '../src/sound-changes.js';
+
+const RULES = `
+V = a e i o u
+a > o
+p t k > b d g / V_V
+`;
+
+let outputPath;
+let generator;
+let parent;
+
+before(async () => {
+    outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-evolve-'));
+    generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath });
+    ({ language: parent } = await generator.generateLanguage({ name: 'Proto', seed: 'proto', vocabulary: ['water', 'father', 'stone', 'light'], allowPause: false }));
+});
+
+after(() => {
+    fs.rmSync(outputPath, { recursive: true, force: true });
+});
+
+test('applies the sound changes to every inherited word', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const rules = SoundChangeRules.parse(RULES);
+    const result = await generator.evolveLanguage('Proto', { name: 'Daughter', soundChanges: RULES });
+    const child = result.language;
+
+    assert.equal(result.evolvedWords, parent.vocabulary.size);
+    assert.equal(result.driftedWords, 0);
+    for (const [english, entry] of parent.vocabulary) {
+        const inherited = child.vocabulary.get(english);
+        assert.equal(inherited.sigment, rules.apply(entry.sigment), english);
+        assert.equal(inherited.inherited.language, 'Proto');
+        assert.equal(inherited.inherited.sigment, entry.sigment);
+        assert.deepEqual(inherited.inherited.soundChanges, rules.trace(entry.sigment).steps.map(step => step.rule));
+        assert.deepEqual(inherited.definitions, entry.definitions);
+    }
+    assert.equal(result.changedWords, result.changes.length);
+    assert.ok(result.changedWords > 0);
+
+    // Grammatical suffixes change along with the words
+    const { patterns } = parent.grammar;
+    assert.equal(child.grammar.patterns.word_order, patterns.word_order);
+    assert.equal(child.grammar.patterns.plural_suffix, rules.apply(patterns.plural_suffix) || patterns.plural_suffix);
+});
+
+test('records the lineage and keeps it when the language is loaded again', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    await generator.evolveLanguage('Proto', { name: 'Middle', soundChanges: 'a > e' });
+    const { language: grandchild } = await generator.evolveLanguage('Middle', { name: 'Late', soundChanges: 'e > i' });
+
+    assert.deepEqual(grandchild.metadata.lineage, {
+        parent: 'Middle',
+        ancestors: ['Proto', 'Middle'],
+        soundChanges: SoundChangeRules.parse('e > i').toJSON(),
+        drift: 0
+    });
+
+    const loaded = await new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath }).loadFullLanguageData('Late');
+    assert.deepEqual(loaded.metadata.lineage.ancestors, ['Proto', 'Middle']);
+    // Later words go through every generation's sound changes
+    assert.deepEqual(loaded.config.soundChanges, [
+        ...SoundChangeRules.parse('a > e').toJSON(),
+        ...SoundChangeRules.parse('e > i').toJSON()
+    ]);
+});
+
+test('drifts meanings at the given rate, keeping the old ones', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { language: child, driftedWords } = await generator.evolveLanguage('Proto', { name: 'Drifted', soundChanges: RULES, drift: 1 });
+
+    assert.equal(driftedWords, parent.vocabulary.size);
+    for (const [english, entry] of child.vocabulary) {
+        const original = parent.vocabulary.get(english).definitions.primary;
+        assert.deepEqual(entry.semanticDrift.from, original);
+        assert.match(entry.definitions.primary[0], /^(Specifically|Broadly|Figuratively|Disparagingly|Approvingly), /);
+    }
+});
+
+test('rejects invalid evolutions', async () => {
+    await assert.rejects(generator.evolveLanguage('Proto', { soundChanges: RULES }), /needs a name/);
+    await assert.rejects(generator.evolveLanguage('Proto', { name: 'Bad', soundChanges: RULES, drift: 2 }), /Drift must be between 0 and 1/);
+    await assert.rejects(generator.evolveLanguage('Proto', { name: 'Proto', soundChanges: RULES }), /already exists/);
+    await assert.rejects(generator.evolveLanguage('Proto', { name: 'Bad', soundChanges: '; nothing' }), /at least one sound change rule/);
+    await assert.rejects(generator.evolveLanguage('Missing', { name: 'Bad', soundChanges: RULES }), /"Missing" not found/);
+});
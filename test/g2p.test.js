@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GraphemeToPhoneme } from '../src/g2p.js';
+import { Syllabifier } from '../src/syllabifier.js';
+
+const g2p = new GraphemeToPhoneme();
+
+test('reads digraphs and silent letters', () => {
+    assert.equal(g2p.toIPA('knight'), '/naɪt/');
+    assert.equal(g2p.toIPA('ship'), '/ʃɪp/');
+    assert.equal(g2p.toIPA('little'), '/ˈlɪtəl/');
+});
+
+test('reads magic e, also when -ing or -ed replaces it', () => {
+    assert.equal(g2p.toIPA('stone'), '/stoʊn/');
+    assert.equal(g2p.toIPA('make'), '/meɪk/');
+    assert.equal(g2p.toIPA('making'), '/ˈmeɪkɪŋ/');
+    assert.equal(g2p.toIPA('hoping'), '/ˈhoʊpɪŋ/');
+    assert.match(g2p.toIPA('taped'), /^\/ˈteɪp/);
+    // A doubled consonant keeps the vowel short
+    assert.equal(g2p.toIPA('hopping'), '/ˈhɑpɪŋ/');
+});
+
+test('softens c, sc and g before e, i and y, apart from hard-g words', () => {
+    assert.equal(g2p.toIPA('cinder'), '/ˈsɪndər/');
+    assert.equal(g2p.toIPA('gem'), '/ʤɛm/');
+    assert.equal(g2p.toIPA('scene'), '/siːn/');
+    assert.match(g2p.toIPA('science'), /^\/s[^s]/);
+    for (const word of ['gift', 'give', 'get', 'girl', 'getting', 'forget']) {
+        assert.ok(!g2p.toIPA(word).includes('ʤ'), `${word} has a hard g`);
+    }
+});
+
+test('marks stress in IPA and ASCII', () => {
+    const { ipa, ascii, stress } = g2p.transcribe('phrameworc');
+    assert.equal(ipa, '/ˈfræməwɔːrk/');
+    assert.equal(ascii, 'FRA-muh-wawrk');
+    assert.deepEqual(stress, ['primary', 'unstressed', 'unstressed']);
+
+    const penultimate = new Syllabifier({ stress: 'penultimate' });
+    assert.equal(g2p.toAscii('banana', { syllabifier: penultimate }), 'buh-NA-nuh');
+});
+
+test('exceptions are taken as written', () => {
+    assert.equal(g2p.toIPA('water'), '/ˈwɔːtər/');
+    assert.equal(g2p.toIPA('knight', { lexicon: { knight: 'nixt' } }), '/nixt/');
+
+    const custom = new GraphemeToPhoneme({ lexicon: { colonel: '/ˈkɜːrnəl/' } });
+    assert.equal(custom.toIPA('colonel'), '/ˈkɜːrnəl/');
+    assert.equal(custom.toAscii('colonel'), 'KUR-nuhl');
+});
+
+test('parses exception lexicons', () => {
+    assert.deepEqual(
+        GraphemeToPhoneme.parseLexicon('# comment\nKnight /naɪt/\ncolonel ˈkɜːrnəl'),
+        { knight: 'naɪt', colonel: 'ˈkɜːrnəl' }
+    );
+    assert.deepEqual(GraphemeToPhoneme.parseLexicon('{ "knight": "[naɪt]" }'), { knight: 'naɪt' });
+    assert.throws(() => GraphemeToPhoneme.parseLexicon('knight'), /Line 1/);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GrammarEngine } from '../src/grammar-engine.js';
+import { SigmentLanguage } from '../src/sigment-parser.js';
+
+const patterns = {
+    word_order: 'SOV',
+    adjective_position: 'after',
+    plural_suffix: 'ir',
+    past_suffix: 'ek',
+    future_suffix: 'ota',
+    person_suffixes: { first: 'a', second: 'u', third: '' },
+    linking_consonant: 'n'
+};
+
+const toSigment = { i: 'mi', see: 'vada', cat: 'katu', big: 'grom', dog: 'hund', and: 'ot', run: 'ran' };
+const language = SigmentLanguage.create({
+    name: 'GrammarTest',
+    toSigment,
+    toEnglish: Object.fromEntries(Object.entries(toSigment).map(([english, sigment]) => [sigment, english])),
+    grammar: { patterns }
+});
+
+const phoneticSystem = { vowelInventory: new Set(['a', 'o']), consonantInventory: new Set(['k', 't', 'n']) };
+const generate = (config) => new GrammarEngine().generateGrammar({ config, phoneticSystem });
+
+test('generates the same grammar for the same seed, from the language\'s own sounds', () => {
+    const grammar = generate({ seed: 'grammar' });
+    assert.deepEqual(generate({ seed: 'grammar' }), grammar);
+
+    const { patterns: generated } = grammar;
+    assert.ok(GrammarEngine.wordOrders.includes(generated.word_order));
+    for (const affix of [generated.plural_suffix, generated.past_suffix, generated.future_suffix]) {
+        assert.match(affix, /^[aoktn]+$/);
+    }
+    assert.equal(new Set([generated.plural_suffix, generated.past_suffix, generated.future_suffix]).size, 3);
+    assert.ok(grammar.rules.includes(`Plurals: Add -${generated.plural_suffix} suffix`));
+});
+
+test('keeps a configured word order', () => {
+    assert.equal(generate({ seed: 'grammar', wordOrder: 'VSO' }).patterns.word_order, 'VSO');
+    assert.ok(GrammarEngine.wordOrders.includes(generate({ seed: 'grammar', wordOrder: 'XYZ' }).patterns.word_order));
+});
+
+test('inflects for number, tense and person', () => {
+    assert.equal(GrammarEngine.inflect('hund', { number: 'plural' }, patterns), 'hundir');
+    assert.equal(GrammarEngine.inflect('hund', { tense: 'past' }, patterns), 'hundek');
+    // Vowel-vowel joins take the linking consonant
+    assert.equal(GrammarEngine.inflect('katu', { number: 'plural' }, patterns), 'katunir');
+    assert.equal(GrammarEngine.inflect('vada', { tense: 'past', person: 1 }, patterns), 'vadaneka');
+    assert.equal(GrammarEngine.inflect('vada', { person: 'third' }, patterns), 'vada');
+    assert.equal(GrammarEngine.inflect('vada', {}, patterns), 'vada');
+
+    assert.equal(language.inflect('cat', { number: 'plural' }), 'katunir');
+    assert.equal(language.inflect('see', { tense: 'future', person: 'second' }), 'vadanotanu');
+});
+
+test('strips inflection from English and Sigment words', () => {
+    const lemmas = word => GrammarEngine.lemmatize(word).map(candidate => candidate.lemma);
+    assert.ok(lemmas('cities').includes('city'));
+    assert.ok(lemmas('boxes').includes('box'));
+    assert.ok(lemmas('baked').includes('bake'));
+    assert.ok(lemmas('stopped').includes('stop'));
+    assert.deepEqual(GrammarEngine.lemmatize('glass'), []);
+
+    const stems = GrammarEngine.deinflect('katunir', patterns);
+    assert.ok(stems.some(({ stem, features }) => stem === 'katu' && features.number === 'plural'));
+    assert.ok(GrammarEngine.deinflect('hundek', patterns).some(({ stem }) => stem === 'hund'));
+
+    assert.equal(GrammarEngine.inflectEnglish('city', { number: 'plural' }), 'cities');
+    assert.equal(GrammarEngine.inflectEnglish('bake', { tense: 'past' }), 'baked');
+    assert.equal(GrammarEngine.inflectEnglish('go', { tense: 'future' }), 'will go');
+});
+
+test('reorders clauses into the grammar\'s word order', () => {
+    const clause = [
+        { value: 'dogs', pos: 'noun' },
+        { value: 'see', pos: 'verb' },
+        { value: 'big', pos: 'adjective' },
+        { value: 'cats', pos: 'noun' }
+    ];
+    const order = (word_order, extra = {}) =>
+        GrammarEngine.reorderClause(clause, { word_order, ...extra }).map(word => word.value).join(' ');
+
+    assert.equal(order('SVO'), 'dogs see big cats');
+    assert.equal(order('SOV'), 'dogs big cats see');
+    assert.equal(order('VSO'), 'see dogs big cats');
+    assert.equal(order('OSV', { adjective_position: 'after' }), 'cats big dogs see');
+});
+
+test('translates sentences with inflection, agreement and word order', () => {
+    assert.equal(language.translateText('I see the big cat.').text, 'Mi the katu grom vadana.');
+    assert.equal(language.translateText('dogs run and I see cats').text, 'hundir ran ot Mi katunir vadana');
+    assert.equal(language.translateText('I see cats', { applyGrammar: false }).text, 'Mi vada cats');
+    assert.equal(language.translateText('Mi katunir', { direction: 'to-english' }).text, 'I cats');
+});
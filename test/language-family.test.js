@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LanguageFamily } from '../src/language-family.js';
+
+const alpha = {
+    name: 'Alpha',
+    metadata: { config: { style: 'default' } },
+    dictionary: { water: { sigment: 'vato', pronunciation: '/ˈvɑto/' }, fire: { sigment: 'fir' } }
+};
+const beta = {
+    name: 'Beta',
+    metadata: { lineage: { parent: 'Alpha', ancestors: ['Alpha'], soundChanges: [{ type: 'class' }, { type: 'rule' }, { type: 'rule' }], drift: 0.25 } },
+    dictionary: { water: { sigment: 'voto', inherited: { sigment: 'vato' } }, stone: { sigment: 'sten' } }
+};
+// Its parent and grandparent have been archived
+const gamma = {
+    name: 'Gamma',
+    metadata: { lineage: { parent: 'Middle', ancestors: ['Proto', 'Middle'], soundChanges: [{ type: 'rule' }] } },
+    dictionary: { water: { sigment: 'wa, "x"' } }
+};
+const family = new LanguageFamily([gamma, beta, alpha]);
+
+test('builds the tree from recorded lineages, rooted at English', () => {
+    const tree = family.buildTree();
+    assert.equal(tree.name, 'English');
+    assert.deepEqual(tree.children.map(node => node.name), ['Alpha', 'Proto']);
+    assert.deepEqual(tree.children[0].children.map(node => node.name), ['Beta']);
+    assert.equal(tree.children[1].missing, true);
+    assert.equal(tree.children[1].children[0].children[0].name, 'Gamma');
+});
+
+test('draws the tree as text', () => {
+    assert.equal(family.toAscii(), [
+        'English',
+        '├── Alpha (2 words, default style)',
+        '│   └── Beta (2 words, 2 sound changes, 25% drift)',
+        '└── Proto (not in dictionaries)',
+        '    └── Middle (not in dictionaries)',
+        '        └── Gamma (1 word, 1 sound change)'
+    ].join('\n'));
+});
+
+test('writes the tree as Graphviz DOT', () => {
+    const dot = family.toDot();
+    assert.match(dot, /^digraph family \{/);
+    assert.match(dot, /"English" \[label="English", shape=ellipse\];/);
+    assert.match(dot, /"English" -> "Alpha" \[style=dotted\];/);
+    assert.match(dot, /"Alpha" -> "Beta";/);
+    assert.match(dot, /"Proto" \[label="Proto\\n\(not in dictionaries\)", style=dashed\];/);
+    assert.match(dot, /"Middle" -> "Gamma";/);
+    assert.match(dot, /\}$/);
+});
+
+test('lines up shared concepts across the languages', () => {
+    const table = family.cognates();
+    assert.deepEqual(table.languages, ['Gamma', 'Beta', 'Alpha']);
+    assert.deepEqual(table.rows, [{
+        english: 'water',
+        forms: {
+            Gamma: { sigment: 'wa, "x"', pronunciation: '' },
+            Beta: { sigment: 'voto', pronunciation: '', inherited: 'vato' },
+            Alpha: { sigment: 'vato', pronunciation: '/ˈvɑto/' }
+        }
+    }]);
+
+    // Words asked for by name are listed even where only one language has them
+    const named = family.cognates({ words: ['fire', 'stone', 'moon'], languages: ['Alpha', 'Beta'] });
+    assert.deepEqual(named.rows.map(row => row.english), ['fire', 'stone']);
+    assert.throws(() => family.cognates({ languages: ['Alpha', 'Omega'] }), /Unknown language: Omega/);
+});
+
+test('prints cognate tables as aligned text and CSV', () => {
+    const table = family.cognates({ languages: ['Alpha', 'Beta'], words: ['water', 'fire'] });
+    assert.equal(LanguageFamily.cognatesToText(table), [
+        'English  Alpha         Beta',
+        '───────  ────────────  ────',
+        'water    vato /ˈvɑto/  voto',
+        'fire     fir           —'
+    ].join('\n'));
+
+    assert.equal(LanguageFamily.cognatesToCsv(family.cognates({ languages: ['Alpha', 'Gamma'] })), [
+        'english,Alpha,Alpha pronunciation,Gamma,Gamma pronunciation',
+        'water,vato,/ˈvɑto/,"wa, ""x""",',
+        ''
+    ].join('\n'));
+});
+
+test('loads every language with metadata and an English dictionary', (t) => {
+    const dictDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-family-'));
+    t.after(() => fs.rmSync(dictDir, { recursive: true, force: true }));
+    t.mock.method(console, 'warn', () => {});
+
+    for (const language of [alpha, beta]) {
+        fs.writeFileSync(path.join(dictDir, `${language.name}_metadata.json`), JSON.stringify(language.metadata));
+        fs.writeFileSync(path.join(dictDir, `English_to_${language.name}.json`), JSON.stringify({ metadata: {}, dictionary: language.dictionary }));
+    }
+    // No English dictionary, and an unreadable one
+    fs.writeFileSync(path.join(dictDir, 'Lonely_metadata.json'), '{}');
+    fs.writeFileSync(path.join(dictDir, 'Broken_metadata.json'), '{}');
+    fs.writeFileSync(path.join(dictDir, 'English_to_Broken.json'), '{');
+
+    const loaded = LanguageFamily.load(dictDir);
+    assert.deepEqual(loaded.names, ['Alpha', 'Beta']);
+    assert.equal(loaded.cognates().rows[0].forms.Beta.inherited, 'vato');
+    assert.equal(console.warn.mock.calls.length, 1);
+});
@@ -0,0 +1,104 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { OpenAICompatibleClient } from '../src/openai-compatible-client.js';
+import { OfflineProvider } from '../src/offline-provider.js';
+
+// A stand-in chat completions server replaying scripted replies: a string is the
+// message content, a number an HTTP status to fail with
+let server;
+let url;
+let replies = [];
+let requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push(JSON.parse(body));
+            const reply = replies.shift();
+            if (typeof reply === 'number') {
+                res.writeHead(reply).end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    replies = [];
+    requests = [];
+});
+
+const createClient = () => new OpenAICompatibleClient(url, 'stub', { retries: 0 });
+const validDefinitions = JSON.stringify({ primary: ['clear liquid'], partOfSpeech: ['noun'] });
+
+test('tags a valid JSON reply as structured and sends the schema', async () => {
+    replies = [`Here you go: ${validDefinitions}`];
+    const definitions = await createClient().getDefinitions('water');
+
+    assert.equal(definitions.source, 'structured');
+    assert.deepEqual(definitions.primary, ['clear liquid']);
+    assert.equal(requests[0].response_format.type, 'json_schema');
+});
+
+test('re-asks once with a repair prompt when the reply does not validate', async () => {
+    replies = ['{"primary": []}', validDefinitions];
+    const definitions = await createClient().getDefinitions('water');
+
+    assert.equal(definitions.source, 'repaired');
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].messages[0].content, /\{"primary": \[\]\}/);
+});
+
+test('falls back to the text format when the repair is invalid too', async () => {
+    replies = ['not json', '{"primary": "still wrong"}', 'PRIMARY: clear liquid\nPOS: noun, verb'];
+    const definitions = await createClient().getDefinitions('water');
+
+    assert.equal(definitions.source, 'legacy');
+    assert.equal(requests.length, 3);
+    assert.equal(requests[2].response_format, undefined);
+    assert.match(requests[2].messages[0].content, /PRIMARY:/);
+    assert.deepEqual(definitions.partOfSpeech, ['noun', 'verb']);
+    assert.ok(definitions.primary.some(meaning => meaning.includes('clear liquid')));
+});
+
+test('uses the text format when the server rejects JSON requests', async () => {
+    replies = [400, 'PRIMARY: clear liquid\nPOS: noun'];
+    const definitions = await createClient().getDefinitions('water');
+
+    assert.equal(definitions.source, 'legacy');
+    assert.deepEqual(definitions.partOfSpeech, ['noun']);
+});
+
+test('tags placeholder data as fallback when the server fails', async () => {
+    replies = [500];
+    const definitions = await createClient().getDefinitions('water');
+
+    assert.equal(definitions.source, 'fallback');
+    assert.ok(definitions.primary.length > 0);
+});
+
+test('serves repeated lookups from the cache with their original source', async () => {
+    const client = createClient();
+    replies = ['{"primary": []}', validDefinitions];
+    await client.getDefinitions('water');
+
+    const cached = await client.getDefinitions('water');
+    assert.equal(cached.source, 'repaired');
+    assert.equal(requests.length, 2);
+});
+
+test('tags offline placeholders as offline', async () => {
+    const provider = new OfflineProvider();
+    assert.equal((await provider.getDefinitions('water')).source, 'offline');
+    assert.equal((await provider.getEtymology('water')).source, 'offline');
+    assert.equal(provider.isAvailable, false);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MorphologicalSegmenter } from '../src/morphology.js';
+import { EtymologicalAnalyzer } from '../src/etymological-analyzer.js';
+
+const segmenter = new MorphologicalSegmenter();
+const best = word => segmenter.segment(word)[0].morphemes;
+const values = word => best(word).map(morpheme => morpheme.value);
+
+test('stacks prefixes and suffixes around the root', () => {
+    assert.deepEqual(values('unhelpfulness'), ['un-', 'help', '-ful', '-ness']);
+    assert.deepEqual(best('unhelpfulness').map(morpheme => morpheme.type), ['prefix', 'root', 'suffix', 'suffix']);
+});
+
+test('undoes spelling changes at morpheme boundaries', () => {
+    const root = word => best(word).find(morpheme => morpheme.type === 'root');
+
+    assert.deepEqual(root('happiness'), { type: 'root', value: 'happy', form: 'happi', meaning: 'core meaning' });
+    assert.equal(root('making').value, 'make');
+    assert.equal(root('running').value, 'run');
+    assert.equal(root('studies').value, 'study');
+    assert.equal(root('gently').value, 'gentle');
+});
+
+test('recognises allomorphs', () => {
+    const [prefix] = best('impossible');
+    assert.equal(prefix.value, 'in-');
+    assert.equal(prefix.form, 'im');
+});
+
+test('leaves short roots and known words whole', () => {
+    assert.deepEqual(values('bed'), ['bed']);
+    assert.deepEqual(values('under'), ['under']);
+    assert.deepEqual(values('framework-based'), ['framework-based']);
+});
+
+test('doesn\'t strip affixes from plain words', () => {
+    // Prefixes need a known root, and function words are never roots
+    for (const word of ['dishes', 'misery', 'mister', 'butter', 'offer']) {
+        assert.deepEqual(values(word), [word]);
+    }
+    assert.deepEqual(values('disagree'), ['dis-', 'agree']);
+    assert.deepEqual(values('runner'), ['run', '-er']);
+});
+
+test('candidates are ranked best first', () => {
+    const candidates = segmenter.segment('making');
+    assert.ok(candidates.length > 1);
+    for (let i = 1; i < candidates.length; i++) {
+        assert.ok(candidates[i - 1].score >= candidates[i].score);
+    }
+    assert.deepEqual(candidates[0].rules, ['e-deletion']);
+});
+
+test('an unknown top root gives way to a segmentation built on the vocabulary', () => {
+    const analyzer = new EtymologicalAnalyzer();
+    const segmentations = analyzer.segmentWord('blogger');
+    const root = segmentation => segmentation.morphemes.find(morpheme => morpheme.type === 'root').value;
+
+    assert.equal(root(analyzer.chooseSegmentation('blogger', segmentations)), 'blogger');
+    assert.equal(root(analyzer.chooseSegmentation('blogger', segmentations, new Map([['blog', {}]]))), 'blog');
+    // A word in the vocabulary doesn't count as its own root
+    assert.equal(root(analyzer.chooseSegmentation('blogger', segmentations, new Map([['blogger', {}]]))), 'blogger');
+});
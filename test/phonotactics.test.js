@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Phonotactics } from '../src/phonotactics.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+const phonotactics = new Phonotactics();
+const types = word => phonotactics.analyze(word).violations.map(violation => `${violation.type}:${violation.sequence}`);
+
+test('accepts English-like onsets, codas and medial clusters', () => {
+    for (const word of ['strand', 'antler', 'extra', 'back', "don't", 'bakc']) {
+        assert.deepEqual(phonotactics.analyze(word), { score: 100, violations: [] }, word);
+    }
+});
+
+test('scores words by the violations they contain', () => {
+    assert.deepEqual(types('tlak'), ['onset:tl']);
+    assert.deepEqual(types('bnarkt'), ['onset:bn', 'coda:rkt']);
+    assert.deepEqual(types('ajjo'), ['forbidden:jj']);
+    assert.deepEqual(types('sprtle'), ['onset:sprtl']);
+    assert.equal(phonotactics.analyze('bnarkt').score, 50);
+    assert.equal(phonotactics.analyze('kst').score, 0);
+});
+
+test('repairs violations by deletion or epenthesis', () => {
+    const repair = word => phonotactics.repair(word);
+
+    assert.deepEqual(repair('tlak'), { word: 'tak', repairs: [{ type: 'onset', sequence: 'tl', action: 'deletion', index: 1 }] });
+    assert.equal(repair('bnarkt').word, 'bark');
+    assert.equal(repair('ajjo').word, 'ajo');
+    assert.equal(repair('kst').word, 'kest');
+    assert.equal(repair('sprtle').word, 'spretle');
+    for (const word of ['tlak', 'bnarkt', 'rhythm', 'kst', 'sprtle']) {
+        assert.equal(phonotactics.analyze(repair(word).word).score, 100, word);
+    }
+});
+
+test('leaves the inner edges of affixes alone', () => {
+    assert.equal(phonotactics.analyze('ntar', { start: false }).score, 100);
+    assert.equal(phonotactics.repair('ntar', { start: false }).word, 'ntar');
+    assert.notEqual(phonotactics.repair('ntar').word, 'ntar');
+});
+
+test('reads configured inventories, edits and epenthetic vowel', () => {
+    const custom = new Phonotactics(Phonotactics.parse('{"onsets": {"add": ["tl"]}, "codas": ["n", "s", "t"], "epentheticVowel": "a"}'));
+    assert.deepEqual(custom.analyze('tlat'), { score: 100, violations: [] });
+    assert.equal(custom.repair('bark').word, 'bara');
+    assert.equal(custom.repair('kst').word, 'kas');
+
+    assert.throws(() => Phonotactics.parse('[]'), /must be a JSON object/);
+    assert.throws(() => Phonotactics.parse('{"codas": ["n", 5]}'), /"codas" must be a list/);
+    assert.throws(() => Phonotactics.parse('{"epentheticVowel": "y"}'), /"epentheticVowel"/);
+});
+
+test('lint-phonology lists the forms that break the constraints', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-phonotactics-'));
+    t.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath: path.join(workDir, 'dictionaries') });
+    const { language } = await generator.generateLanguage({ name: 'Lint', seed: 'lint', vocabulary: ['rhythm', 'strength', 'twelfths'], allowPause: false });
+
+    // Generated forms are repaired as they are made
+    assert.deepEqual(generator.lintPhonology(language).violations, []);
+
+    const lint = (...args) => spawnSync(process.execPath, [CLI, 'lint-phonology', 'Lint', ...args], { cwd: workDir, encoding: 'utf8', timeout: 60000 });
+    const clean = lint();
+    assert.equal(clean.status, 0, clean.stderr);
+    assert.match(clean.stdout, /Every form is pronounceable/);
+
+    // Constraints stricter than the ones the language was made with
+    const strictPath = path.join(workDir, 'strict.json');
+    fs.writeFileSync(strictPath, JSON.stringify({ codas: ['n'] }));
+    const strict = lint('--phonotactics', strictPath);
+    assert.equal(strict.status, 1);
+    assert.match(strict.stdout, /forms break the constraints \(coda: \d+/);
+    assert.match(strict.stdout, /cannot end a word/);
+});
@@ -0,0 +1,144 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { ProviderFactory } from '../src/provider-factory.js';
+import { OllamaClient } from '../src/ollama-client.js';
+import { OpenAICompatibleClient } from '../src/openai-compatible-client.js';
+import { OfflineProvider } from '../src/offline-provider.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+test('resolves provider aliases', () => {
+    const resolve = provider => ProviderFactory.resolveName({ provider });
+    assert.equal(resolve('ollama'), 'ollama');
+    assert.equal(resolve('OpenAI'), 'openai');
+    assert.equal(resolve('openai-compatible'), 'openai');
+    assert.equal(resolve('llama.cpp'), 'openai');
+    assert.equal(resolve('vllm'), 'openai');
+    assert.equal(resolve('offline'), 'offline');
+    assert.equal(resolve('none'), 'offline');
+    assert.throws(() => resolve('bogus'), /Unknown provider "bogus"/);
+});
+
+test('prefers --no-ollama, then the option, then SIGMENT_PROVIDER', (t) => {
+    const previous = process.env.SIGMENT_PROVIDER;
+    t.after(() => {
+        if (previous === undefined) delete process.env.SIGMENT_PROVIDER;
+        else process.env.SIGMENT_PROVIDER = previous;
+    });
+
+    process.env.SIGMENT_PROVIDER = 'vllm';
+    assert.equal(ProviderFactory.resolveName({}), 'openai');
+    assert.equal(ProviderFactory.resolveName({ provider: 'ollama' }), 'ollama');
+    assert.equal(ProviderFactory.resolveName({ provider: 'ollama', useOllama: false }), 'offline');
+
+    delete process.env.SIGMENT_PROVIDER;
+    assert.equal(ProviderFactory.resolveName({}), 'ollama');
+});
+
+test('creates the client for each provider', () => {
+    const ollama = ProviderFactory.create({ provider: 'ollama', ollamaUrl: 'http://ollama:11434', cacheEnabled: false });
+    assert.ok(ollama instanceof OllamaClient);
+    assert.equal(ollama.baseUrl, 'http://ollama:11434');
+
+    const server = ProviderFactory.create({ provider: 'llama.cpp', providerUrl: 'http://llama:8080/', cacheEnabled: false });
+    assert.ok(server instanceof OpenAICompatibleClient);
+    assert.equal(server.baseUrl, 'http://llama:8080/v1');
+
+    assert.ok(ProviderFactory.create({ provider: 'none' }) instanceof OfflineProvider);
+});
+
+// A stand-in Ollama server that answers every structured request with valid data while `up`
+const replies = {
+    origin: { origin: 'Old English', root: 'stub', morphemes: [{ value: 'stub' }] },
+    primary: { primary: ['a stubbed meaning'], partOfSpeech: ['noun'] },
+    core: { core: 'stub' },
+    direct: { direct: [] },
+    results: { results: [] }
+};
+
+let server;
+let url;
+let up = false;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (!up) {
+                res.writeHead(503).end();
+                return;
+            }
+            if (req.url === '/api/tags') {
+                res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"models":[]}');
+                return;
+            }
+            const required = JSON.parse(body).format?.required?.[0];
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ response: JSON.stringify(replies[required] || {}) }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const connect = (options = {}) => ProviderFactory.connect({
+    provider: 'ollama',
+    providerUrl: url,
+    cacheEnabled: false,
+    providerRetries: 0,
+    ...options
+});
+
+test('keeps an unreachable provider behind an open circuit instead of replacing it', async () => {
+    up = false;
+    const provider = await connect({ circuitBreakerCooldown: 60000 });
+
+    assert.equal(provider.name, 'ollama');
+    assert.equal(provider.circuitBreaker.getStats().state, 'open');
+    assert.equal((await provider.getDefinitions('water')).source, 'fallback');
+});
+
+test('marks words generated while the provider is down as degraded', async (t) => {
+    up = false;
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-provider-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({
+        provider: 'ollama',
+        providerUrl: url,
+        providerRetries: 0,
+        circuitBreakerCooldown: 60000,
+        cacheEnabled: false,
+        outputPath
+    });
+    const { language, stats } = await generator.generateLanguage({ name: 'Outage', seed: 'outage', vocabulary: ['water', 'fire'], allowPause: false });
+
+    for (const word of ['water', 'fire']) {
+        const entry = language.vocabulary.get(word);
+        assert.equal(entry.degraded, true);
+        assert.equal(entry.dataSource.definitions, 'fallback');
+    }
+    assert.deepEqual([...stats.degradedWords].sort(), ['fire', 'water']);
+});
+
+test('resumes lookups once a probe after the cooldown reaches the server', async () => {
+    up = false;
+    const provider = await connect({ circuitBreakerCooldown: 0 });
+    assert.equal(provider.circuitBreaker.state, 'open');
+
+    // A probe while the server is still down reopens the circuit
+    assert.equal((await provider.getDefinitions('fire')).source, 'fallback');
+    assert.equal(provider.circuitBreaker.state, 'open');
+
+    up = true;
+    const definitions = await provider.getDefinitions('water');
+    assert.equal(definitions.source, 'structured');
+    assert.deepEqual(definitions.primary, ['a stubbed meaning']);
+    assert.equal(provider.circuitBreaker.state, 'closed');
+});
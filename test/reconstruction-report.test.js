@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const soundChanges = 'a > o\ne > i\nu > o';
+
+async function generate(t, name) {
+    t.mock.method(console, 'log', () => {});
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-report-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath });
+    const { language } = await generator.generateLanguage({
+        name, seed: 'report', vocabulary: ['water', 'fire', 'earth', 'stone'], allowPause: false
+    });
+    return { generator, language };
+}
+
+async function preview(t) {
+    const { generator, language } = await generate(t, 'Report');
+    const result = await generator.reconstructDictionary(language, { dryRun: true, soundChanges });
+    return { generator, language, result, report: generator.createReconstructionReport(language, result) };
+}
+
+const forms = language => Object.fromEntries(Array.from(language.vocabulary, ([english, entry]) => [english, entry.sigment]));
+
+test('a dry run leaves the language as it was', async (t) => {
+    const { generator, language } = await generate(t, 'Dry');
+    const before = forms(language);
+    const config = structuredClone(language.config);
+
+    const result = await generator.reconstructDictionary(language, { dryRun: true, soundChanges });
+    assert.ok(result.changes.length > 0);
+    assert.deepEqual(forms(language), before);
+    assert.deepEqual(language.config, config);
+    for (const change of result.changes) {
+        assert.equal(change.old, before[change.english]);
+        assert.equal(change.entry.sigment, change.new);
+    }
+});
+
+test('the report lists each change before and after', async (t) => {
+    const { language, result, report } = await preview(t);
+
+    assert.equal(report.type, 'Sigment Reconstruction Report');
+    assert.equal(report.language, 'Report');
+    assert.equal(report.changedWords, result.totalChanges);
+    assert.equal(report.reconstructedWords, 4);
+    assert.equal(report.lockedWords, 0);
+    assert.deepEqual(report.consistency, {
+        before: result.consistencyImprovement.before,
+        after: result.consistencyImprovement.after,
+        delta: result.consistencyImprovement.improvement
+    });
+    assert.ok(report.settings.soundChanges);
+    // It has to survive being written out for review
+    assert.deepEqual(JSON.parse(JSON.stringify(report)), report);
+
+    for (const change of report.changes) {
+        const current = language.vocabulary.get(change.english);
+        assert.equal(change.accepted, true);
+        assert.deepEqual(change.before, { sigment: current.sigment, pronunciation: current.pronunciation });
+        assert.equal(change.after.sigment, change.entry.sigment);
+    }
+});
+
+test('applies accepted changes and skips those that no longer fit', async (t) => {
+    const { generator, language, report } = await preview(t);
+    assert.ok(report.changes.length >= 2);
+    const [first, second, ...rest] = report.changes;
+    const restForms = Object.fromEntries(rest.map(change => [change.english, change.after.sigment]));
+
+    second.accepted = false;
+    const result = generator.applyReconstructionReport(language, report);
+    assert.deepEqual(result, { applied: [first.english, ...rest.map(change => change.english)], rejected: [second.english], skipped: [] });
+    assert.equal(language.vocabulary.get(first.english).sigment, first.after.sigment);
+    assert.equal(language.vocabulary.get(second.english).sigment, second.before.sigment);
+    for (const [english, form] of Object.entries(restForms)) {
+        assert.equal(language.vocabulary.get(english).sigment, form);
+    }
+    assert.equal(language.etymologicalMaps.get(first.after.sigment).sigment, first.after.sigment);
+    assert.deepEqual(language.config.soundChanges, report.settings.soundChanges);
+
+    // The applied change no longer matches its "before" form
+    second.accepted = true;
+    assert.deepEqual(generator.applyReconstructionReport(language, report).skipped.find(item => item.english === first.english),
+        { english: first.english, reason: 'changed since the report was written' });
+});
+
+test('skips removed, locked and colliding words', async (t) => {
+    const { generator, language, report } = await preview(t);
+    const [first, second] = report.changes;
+    const third = { ...second, english: 'stone', accepted: true };
+    language.vocabulary.get('stone').sigment = second.before.sigment;
+    language.vocabulary.get('stone').pronunciation = second.before.pronunciation;
+
+    const removed = { ...first, english: 'moon' };
+    const locked = { ...first };
+    language.vocabulary.get(first.english).locked = true;
+    const empty = { ...third, english: 'earth', entry: undefined };
+    const earth = language.vocabulary.get('earth');
+    empty.before = { sigment: earth.sigment, pronunciation: earth.pronunciation };
+
+    const result = generator.applyReconstructionReport(language, {
+        language: 'Report', changes: [removed, locked, empty, second, third]
+    });
+    assert.deepEqual(result.applied, []);
+    assert.deepEqual(result.skipped, [
+        { english: 'moon', reason: 'no longer in the language' },
+        { english: first.english, reason: 'locked' },
+        { english: 'earth', reason: 'the report has no reconstructed entry' },
+        { english: second.english, reason: `"${second.after.sigment}" would also be the word for "stone"` },
+        { english: 'stone', reason: `"${second.after.sigment}" would also be the word for "${second.english}"` }
+    ]);
+
+    assert.throws(() => generator.applyReconstructionReport(language, {}), /Not a reconstruction report/);
+    assert.throws(() => generator.applyReconstructionReport(language, { language: 'Other', changes: [] }), /The report is for Other, not Report/);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ResponseCache } from '../src/response-cache.js';
+import { OpenAICompatibleClient } from '../src/openai-compatible-client.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const key = (word, model = 'llama3.2', kind = 'etymology') => ResponseCache.key({ model, promptVersion: 2, kind, word });
+const details = (word, model = 'llama3.2', kind = 'etymology') => ({ model, promptVersion: 2, kind, word });
+
+test('keys responses by model, prompt version, kind and word', () => {
+    assert.equal(key(' Water '), 'llama3.2|v2|etymology|water');
+    assert.notEqual(key('water', 'mistral'), key('water'));
+    assert.notEqual(ResponseCache.key({ model: 'llama3.2', promptVersion: 1, kind: 'etymology', word: 'water' }), key('water'));
+    assert.equal(ResponseCache.key({ promptVersion: 2, kind: 'definitions', word: 'fire' }), 'default|v2|definitions|fire');
+});
+
+test('persists responses, including Maps, across runs', async (t) => {
+    const cachePath = path.join(tempDir(t), 'cache', 'responses.json');
+    const cache = new ResponseCache({ path: cachePath });
+    await cache.set(key('water'), { origin: 'Old English', related: new Map([['wet', 3]]) }, details('water'));
+    await cache.save();
+
+    const reloaded = new ResponseCache({ path: cachePath });
+    const value = await reloaded.get(key('water'));
+    assert.equal(value.origin, 'Old English');
+    assert.ok(value.related instanceof Map);
+    assert.equal(value.related.get('wet'), 3);
+    assert.equal(await reloaded.get(key('fire')), undefined);
+    assert.deepEqual((await reloaded.getStats()).session, { hits: 1, misses: 1, writes: 0 });
+});
+
+test('ignores entries older than the TTL', async () => {
+    const cache = new ResponseCache({ ttlDays: 1 });
+    await cache.set(key('water'), 'fresh', details('water'));
+    await cache.set(key('fire'), 'stale', details('fire'));
+    cache.entries.get(key('fire')).created = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+
+    assert.equal(await cache.get(key('water')), 'fresh');
+    assert.equal(await cache.get(key('fire')), undefined);
+    assert.equal(await cache.has(key('fire')), false);
+    assert.equal((await cache.getStats()).expired, 1);
+});
+
+test('bounds in-memory caches by dropping the oldest entries', async () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    for (const word of ['one', 'two', 'three']) {
+        await cache.set(key(word), word, details(word));
+    }
+    assert.equal(await cache.has(key('one')), false);
+    assert.equal(await cache.has(key('three')), true);
+});
+
+test('clears only the entries matching a filter', async () => {
+    const cache = new ResponseCache();
+    await cache.set(key('water'), 1, details('water'));
+    await cache.set(key('water', 'llama3.2', 'related:all'), 2, details('water', 'llama3.2', 'related:all'));
+    await cache.set(key('fire', 'mistral'), 3, details('fire', 'mistral'));
+
+    assert.equal(await cache.clear({ kind: 'related' }), 1);
+    assert.equal(await cache.clear({ model: 'mistral' }), 1);
+    assert.equal(await cache.clear({ word: 'WATER' }), 1);
+    assert.equal(cache.entries.size, 0);
+});
+
+test('exports and imports shared cache files, keeping the newer entry', async (t) => {
+    const dir = tempDir(t);
+    const exportPath = path.join(dir, 'shared.json');
+
+    const source = new ResponseCache({ path: path.join(dir, 'a.json') });
+    await source.set(key('water'), 'new', details('water'));
+    await source.set(key('fire', 'mistral'), 'other', details('fire', 'mistral'));
+    assert.equal(await source.exportTo(exportPath, { model: 'llama3.2' }), 1);
+
+    const target = new ResponseCache({ path: path.join(dir, 'b.json') });
+    await target.set(key('water'), 'old', details('water'));
+    target.entries.get(key('water')).created = '2020-01-01T00:00:00.000Z';
+    await target.set(key('earth'), 'mine', details('earth'));
+
+    assert.deepEqual(await target.importFrom(exportPath), { added: 0, updated: 1, skipped: 0 });
+    assert.equal(await target.get(key('water')), 'new');
+    assert.deepEqual(await target.importFrom(exportPath), { added: 0, updated: 0, skipped: 1 });
+    assert.deepEqual(await target.importFrom(exportPath, { overwrite: true }), { added: 0, updated: 1, skipped: 0 });
+
+    const saved = new ResponseCache({ path: path.join(dir, 'b.json') });
+    assert.equal((await saved.getStats()).entries, 2);
+});
+
+test('leaves a damaged cache file untouched', async (t) => {
+    const cachePath = path.join(tempDir(t), 'responses.json');
+    fs.writeFileSync(cachePath, '{"not": "a cache"}');
+
+    const cache = new ResponseCache({ path: cachePath });
+    await cache.set(key('water'), 'value', details('water'));
+    await cache.save();
+
+    assert.equal(cache.persistent, false);
+    assert.equal(fs.readFileSync(cachePath, 'utf8'), '{"not": "a cache"}');
+    await assert.rejects(cache.importFrom(cachePath), /not a sigment-llm-cache file/);
+});
+
+test('providers answer repeated lookups from the cache without a request', async () => {
+    const cache = new ResponseCache();
+    // Nothing listens here, so any request would fail and produce a fallback
+    const client = new OpenAICompatibleClient('http://127.0.0.1:1', 'llama3.2', { cache, retries: 0 });
+    await cache.set(client.getCacheKey('definitions', 'water'), { primary: ['clear liquid'], source: 'structured' }, details('water', 'llama3.2', 'definitions'));
+
+    assert.deepEqual(await client.getDefinitions('water'), { primary: ['clear liquid'], source: 'structured' });
+});
+
+test('cache stats reports the entries of a cache file', async (t) => {
+    const cachePath = path.join(tempDir(t), 'responses.json');
+    const cache = new ResponseCache({ path: cachePath });
+    await cache.set(key('water'), 'value', details('water'));
+    await cache.set(key('water', 'llama3.2', 'definitions'), 'value', details('water', 'llama3.2', 'definitions'));
+    await cache.save();
+
+    const result = spawnSync(process.execPath, [CLI, 'cache', 'stats', '--cache-file', cachePath, '--format', 'json'], { encoding: 'utf8', timeout: 30000 });
+    assert.equal(result.status, 0, result.stderr);
+    const stats = JSON.parse(result.stdout);
+    assert.equal(stats.entries, 2);
+    assert.deepEqual(stats.byKind, { etymology: 1, definitions: 1 });
+    assert.deepEqual(stats.byModel, { 'llama3.2': 2 });
+});
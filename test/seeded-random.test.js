@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom } from '../src/seeded-random.js';
+
+const draw = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(draw(new SeededRandom('abc'), 20), draw(new SeededRandom('abc'), 20));
+    assert.notDeepEqual(draw(new SeededRandom('abc'), 20), draw(new SeededRandom('abd'), 20));
+});
+
+test('numeric and string seeds are the same seed', () => {
+    assert.equal(new SeededRandom(42).seed, '42');
+    assert.deepEqual(draw(new SeededRandom(42), 5), draw(new SeededRandom('42'), 5));
+});
+
+test('draws stay in range', () => {
+    const random = new SeededRandom('range');
+    for (let i = 0; i < 1000; i++) {
+        const value = random.next();
+        assert.ok(value >= 0 && value < 1);
+        const int = random.nextInt(7);
+        assert.ok(Number.isInteger(int) && int >= 0 && int < 7);
+    }
+});
+
+test('pick and weightedPick only return listed items', () => {
+    const random = new SeededRandom('pick');
+    const items = ['a', 'b', 'c'];
+    for (let i = 0; i < 100; i++) {
+        assert.ok(items.includes(random.pick(items)));
+        // Items without weight are never chosen
+        assert.notEqual(random.weightedPick(items, [1, 0, 1]), 'b');
+    }
+});
+
+test('forks are independent of how much the parent has drawn', () => {
+    const fresh = new SeededRandom('parent');
+    const used = new SeededRandom('parent');
+    draw(used, 10);
+
+    assert.deepEqual(draw(fresh.fork('word'), 5), draw(used.fork('word'), 5));
+    assert.notDeepEqual(draw(fresh.fork('word'), 5), draw(fresh.fork('other'), 5));
+});
+
+test('generated seeds are non-empty strings', () => {
+    const seed = SeededRandom.generateSeed();
+    assert.equal(typeof seed, 'string');
+    assert.ok(seed.length > 0);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LanguageGenerator } from '../src/language-generator.js';
+import { SigmentParser, SigmentUtils } from '../src/sigment-parser.js';
+import { SigmentValidator } from '../src/sigment-validator.js';
+
+const forms = language => Object.fromEntries(Array.from(language.vocabulary, ([english, entry]) => [
+    english,
+    { sigment: entry.sigment, pronunciation: entry.pronunciation, partOfSpeech: entry.partOfSpeech }
+]));
+
+test('exported languages validate and import unchanged', async (t) => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-round-trip-'));
+    t.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+    const originalDir = path.join(workDir, 'original');
+    const importedDir = path.join(workDir, 'imported');
+
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath: originalDir });
+    const { language: original } = await generator.generateLanguage({
+        name: 'RoundTrip',
+        seed: 'round-trip',
+        style: 'consonant_shift',
+        vocabulary: ['water', 'fire', 'happiness', 'running', 'framework', 'frame', 'work'],
+        soundChanges: 'V = a e i o u\np t k > b d g / V_V',
+        allowPause: false
+    });
+
+    const file = path.join(workDir, 'RoundTrip.sigment');
+    new SigmentParser().exportToFile(SigmentUtils.convertFromDictionaries(originalDir, 'RoundTrip'), file);
+
+    const report = new SigmentValidator().validateFile(file);
+    assert.equal(report.valid, true, JSON.stringify(report.diagnostics));
+    assert.equal(report.errors, 0);
+
+    const importer = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath: importedDir });
+    const { language: imported } = await importer.importSigmentLanguage(new SigmentParser().parseFile(file), { source: file });
+
+    assert.equal(imported.config.name, 'RoundTrip');
+    assert.equal(imported.config.seed, original.config.seed);
+    assert.deepEqual(imported.config.soundChanges, original.config.soundChanges);
+    assert.deepEqual(forms(imported), forms(original));
+    assert.deepEqual(imported.vocabulary.get('framework').compound, original.vocabulary.get('framework').compound);
+
+    // The imported dictionaries export to the same file
+    const again = path.join(workDir, 'again.sigment');
+    new SigmentParser().exportToFile(SigmentUtils.convertFromDictionaries(importedDir, 'RoundTrip'), again);
+    const dictionaries = target => JSON.parse(fs.readFileSync(target, 'utf8')).sigment.dictionaries;
+    assert.deepEqual(dictionaries(again), dictionaries(file));
+});
+
+test('homonyms keep every meaning from Sigment to English', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-round-trip-'));
+    t.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+    const originalDir = path.join(workDir, 'original');
+
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath: originalDir });
+    const { language } = await generator.generateLanguage({
+        name: 'Homonyms', seed: 'homonyms', vocabulary: ['water', 'fire', 'stone'], allowPause: false
+    });
+    const form = language.vocabulary.get('water').sigment;
+    await generator.editWord('Homonyms', 'fire', { sigment: form, homonym: true });
+
+    const file = path.join(workDir, 'Homonyms.sigment');
+    new SigmentParser().exportToFile(SigmentUtils.convertFromDictionaries(originalDir, 'Homonyms'), file);
+    const report = new SigmentValidator().validateFile(file);
+    assert.equal(report.valid, true, JSON.stringify(report.diagnostics));
+    assert.equal(report.warnings, 0, JSON.stringify(report.diagnostics));
+
+    const parsed = new SigmentParser().parseFile(file);
+    assert.deepEqual(parsed.toEnglish[form], ['water', 'fire']);
+    assert.deepEqual(parsed.getSenses(form), ['water', 'fire']);
+    assert.equal(parsed.translateToEnglish(form), 'water');
+    assert.deepEqual(parsed.searchWords(form, 'sigment').map(result => result.english), ['water', 'fire']);
+    assert.equal(parsed.translateToSigment('fire'), form);
+
+    const importer = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath: path.join(workDir, 'imported') });
+    const { language: imported } = await importer.importSigmentLanguage(parsed, { source: file });
+    assert.equal(imported.vocabulary.get('fire').sigment, form);
+    assert.equal(imported.vocabulary.get('water').sigment, form);
+});
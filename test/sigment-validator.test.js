@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { SigmentValidator } from '../src/sigment-validator.js';
+
+const EXAMPLE = new URL('../examples/sigment-files/TechSigment.sigment', import.meta.url);
+const example = () => JSON.parse(fs.readFileSync(EXAMPLE, 'utf8'));
+const codes = report => report.diagnostics.map(diagnostic => diagnostic.code);
+
+const validator = new SigmentValidator();
+
+test('the bundled example is valid', () => {
+    const report = validator.validateFile(EXAMPLE);
+    assert.equal(report.valid, true);
+    assert.equal(report.errors, 0);
+    assert.equal(report.name, 'TechSigment');
+});
+
+test('reports unreadable, malformed and unversioned files', () => {
+    assert.deepEqual(codes(validator.validateFile('/nonexistent/file.sigment')), ['file-not-found']);
+    assert.deepEqual(codes(validator.validateContent('{ "sigment": ')), ['invalid-json']);
+    assert.deepEqual(codes(validator.validate({})), ['missing-property']);
+    assert.deepEqual(codes(validator.validate({ sigment: {} })), ['missing-property']);
+
+    const report = validator.validate({ sigment: { version: '9.9' } });
+    assert.equal(report.valid, false);
+    assert.deepEqual(codes(report), ['unsupported-version']);
+});
+
+test('schema violations are errors with a JSON pointer', () => {
+    const data = example();
+    delete data.sigment.language.name;
+
+    const report = validator.validate(data);
+    assert.equal(report.valid, false);
+    assert.ok(report.diagnostics.some(diagnostic => diagnostic.code === 'missing-property' && diagnostic.path.startsWith('/sigment/language')));
+});
+
+test('dictionaries that disagree get warnings', () => {
+    const data = example();
+    const { to_english: toEnglish, to_sigment: toSigment } = data.sigment.dictionaries;
+    toSigment.computer = 'brodram';
+    toEnglish.zzzz = 'nothing';
+
+    const report = validator.validate(data);
+    assert.equal(report.valid, true);
+    assert.ok(codes(report).includes('mismatched-entry'));
+    assert.ok(codes(report).includes('duplicate-form'));
+    assert.ok(codes(report).includes('orphan-entry'));
+});
+
+test('empty words and forms are errors', () => {
+    const data = example();
+    data.sigment.dictionaries.to_sigment.computer = ' ';
+
+    const report = validator.validate(data);
+    assert.equal(report.valid, false);
+    assert.ok(report.diagnostics.some(diagnostic => diagnostic.code === 'empty-value' && diagnostic.path === '/sigment/dictionaries/to_sigment/computer'));
+});
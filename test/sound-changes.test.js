@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoundChangeRules } from '../src/sound-changes.js';
+
+const RULES = `
+; lenition, then final vowel loss
+V = a e i o u
+p t k > b d g / V_V
+e > / C_#
+th > t   // everywhere
+`;
+
+test('applies rules in order with their environments', () => {
+    const rules = SoundChangeRules.parse(RULES);
+
+    assert.equal(rules.size, 3);
+    assert.equal(rules.apply('atake'), 'adag');
+    assert.equal(rules.apply('thopete'), 'tobed');
+    // Word-initial consonants aren't between vowels
+    assert.equal(rules.apply('pata'), 'pada');
+});
+
+test('trace lists the rules that changed the word', () => {
+    const { result, steps } = SoundChangeRules.parse(RULES).trace('apate');
+
+    assert.equal(result, 'abad');
+    assert.deepEqual(steps, [
+        { rule: 'p t k > b d g / V_V', before: 'apate', after: 'abade' },
+        { rule: 'e > / C_#', before: 'abade', after: 'abad' }
+    ]);
+});
+
+test('serialized rules give the same results', () => {
+    const rules = SoundChangeRules.parse(RULES);
+    const restored = SoundChangeRules.fromJSON(JSON.parse(JSON.stringify(rules.toJSON())));
+
+    assert.deepEqual(restored.toJSON(), rules.toJSON());
+    for (const word of ['atake', 'thopete', 'apate', 'kite']) {
+        assert.equal(restored.apply(word), rules.apply(word));
+    }
+});
+
+test('reads the older { from, to, context } form', () => {
+    const rules = SoundChangeRules.fromJSON([{ from: 'k', to: 'g', context: 'V_V' }, { from: 'h', to: '' }]);
+    assert.equal(rules.apply('akah'), 'aga');
+});
+
+test('reports the line of a malformed rule', () => {
+    assert.throws(() => SoundChangeRules.parse('V = a e\nfoo'), /line 2 \("foo"\)/);
+    assert.throws(() => SoundChangeRules.parse('> b'), /Missing target segment/);
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { OllamaClient } from '../src/ollama-client.js';
+import { LLMProvider, RESPONSE_SCHEMAS } from '../src/llm-provider.js';
+import { JsonSchemaValidator } from '../src/json-schema.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+// A stand-in Ollama server: valid etymologies, and definitions that only validate after a repair prompt
+const etymology = { origin: 'Old English', root: 'wæter', morphemes: [{ value: 'water', meaning: 'water' }] };
+const definitions = { primary: ['clear liquid'], partOfSpeech: ['noun'] };
+
+let server;
+let url;
+let requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.url === '/api/tags') {
+                res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"models":[]}');
+                return;
+            }
+
+            const request = JSON.parse(body);
+            requests.push(request);
+            const required = request.format?.required?.[0];
+            const replies = {
+                origin: etymology,
+                primary: request.prompt.includes('Your previous reply was not valid') ? definitions : { primary: [] },
+                core: { core: 'liquid' },
+                direct: { direct: [{ word: 'wet', strength: 8 }] },
+                results: { results: [] }
+            };
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ response: '```json\n' + JSON.stringify(replies[required] || {}) + '\n```' }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('validates replies against the response schemas', () => {
+    const validate = (kind, data) => new JsonSchemaValidator(RESPONSE_SCHEMAS[kind]).validate(data).map(error => `${error.path} ${error.keyword}`);
+
+    assert.deepEqual(validate('etymology', etymology), []);
+    assert.deepEqual(validate('definitions', definitions), []);
+    assert.deepEqual(validate('definitions', { primary: [] }), ['/partOfSpeech required', '/primary minItems']);
+    assert.deepEqual(validate('etymology', { origin: '', root: 'x', morphemes: [{}] }), ['/origin minLength', '/morphemes/0/value required']);
+    assert.deepEqual(validate('related', { direct: [{ word: 'wet', strength: 0.5 }] }), ['/direct/0/strength type']);
+});
+
+test('extracts the JSON object from fenced or chatty replies', () => {
+    const provider = new LLMProvider();
+    const validator = new JsonSchemaValidator(RESPONSE_SCHEMAS.definitions);
+    const parse = response => provider.parseStructuredResponse(response, validator);
+
+    assert.deepEqual(parse('Sure! ```json\n{"primary": ["a"], "partOfSpeech": ["noun"]}\n``` Hope that helps.').data, { primary: ['a'], partOfSpeech: ['noun'] });
+    assert.deepEqual(parse('').errors, ['the response was empty']);
+    assert.deepEqual(parse('PRIMARY: a').errors, ['the response contained no JSON object']);
+    assert.match(parse('{"primary": [a]}').errors[0], /^the JSON could not be parsed/);
+    assert.deepEqual(parse('{"primary": ["a"]}').errors, ['/partOfSpeech: Missing required property "partOfSpeech"']);
+});
+
+test('sends the schema as Ollama\'s format and normalizes the reply', async () => {
+    requests = [];
+    const client = new OllamaClient(url, 'stub', { retries: 0 });
+
+    const result = await client.getEtymology('water');
+    assert.deepEqual(requests[0].format, RESPONSE_SCHEMAS.etymology);
+    assert.equal(result.source, 'structured');
+    assert.equal(result.origin, 'Old English');
+    assert.deepEqual(result.morphemes, [{ type: 'parsed', value: 'water', meaning: 'water' }]);
+    assert.deepEqual(result.relatedWords, []);
+
+    const related = await client.getRelatedWords('water');
+    assert.ok(related.direct instanceof Map);
+    assert.equal(related.direct.get('wet'), 8);
+});
+
+test('records how each entry\'s data was obtained', async (t) => {
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-structured-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({ provider: 'ollama', providerUrl: url, providerRetries: 0, cacheEnabled: false, outputPath });
+    const { language, dictionaries } = await generator.generateLanguage({ name: 'Structured', seed: 'structured', vocabulary: ['water'], allowPause: false });
+
+    const entry = language.vocabulary.get('water');
+    assert.deepEqual(entry.dataSource, { etymology: 'structured', definitions: 'repaired' });
+    assert.deepEqual(entry.definitions.primary, ['clear liquid']);
+    assert.equal(entry.degraded, undefined);
+
+    const saved = JSON.parse(fs.readFileSync(dictionaries.englishToSigment, 'utf8'));
+    assert.deepEqual(saved.dictionary.water.dataSource, entry.dataSource);
+});
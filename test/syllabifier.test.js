@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Syllabifier } from '../src/syllabifier.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const syllables = (word, syllabifier = new Syllabifier()) => syllabifier.syllabify(word).map(syllable => syllable.text);
+const stress = (word, rule) => new Syllabifier({ stress: rule }).analyze(word).stress;
+
+test('gives consonants to the next syllable as far as onsets allow', () => {
+    assert.deepEqual(syllables('construct'), ['con', 'struct']);
+    assert.deepEqual(syllables('antler'), ['ant', 'ler']);
+    assert.deepEqual(syllables('banana'), ['ba', 'na', 'na']);
+});
+
+test('splits doubled letters and keeps x with the syllable before', () => {
+    assert.deepEqual(syllables('happen'), ['hap', 'pen']);
+    assert.deepEqual(syllables('taxi'), ['tax', 'i']);
+});
+
+test('silent final e is not a syllable, but -le is', () => {
+    assert.deepEqual(syllables('stone'), ['stone']);
+    assert.deepEqual(syllables('table'), ['ta', 'ble']);
+});
+
+test('records syllable weight', () => {
+    const [con, struct] = new Syllabifier().syllabify('construct');
+    assert.equal(con.weight, 'heavy');
+    assert.equal(struct.onset, 'str');
+    assert.equal(new Syllabifier().syllabify('banana')[0].weight, 'light');
+});
+
+test('initial and penultimate stress', () => {
+    assert.deepEqual(stress('banana', 'initial'), ['primary', 'unstressed', 'unstressed']);
+    assert.deepEqual(stress('banana', 'penultimate'), ['unstressed', 'primary', 'unstressed']);
+    assert.deepEqual(stress('stone', 'penultimate'), ['primary']);
+});
+
+test('weight-sensitive stress picks a heavy penult, else the antepenult', () => {
+    assert.deepEqual(stress('agenda', 'weight-sensitive'), ['unstressed', 'primary', 'unstressed']);
+    assert.deepEqual(stress('camera', 'weight-sensitive'), ['primary', 'unstressed', 'unstressed']);
+    assert.deepEqual(stress('happen', 'weight-sensitive'), ['primary', 'unstressed']);
+});
+
+test('secondary stress falls two syllables from the primary, never on the last', () => {
+    assert.deepEqual(stress('banananana', 'initial'), ['primary', 'unstressed', 'secondary', 'unstressed', 'unstressed']);
+});
+
+test('rejects unknown stress rules', () => {
+    assert.throws(() => new Syllabifier({ stress: 'final' }), /Unknown stress rule "final"/);
+});
+
+test('entries follow the language stress rule, their etymology the English word', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-stress-'));
+    t.after(() => fs.rmSync(outputPath, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath });
+    const { language } = await generator.generateLanguage({
+        name: 'Stress', seed: 'stress', stress: 'penultimate', vocabulary: ['agenda', 'camera', 'happen'], allowPause: false
+    });
+
+    for (const [english, entry] of language.vocabulary) {
+        assert.deepEqual(entry.phoneticStructure.stressPattern, stress(entry.sigment, 'penultimate'), english);
+        assert.equal(entry.etymology.phoneticStructure.language, 'English');
+        assert.deepEqual(entry.etymology.phoneticStructure.stressPattern, stress(english, 'weight-sensitive'), english);
+    }
+
+    // English CAmera, while the language stresses the penult of its form
+    const camera = language.vocabulary.get('camera');
+    assert.notDeepEqual(camera.phoneticStructure.stressPattern, camera.etymology.phoneticStructure.stressPattern);
+});
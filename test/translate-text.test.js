@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SigmentLanguage } from '../src/sigment-parser.js';
+import { LanguageGenerator } from '../src/language-generator.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+const toSigment = { hello: 'halo', world: 'vorld', "don't": 'nat', go: 'gan', nasa: 'nasa' };
+const language = SigmentLanguage.create({
+    name: 'TextTest',
+    toSigment,
+    toEnglish: Object.fromEntries(Object.entries(toSigment).map(([english, sigment]) => [sigment, english]))
+});
+const translate = (text, options = {}) => language.translateText(text, options);
+
+test('keeps punctuation and whitespace as they are', () => {
+    assert.equal(translate('hello, world!').text, 'halo, vorld!');
+    assert.equal(translate('  hello\n\n\tworld...  ').text, '  halo\n\n\tvorld...  ');
+    assert.equal(translate('"hello" (world)').text, '"halo" (vorld)');
+});
+
+test('matches the casing of each word', () => {
+    assert.equal(translate('Hello WORLD world').text, 'Halo VORLD vorld');
+    assert.equal(SigmentLanguage.matchCase('Hello', 'halo'), 'Halo');
+    assert.equal(SigmentLanguage.matchCase('HELLO', 'halo'), 'HALO');
+    assert.equal(SigmentLanguage.matchCase('hello', 'halo'), 'halo');
+    // A single capital is a capitalised word, not an acronym
+    assert.equal(SigmentLanguage.matchCase('I', 'ek'), 'Ek');
+});
+
+test('keeps contractions together as one word', () => {
+    const tokens = SigmentLanguage.tokenize("don't go, world’s end");
+    assert.deepEqual(tokens.filter(token => token.type === 'word').map(token => token.value), ["don't", 'go', 'world’s', 'end']);
+    assert.equal(translate("Don't go").text, 'Nat gan');
+});
+
+test('marks unknown words when asked and lists them once', () => {
+    const plain = translate('hello strange strange world');
+    assert.equal(plain.text, 'halo strange strange vorld');
+    assert.deepEqual(plain.unknown, ['strange']);
+
+    const marked = translate("Hello, can't Strange world", { markUnknown: true });
+    assert.equal(marked.text, "Halo, [can't] [Strange] vorld");
+    assert.deepEqual(marked.unknown, ["can't", 'strange']);
+});
+
+test('translates back to English', () => {
+    assert.equal(translate('Halo, VORLD!', { direction: 'to-english' }).text, 'Hello, WORLD!');
+    assert.throws(() => translate('halo', { direction: 'sideways' }), /Unsupported text translation direction/);
+});
+
+test('translate --text prints the translation and the unknown words', async (t) => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigment-translate-'));
+    t.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+    const generator = new LanguageGenerator({ useOllama: false, cacheEnabled: false, outputPath: path.join(workDir, 'dictionaries') });
+    const { language: generated } = await generator.generateLanguage({
+        name: 'CliText',
+        seed: 'cli-text',
+        vocabulary: ['hello', 'world'],
+        allowPause: false
+    });
+    const hello = generated.vocabulary.get('hello').sigment;
+    const world = generated.vocabulary.get('world').sigment;
+
+    const result = spawnSync(process.execPath, [CLI, 'translate', '-l', 'CliText', '-t', 'Hello,  WORLD of zorbs!', '--mark-unknown', '--no-grammar'], {
+        cwd: workDir,
+        encoding: 'utf8',
+        timeout: 60000
+    });
+
+    assert.equal(result.status, 0, result.stderr);
+    const expected = `${hello[0].toUpperCase()}${hello.slice(1)},  ${world.toUpperCase()} [of] [zorbs]!`;
+    assert.ok(result.stdout.includes(expected), result.stdout);
+    assert.match(result.stdout, /Unknown words \(2\): of, zorbs/);
+});